@@ -24,30 +24,97 @@
     return lerp(0.5, 5.0, clamp((v||0)/200, 0, 1));
   }
 
+  const fmtBpm = (v) => Number.isInteger(v) ? String(v) : v.toFixed(1);
+
+  // Duration readout used by the blend sliders: "850ms" / "1.20s"
+  function fmtDuration(sec){
+    const ms = Math.round(sec * 1000);
+    return (ms >= 1000) ? ((ms / 1000).toFixed(2) + 's') : (ms + 'ms');
+  }
+
+  // Track position readout: "3:07"
+  function fmtClock(sec){
+    const s = Math.max(0, Math.floor(Number.isFinite(sec) ? sec : 0));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  }
+
+  function escapeHtml(str){
+    return String(str).replace(/[&<>"']/g, (ch) => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[ch]));
+  }
+
   const easeInOutCubic = (t) => (t < 0.5) ? 4*t*t*t : 1 - Math.pow(-2*t+2, 3)/2;
 
   function rgb(r,g,b){ return {r: clamp(Math.round(r),0,255), g: clamp(Math.round(g),0,255), b: clamp(Math.round(b),0,255)}; }
+  function rgbToHex(c){ return '#' + [c.r, c.g, c.b].map(x => x.toString(16).padStart(2, '0')).join(''); }
+  function hexToRgb(hex){
+    const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim());
+    if (!m) return null;
+    const n = parseInt(m[1], 16);
+    return rgb((n >> 16) & 255, (n >> 8) & 255, n & 255);
+  }
+  // {r,g,b} or "#rrggbb" (show files, layers) -> rgb; null if it is neither.
+  function parseColor(c){
+    if (typeof c === 'string') return hexToRgb(c);
+    return (c && typeof c === 'object') ? rgb(c.r||0, c.g||0, c.b||0) : null;
+  }
   function rgba(c, a){ return `rgba(${c.r},${c.g},${c.b},${clamp(a,0,1)})`; }
   function brightness(c){ return 0.2126*c.r + 0.7152*c.g + 0.0722*c.b; }
   function distSq(a,b){ const dx=a.r-b.r, dy=a.g-b.g, dz=a.b-b.b; return dx*dx+dy*dy+dz*dz; }
+  function mixColor(a,b,t){ return rgb(lerp(a.r,b.r,t), lerp(a.g,b.g,t), lerp(a.b,b.b,t)); }
+
+// HSV helpers (h in degrees 0..360, s/v 0..1). Used for hue modulation and color math.
+  function rgbToHsv(c){
+    const r = c.r/255, g = c.g/255, b = c.b/255;
+    const max = Math.max(r,g,b), min = Math.min(r,g,b);
+    const d = max - min;
+    let h = 0;
+    if (d > 0){
+      if (max === r) h = 60 * (((g - b) / d) % 6);
+      else if (max === g) h = 60 * ((b - r) / d + 2);
+      else h = 60 * ((r - g) / d + 4);
+    }
+    if (h < 0) h += 360;
+    return { h, s: max > 0 ? d/max : 0, v: max };
+  }
+
+  function hsvToRgb(h, s, v){
+    h = ((h % 360) + 360) % 360;
+    const c = v * s;
+    const x = c * (1 - Math.abs((h/60) % 2 - 1));
+    const m0 = v - c;
+    let r=0, g=0, b=0;
+    if (h < 60){ r=c; g=x; }
+    else if (h < 120){ r=x; g=c; }
+    else if (h < 180){ g=c; b=x; }
+    else if (h < 240){ g=x; b=c; }
+    else if (h < 300){ r=x; b=c; }
+    else { r=c; b=x; }
+    return rgb((r+m0)*255, (g+m0)*255, (b+m0)*255);
+  }
+
+  function shiftHue(c, deg){
+    if (!deg) return c;
+    const hsv = rgbToHsv(c);
+    return hsvToRgb(hsv.h + deg, hsv.s, hsv.v);
+  }
 
-// Choose a bright color from the fixed palette.
+// Choose a bright color from a palette (the fixed one by default).
 // Returns a fresh object so callers can mutate without affecting shared state.
-  function randomBrightColor(){
+  function randomBrightColor(colors=PALETTE){
     // pick from your palette (clone so callers can’t accidentally mutate shared objects)
-    const c = PALETTE[Math.floor(Math.random() * PALETTE.length)];
+    const c = colors[Math.floor(Math.random() * colors.length)];
     return rgb(c.r, c.g, c.b);
   }
 
 
 // Pick the palette color farthest (in RGB space) from the given color.
 // Used to keep A/B colors distinct in multicolor mode.
-  function contrastingColor(c){
+  function contrastingColor(c, colors=PALETTE){
     // Pick the palette color that’s farthest from c
-    let best = PALETTE[0];
+    let best = colors[0];
     let bestD = -1;
 
-    for (const p of PALETTE){
+    for (const p of colors){
       const d = distSq(p, c);
       if (d > bestD){ bestD = d; best = p; }
     }
@@ -55,6 +122,17 @@
     return rgb(best.r, best.g, best.b);
   }
 
+// The palette color closest to c (used to keep generated colors on-palette).
+  function nearestColor(c, colors=PALETTE){
+    let best = colors[0];
+    let bestD = Infinity;
+    for (const p of colors){
+      const d = distSq(p, c);
+      if (d < bestD){ bestD = d; best = p; }
+    }
+    return rgb(best.r, best.g, best.b);
+  }
+
 
   
 // =====================
@@ -116,7 +194,8 @@
 // =====================
 // State
 // =====================
-  let presetNumber = 0;              // 0-31
+  let presetNumber = 0;              // index into presetRegistry (UI order)
+  let presetInstance = null;         // running instance of the current preset (see createPresetInstance)
   let presetSpeed = 30;              // 0-100
   let presetSizeDest = 50;           // 0-100
   let presetBrightnessDest = 100;    // 0-100
@@ -126,8 +205,12 @@
 
   let presetBrightness = 100;
   let presetSize = 50;
+  // Per-frame (60 Hz) smoothing of Size/Brightness toward their sliders; LFOs on them use the same.
+  const SIZE_SMOOTHING = 0.14;
+  const BRIGHT_SMOOTHING = 0.2;
 
   let multiColor = true;
+  let multiColorMode = 'ab';            // what Multicolor does: 'ab' | 'palette' | 'gradient' | 'rainbow'
   let presetColor = rgb(0,0,255);       // Color A
   let multiColorClr = rgb(255,255,255); // Color B
 
@@ -143,6 +226,11 @@
   let micGain = 2.3;           // scales audio energy (mic/file/demo)
   let beatCooldownMs = 160;     // ms
   let beatEveryN = 4;           // change preset every N beats
+  let beatAlgo = 'energy';      // onset detector: 'energy' (BeatDetector) | 'flux' (SpectralFluxDetector)
+  let tempoAutoBpm = false;     // write the audio tempo estimate (and phase) into bpm
+  let tempoFillBeats = true;    // fire predicted beats when an onset is missed
+  let bandTriggersOn = false;   // kick/snare/hi-hat triggers run their actions (see "Band triggers")
+  let phraseOn = false;         // build-up / breakdown / drop actions for Beat DJ (see "Build-ups and drops")
   let beatCount = 0;
   let lastBeatFlash = -1e9;
 
@@ -156,18 +244,51 @@
     return lerp(1.8, 0.10, clamp(transitionSpeed/100, 0, 1));
   }
 
+  // Preset transition (how selectPreset() moves from one preset to the next)
+  let presetBlendMode = 'crossfade';   // 'cut' | 'crossfade' | 'wipe' | 'zoom' | 'flash'
+  let presetBlendSpeed = 70;           // 0..100 -> blend duration seconds
+  let presetBlendBeatSync = false;     // finish the blend exactly on the next beat
+  let presetTransition = null;         // active transition (see startPresetTransition)
+  let blendBufs = null;                // [outgoing, incoming] offscreen canvases, created lazily
+
+  // Cues: named show snapshots in cue lists, recalled with a timed fade (see "Cues")
+  let cueLists = [{ name: 'Main', cues: [] }];
+  let cueListIdx = 0;                  // selected cue list
+  let cueIdx = -1;                     // last recalled cue in that list (-1 = none yet)
+  let cueFadeVal = 20;                 // 0..100 UI -> 0..10 s
+  let cueFade = null;                  // active recall fade (see updateCueFade)
+  const cueFadeSec = () => cueFadeVal / 10;
+
+  // Beat-grid sequencer (see "Sequencer"); one step = one beat, 4 beats per bar
+  let seqPlaying = false;
+  let seqSync = 'clock';               // 'clock' (BPM slider) | 'beats' (detected beats)
+  let seqBars = 4;                     // loop length: 4 | 8 | 16 bars
+  let seqPage = 0;                     // which 4-bar page the grid editor shows
+  let seqStep = -1;                    // last played step (-1 = stopped / not started)
+  let seqBlackoutUntil = 0;
+  let blackoutHeld = false;            // Blackout was switched on by a timed step and goes off again after it
+  let strobeBurstUntil = 0, strobeBurstLevel = 0;   // short strobe bursts (sequencer steps, snare hits)
+
+  // Extra preset layers composited over the main show (see "Preset layers")
+  let presetLayers = [];
+  let layerBaseBuf = null;             // opaque buffer for the base show while layers are active
+  function presetBlendDurationSec(speed=presetBlendSpeed){
+    // 0 = slow blend, 100 = fast blend
+    return lerp(2.0, 0.05, clamp((speed||0)/100, 0, 1));
+  }
+
+  // Elapsed time since the previous frame, in 60 Hz reference frames (1 at 60 Hz, 0.5 at 120 Hz).
+  // Presets multiply their per-frame increments by this so motion is time-based.
+  let frameStep = 1;
+
   // Timers / counters
-  let a=0,b_=0,c=0,d=0;
-  let v=0.2, m=0;
   let strobeTime = 0;
   let onoff = true;
-  let timeRand = 0;
   let bpmBeatTime = 0;
   let bpmBeatCounter = -1;
-
-  // Random arrays (discoball etc.)
-  const ranX = new Int32Array(1000);
-  const ranY = new Int32Array(1000);
+  let bpmBeatTotal = 0;              // BPM clock beats since the last downbeat (LFO sync)
+  let bpmSource = 'manual';          // 'manual' | 'tap' | 'midi' | 'audio' | 'grid' (who set bpm last)
+  let tapTimes = [];
 
   // Motion path blending state
   let motionPhase = 0; // 0..1
@@ -197,6 +318,8 @@
     ctx.fillRect(0,0,W,H);
 
     motionBlending = false;
+    resizeBlendBuffers();
+    resizeLayerBuffers();
   }
 
   window.addEventListener('resize', resize);
@@ -215,17 +338,6 @@
   // Run initial resize
   resize();
 
-// =====================
-// Init helpers
-// =====================
-  function initDiscoball(rng=Math.random){
-    for (let i=0;i<1000;i++){
-      ranX[i] = Math.floor((rng()*2-1) * (0.71*visualW/DPR));
-      ranY[i] = Math.floor((rng()*2-1) * (0.71*visualW/DPR));
-    }
-  }
-  initDiscoball();
-
 // =====================
 // Motion path (circle/square/triangle) with smooth blending
 // =====================
@@ -286,7 +398,7 @@
     const cps = lerp(0, 0.22, clamp(presetSpeed/100, 0, 1));
     motionPhase = (motionPhase + dt * cps) % 1;
 
-    const r = 0.18 * Math.min((visualW/DPR), (H/DPR));
+    const r = 0.18 * Math.min((visualW/DPR), (H/DPR)) * Math.max(0, 1 + modOffsets.radius/100);
     const from = motionPos(motionFromMode, motionPhase, r);
     const to = motionPos(motionToMode, motionPhase, r);
 
@@ -306,8 +418,14 @@
 // =====================
 // Rendering helpers (visual zone is left side only)
 // =====================
+// Per-frame trails fade, tuned at 60 Hz and compounded over frameStep so trails last as long on any display.
+  function trailAlpha(){
+    const alpha = lerp(1.0, 0.04, clamp((shadeAmount + modOffsets.shade)/100,0,1));
+    return 1 - Math.pow(1 - alpha, frameStep);
+  }
+
   function fadeBackground(){
-    const alpha = lerp(1.0, 0.04, clamp(shadeAmount/100,0,1));
+    const alpha = trailAlpha();
     ctx.setTransform(1,0,0,1,0,0);
     ctx.globalCompositeOperation = 'source-over';
     ctx.fillStyle = `rgba(0,0,0,${alpha})`;
@@ -320,9 +438,73 @@
   }
 
 
-  function altColor(i){
+// Color modes for presets. 'single' is Multicolor off; the others say what Multicolor does.
+  const COLOR_MODES = [
+    { id: 'single',   label: 'Single' },
+    { id: 'ab',       label: 'A / B' },
+    { id: 'palette',  label: 'Palette' },
+    { id: 'gradient', label: 'Gradient' },
+    { id: 'rainbow',  label: 'Rainbow' },
+  ];
+  const MULTI_COLOR_MODES = COLOR_MODES.slice(1).map(m => m.id);
+  const SMOOTH_COLOR_PARTS = 6;   // colors used by gradient/rainbow when a preset doesn't say how many parts it has
+  const RAINBOW_BEATS = 16;       // the rainbow turns once every 4 bars
+  let rainbowTurn = 0;            // 0..1, advanced each frame so a tempo change only changes the speed
+
+// Color for part i of a preset that draws n parts (n = 0: unknown). Every multicolor preset
+// goes through this, so the color mode applies everywhere: A/B alternates, palette cycles
+// through the active palette, gradient blends A to B across the n parts, and rainbow spreads
+// the hue circle (starting at A's hue) over them and turns it with the BPM.
+  function altColor(i, n=0){
     if (!multiColor) return presetColor;
-    return (i % 2 === 0) ? presetColor : multiColorClr;
+    switch (multiColorMode){
+      case 'palette': {
+        const p = paletteColors();
+        return shiftHue(p[((i % p.length) + p.length) % p.length], modOffsets.hue);
+      }
+      case 'gradient': {
+        const parts = n > 1 ? n : SMOOTH_COLOR_PARTS;
+        return mixColor(presetColor, multiColorClr, (((i % parts) + parts) % parts) / (parts - 1));
+      }
+      case 'rainbow': {
+        const parts = n > 0 ? n : SMOOTH_COLOR_PARTS;
+        return hsvToRgb(rgbToHsv(presetColor).h + 360 * (i / parts + rainbowTurn), 1, 1);
+      }
+      default:
+        return (i % 2 === 0) ? presetColor : multiColorClr;
+    }
+  }
+
+// How many distinct colors the current mode gives presets that split into groups.
+  function colorCount(){
+    if (!multiColor) return 1;
+    if (multiColorMode === 'palette') return paletteColors().length;
+    return multiColorMode === 'ab' ? 2 : SMOOTH_COLOR_PARTS;
+  }
+
+// Color for item i of count when the items are split into consecutive groups, one per color.
+  function groupColor(i, count){
+    const g = colorCount();
+    return altColor(Math.min(g - 1, Math.floor(i * g / Math.max(1, count))), g);
+  }
+
+// Gradient and rainbow can also paint a single shape with a canvas gradient between two
+// world points. Returns false in the other modes so the caller falls back to altColor().
+  function setStrokeGradient(x0, y0, x1, y1, parts=SMOOTH_COLOR_PARTS){
+    if (!multiColor || (multiColorMode !== 'gradient' && multiColorMode !== 'rainbow')) return false;
+    const g = ctx.createLinearGradient(worldToCanvasX(x0), worldToCanvasY(y0), worldToCanvasX(x1), worldToCanvasY(y1));
+    const a = clamp(presetBrightness/100, 0, 1);
+    for (let k=0; k<parts; k++) g.addColorStop(k / (parts - 1), rgba(altColor(k, parts), a));
+    ctx.strokeStyle = g;
+    return true;
+  }
+
+  function setColorMode(mode){
+    if (mode === 'single') multiColor = false;
+    else if (MULTI_COLOR_MODES.includes(mode)){
+      multiColor = true;
+      multiColorMode = mode;
+    }
   }
 
   function setFillColor(c){
@@ -388,42 +570,6 @@
 
     
 
-// =====================
-// Pingpong balls (optimized)
-// =====================
-  class Kreis {
-    constructor(){
-      this.posX = 200 + Math.random() * Math.max(1, (visualW/DPR)-400);
-      this.posY = 200 + Math.random() * Math.max(1, (H/DPR)-400);
-      this.spdX = 10 + Math.random() * 20;
-      this.spdY = 10 + Math.random() * 20;
-    }
-    step(){
-      const ballDiam = Math.floor(lerp(300, 40, clamp((presetSize+1)/100,0,1)));
-      const ballR = ballDiam/2;
-
-      let x = this.posX, y = this.posY;
-      let sx = this.spdX, sy = this.spdY;
-
-      const w = (visualW/DPR);
-      const h = (H/DPR);
-
-      if (x <= ballR) { x = ballR; sx = -sx; }
-      else if (x >= w-ballR) { x = w-ballR; sx = -sx; }
-      if (y <= ballR) { y = ballR; sy = -sy; }
-      else if (y >= h-ballR) { y = h-ballR; sy = -sy; }
-
-      const moveScale = lerp(0, 1, clamp((presetSpeed+1)/100, 0, 1));
-      x += moveScale * sx;
-      y += moveScale * sy;
-
-      this.posX = x; this.posY = y; this.spdX = sx; this.spdY = sy;
-      return { x, y, r: ballR };
-    }
-  }
-
-  const spotlight = Array.from({length: 21}, () => new Kreis());
-
 // =====================
 // UI binding
 // =====================
@@ -431,6 +577,7 @@
     presetGrid: document.getElementById('presetGrid'),
     colorGrid: document.getElementById('colorGrid'),
     btnMulti: document.getElementById('btnMulti'),
+    colorModeSel: document.getElementById('colorModeSel'),
     btnBlackout: document.getElementById('btnBlackout'),
     btnBpm: document.getElementById('btnBpm'),
     btnBeat: document.getElementById('btnBeat'),
@@ -445,7 +592,11 @@
 
     btnBeatColor: document.getElementById('btnBeatColor'),
     btnBeatPreset: document.getElementById('btnBeatPreset'),
+    btnAutoBpm: document.getElementById('btnAutoBpm'),
+    btnFillBeats: document.getElementById('btnFillBeats'),
+    btnBands: document.getElementById('btnBands'),
     beatEvery: document.getElementById('beatEvery'),
+    beatAlgo: document.getElementById('beatAlgo'),
     beatSens: document.getElementById('beatSens'),
     beatCool: document.getElementById('beatCool'),
     beatSensOut: document.getElementById('beatSensOut'),
@@ -455,9 +606,28 @@
     micGainOut: document.getElementById('micGainOut'),
 
     btnMic: document.getElementById('btnMic'),
+    btnDemo: document.getElementById('btnDemo'),
 
     motionSel: document.getElementById('motionSel'),
 
+    blendSel: document.getElementById('blendSel'),
+    blend: document.getElementById('blend'),
+    blendOut: document.getElementById('blendOut'),
+    btnBlendBeat: document.getElementById('btnBlendBeat'),
+
+    btnModAdd: document.getElementById('btnModAdd'),
+    btnLfoAdd: document.getElementById('btnLfoAdd'),
+    btnLayerAdd: document.getElementById('btnLayerAdd'),
+    cueListSel: document.getElementById('cueListSel'),
+    btnSeq: document.getElementById('btnSeq'),
+    seqSync: document.getElementById('seqSync'),
+    seqBars: document.getElementById('seqBars'),
+    seqPage: document.getElementById('seqPage'),
+    cueName: document.getElementById('cueName'),
+    poolName: document.getElementById('poolName'),
+    cueFade: document.getElementById('cueFade'),
+    cueFadeOut: document.getElementById('cueFadeOut'),
+
     speed: document.getElementById('speed'),
     size: document.getElementById('size'),
     bright: document.getElementById('bright'),
@@ -492,17 +662,22 @@
     if (ui.colorReadout) ui.colorReadout.innerHTML = `${a} &nbsp;|&nbsp; ${b}`;
     if (ui.pickA) ui.pickA.classList.toggle('on', colorTarget === 'A');
     if (ui.pickB) ui.pickB.classList.toggle('on', colorTarget === 'B');
+    syncColorPickerDom(document, colorTarget === 'A' ? presetColor : multiColorClr);
   }
 
 // Sync UI button states + dependent UI (e.g., disable Swap when not multicolor).
 // Also broadcasts state to the pop-out window (if open).
   function updateToggles(){
     if (ui.btnMulti) toggleBtn(ui.btnMulti, multiColor);
+    if (ui.colorModeSel) ui.colorModeSel.value = multiColor ? multiColorMode : 'single';
     if (ui.btnBlackout) toggleBtn(ui.btnBlackout, blackout);
     if (ui.btnBpm) toggleBtn(ui.btnBpm, bpmSTLmode);
     if (ui.btnBeat) toggleBtn(ui.btnBeat, beatDJ);
     if (ui.btnBeatColor) toggleBtn(ui.btnBeatColor, beatAutoColor);
     if (ui.btnBeatPreset) toggleBtn(ui.btnBeatPreset, beatAutoPreset);
+    if (ui.btnAutoBpm) toggleBtn(ui.btnAutoBpm, tempoAutoBpm);
+    if (ui.btnFillBeats) toggleBtn(ui.btnFillBeats, tempoFillBeats);
+    if (ui.btnBlendBeat) toggleBtn(ui.btnBlendBeat, presetBlendBeatSync);
     if (ui.btnSwap) ui.btnSwap.disabled = !multiColor;
     updateColorReadout();
     // keep pop-out in sync if it exists
@@ -512,11 +687,11 @@
 // Main panel controls wiring (same behavior as popup)
 // ---------------------
   if (ui.btnMulti) ui.btnMulti.addEventListener('click', () => { multiColor = !multiColor; updateToggles(); });
+  if (ui.colorModeSel) ui.colorModeSel.addEventListener('change', () => { setColorMode(ui.colorModeSel.value); updateToggles(); });
   if (ui.btnBlackout) ui.btnBlackout.addEventListener('click', () => { blackout = !blackout; updateToggles(); });
   if (ui.btnBpm) ui.btnBpm.addEventListener('click', () => { bpmSTLmode = !bpmSTLmode; updateToggles(); });
-  if (ui.btnBeat) ui.btnBeat.addEventListener('click', () => { beatDJ = !beatDJ; updateToggles(); });
-  if (ui.btnBeatColor) ui.btnBeatColor.addEventListener('click', () => { beatAutoColor = !beatAutoColor; updateToggles(); });
-  if (ui.btnBeatPreset) ui.btnBeatPreset.addEventListener('click', () => { beatAutoPreset = !beatAutoPreset; updateToggles(); });
+
+  if (ui.btnBlendBeat) ui.btnBlendBeat.addEventListener('click', () => { presetBlendBeatSync = !presetBlendBeatSync; updateToggles(); });
 
   if (ui.pickA) ui.pickA.addEventListener('click', () => { colorTarget = 'A'; updateColorReadout(); });
   if (ui.pickB) ui.pickB.addEventListener('click', () => { colorTarget = 'B'; updateColorReadout(); });
@@ -560,6 +735,20 @@
     try { sendStateToPopup?.(true); } catch {}
   });
 
+  // Preset Blend (preset transition speed)
+  ui.blend?.addEventListener('input', (e) => {
+    presetBlendSpeed = +e.target.value;
+    if (ui.blendOut) ui.blendOut.textContent = fmtDuration(presetBlendDurationSec());
+    try { sendStateToPopup?.(true); } catch {}
+  });
+
+  // Preset transition style
+  ui.blendSel?.addEventListener('change', (e) => {
+    presetBlendMode = String(e.target.value || 'crossfade');
+    if (presetBlendMode === 'cut') finishPresetTransition();
+    try { sendStateToPopup?.(true); } catch {}
+  });
+
   // Beat: Mic Sensitivity (0..200 UI -> micGain multiplier)
   ui.micGain?.addEventListener('input', (e) => {
     micGainVal = +e.target.value;
@@ -588,6 +777,21 @@
     try { sendStateToPopup?.(true); } catch {}
   });
 
+  // Beat: onset detector algorithm (select)
+  ui.beatAlgo?.addEventListener('change', (e) => {
+    beatAlgo = (e.target.value === 'flux') ? 'flux' : 'energy';
+    beatDetector.reset();
+    fluxDetector.reset();
+    try { sendStateToPopup?.(true); } catch {}
+  });
+
+  // Cue recall fade time
+  ui.cueFade?.addEventListener('input', (e) => {
+    cueFadeVal = +e.target.value;
+    if (ui.cueFadeOut) ui.cueFadeOut.textContent = fmtDuration(cueFadeSec());
+    try { sendStateToPopup?.(true); } catch {}
+  });
+
   // Optional: initialize outputs once on load (so UI matches state)
   (function initSliderOutputs(){
     if (ui.speedOut) ui.speedOut.textContent = String(presetSpeed);
@@ -598,54 +802,12 @@
     if (ui.beatSensOut) ui.beatSensOut.textContent = String(beatSens);
     if (ui.beatCoolOut) ui.beatCoolOut.textContent = String(beatCooldownMs) + 'ms';
 
-    const sec = lerp(1.8, 0.10, clamp(transitionSpeed / 100, 0, 1));
-    const ms = Math.round(sec * 1000);
-    if (ui.transOut) ui.transOut.textContent = (ms >= 1000) ? ((ms / 1000).toFixed(2) + 's') : (ms + 'ms');
-  })();
-
-  // Color buttons
-  const colorButtons = [
-    { name: 'R',   c: COLORS.red },
-    { name: 'Y',   c: COLORS.yellow },
-    { name: 'G',   c: COLORS.green },
-    { name: 'C',   c: COLORS.cyan },
-    { name: 'B',   c: COLORS.blue },
-    { name: 'M',   c: COLORS.magenta },
-    { name: 'W',   c: COLORS.white },
-    { name: 'Rnd', c: null },
-  ];
-
+    if (ui.transOut) ui.transOut.textContent = fmtDuration(motionBlendDurationSec());
 
-  function renderColorGrid(){
-    const grid = ui.colorGrid;
-    if (!grid) return;
-    grid.innerHTML = '';
-    colorButtons.forEach((it) => {
-      const b = document.createElement('button');
-      b.type = 'button';
-      b.className = 'colorBtn';
-      if (it.c){
-        b.style.background = `rgb(${it.c.r},${it.c.g},${it.c.b})`;
-        b.title = it.name;
-      } else {
-        b.textContent = 'Rnd';
-        b.title = 'Random bright';
-      }
-      b.addEventListener('click', () => {
-        const chosen = it.c ? rgb(it.c.r,it.c.g,it.c.b) : randomBrightColor();
-        if (colorTarget === 'A') presetColor = chosen;
-        else multiColorClr = chosen;
-        if (multiColor && distSq(multiColorClr, presetColor) < 80*80){
-          // keep them distinct
-          multiColorClr = contrastingColor(presetColor);
-        }
-        updateToggles();
-      });
-      grid.appendChild(b);
-    });
-  }
+    if (ui.blendOut) ui.blendOut.textContent = fmtDuration(presetBlendDurationSec());
+    if (ui.cueFadeOut) ui.cueFadeOut.textContent = fmtDuration(cueFadeSec());
+  })();
 
-  renderColorGrid();
   updateToggles();
 
 
@@ -664,17 +826,24 @@
   function getRemoteState(){
     return {
       presetNumber,
+      presetId: presetIdAt(presetNumber),
       presetSpeed,
       presetSizeDest,
       presetBrightnessDest,
       presetStrobing,
       shadeAmount,
       bpm,
+      tempoSource: tempoSourceLabel(),
 
       transitionSpeed,
       motionMode: motionToMode,
 
+      presetBlendMode,
+      presetBlendSpeed,
+      presetBlendBeatSync,
+
       multiColor,
+      multiColorMode,
       blackout,
       bpmSTLmode,
 
@@ -684,18 +853,46 @@
       beatSens,
       beatCooldownMs,
       beatEveryN,
+      beatAlgo,
+      tempoAutoBpm,
+      tempoFillBeats,
+      tempoEst: tempoEstimateLabel(),
+      bandTriggersOn,
+      bands: bandsForState(),
+      phraseOn,
+      phraseActions: {...phraseActions},
+      phraseEst: phraseLabel(),
+      pools: poolsForState(),
       micGainVal,
       micGain,
 
       colorTarget,
       colorA: {...presetColor},
       colorB: {...multiColorClr},
+      colorAuto: {...colorAuto},
+      palettes: palettesForState(),
+
+      modRoutes: modRoutesForState(),
+      modEnv: modRoutes.map(r => r.env),
+      lfos: lfosForState(),
+      lfoOut: lfos.map(l => l.value),
+      layers: layersForState(),
+      cues: cuesForState(),
+      seq: seqForState(),
+      midi: midiForState(),
+      playlist: playlistForState(),
+      cueFadeVal,
 
       meter: {
         energy: clamp(_lastMeterEnergy < 0 ? 0 : _lastMeterEnergy, 0, 1),
-        beatAgeMs: nowMs() - lastBeatFlash
+        beatAgeMs: nowMs() - lastBeatFlash,
+        bands: bandMetersForState()
       },
 
+      audioSource: audioSourceType,
+      audioInput: audioInputForState(),
+      featRec: featureRecForState(),
+
       cap: {
         text: ui.capPill?.textContent || 'Mic: …',
         className: ui.capPill?.className || 'pill'
@@ -719,17 +916,35 @@
     // toggles
     const setOn = (id, on) => { const b = $p(id); if (b) b.classList.toggle('on', !!on); };
     setOn('btnMulti', state.multiColor);
+    const colorModeSel = $p('colorModeSel');
+    const colorMode = state.multiColor ? state.multiColorMode : 'single';
+    if (colorModeSel && colorModeSel.value !== colorMode) colorModeSel.value = colorMode;
     setOn('btnBlackout', state.blackout);
+    setOn('btnDemo', state.audioSource === 'demo');
     setOn('btnBpm', state.bpmSTLmode);
     setOn('btnBeat', state.beatDJ);
     setOn('btnBeatColor', state.beatAutoColor);
     setOn('btnBeatPreset', state.beatAutoPreset);
+    setOn('btnAutoBpm', state.tempoAutoBpm);
+    setOn('btnFillBeats', state.tempoFillBeats);
+    updateTempoReadout(d, state.tempoEst);
+    syncPhraseDom(d, state.phraseOn, state.phraseActions, state.pools.list.map(p => p.name));
+    syncPoolDom(d, state.pools);
+    syncColorAutoDom(d, state.colorAuto);
+    syncPaletteDom(d, state.palettes);
+    syncColorPickerDom(d, state.colorTarget === 'A' ? state.colorA : state.colorB);
+    updatePhraseReadout(d, state.phraseEst);
+    setOn('btnBlendBeat', state.presetBlendBeatSync);
 
     // selects
     const motionSel = $p('motionSel');
     if (motionSel && motionSel.value !== state.motionMode) motionSel.value = state.motionMode;
     const beatEvery = $p('beatEvery');
     if (beatEvery && String(beatEvery.value) !== String(state.beatEveryN)) beatEvery.value = String(state.beatEveryN);
+    const beatAlgoSel = $p('beatAlgo');
+    if (beatAlgoSel && beatAlgoSel.value !== state.beatAlgo) beatAlgoSel.value = state.beatAlgo;
+    const blendSel = $p('blendSel');
+    if (blendSel && blendSel.value !== state.presetBlendMode) blendSel.value = state.presetBlendMode;
 
     const pickA = $p('pickA');
     const pickB = $p('pickB');
@@ -748,7 +963,8 @@
     mirrorRange('bright', state.presetBrightnessDest, String(state.presetBrightnessDest));
     mirrorRange('strobe', state.presetStrobing, String(state.presetStrobing));
     mirrorRange('shade', state.shadeAmount, String(state.shadeAmount));
-    mirrorRange('bpm', state.bpm, String(state.bpm));
+    mirrorRange('bpm', state.bpm, fmtBpm(state.bpm));
+    syncTempoDom(d, state.tempoSource);
     // Beat DJ sliders
     try { mirrorRange('micGain', state.micGainVal, (state.micGain||0).toFixed(2)+'×'); } catch { mirrorRange('micGain', state.micGainVal, String(state.micGainVal)); }
     mirrorRange('beatSens', state.beatSens, String(state.beatSens));
@@ -761,6 +977,8 @@
     } catch {
       mirrorRange('trans', state.transitionSpeed, String(state.transitionSpeed));
     }
+    mirrorRange('blend', state.presetBlendSpeed, fmtDuration(presetBlendDurationSec(state.presetBlendSpeed)));
+    mirrorRange('cueFade', state.cueFadeVal, fmtDuration((state.cueFadeVal||0)/10));
 
     // active preset highlight
     const grid = $p('presetGrid');
@@ -777,6 +995,30 @@
       cr.innerHTML = `A: rgb(${A.r},${A.g},${A.b}) &nbsp;|&nbsp; B: rgb(${B.r},${B.g},${B.b})`;
     }
 
+    // modulation matrix
+    if (state.layers) syncLayerListDom(d, state.layers);
+    if (state.cues) syncCueDom(d, state.cues);
+    if (state.seq){
+      setOn('btnSeq', state.seq.playing);
+      for (const [id, v] of [['seqSync', state.seq.sync], ['seqBars', state.seq.bars]]){
+        const el = $p(id);
+        if (el && String(el.value) !== String(v)) el.value = String(v);
+      }
+      syncSeqDom(d, state.seq);
+    }
+    if (state.midi) syncMidiDom(d, state.midi);
+    if (state.playlist) syncPlaylistDom(d, state.playlist);
+    if (state.audioInput) syncAudioInputDom(d, state.audioInput);
+    if (state.featRec) syncFeatureRecDom(d, state.featRec);
+    if (state.modRoutes){
+      syncModMatrixDom(d, state.modRoutes);
+      updateModMeters(d, state.modEnv || []);
+    }
+    if (state.lfos){
+      syncLfoDom(d, state.lfos);
+      updateLfoMeters(d, state.lfoOut || []);
+    }
+
     // beat meter
     const mf = $p('energyFill');
     if (mf && state.meter) mf.style.width = (clamp(state.meter.energy||0,0,1)*100).toFixed(1)+'%';
@@ -786,6 +1028,8 @@
       const on = age < 140;
       bd.style.opacity = on ? '1' : '0';
     }
+    if (state.meter?.bands) updateBandMeters(d, state.meter.bands);
+    if (state.bands) syncBandDom(d, state.bands);
 
   // cap pill + status
     const cap = $p('capPill');
@@ -857,7 +1101,7 @@
         }
 
         if (cmd.type === 'selectPreset'){
-          selectPreset(cmd.idx, {user:true});
+          selectPreset(cmd.id ?? cmd.idx, {user:true});
           return;
         }
 
@@ -871,157 +1115,479 @@
           return;
         }
 
-        if (cmd.type === 'focus'){
-          try { popupWin?.focus(); } catch {}
+        if (cmd.type === 'addMod'){
+          addModRoute(cmd.route || {});
           return;
         }
-      }
 
-      // Expose a tiny API for the popup.
-      window.BLAIZE_REMOTE = {
-        getState: getRemoteState,
-        applyCommand: applyRemoteCommand,
-        openPopup: openControlsPopup
-      };
+        if (cmd.type === 'removeMod'){
+          removeModRoute(Number(cmd.index));
+          return;
+        }
 
+        if (cmd.type === 'setMod'){
+          setModRouteValue(Number(cmd.index), String(cmd.key), cmd.value);
+          sendStateToPopup(true);
+          return;
+        }
 
-// Attach pop-out event handlers that forward into the main window.
-// The pop-out HTML itself stays mostly static and logic-free.
-  function bindPopupHandlers(){
-    if (!popupWin || popupWin.closed) return;
-    let d;
-    try { d = popupWin.document; } catch { return; }
-    if (!d) return;
+        if (cmd.type === 'addLfo'){
+          addLfo(cmd.lfo || {});
+          return;
+        }
 
-    const $p = (id) => { try { return d.getElementById(id); } catch { return null; } };
+        if (cmd.type === 'removeLfo'){
+          removeLfo(Number(cmd.index));
+          return;
+        }
 
-    let popupColorTarget = 'A';
+        if (cmd.type === 'setLfo'){
+          setLfoValue(Number(cmd.index), String(cmd.key), cmd.value);
+          sendStateToPopup(true);
+          return;
+        }
 
-    // Close button (dock)
-    const dock = $p('dock');
-    if (dock){
-      dock.addEventListener('click', () => {
-        try { popupWin.close(); } catch {}
-        try { if (popupWatch) clearInterval(popupWatch); } catch {}
-        popupWatch = null;
-        setPanelHidden(false);
-      });
-    }
+        if (cmd.type === 'addLayer'){
+          addLayer(cmd.layer || {});
+          return;
+        }
 
-    // Buttons -> main buttons (reuse existing behavior)
-    ['btnMic','btnMulti','btnBlackout','btnBpm','btnBeat','btnBeatColor','btnBeatPreset','btnSwap','pickA','pickB'].forEach((id) => {
-      const el = $p(id);
-      if (!el) return;
-      el.addEventListener('click', () => {
-        // Keep popup-local color target in sync for quick color picking.
-        if (id === 'pickA') popupColorTarget = 'A';
-        if (id === 'pickB') popupColorTarget = 'B';
-        applyRemoteCommand({type:'click', id});
-        // update right away
-        sendStateToPopup(true);
-      });
-    });
+        if (cmd.type === 'removeLayer'){
+          removeLayer(Number(cmd.index));
+          return;
+        }
 
-    // Selects
-    const motionSel = $p('motionSel');
-    if (motionSel){
-      motionSel.addEventListener('change', () => applyRemoteCommand({type:'setSelect', id:'motionSel', value: motionSel.value}));
-    }
-    const beatEvery = $p('beatEvery');
-    if (beatEvery){
-      beatEvery.addEventListener('change', () => applyRemoteCommand({type:'setSelect', id:'beatEvery', value: beatEvery.value}));
-    }
+        if (cmd.type === 'setLayer'){
+          setLayerValue(Number(cmd.index), String(cmd.key), cmd.value);
+          sendStateToPopup(true);
+          return;
+        }
 
-    // Sliders -> dispatch into main sliders (so all existing logic runs)
-    ['speed','size','bright','strobe','shade','bpm','trans','micGain','beatSens','beatCool'].forEach((id) => {
-      const el = $p(id);
-      if (!el) return;
-      el.addEventListener('input', () => applyRemoteCommand({type:'setRange', id, value: parseInt(el.value, 10)}));
-    });
+        if (cmd.type === 'cueStore'){
+          storeCue(cmd.name);
+          return;
+        }
 
-    // Presets
-    const grid = $p('presetGrid');
-    if (grid){
-      const btns = grid.querySelectorAll('button[data-preset]');
-      btns.forEach((b) => {
-        b.addEventListener('click', () => {
-          const i = Number(b.getAttribute('data-preset')) || 0;
-          applyRemoteCommand({type:'selectPreset', idx: i});
-        });
-      });
-    }
+        if (cmd.type === 'cueGo'){
+          goCue(cmd.index == null ? cueIdx + 1 : Number(cmd.index));
+          return;
+        }
 
-    // Colors: buttons send setColor
-    const colorGrid = $p('colorGrid');
-    if (colorGrid){
-      const btns = colorGrid.querySelectorAll('button.colorBtn');
-      btns.forEach((b) => {
-        b.addEventListener('click', () => {
-          if (b.dataset.random){
-            const c = randomBrightColor();
-            applyRemoteCommand({type:'setColor', target: popupColorTarget, rgb: c});
-            return;
-          }
-          const raw = b.dataset.rgb || '';
-          const parts = raw.split(',').map(v => parseInt(v.trim(),10));
-          if (parts.length === 3){
-            applyRemoteCommand({type:'setColor', target: popupColorTarget, rgb: {r:parts[0]||0,g:parts[1]||0,b:parts[2]||0}});
-          }
-        });
-      });
-    }
+        if (cmd.type === 'cueBack'){
+          goCue(cueIdx - 1);
+          return;
+        }
 
-    // If the pop-out is closed by window manager, restore panel.
-    try {
-      popupWin.addEventListener('beforeunload', () => {
-        try { if (popupWatch) clearInterval(popupWatch); } catch {}
-        popupWatch = null;
-        setPanelHidden(false);
-      });
-    } catch {}
-  }
+        if (cmd.type === 'cueRemove'){
+          removeCue(Number(cmd.index));
+          return;
+        }
 
-// Open (or focus) the pop-out control window.
-// Main window remains the single source of truth for all state.
-  function openControlsPopup(){
-    if (popupWin && !popupWin.closed){
-      try { popupWin.focus(); } catch {}
-      sendStateToPopup(true);
-      return;
-    }
+        if (cmd.type === 'cueListAdd'){
+          addCueList(cmd.name);
+          return;
+        }
 
-    popupWin = window.open('', 'ProjectorLightShowControls', 'popup=yes,width=520,height=920,resizable=yes,scrollbars=yes');
-    if (!popupWin){
-      setStatus('Popup blocked. Allow popups for this site to pop out the controls.');
-      return;
-    }
+        if (cmd.type === 'cueListRemove'){
+          removeCueList(cueListIdx);
+          return;
+        }
 
-    // Hide local panel by default so the projector output stays clean.
-    setPanelHidden(true);
+        if (cmd.type === 'cueListSelect'){
+          selectCueList(Number(cmd.index));
+          return;
+        }
 
-    // If the user closes the pop-out, automatically restore the in-page panel.
-    try { if (popupWatch) clearInterval(popupWatch); } catch {}
-    popupWatch = setInterval(() => {
-      if (!isPopupOpen()){
-        try { if (popupWatch) clearInterval(popupWatch); } catch {}
-        popupWatch = null;
-        setPanelHidden(false);
-      }
-    }, 400);
+        if (cmd.type === 'paletteAdd' || cmd.type === 'paletteRemove'){
+          if (cmd.type === 'paletteAdd') addPalette(cmd.name);
+          else removePalette();
+          refreshPalettes();
+          return;
+        }
 
-    popupWin.document.open();
-    popupWin.document.write(buildPopupHTML());
-    popupWin.document.close();
+        if (cmd.type === 'paletteColor'){
+          const c = cmd.rgb || {};
+          const next = rgb(c.r||0, c.g||0, c.b||0);
+          if (cmd.add) addPaletteColor(next);
+          else removePaletteColor(next);
+          refreshPalettes();
+          return;
+        }
 
-    // Attach handlers from the main window (WebGL-style).
-    try { bindPopupHandlers(); } catch {}
+        if (cmd.type === 'swatchSave' || cmd.type === 'swatchClear'){
+          const c = cmd.rgb || {};
+          if (cmd.type === 'swatchSave') addSwatch(rgb(c.r||0, c.g||0, c.b||0));
+          else clearSwatches();
+          refreshPalettes();
+          return;
+        }
 
-    // Sync immediately.
-    setTimeout(() => sendStateToPopup(true), 60);
-  }
+        if (cmd.type === 'colorAuto'){
+          setColorAutoOption(String(cmd.key), cmd.value);
+          if (cmd.key === 'palette') refreshPalettes();
+          else refreshColorAuto();
+          return;
+        }
 
-  // IMPORTANT: Avoid embedding a literal script-end tag sequence in this main script.
-  // Use SCRIPT_CLOSE when you need to generate one for injected HTML.
+        if (cmd.type === 'poolSelect'){
+          selectPool(Number(cmd.index));
+          refreshPools();
+          return;
+        }
+
+        if (cmd.type === 'poolAdd'){
+          addPool(cmd.name);
+          refreshPools();
+          return;
+        }
+
+        if (cmd.type === 'poolRename'){
+          renamePool(cmd.name);
+          clearPoolNameFields();
+          refreshPools();
+          return;
+        }
+
+        if (cmd.type === 'poolRemove'){
+          removePool(Number.isInteger(cmd.index) ? cmd.index : poolIdx);
+          refreshPools();
+          return;
+        }
+
+        if (cmd.type === 'poolOrder'){
+          setPoolOrder(String(cmd.value));
+          refreshPools();
+          return;
+        }
+
+        if (cmd.type === 'poolSet'){
+          setPoolWeight(String(cmd.id), cmd.weight);
+          refreshPools();
+          return;
+        }
+
+        if (cmd.type === 'poolAll'){
+          setPoolAll(!!cmd.on);
+          refreshPools();
+          return;
+        }
+
+        if (cmd.type === 'seqStep'){
+          toggleSeqStep(String(cmd.lane), Number(cmd.step));
+          return;
+        }
+
+        if (cmd.type === 'seqSet'){
+          setSeqOption(String(cmd.key), cmd.value);
+          return;
+        }
+
+        if (cmd.type === 'seqClear'){
+          clearSeq();
+          return;
+        }
+
+        if (cmd.type === 'setBand'){
+          if (cmd.key === 'on') bandTriggersOn = !!cmd.value;
+          else setBandValue(String(cmd.band), String(cmd.key), cmd.value);
+          refreshBandTriggers();
+          return;
+        }
+
+        if (cmd.type === 'setPhrase'){
+          setPhraseOption(String(cmd.key), cmd.value);
+          refreshPhrase();
+          return;
+        }
+
+        if (cmd.type === 'tap'){
+          tapTempo();
+          return;
+        }
+
+        if (cmd.type === 'nudge'){
+          nudgeBeat(Number(cmd.ms) || 0);
+          return;
+        }
+
+        if (cmd.type === 'downbeat'){
+          resyncDownbeat();
+          setStatus('Downbeat: BPM clock re-aligned.');
+          return;
+        }
+
+        if (cmd.type === 'midiEnable'){
+          enableMidi();
+          return;
+        }
+
+        if (cmd.type === 'midiLearn'){
+          setMidiLearn(cmd.on);
+          return;
+        }
+
+        if (cmd.type === 'midiArm'){
+          if (midiLearn && cmd.target) armMidiTarget(cmd.target);
+          return;
+        }
+
+        if (cmd.type === 'midiRemove'){
+          removeMidiMap(Number(cmd.index));
+          return;
+        }
+
+        if (cmd.type === 'setAudioInput'){
+          setAudioInput(String(cmd.key), cmd.value);
+          return;
+        }
+
+        if (cmd.type === 'trackPlay'){
+          if (Number.isInteger(cmd.index)) playTrack(cmd.index);
+          else toggleTrackPlay();
+          return;
+        }
+
+        if (cmd.type === 'trackStep'){
+          stepTrack(Number(cmd.dir) < 0 ? -1 : 1);
+          return;
+        }
+
+        if (cmd.type === 'trackSeek'){
+          seekTrack(cmd.pos);
+          return;
+        }
+
+        if (cmd.type === 'trackRemove'){
+          removeTrack(Number(cmd.index));
+          return;
+        }
+
+        if (cmd.type === 'trackAnalyse'){
+          if (Number.isInteger(cmd.index)) analyseTrack(playlist[cmd.index]);
+          else analyseAllTracks();
+          return;
+        }
+
+        if (cmd.type === 'trackOption'){
+          setPlaylistOption(String(cmd.key), cmd.value);
+          return;
+        }
+
+        if (cmd.type === 'featRec'){
+          if (cmd.on) startFeatureRecording();
+          else stopFeatureRecording();
+          return;
+        }
+
+        if (cmd.type === 'featSave'){
+          saveFeatureRecording();
+          return;
+        }
+
+        if (cmd.type === 'replayStop'){
+          disconnectAudio();
+          setStatus('Replay stopped.');
+          return;
+        }
+
+        if (cmd.type === 'showSave'){
+          downloadShowFile();
+          return;
+        }
+
+        if (cmd.type === 'focus'){
+          try { popupWin?.focus(); } catch {}
+          return;
+        }
+      }
+
+      // Expose a tiny API for the popup.
+      window.BLAIZE_REMOTE = {
+        getState: getRemoteState,
+        applyCommand: applyRemoteCommand,
+        openPopup: openControlsPopup
+      };
+
+
+// Attach pop-out event handlers that forward into the main window.
+// The pop-out HTML itself stays mostly static and logic-free.
+  function bindPopupHandlers(){
+    if (!popupWin || popupWin.closed) return;
+    let d;
+    try { d = popupWin.document; } catch { return; }
+    if (!d) return;
+
+    const $p = (id) => { try { return d.getElementById(id); } catch { return null; } };
+
+    // Close button (dock)
+    const dock = $p('dock');
+    if (dock){
+      dock.addEventListener('click', () => {
+        try { popupWin.close(); } catch {}
+        try { if (popupWatch) clearInterval(popupWatch); } catch {}
+        popupWatch = null;
+        setPanelHidden(false);
+      });
+    }
+
+    // Buttons -> main buttons (reuse existing behavior)
+    ['btnMic','btnDemo','btnMulti','btnBlackout','btnBpm','btnBeat','btnBeatColor','btnBeatPreset','btnAutoBpm','btnFillBeats','btnBlendBeat','btnSwap','pickA','pickB'].forEach((id) => {
+      const el = $p(id);
+      if (!el) return;
+      el.addEventListener('click', () => {
+        applyRemoteCommand({type:'click', id});
+        // update right away
+        sendStateToPopup(true);
+      });
+    });
+
+    // Selects
+    const motionSel = $p('motionSel');
+    if (motionSel){
+      motionSel.addEventListener('change', () => applyRemoteCommand({type:'setSelect', id:'motionSel', value: motionSel.value}));
+    }
+    const colorModeSel = $p('colorModeSel');
+    if (colorModeSel){
+      colorModeSel.addEventListener('change', () => applyRemoteCommand({type:'setSelect', id:'colorModeSel', value: colorModeSel.value}));
+    }
+    const beatEvery = $p('beatEvery');
+    if (beatEvery){
+      beatEvery.addEventListener('change', () => applyRemoteCommand({type:'setSelect', id:'beatEvery', value: beatEvery.value}));
+    }
+    const beatAlgoSel = $p('beatAlgo');
+    if (beatAlgoSel){
+      beatAlgoSel.addEventListener('change', () => applyRemoteCommand({type:'setSelect', id:'beatAlgo', value: beatAlgoSel.value}));
+    }
+    const blendSel = $p('blendSel');
+    if (blendSel){
+      blendSel.addEventListener('change', () => applyRemoteCommand({type:'setSelect', id:'blendSel', value: blendSel.value}));
+    }
+
+    // Sliders -> dispatch into main sliders (so all existing logic runs)
+    ['speed','size','bright','strobe','shade','bpm','trans','blend','micGain','beatSens','beatCool','cueFade'].forEach((id) => {
+      const el = $p(id);
+      if (!el) return;
+      el.addEventListener('input', () => applyRemoteCommand({type:'setRange', id, value: parseInt(el.value, 10)}));
+    });
+
+    // Modulation matrix (rows are rendered + wired from the main window)
+    const modAdd = $p('btnModAdd');
+    if (modAdd) modAdd.addEventListener('click', () => applyRemoteCommand({type:'addMod'}));
+    renderModMatrix(d);
+
+    // LFOs (rows are rendered + wired from the main window)
+    const lfoAdd = $p('btnLfoAdd');
+    if (lfoAdd) lfoAdd.addEventListener('click', () => applyRemoteCommand({type:'addLfo'}));
+    renderLfos(d);
+
+    // Layers (rows are rendered + wired from the main window)
+    const layerAdd = $p('btnLayerAdd');
+    if (layerAdd) layerAdd.addEventListener('click', () => applyRemoteCommand({type:'addLayer'}));
+    renderLayerList(d);
+
+    // Cues (list rows are rendered + wired from the main window)
+    bindCueControls(d);
+
+    // Sequencer (grid is rendered + wired from the main window)
+    bindSeqControls(d);
+
+    // Show file save/load
+    bindShowFileControls(d);
+
+    // Playlist (track rows are rendered + wired from the main window)
+    bindPlaylistControls(d);
+
+    // Audio input device/channel (options are filled from the main window)
+    bindAudioInputControls(d);
+
+    // Feature recorder (record / save / replay)
+    bindFeatureRecControls(d);
+
+    // Band triggers (rows are rendered + wired from the main window)
+    $p('btnBands')?.addEventListener('click', () => applyRemoteCommand({type:'setBand', key: 'on', value: !bandTriggersOn}));
+    renderBandTriggers(d);
+
+    // Build-ups and drops
+    bindPhraseControls(d);
+
+    // Auto color strategy
+    bindColorAutoControls(d);
+
+    // Color picker, palettes and swatches
+    bindPaletteControls(d);
+
+    // Preset pools (tick list is rendered + wired from the main window)
+    bindPoolControls(d);
+
+    // Tap tempo / nudge / downbeat
+    bindTempoControls(d);
+
+    // MIDI (learn clicks in the pop-out arm the main window's mapping)
+    bindMidiControls(d);
+
+    // Presets
+    const grid = $p('presetGrid');
+    if (grid){
+      const btns = grid.querySelectorAll('button[data-preset]');
+      btns.forEach((b) => {
+        b.addEventListener('click', () => {
+          const i = Number(b.getAttribute('data-preset')) || 0;
+          applyRemoteCommand({type:'selectPreset', idx: i});
+        });
+      });
+    }
+
+    // If the pop-out is closed by window manager, restore panel.
+    try {
+      popupWin.addEventListener('beforeunload', () => {
+        try { if (popupWatch) clearInterval(popupWatch); } catch {}
+        popupWatch = null;
+        setPanelHidden(false);
+      });
+    } catch {}
+  }
+
+// Open (or focus) the pop-out control window.
+// Main window remains the single source of truth for all state.
+  function openControlsPopup(){
+    if (popupWin && !popupWin.closed){
+      try { popupWin.focus(); } catch {}
+      sendStateToPopup(true);
+      return;
+    }
+
+    popupWin = window.open('', 'ProjectorLightShowControls', 'popup=yes,width=520,height=920,resizable=yes,scrollbars=yes');
+    if (!popupWin){
+      setStatus('Popup blocked. Allow popups for this site to pop out the controls.');
+      return;
+    }
+
+    // Hide local panel by default so the projector output stays clean.
+    setPanelHidden(true);
+
+    // If the user closes the pop-out, automatically restore the in-page panel.
+    try { if (popupWatch) clearInterval(popupWatch); } catch {}
+    popupWatch = setInterval(() => {
+      if (!isPopupOpen()){
+        try { if (popupWatch) clearInterval(popupWatch); } catch {}
+        popupWatch = null;
+        setPanelHidden(false);
+      }
+    }, 400);
+
+    popupWin.document.open();
+    popupWin.document.write(buildPopupHTML());
+    popupWin.document.close();
+
+    // Attach handlers from the main window (WebGL-style).
+    try { bindPopupHandlers(); } catch {}
+
+    // Sync immediately.
+    setTimeout(() => sendStateToPopup(true), 60);
+  }
+
+  // IMPORTANT: Avoid embedding a literal script-end tag sequence in this main script.
+  // Use SCRIPT_CLOSE when you need to generate one for injected HTML.
   const SCRIPT_CLOSE = '</scr' + 'ipt>';
 
   
@@ -1036,26 +1602,8 @@
       presetBtns += `<button class="presetBtn" data-preset="${i}" type="button">${i}: ${name}</button>`;
     }
 
-    const popupColorButtons = [
-      { name: 'R', c: COLORS.red },
-      { name: 'Y', c: COLORS.yellow },
-      { name: 'G', c: COLORS.green },
-      { name: 'C', c: COLORS.cyan },
-      { name: 'B', c: COLORS.blue },
-      { name: 'M', c: COLORS.magenta },
-      { name: 'W', c: COLORS.white },
-      { name: '?', c: null },
-    ];
-
-
-    let colorBtns = '';
-    for (const b of popupColorButtons){
-      if (b.c){
-        colorBtns += `<button class="colorBtn" type="button" title="Set color" data-rgb="${b.c.r},${b.c.g},${b.c.b}" style="background: rgb(${b.c.r},${b.c.g},${b.c.b}); border: 1px solid rgba(232,247,255,0.22);"></button>`;
-      } else {
-        colorBtns += `<button class="colorBtn" type="button" title="Random color" data-random="1">Rnd</button>`;
-      }
-    }
+    // Quick-tap color grid from the active palette (kept current by syncPaletteDom).
+    const colorBtns = colorGridHTML(paletteColors().map(rgbToHex));
 
     return `<!doctype html>
   <html lang="en">
@@ -1120,6 +1668,27 @@
         transform:translateY(-50%) scale(0.7); background:rgba(120,255,190,0.0); opacity:0;
         box-shadow:0 0 0 0 rgba(120,255,190,0); pointer-events:none;}
 
+      .pill.on{border-color:rgba(120,255,190,.45);}
+      .bandLabel{min-width:52px; font-size:12px; color:var(--muted);}
+      .modList{display:grid; gap:8px; margin-bottom:8px;}
+      .modRow{border:1px solid rgba(232,247,255,.12); border-radius:12px; padding:8px; display:grid; gap:8px;}
+      .modRow.off{opacity:.6;}
+      .modMeter{min-width:60px; height:8px;}
+      input[type=text]{flex:1 1 140px; min-width:0; border:1px solid rgba(232,247,255,.18); background:rgba(0,0,0,.35);
+        color:var(--text); padding:8px 10px; border-radius:10px; outline:none;}
+      .seqGrid{display:grid; grid-template-columns:64px repeat(16, minmax(0, 1fr)); gap:3px; align-items:center;}
+      .seqLabel{color:var(--muted); font-size:11px;}
+      .seqCell{padding:0; height:22px; border-radius:5px; background:rgba(232,247,255,.06);}
+      .seqCell.bar{border-left-color:rgba(232,247,255,.45);}
+      .seqCell.on{background:rgba(70,190,255,.55);}
+      .seqCell.play{outline:2px solid rgba(120,255,190,.9);}
+      .cueList{display:grid; grid-template-columns:repeat(2, minmax(0, 1fr)); gap:8px;}
+      .cueItem{display:flex; gap:4px;} .cueItem [data-k="go"]{flex:1 1 auto; text-align:left; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;}
+      body.midiLearn input[type=range], body.midiLearn #presetGrid button, body.midiLearn .colorBtn,
+      body.midiLearn #motionSel, body.midiLearn #btnBlackout, body.midiLearn #btnMulti, body.midiLearn #btnBeat,
+      body.midiLearn #btnTap, body.midiLearn #btnDownbeat, body.midiLearn #btnNudgeBack, body.midiLearn #btnNudgeFwd{outline:1px dashed rgba(255,200,80,.85); outline-offset:2px;}
+      input[type=color]{width:44px; height:30px; padding:0; border:1px solid rgba(232,247,255,.18); border-radius:8px; background:transparent;}
+
       .status{color:var(--muted); font-size:12px; line-height:1.35; border:1px solid rgba(232,247,255,.18);
         background:rgba(0,0,0,.35); border-radius:12px; padding:8px 10px;}
       @media (max-width: 560px){ .grid{grid-template-columns:1fr;} .slider{grid-template-columns:110px 1fr 64px;} }
@@ -1139,6 +1708,7 @@
 
       <div class="row">
         <button class="primary" id="btnMic" type="button">Mic</button>
+        <button class="toggle" id="btnDemo" type="button" title="Synthesized drums at the current BPM (silent)">Demo</button>
         <div class="spacer"></div>
         <div class="pill" id="capPill">Mic: …</div>
       </div>
@@ -1150,6 +1720,17 @@
           <button class="toggle" id="btnBpm" type="button">BPM</button>
           <button class="toggle" id="btnBeat" type="button">Beat DJ</button>
 
+          <label class="pill" title="How Multicolor colors the parts of a preset">
+            <span>Colors</span>
+            <select id="colorModeSel" aria-label="Color mode">
+              <option value="single">Single</option>
+              <option value="ab">A / B</option>
+              <option value="palette">Palette</option>
+              <option value="gradient">Gradient</option>
+              <option value="rainbow">Rainbow</option>
+            </select>
+          </label>
+
           <label class="pill" title="Move the entire preset along a path">
             <span>Motion</span>
             <select id="motionSel" aria-label="Motion path">
@@ -1188,16 +1769,162 @@
             <button id="btnSwap" type="button" title="Swap color A and B">Swap</button>
           </div>
 
+          <div class="row">
+            <select id="colorPalette" aria-label="Palette"></select>
+            <input id="paletteName" type="text" placeholder="Palette name" aria-label="Palette name" />
+            <button id="btnPaletteAdd" type="button" title="New palette (copy of this one, uses the name field)">New palette</button>
+            <button id="btnPaletteDel" type="button" title="Delete this palette">Delete palette</button>
+          </div>
           <div class="colors" id="colorGrid" aria-label="Color buttons">${colorBtns}</div>
+          <div class="row">
+            <button id="btnPaletteAddColor" type="button" title="Add the target color to this palette">Add color</button>
+            <button id="btnPaletteRemoveColor" type="button" title="Remove the target color from this palette">Remove color</button>
+            <span class="hint" id="paletteInfo"></span>
+          </div>
+
+          <div class="row">
+            <input id="colorPick" type="color" value="#ff0000" aria-label="Color picker" title="Pick the target color" />
+            <input id="colorHex" type="text" placeholder="#rrggbb" aria-label="Hex color" spellcheck="false" />
+            <button id="btnSwatchSave" type="button" title="Save the target color as a swatch">Save swatch</button>
+            <button id="btnSwatchClear" type="button" title="Forget all saved swatches">Clear swatches</button>
+          </div>
+          <div class="sliders">
+            <div class="slider"><label for="colorH">Hue</label><input id="colorH" type="range" min="0" max="359" step="1" value="0" /><output id="colorHOut">0°</output></div>
+            <div class="slider"><label for="colorS">Saturation</label><input id="colorS" type="range" min="0" max="100" step="1" value="100" /><output id="colorSOut">100%</output></div>
+            <div class="slider"><label for="colorV">Value</label><input id="colorV" type="range" min="0" max="100" step="1" value="100" /><output id="colorVOut">100%</output></div>
+          </div>
+          <div class="colors" id="swatchGrid" aria-label="Saved swatches"></div>
+
+          <div class="row">
+            <span class="hint">Auto color</span>
+            <select id="colorStrategy" aria-label="Auto color strategy">
+              <option value="random">Random from palette</option>
+              <option value="step">Step through palette</option>
+              <option value="complementary">Complementary pair</option>
+              <option value="triadic">Triadic pair</option>
+              <option value="analogous">Analogous pair</option>
+              <option value="rotate">Rotate hue</option>
+              <option value="centroid">Follow the sound</option>
+            </select>
+            <select id="colorHueStep" aria-label="Hue rotation per change" title="Degrees per change (Rotate hue)">
+              <option value="10">10°</option>
+              <option value="15">15°</option>
+              <option value="30">30°</option>
+              <option value="45">45°</option>
+              <option value="60">60°</option>
+              <option value="90">90°</option>
+              <option value="120">120°</option>
+              <option value="180">180°</option>
+            </select>
+            <button class="toggle" id="btnColorLock" type="button" title="Snap generated colors to the chosen palette">Stay in palette</button>
+          </div>
         </div>
 
         <div class="section">
           <div class="sectionTitle">
-            <span>Beat DJ</span>
-            <span class="hint">Uses Mic/Demo audio. Changes colors/presets when beats are detected.</span>
+            <span>Cues</span>
+            <span class="hint">Store looks, then GO through them.</span>
           </div>
-
-          <div class="row" style="margin-bottom: 8px;">
+          <div class="row">
+            <select id="cueListSel" aria-label="Cue list"></select>
+            <button id="btnCueListAdd" type="button" title="New cue list (uses the name field)">New list</button>
+            <button id="btnCueListDel" type="button" title="Delete this cue list">Delete list</button>
+          </div>
+          <div class="row">
+            <input id="cueName" type="text" placeholder="Cue name" aria-label="Cue name" />
+            <button id="btnCueStore" type="button">Store</button>
+          </div>
+          <div class="cueList" id="cueList"></div>
+          <div class="row">
+            <button id="btnCueBack" type="button">Back</button>
+            <button id="btnCueGo" class="primary" type="button">GO</button>
+          </div>
+          <div class="sliders">
+            <div class="slider"><label for="cueFade">Cue Fade</label><input id="cueFade" type="range" min="0" max="100" step="1" value="20" /><output id="cueFadeOut">2.00s</output></div>
+          </div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>Sequencer</span>
+            <span class="hint">Program changes on a bar/beat grid. Click a cell to place the lane's value.</span>
+          </div>
+
+          <div class="row">
+            <button class="toggle" id="btnSeq" type="button">Play</button>
+            <label class="pill">Sync
+              <select id="seqSync" aria-label="Sequencer sync">
+                <option value="clock">BPM clock</option>
+                <option value="beats">Detected beats</option>
+              </select>
+            </label>
+            <label class="pill">Loop
+              <select id="seqBars" aria-label="Loop length">
+                <option value="4">4 bars</option>
+                <option value="8">8 bars</option>
+                <option value="16">16 bars</option>
+              </select>
+            </label>
+            <label class="pill">Bars
+              <select id="seqPage" aria-label="Bars shown"></select>
+            </label>
+            <button id="btnSeqClear" type="button">Clear</button>
+          </div>
+          <div class="row">
+            <label class="pill">Preset <select id="seqPresetVal" aria-label="Preset lane value"></select></label>
+            <label class="pill">Color <select id="seqColorVal" aria-label="Color lane value"></select></label>
+            <label class="pill">Strobe
+              <select id="seqStrobeVal" aria-label="Strobe lane value">
+                <option value="50">50</option>
+                <option value="75">75</option>
+                <option value="90">90</option>
+                <option value="100">100</option>
+              </select>
+            </label>
+            <label class="pill">Motion
+              <select id="seqMotionVal" aria-label="Motion lane value">
+                <option value="off">Off</option>
+                <option value="circle">Circle</option>
+                <option value="square">Square</option>
+                <option value="triangle">Triangle</option>
+              </select>
+            </label>
+          </div>
+          <div class="seqGrid" id="seqGrid"></div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>Playlist</span>
+            <span class="hint">Play MP3/WAV/OGG files as the Beat DJ source. Drop files on the window to add.</span>
+          </div>
+          <div class="row">
+            <button id="btnTrackAdd" type="button">Add files…</button>
+            <input id="trackFileInput" type="file" accept="audio/*,.mp3,.wav,.ogg" multiple hidden />
+            <button id="btnTrackPrev" type="button" title="Previous track">◀◀</button>
+            <button class="toggle" id="btnTrackPlay" type="button">Play</button>
+            <button id="btnTrackNext" type="button" title="Next track">▶▶</button>
+            <button class="toggle" id="btnTrackMonitor" type="button" title="Hear the track through this computer's output">Monitor</button>
+            <button class="toggle" id="btnTrackAuto" type="button" title="Play the next track when one ends">Auto-advance</button>
+          </div>
+          <div class="row">
+            <button id="btnTrackAnalyse" type="button" title="Analyse every track without a beat grid">Analyse all</button>
+            <button class="toggle" id="btnTrackGrid" type="button" title="Drive Beat DJ from the analysed beat grid instead of live detection">Beat grid</button>
+            <span class="hint">Analysed tracks change on the precomputed beats, bars and sections.</span>
+          </div>
+          <div class="sliders">
+            <div class="slider"><label for="trackSeek">Position</label><input id="trackSeek" type="range" min="0" max="1000" step="1" value="0" /><output id="trackSeekOut">0:00 / 0:00</output></div>
+          </div>
+          <div class="modList" id="trackList"></div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>Beat DJ</span>
+            <span class="hint">Uses Mic/Demo/Playlist audio. Changes colors/presets when beats are detected.</span>
+          </div>
+
+          <div class="row" style="margin-bottom: 8px;">
             <span class="pill" style="gap:10px; flex: 1 1 auto;">
               <span>Input</span>
               <div class="meter" aria-label="Input level">
@@ -1211,6 +1938,9 @@
             <div class="row">
               <button class="toggle" id="btnBeatColor" type="button">Auto Color</button>
               <button class="toggle" id="btnBeatPreset" type="button">Auto Preset</button>
+              <button class="toggle" id="btnAutoBpm" type="button" title="Follow the tempo detected in the audio">Auto BPM</button>
+              <button class="toggle" id="btnFillBeats" type="button" title="Fire predicted beats when one is missed">Fill Beats</button>
+              <span class="pill" id="tempoEst" title="Estimated tempo · confidence">Tempo: –</span>
             </div>
             <label class="pill" title="How often to change presets when Beat DJ is on">
               <span>Preset every</span>
@@ -1224,11 +1954,127 @@
             </label>
           </div>
 
+          <div class="row" style="margin-bottom: 8px;">
+            <label class="pill" title="Audio input used by Mic (remembered on this computer)">
+              <span>Device</span>
+              <select id="micDevice" aria-label="Audio input device"></select>
+            </label>
+            <label class="pill" title="Input channel fed to the beat detector">
+              <span>Channel</span>
+              <select id="micChannel" aria-label="Input channel"></select>
+            </label>
+          </div>
+
+          <div class="row" style="margin-bottom: 8px;">
+            <label class="pill" title="How beats are detected: broadband energy, or spectral flux (better on compressed music and held bass)">
+              <span>Detector</span>
+              <select id="beatAlgo" aria-label="Beat detector">
+                <option value="energy">Energy</option>
+                <option value="flux">Spectral flux</option>
+              </select>
+            </label>
+          </div>
+
           <div class="sliders">
             <div class="slider"><label for="micGain">Mic Sensitivity</label><input id="micGain" type="range" min="0" max="200" step="1" value="80" /><output id="micGainOut">2.30×</output></div>
             <div class="slider"><label for="beatSens">Beat Sensitivity</label><input id="beatSens" type="range" min="0" max="100" step="1" value="70" /><output id="beatSensOut">70</output></div>
             <div class="slider"><label for="beatCool">Cooldown</label><input id="beatCool" type="range" min="80" max="420" step="5" value="160" /><output id="beatCoolOut">160ms</output></div>
           </div>
+
+          <div class="row">
+            <button class="toggle" id="btnBands" type="button">Band Triggers</button>
+            <span class="hint">Kick / snare / hi-hat, each with its own action.</span>
+          </div>
+          <div class="modList" id="bandList"></div>
+
+          <div class="row">
+            <button class="toggle" id="btnPhrase" type="button" title="Detect build-ups, breakdowns and drops and react to them">Build / Drop</button>
+            <span class="pill" id="phraseEst" title="Energy phase of the music">Phase: –</span>
+          </div>
+          <div class="row">
+            <button class="toggle on" id="btnPhraseStrobe" type="button" title="Ramp the strobe up through a build-up">Build strobe</button>
+            <button class="toggle on" id="btnPhraseBlackout" type="button" title="Black out one beat when a build-up cuts out. Live audio can only see the cut, so this is an estimate of the beat before the drop; a beat grid hits it exactly.">Pre-drop blackout</button>
+            <label class="pill" title="Preset pool to switch to on the drop">
+              <span>Drop</span>
+              <select id="phraseDropPool" aria-label="Drop preset pool"></select>
+            </label>
+            <label class="pill" title="Preset pool to pick from in breakdowns">
+              <span>Breakdown</span>
+              <select id="phraseCalmPool" aria-label="Breakdown preset pool"></select>
+            </label>
+          </div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>Preset pools</span>
+            <span class="hint">Which presets Beat DJ and BPM mode pick, how often, and in what order.</span>
+          </div>
+
+          <div class="row">
+            <select id="poolSel" aria-label="Preset pool"></select>
+            <button id="btnPoolAdd" type="button" title="New pool, copied from this one (uses the name field)">New pool</button>
+            <button id="btnPoolRename" type="button" title="Rename this pool (uses the name field)">Rename</button>
+            <button id="btnPoolDel" type="button" title="Delete this pool">Delete pool</button>
+          </div>
+          <div class="row">
+            <input id="poolName" type="text" placeholder="Pool name" aria-label="Pool name" />
+            <label class="pill" title="How the next preset is picked">
+              <span>Order</span>
+              <select id="poolOrder" aria-label="Pool order">
+                <option value="random">Random (weighted)</option>
+                <option value="shuffle">Shuffle, no repeats</option>
+                <option value="sequential">Sequential</option>
+              </select>
+            </label>
+          </div>
+          <div class="row">
+            <button id="btnPoolAll" type="button">All</button>
+            <button id="btnPoolNone" type="button">None</button>
+            <span class="hint" id="poolInfo"></span>
+          </div>
+          <div class="cueList poolList" id="poolList"></div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>Feature recorder</span>
+            <span class="hint">Record the analysed audio + beats at a gig, then replay it to tune Beat DJ without the audio.</span>
+          </div>
+          <div class="row">
+            <button class="toggle danger" id="btnFeatRec" type="button">Record</button>
+            <button id="btnFeatSave" type="button" disabled>Save recording</button>
+            <button class="toggle" id="btnReplay" type="button">Replay…</button>
+            <input id="replayFileInput" type="file" accept=".json,application/json" hidden />
+            <span class="pill" id="featRecInfo">Idle</span>
+          </div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>Modulation</span>
+            <span class="hint">Route audio features onto show parameters between beats.</span>
+          </div>
+          <div class="modList" id="modList"></div>
+          <div class="row"><button id="btnModAdd" type="button">Add route</button></div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>LFOs</span>
+            <span class="hint">Sweep show parameters in time with the BPM (or in free Hz).</span>
+          </div>
+          <div class="modList" id="lfoList"></div>
+          <div class="row"><button id="btnLfoAdd" type="button">Add LFO</button></div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>Layers</span>
+            <span class="hint">Stack more presets over the main one.</span>
+          </div>
+          <div class="modList" id="layerList"></div>
+          <div class="row"><button id="btnLayerAdd" type="button">Add layer</button></div>
         </div>
 
         <div class="section">
@@ -1237,6 +2083,28 @@
             <span class="hint">Motion Blend controls how smoothly Motion changes (circle/square/triangle).</span>
           </div>
 
+          <div class="row" style="margin-bottom: 8px;">
+            <label class="pill" title="How the show moves from one preset to the next">
+              <span>Transition</span>
+              <select id="blendSel" aria-label="Preset transition">
+                <option value="cut">Cut</option>
+                <option value="crossfade" selected>Crossfade</option>
+                <option value="wipe">Wipe</option>
+                <option value="zoom">Zoom</option>
+                <option value="flash">Flash</option>
+              </select>
+            </label>
+            <button class="toggle" id="btnBlendBeat" type="button" title="Finish preset transitions on the next beat">Beat Sync</button>
+          </div>
+
+          <div class="row" style="margin-bottom: 8px;">
+            <button id="btnTap" type="button" title="Tap on the beat (key T)">Tap</button>
+            <button id="btnNudgeBack" type="button" title="Move the beat earlier">◀ Nudge</button>
+            <button id="btnNudgeFwd" type="button" title="Move the beat later">Nudge ▶</button>
+            <button id="btnDownbeat" type="button" title="Make now the downbeat">Downbeat</button>
+            <span class="pill" id="bpmSrc" title="Tempo source">Manual</span>
+          </div>
+
           <div class="sliders">
             <div class="slider"><label for="speed">Speed</label><input id="speed" type="range" min="0" max="100" step="1" value="30" /><output id="speedOut">30</output></div>
             <div class="slider"><label for="size">Size</label><input id="size" type="range" min="0" max="100" step="1" value="50" /><output id="sizeOut">50</output></div>
@@ -1245,6 +2113,32 @@
             <div class="slider"><label for="shade">Shading</label><input id="shade" type="range" min="0" max="100" step="1" value="0" /><output id="shadeOut">0</output></div>
             <div class="slider"><label for="bpm">BPM</label><input id="bpm" type="range" min="60" max="180" step="1" value="128" /><output id="bpmOut">128</output></div>
             <div class="slider"><label for="trans">Motion Blend</label><input id="trans" type="range" min="0" max="100" step="1" value="55" /><output id="transOut">0.40s</output></div>
+            <div class="slider"><label for="blend">Preset Blend</label><input id="blend" type="range" min="0" max="100" step="1" value="70" /><output id="blendOut">635ms</output></div>
+          </div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>MIDI</span>
+            <span class="hint">Learn: click a control, then move a knob or press a pad.</span>
+          </div>
+          <div class="row">
+            <button class="toggle" id="btnMidi" type="button">Connect</button>
+            <button class="toggle" id="btnMidiLearn" type="button">Learn</button>
+            <span class="pill" id="midiInfo">MIDI: off</span>
+          </div>
+          <div class="modList" id="midiList"></div>
+        </div>
+
+        <div class="section">
+          <div class="sectionTitle">
+            <span>Show file</span>
+            <span class="hint">Saves cues, sequence, pools and settings.</span>
+          </div>
+          <div class="row">
+            <button id="btnShowSave" type="button">Save show</button>
+            <button id="btnShowLoad" type="button">Load show…</button>
+            <input id="showFileInput" type="file" accept=".json,application/json" hidden />
           </div>
         </div>
       </div>
@@ -1292,7 +2186,171 @@
     }
   }
 
+// Spectral-flux onset detector: sums the positive bin-to-bin change of the whole spectrum
+// (so a held bass note adds nothing once it stops growing) and compares it with an adaptive
+// median threshold over the last ~0.5 s. Same update()/reset()/lastThr shape as BeatDetector,
+// but fed the analyser's byte spectrum instead of one energy value.
+  class SpectralFluxDetector {
+    constructor(historyLen = 30){
+      this.historyLen = historyLen;
+      this.reset();
+    }
+    reset(){
+      this.prevSpec = null;
+      this.history = [];
+      this.prevFlux = 0;
+      this.lastBeat = -1e9;
+      this.lastThr = 0;
+      this.lastFlux = 0;
+    }
+    // spectrum: Uint8Array of byte magnitudes (already dB-scaled by the analyser); gain scales the flux.
+    update(spectrum, tMs, sens01, minIntervalMs, gain = 1){
+      const n = spectrum.length;
+      if (!this.prevSpec || this.prevSpec.length !== n){
+        this.prevSpec = new Uint8Array(spectrum);
+        return false;
+      }
+      let flux = 0;
+      for (let i=0;i<n;i++){
+        const d = spectrum[i] - this.prevSpec[i];
+        if (d > 0) flux += d;
+      }
+      this.prevSpec.set(spectrum);
+      flux = flux / (n * 255) * gain * 8;
+      this.lastFlux = flux;
+
+      const s = clamp(sens01, 0, 1);
+      let thr = Infinity;
+      if (this.history.length >= this.historyLen){   // warm up for one full window first
+        const sorted = this.history.slice().sort((a, b) => a - b);
+        const med = sorted[sorted.length >> 1];
+        const mad = sorted.map(v => Math.abs(v - med)).sort((a, b) => a - b)[sorted.length >> 1];
+        // Higher sens01 = MORE sensitive -> lower threshold.
+        thr = med + lerp(3.0, 1.0, s) * mad + lerp(0.030, 0.006, s);
+      }
+      this.lastThr = thr;
+      this.history.push(flux);
+      if (this.history.length > this.historyLen) this.history.shift();
+
+      const rising = flux > this.prevFlux;
+      this.prevFlux = flux;
+      const hit = rising && flux > thr && (tMs - this.lastBeat) >= minIntervalMs;
+      if (hit) this.lastBeat = tMs;
+      return hit;
+    }
+  }
+
+// Tempo + beat-phase estimate from the onset stream (detector hits).
+// Inter-onset intervals (to the next few onsets) vote into a BPM histogram folded into
+// 90–180 BPM, then halved when the onsets themselves come at half that rate (down to the
+// BPM slider's 60); the phase is the circular mean of recent onsets on that period. update()
+// also reports beats: on-grid onsets, and predicted beats where no onset came.
+  const TEMPO_MIN_BPM = 60;
+  class TempoTracker {
+    constructor(){ this.reset(); }
+    reset(){
+      this.onsets = [];
+      this.bpm = 0;
+      this.confidence = 0;   // 0..1: histogram peak share x phase coherence x onset count
+      this.phaseMs = 0;      // beats land on phaseMs + k * period
+      this.pending = null;   // next predicted beat time
+      this.lastFill = -1e9;  // last predicted (onset-less) beat
+    }
+    get period(){ return this.bpm ? 60000 / this.bpm : 0; }
+    get tol(){ return 0.2 * this.period; }
+
+    nextBeatAfter(t){
+      const p = this.period;
+      return this.phaseMs + p * Math.ceil((t - this.phaseMs) / p);
+    }
+
+    estimate(){
+      const ts = this.onsets;
+      if (ts.length < 4){ this.bpm = 0; this.confidence = 0; return; }
+      const hist = new Float32Array(91); // 90..180 BPM
+      const votes = [];
+      const next = [];   // unfolded tempo of each onset -> next onset
+      let total = 0;
+      for (let i = 0; i < ts.length; i++){
+        for (let k = 1; k <= 4 && i + k < ts.length; k++){
+          let b = 60000 / (ts[i + k] - ts[i]);
+          if (!(b > 20 && b < 720)) continue;
+          if (k === 1) next.push(b);
+          while (b < 90) b *= 2;
+          while (b >= 180) b /= 2;
+          // Spread each vote over a few bins: onsets are only frame-accurate (~2-3% at 120 BPM).
+          const w = 1 / k;
+          const bin = Math.round(b) - 90;
+          for (let d = -3; d <= 3; d++){
+            if (bin + d >= 0 && bin + d <= 90) hist[bin + d] += w * (1 - Math.abs(d)/4);
+          }
+          votes.push([b, w]);
+          total += w;
+        }
+      }
+      let peak = 0;
+      for (let i = 1; i < hist.length; i++) if (hist[i] > hist[peak]) peak = i;
+      let sum = 0, wsum = 0;
+      for (const [b, w] of votes){
+        if (Math.abs(b - (peak + 90)) <= 0.04 * (peak + 90)){ sum += b*w; wsum += w; }
+      }
+      if (!wsum){ this.bpm = 0; this.confidence = 0; return; }
+      this.bpm = sum / wsum;
+      // The fold can't tell 70 from 140 BPM: take the half tempo when most onsets are that far apart.
+      const halfBpm = this.bpm / 2;
+      if (halfBpm >= TEMPO_MIN_BPM - 0.5){
+        let slow = 0, fast = 0;
+        for (const b of next){
+          if (Math.abs(b - halfBpm) <= 0.04 * halfBpm) slow++;
+          else if (b > 0.96 * this.bpm) fast++;
+        }
+        if (slow > fast) this.bpm = halfBpm;
+      }
+
+      const p = this.period;
+      let x = 0, y = 0;
+      for (const t of ts){
+        const a = 2 * Math.PI * (t % p) / p;
+        x += Math.cos(a);
+        y += Math.sin(a);
+      }
+      const ang = Math.atan2(y, x);
+      this.phaseMs = ((ang < 0 ? ang + 2*Math.PI : ang) / (2*Math.PI)) * p;
+      const coherence = Math.hypot(x, y) / ts.length;
+      this.confidence = clamp((wsum / total) * coherence * Math.min(1, ts.length / 8), 0, 1);
+    }
+
+    // Call every frame (onset = this frame's BeatDetector hit). Returns null or
+    // { t, predicted, dup }: dup marks an onset that arrived just after a predicted beat.
+    update(tNow, onset){
+      const last = this.onsets[this.onsets.length - 1] ?? -1e9;
+      if (!onset && tNow - last > 4000){
+        if (this.bpm) this.reset();
+        return null;
+      }
+      if (onset){
+        this.onsets.push(tNow);
+        while (this.onsets.length && tNow - this.onsets[0] > 8000) this.onsets.shift();
+        this.estimate();
+        if (!this.bpm) return null;
+        const dup = tNow - this.lastFill < this.tol;
+        this.pending = this.nextBeatAfter(tNow + this.tol);
+        const err = Math.abs(tNow - this.nextBeatAfter(tNow - this.period/2));
+        return (err < this.tol || dup) ? { t: tNow, predicted: false, dup } : null;
+      }
+      if (!this.bpm) return null;
+      if (this.pending == null) this.pending = this.nextBeatAfter(tNow);
+      if (tNow < this.pending) return null;
+      const t = this.pending;
+      this.pending = this.nextBeatAfter(t + this.tol);
+      this.lastFill = tNow;
+      return { t, predicted: true, dup: false };
+    }
+  }
+
     const beatDetector = new BeatDetector();
+  const fluxDetector = new SpectralFluxDetector();
+  const tempoTracker = new TempoTracker();
 
   ui.btnBeat.addEventListener('click', () => {
     beatDJ = !beatDJ;
@@ -1308,6 +2366,8 @@
 
   ui.btnBeatColor.addEventListener('click', () => { beatAutoColor = !beatAutoColor; updateToggles(); });
   ui.btnBeatPreset.addEventListener('click', () => { beatAutoPreset = !beatAutoPreset; updateToggles(); });
+  ui.btnAutoBpm?.addEventListener('click', () => { tempoAutoBpm = !tempoAutoBpm; updateToggles(); });
+  ui.btnFillBeats?.addEventListener('click', () => { tempoFillBeats = !tempoFillBeats; updateToggles(); });
   ui.strobe.addEventListener('input', e => {
     presetStrobing = +e.target.value;
     ui.strobeOut.textContent = presetStrobing;
@@ -1319,13 +2379,12 @@
   });
 
 
+  // Tempo changes keep the beat phase (use Downbeat to re-align).
   ui.bpm.addEventListener('input', (e) => {
     bpm = +e.target.value;
+    bpmSource = 'manual';
     ui.bpmOut.textContent = String(bpm);
-
-    // Optional: if BPM mode is active, re-sync the beat timer so changes feel immediate
-    bpmBeatTime = nowMs();
-    bpmBeatCounter = -1;
+    syncTempoDom(document);
   });
 
   ui.motionSel.addEventListener('change', () => setMotionMode(ui.motionSel.value));
@@ -1349,11 +2408,14 @@
 
   window.addEventListener('keydown', (e) => {
     if (e.repeat) return;
+    // Don't treat typing (e.g. a cue name) as shortcuts.
+    if (e.target?.tagName === 'INPUT' && e.target.type === 'text') return;
     if (e.key === 'h' || e.key === 'H') {
       if (isPopupOpen()) setPanelHidden(true);
       else setPanelHidden(!document.body.classList.contains('hiddenPanel'));
     }
     if (e.key === 'f' || e.key === 'F') toggleFullscreen();
+    if (e.key === 't' || e.key === 'T') applyRemoteCommand({type:'tap'});
     if (e.key === 'Escape') {
       disconnectAudio();
       setStatus('Audio stopped. (Mic/Demo are optional — Beat DJ needs audio.)');
@@ -1363,7 +2425,7 @@
 // =====================
 // Optional audio
 // =====================
-  let audioSourceType = 'none'; // 'none' | 'mic' | 'demo'
+  let audioSourceType = 'none'; // 'none' | 'mic' | 'demo' | 'file' | 'replay'
 
 // When any audio source is connected, Beat DJ can drive visuals automatically.
 // force=true turns it on even if the user previously disabled Beat DJ.
@@ -1388,11 +2450,30 @@
   let mediaStream = null;
   let audioEl = null;
 
-  let demoOsc1 = null, demoOsc2 = null, demoLFO = null, demoLFOGain = null, demoGain = null, demoFilter = null;
+// Demo drum machine: one bar of 16th-note steps, synthesized at the current BPM.
+  const DEMO_PATTERN = {
+    kick:  'x...x...x...x...',
+    snare: '....x.......x...',
+    hat:   '..x...x...x...xx',
+  };
+  const DEMO_LOOKAHEAD_S = 0.12;  // schedule this far ahead on the audio clock
+  const DEMO_TICK_MS = 25;
+
+  let demoGain = null, demoNoise = null, demoTimer = null;
+  let demoNextTime = 0, demoStep = 0;
 
   const fftSize = 2048;
   const freq = new Uint8Array(fftSize/2);
-  const timeArr = new Uint8Array(fftSize);
+  const timeArr = new Uint8Array(fftSize).fill(128);
+
+  // Per-channel waveforms for the stereo scope (mono sources leave R silent).
+  const scopeSize = 1024;
+  const scopeL = new Uint8Array(scopeSize).fill(128);
+  const scopeR = new Uint8Array(scopeSize).fill(128);
+  let scopeSplitter = null, analyserL = null, analyserR = null;
+
+  // What spectrum/scope presets read each frame (drawPreset passes it as frame.audio).
+  const presetAudio = { spectrum: freq, waveform: timeArr, left: scopeL, right: scopeR, stereo: false };
 
 // Lazy-initialize and wire up the WebAudio graph:
  // source -> analyser -> outGain -> destination (optional monitoring)
@@ -1410,14 +2491,25 @@
       analyser.connect(outGain);
       outGain.connect(audioCtx.destination);
     }
+    if (!scopeSplitter){
+      scopeSplitter = audioCtx.createChannelSplitter(2);
+      analyserL = audioCtx.createAnalyser();
+      analyserR = audioCtx.createAnalyser();
+      for (const a of [analyserL, analyserR]){
+        a.fftSize = scopeSize;
+        a.smoothingTimeConstant = 0;
+      }
+      scopeSplitter.connect(analyserL, 0);
+      scopeSplitter.connect(analyserR, 1);
+    }
   }
 
   function stopDemoNodes(){
-    try { demoOsc1?.stop(); } catch {}
-    try { demoOsc2?.stop(); } catch {}
-    try { demoLFO?.stop(); } catch {}
-    demoOsc1 = demoOsc2 = demoLFO = null;
-    demoLFOGain = demoGain = demoFilter = null;
+    if (demoTimer) clearInterval(demoTimer);
+    demoTimer = null;
+    // Hits already scheduled finish on their own; cutting the bus silences them.
+    try { demoGain?.disconnect(); } catch {}
+    demoGain = null;
   }
 
 // Disconnect/stop any active audio source and reset UI meter state.
@@ -1438,14 +2530,24 @@
     }
 
     stopDemoNodes();
+    stopReplay();
+    stopFeatureRecording('Audio source disconnected. ');
+    phraseDetector.reset();
+    phraseBlackoutUntil = 0;
     if (outGain) outGain.gain.value = 0.0;
     audioSourceType = 'none';
+    micActiveDeviceId = '';
+    micExactDeviceId = '';
+    ui.btnDemo?.classList.remove('on');
 
     // Reset in-panel meter
     _lastMeterEnergy = -1;
     try {
       if (ui.energyFill) ui.energyFill.style.width = '0%';
       if (ui.beatDot) ui.beatDot.style.opacity = '0';
+      for (const b of BANDS) bandRuntime[b.id].energy = 0;
+      updateBandMeters(document);
+      syncPlaylistDom(document);
     } catch {}
 
     sendStateToPopup(true);
@@ -1455,6 +2557,7 @@
     try { sourceNode?.disconnect(); } catch {}
     sourceNode = node;
     sourceNode.connect(analyser);
+    if (scopeSplitter) sourceNode.connect(scopeSplitter);
     if (outGain) outGain.gain.value = monitor ? 1.0 : 0.0;
   }
 
@@ -1479,62 +2582,125 @@
     if (!navigator.mediaDevices?.getUserMedia) throw Object.assign(new Error('getUserMedia not supported'), {name:'NotSupportedError'});
     if (!isSecureContext) throw Object.assign(new Error('Insecure context'), {name:'SecurityError'});
 
-    mediaStream = await navigator.mediaDevices.getUserMedia({
-      audio: { echoCancellation:false, noiseSuppression:false, autoGainControl:false },
-      video: false
-    });
+    // The remembered device, unless we know it's unplugged right now.
+    let wanted = micDevicePresent(audioInput.deviceId) ? audioInput.deviceId : '';
+    const audio = { echoCancellation:false, noiseSuppression:false, autoGainControl:false };
+    if (audioInput.channel !== 'sum') audio.channelCount = { ideal: Math.max(2, audioInput.channel + 1) };
+    try {
+      mediaStream = await navigator.mediaDevices.getUserMedia({
+        audio: wanted ? { ...audio, deviceId: { exact: wanted } } : audio,
+        video: false
+      });
+    } catch (e) {
+      if (!wanted || e?.name !== 'OverconstrainedError') throw e;
+      wanted = '';
+      mediaStream = await navigator.mediaDevices.getUserMedia({ audio, video: false });
+    }
+
+    const track = mediaStream.getAudioTracks()[0];
+    const settings = track?.getSettings?.() || {};
+    micActiveDeviceId = settings.deviceId || '';
+    micExactDeviceId = wanted;
+    micChannelCount = Math.max(1, settings.channelCount || 1);
+    track?.addEventListener('ended', () => { if (mediaStream?.getAudioTracks()[0] === track) onMicDeviceLost(); });
 
     const micSource = audioCtx.createMediaStreamSource(mediaStream);
-    attachSource(micSource, {monitor:false});
+    attachSource(routeMicChannels(micSource, micChannelCount), {monitor:false});
     audioSourceType = 'mic';
 
     // Mic should drive the visuals: enable Beat DJ + Auto Color + Auto Preset.
     enableBeatDJForAudio({force:false});
-    setStatus('Mic connected (monitoring off). Beat DJ enabled — mic now drives colors + presets.');
+    const fellBack = audioInput.deviceId && micActiveDeviceId !== audioInput.deviceId;
+    setStatus(fellBack
+      ? `${escapeHtml(audioInput.label || 'Saved input')} isn't connected; using the default input (monitoring off).`
+      : `Mic connected: ${escapeHtml(micInputLabel())} (monitoring off). Beat DJ enabled — mic now drives colors + presets.`);
+    // Device names are only readable once permission is granted.
+    await refreshAudioInputs();
+  }
+
+
+// White noise for the snare/hat voices (made once per context).
+  function demoNoiseBuffer(){
+    if (demoNoise && demoNoise.sampleRate === audioCtx.sampleRate) return demoNoise;
+    const len = Math.floor(audioCtx.sampleRate * 0.5);
+    demoNoise = audioCtx.createBuffer(1, len, audioCtx.sampleRate);
+    const ch = demoNoise.getChannelData(0);
+    for (let i=0;i<len;i++) ch[i] = Math.random() * 2 - 1;
+    return demoNoise;
   }
 
+// A gain node on the demo bus that decays from peak to silence.
+  function demoEnvelope(t, peak, decay){
+    const g = audioCtx.createGain();
+    g.gain.setValueAtTime(peak, t);
+    g.gain.exponentialRampToValueAtTime(0.001, t + decay);
+    g.connect(demoGain);
+    return g;
+  }
+
+  function demoTone(t, type, hz0, hz1, peak, decay){
+    const osc = audioCtx.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(hz0, t);
+    osc.frequency.exponentialRampToValueAtTime(hz1, t + decay * 0.4);
+    osc.connect(demoEnvelope(t, peak, decay));
+    osc.start(t);
+    osc.stop(t + decay + 0.02);
+  }
+
+  function demoNoiseHit(t, type, hz, peak, decay){
+    const src = audioCtx.createBufferSource();
+    src.buffer = demoNoiseBuffer();
+    const f = audioCtx.createBiquadFilter();
+    f.type = type;
+    f.frequency.value = hz;
+    src.connect(f);
+    f.connect(demoEnvelope(t, peak, decay));
+    src.start(t);
+    src.stop(t + decay + 0.02);
+  }
+
+  const demoVoices = {
+    kick:  (t) => demoTone(t, 'sine', 150, 45, 1.0, 0.35),
+    snare: (t) => { demoNoiseHit(t, 'bandpass', 1800, 0.7, 0.18); demoTone(t, 'triangle', 220, 180, 0.35, 0.1); },
+    hat:   (t) => demoNoiseHit(t, 'highpass', 8000, 0.3, 0.05),
+  };
+
+// Queue every step that falls inside the lookahead window. The step length is read from
+// `bpm` each time, so the BPM slider, tap tempo and MIDI clock all steer the demo.
+  function scheduleDemo(){
+    if (!audioCtx || !demoGain) return;
+    const now = audioCtx.currentTime;
+    if (demoNextTime < now - 0.2) demoNextTime = now + 0.02; // timer was throttled (background tab)
+    while (demoNextTime < now + DEMO_LOOKAHEAD_S){
+      const s = demoStep % 16;
+      for (const [voice, steps] of Object.entries(DEMO_PATTERN)){
+        if (steps[s] === 'x') demoVoices[voice](demoNextTime);
+      }
+      demoNextTime += 60 / clamp(bpm, 20, 300) / 4;
+      demoStep++;
+    }
+  }
 
-// Start a small synth chain for testing Beat DJ without real audio.
+// Start the demo drum machine for testing Beat DJ without real audio.
 // Output is connected to the analyser; monitoring stays off.
   async function useDemo(){
     disconnectAudio();
     await ensureAudioCtx();
 
     demoGain = audioCtx.createGain();
-    demoGain.gain.value = 0.55;
-    demoFilter = audioCtx.createBiquadFilter();
-    demoFilter.type = 'bandpass';
-    demoFilter.Q.value = 1.2;
-    demoFilter.frequency.value = 420;
-
-    demoOsc1 = audioCtx.createOscillator();
-    demoOsc1.type = 'sawtooth';
-    demoOsc1.frequency.value = 110;
-    demoOsc2 = audioCtx.createOscillator();
-    demoOsc2.type = 'square';
-    demoOsc2.frequency.value = 220;
-
-    demoLFO = audioCtx.createOscillator();
-    demoLFO.type = 'sine';
-    demoLFO.frequency.value = 0.55;
-    demoLFOGain = audioCtx.createGain();
-    demoLFOGain.gain.value = 800;
-
-    demoLFO.connect(demoLFOGain);
-    demoLFOGain.connect(demoFilter.frequency);
-
-    demoOsc1.connect(demoGain);
-    demoOsc2.connect(demoGain);
-    demoGain.connect(demoFilter);
-
-    attachSource(demoFilter, {monitor:false});
+    demoGain.gain.value = 0.8;
+    attachSource(demoGain, {monitor:false});
     audioSourceType = 'demo';
-    demoOsc1.start();
-    demoOsc2.start();
-    demoLFO.start();
+    ui.btnDemo?.classList.add('on');
+
+    demoStep = 0;
+    demoNextTime = audioCtx.currentTime + 0.05;
+    scheduleDemo();
+    demoTimer = setInterval(scheduleDemo, DEMO_TICK_MS);
 
     enableBeatDJForAudio({force:false});
-    setStatus('Demo synth running (silent). Beat DJ enabled.');
+    setStatus(`Demo drums running at ${fmtBpm(bpm)} BPM (silent). Beat DJ enabled.`);
   }
 
   async function refreshCapabilityUI(){
@@ -1563,6 +2729,20 @@
 
   refreshCapabilityUI();
 
+  ui.btnDemo?.addEventListener('click', async () => {
+    if (audioSourceType === 'demo'){
+      disconnectAudio();
+      setStatus('Demo stopped.');
+      return;
+    }
+    try {
+      await useDemo();
+    } catch (e) {
+      console.error(e);
+      setStatus(`Couldn't start the demo: ${escapeHtml(e?.message || String(e))}`);
+    }
+  });
+
   ui.btnMic.addEventListener('click', async () => {
     try {
       if (audioSourceType === 'mic') {
@@ -1583,137 +2763,4281 @@
 
 
 
-// Extract simple audio features from the analyser:
- // amp (RMS), bass/mid/tre energy bands, and a rough spectral centroid.
-  function getAudioFeatures(){
-    if (!analyser) return { amp: 0, bass: 0, mid: 0, tre: 0, centroid: 0 };
-    analyser.getByteFrequencyData(freq);
-    analyser.getByteTimeDomainData(timeArr);
+// =====================
+// Audio input device + channel
+// =====================
+// The chosen device and channel are remembered per machine (not in show files: device ids
+// differ between computers). If the device disappears mid-show the mic falls back to the
+// default input, and switches back when the device returns.
+  const AUDIO_INPUT_STORE_KEY = 'projectorLightShow.audioInput';
+
+  const audioInput = { deviceId: '', label: '', channel: 'sum' }; // channel: 'sum' (L+R) | 0-based index
+  let audioInputDevices = null;  // [{ id, label }] from enumerateDevices(), null until listed
+  let micActiveDeviceId = '';    // device the running mic stream actually opened
+  let micExactDeviceId = '';     // device it was opened by exact id ('' = the default input)
+  let micChannelCount = 0;       // channels on the running mic stream
+
+  function loadAudioInput(){
+    try {
+      const v = JSON.parse(localStorage.getItem(AUDIO_INPUT_STORE_KEY) || '{}');
+      if (typeof v.deviceId === 'string') audioInput.deviceId = v.deviceId;
+      if (typeof v.label === 'string') audioInput.label = v.label;
+      audioInput.channel = normalizeMicChannel(v.channel);
+    } catch {}
+  }
+
+  function saveAudioInput(){
+    try { localStorage.setItem(AUDIO_INPUT_STORE_KEY, JSON.stringify(audioInput)); } catch {}
+  }
+
+  function normalizeMicChannel(v){
+    const n = Number(v);
+    return (v === 'sum' || v == null || v === '' || !Number.isInteger(n)) ? 'sum' : clamp(n, 0, 31);
+  }
+
+// Unknown (not listed yet) counts as present so the first getUserMedia still asks for it.
+  function micDevicePresent(id){
+    if (!id) return false;
+    return !audioInputDevices || audioInputDevices.some(d => d.id === id);
+  }
+
+  function micInputLabel(){
+    const dev = audioInputDevices?.find(d => d.id === micActiveDeviceId);
+    const name = dev?.label || 'default input';
+    const ch = audioInput.channel === 'sum' ? (micChannelCount > 1 ? 'L+R' : '') : `ch ${audioInput.channel + 1}`;
+    return ch ? `${name}, ${ch}` : name;
+  }
+
+// Mono feed for the analyser: one channel of the input, or the average of the first two.
+// A channel the device doesn't have falls back to the sum.
+  function routeMicChannels(src, count){
+    const splitter = audioCtx.createChannelSplitter(Math.max(1, count));
+    const mix = audioCtx.createGain();
+    mix.channelCount = 1;
+    mix.channelCountMode = 'explicit';
+    src.connect(splitter);
+    const ch = audioInput.channel;
+    const chans = (ch !== 'sum' && ch < count) ? [ch] : [0, 1].filter(c => c < count);
+    for (const c of chans) splitter.connect(mix, c, 0);
+    mix.gain.value = 1 / chans.length;
+    if (ch !== 'sum' && ch >= count) setStatus(`Input has ${count} channel${count === 1 ? '' : 's'}; using ${count > 1 ? 'L+R' : 'channel 1'} instead of channel ${ch + 1}.`);
+    return mix;
+  }
+
+  async function refreshAudioInputs(){
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+    try {
+      const list = await navigator.mediaDevices.enumerateDevices();
+      audioInputDevices = list
+        .filter(d => d.kind === 'audioinput' && d.deviceId && d.deviceId !== 'default' && d.deviceId !== 'communications')
+        .map((d, i) => ({ id: d.deviceId, label: d.label || `Input ${i + 1}` }));
+      // Keep the remembered name fresh (labels appear once the mic is allowed).
+      const cur = audioInputDevices.find(d => d.id === audioInput.deviceId);
+      if (cur && cur.label !== audioInput.label && !/^Input \d+$/.test(cur.label)){
+        audioInput.label = cur.label;
+        saveAudioInput();
+      }
+    } catch {}
+    refreshAudioInputDom();
+  }
+
+  function setAudioInput(key, value){
+    if (key === 'device'){
+      const id = String(value || '');
+      audioInput.deviceId = id;
+      audioInput.label = audioInputDevices?.find(d => d.id === id)?.label || '';
+    }
+    if (key === 'channel') audioInput.channel = normalizeMicChannel(value);
+    saveAudioInput();
+    refreshAudioInputDom();
+    if (audioSourceType === 'mic') reopenMic();
+  }
+
+// Reopen the mic with the current choice; overlapping requests (ended + devicechange) share one.
+  let micReopening = null;
+  function reopenMic(){
+    if (micReopening) return micReopening;
+    micReopening = useMic()
+      .catch((e) => { console.error(e); setStatus(describeMicHelp(e?.name || 'Error')); })
+      .finally(() => { micReopening = null; refreshCapabilityUI(); });
+    return micReopening;
+  }
+
+  function onMicDeviceLost(){
+    if (audioSourceType !== 'mic') return;
+    setStatus(`${escapeHtml(micInputLabel())} disconnected — switching to the default input.`);
+    reopenMic();
+  }
+
+// Only a device opened by exact id can go missing from the list: the default input is
+// reported as 'default' (not listed), and its track ends by itself if it is unplugged.
+  const micDeviceGone = () => !!micExactDeviceId && !!audioInputDevices && !audioInputDevices.some(d => d.id === micExactDeviceId);
+
+// Hot-plug: fall back when the open device goes away, return when the chosen one comes back.
+  async function onAudioDevicesChanged(){
+    await refreshAudioInputs();
+    if (audioSourceType !== 'mic' || !audioInputDevices) return;
+    if (micDeviceGone()) onMicDeviceLost();
+    else if (micDevicePresent(audioInput.deviceId) && micActiveDeviceId !== audioInput.deviceId) reopenMic();
+  }
+
+  function audioInputForState(){
+    const devices = (audioInputDevices || []).map(d => ({ id: d.id, label: d.label }));
+    // Keep a remembered-but-unplugged device selectable so the choice isn't lost.
+    if (audioInput.deviceId && !devices.some(d => d.id === audioInput.deviceId)){
+      devices.push({ id: audioInput.deviceId, label: `${audioInput.label || 'Saved input'} (not connected)` });
+    }
+    return {
+      devices,
+      deviceId: audioInput.deviceId,
+      channel: audioInput.channel,
+      channels: Math.max(2, micChannelCount),
+    };
+  }
+
+// Wire the device/channel pickers in a document (main panel or pop-out).
+  function bindAudioInputControls(d){
+    const dev = d?.getElementById('micDevice');
+    const ch = d?.getElementById('micChannel');
+    dev?.addEventListener('change', () => applyRemoteCommand({type:'setAudioInput', key: 'device', value: dev.value}));
+    ch?.addEventListener('change', () => applyRemoteCommand({type:'setAudioInput', key: 'channel', value: ch.value}));
+    syncAudioInputDom(d);
+  }
+
+  function syncAudioInputDom(d, st=audioInputForState()){
+    const dev = d?.getElementById('micDevice');
+    const ch = d?.getElementById('micChannel');
+    if (dev){
+      const sig = JSON.stringify(st.devices);
+      if (dev.getAttribute('data-sig') !== sig){
+        dev.innerHTML = '<option value="">Default input</option>' +
+          st.devices.map(x => `<option value="${escapeHtml(x.id)}">${escapeHtml(x.label)}</option>`).join('');
+        dev.setAttribute('data-sig', sig);
+      }
+      if (dev.value !== st.deviceId) dev.value = st.deviceId;
+    }
+    if (ch){
+      const n = Math.max(st.channels, st.channel === 'sum' ? 0 : st.channel + 1);
+      if (ch.getAttribute('data-sig') !== String(n)){
+        ch.innerHTML = '<option value="sum">L+R</option>' +
+          Array.from({length: n}, (_, i) => `<option value="${i}">Ch ${i + 1}</option>`).join('');
+        ch.setAttribute('data-sig', String(n));
+      }
+      if (ch.value !== String(st.channel)) ch.value = String(st.channel);
+    }
+  }
+
+  function refreshAudioInputDom(){
+    syncAudioInputDom(document);
+    if (isPopupOpen()){
+      try { syncAudioInputDom(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  loadAudioInput();
+  bindAudioInputControls(document);
+  refreshAudioInputs();
+  navigator.mediaDevices?.addEventListener?.('devicechange', onAudioDevicesChanged);
+
+// =====================
+// Beat grid (offline analysis)
+// =====================
+// A playlist track can be analysed ahead of time: the file is decoded and rendered through an
+// OfflineAudioContext (low band + full band), then beats are tracked over the whole onset
+// envelope at once (dynamic programming, so the grid follows small tempo drift). The grid
+// holds beats, the first downbeat, an energy curve and section boundaries, and is cached per
+// file in localStorage (the GRID_STORE_MAX most recently used). While a gridded track plays
+// with Beat grid on, Beat DJ runs from the grid instead of real-time detection.
+  const GRID_STORE_PREFIX = 'projectorLightShow.grid:';
+  const GRID_STORE_INDEX = 'projectorLightShow.gridIndex';
+  const GRID_STORE_MAX = 24;       // cached grids kept; the least recently used go first
+  const GRID_VERSION = 1;
+  const GRID_RATE = 22050;         // analysis sample rate
+  const GRID_HOP_S = 0.01;         // onset envelope resolution
+  const GRID_BPM_MIN = 90;         // tempo search range (same folding as TempoTracker)
+  const GRID_BPM_MAX = 180;
+  const GRID_TIGHTNESS = 100;      // how strongly the tracker keeps to the tempo
+  const GRID_ENERGY_S = 0.5;       // energy curve resolution
+  const GRID_SECTION_BARS = 8;     // shortest section; also the window compared at a boundary
+  const GRID_SECTION_JUMP = 0.15;  // energy change (of the loudest bar) that starts a section
+
+  let playlistUseGrid = true;
+  let gridCursor = null;           // { grid, pos, i }: next grid beat to fire during playback
+  let gridQueue = Promise.resolve();
+
+  function gridStoreKey(file){
+    return `${GRID_STORE_PREFIX}${file.name}|${file.size}|${file.lastModified}`;
+  }
+
+// Cached grid keys, most recently used first. Caches from before the index are adopted.
+  function storedGridKeys(){
+    try {
+      const keys = JSON.parse(localStorage.getItem(GRID_STORE_INDEX) || 'null');
+      if (Array.isArray(keys)) return keys.filter(k => typeof k === 'string');
+      const found = [];
+      for (let i = 0; i < localStorage.length; i++){
+        const k = localStorage.key(i);
+        if (k?.startsWith(GRID_STORE_PREFIX)) found.push(k);
+      }
+      return found;
+    } catch { return []; }
+  }
+
+  function writeGridIndex(keys){
+    try { localStorage.setItem(GRID_STORE_INDEX, JSON.stringify(keys)); } catch {}
+  }
+
+// Move key to the front of the index and drop whatever falls past GRID_STORE_MAX.
+  function touchStoredGrid(key){
+    const keys = [key, ...storedGridKeys().filter(k => k !== key)];
+    for (const old of keys.splice(GRID_STORE_MAX)){
+      try { localStorage.removeItem(old); } catch {}
+    }
+    writeGridIndex(keys);
+    return keys;
+  }
+
+  function loadStoredGrid(file){
+    try {
+      const key = gridStoreKey(file);
+      const g = JSON.parse(localStorage.getItem(key) || 'null');
+      if (!(g && g.version === GRID_VERSION && Array.isArray(g.beats))) return null;
+      touchStoredGrid(key);
+      return g;
+    } catch { return null; }
+  }
+
+  function storeGrid(file, grid){
+    const key = gridStoreKey(file);
+    const keys = touchStoredGrid(key);
+    const text = JSON.stringify(grid);
+    // Over the storage quota: evict the oldest grids until this one fits.
+    for (;;){
+      try { localStorage.setItem(key, text); return; } catch {}
+      if (keys.length < 2) break;
+      try { localStorage.removeItem(keys.pop()); } catch {}
+      writeGridIndex(keys);
+    }
+    writeGridIndex(keys.filter(k => k !== key));
+  }
+
+// RMS of consecutive hop-sized blocks.
+  function blockRms(x, hop){
+    const n = Math.floor(x.length / hop);
+    const out = new Float32Array(n);
+    for (let k=0;k<n;k++){
+      let s = 0;
+      for (let i=k*hop, e=i+hop; i<e; i++) s += x[i]*x[i];
+      out[k] = Math.sqrt(s / hop);
+    }
+    return out;
+  }
+
+// Onset strength: rise in compressed low + full band energy, minus its local mean, in std units.
+  function gridOnsetEnvelope(eLow, eFull){
+    const n = eLow.length;
+    const raw = new Float32Array(n);
+    for (let k=1;k<n;k++){
+      const dl = Math.log1p(100*eLow[k]) - Math.log1p(100*eLow[k-1]);
+      const df = Math.log1p(100*eFull[k]) - Math.log1p(100*eFull[k-1]);
+      raw[k] = Math.max(0, dl) + 0.5*Math.max(0, df);
+    }
+    const o = new Float32Array(n);
+    const W = 15;
+    let sum = 0;
+    for (let k=0;k<Math.min(n, W);k++) sum += raw[k];
+    for (let k=0;k<n;k++){
+      if (k + W < n) sum += raw[k + W];
+      if (k - W - 1 >= 0) sum -= raw[k - W - 1];
+      const span = Math.min(n - 1, k + W) - Math.max(0, k - W) + 1;
+      o[k] = Math.max(0, raw[k] - sum / span);
+    }
+    let m = 0, v = 0;
+    for (let k=0;k<n;k++) m += o[k];
+    m /= Math.max(1, n);
+    for (let k=0;k<n;k++) v += (o[k] - m) ** 2;
+    const sd = Math.sqrt(v / Math.max(1, n)) || 1;
+    for (let k=0;k<n;k++) o[k] /= sd;
+    return o;
+  }
+
+// Beat period in frames from the envelope's autocorrelation, weighted gently toward 120 BPM.
+  function gridPeriod(o, hopS){
+    const lagOf = (b) => 60 / (b * hopS);
+    const lo = Math.floor(lagOf(GRID_BPM_MAX)), hi = Math.ceil(lagOf(GRID_BPM_MIN));
+    const ac = new Float64Array(hi + 2);
+    for (let L=lo-1; L<=hi+1; L++){
+      let s = 0;
+      for (let k=0;k+L<o.length;k++) s += o[k]*o[k+L];
+      ac[L] = s * Math.exp(-0.5 * (Math.log2(L / lagOf(120)) / 1.4) ** 2);
+    }
+    let best = lo;
+    for (let L=lo; L<=hi; L++) if (ac[L] > ac[best]) best = L;
+    // Parabolic refinement between neighbouring lags.
+    const a = ac[best-1], b = ac[best], c = ac[best+1];
+    const den = a - 2*b + c;
+    return best + (den < 0 ? clamp(0.5 * (a - c) / den, -0.5, 0.5) : 0);
+  }
+
+// Dynamic-programming beat tracker: each frame's score is its onset strength plus the best
+// previous beat's score, penalised by how far the gap strays from the period.
+  function gridTrackBeats(o, P){
+    const n = o.length;
+    const score = new Float64Array(n);
+    const back = new Int32Array(n).fill(-1);
+    for (let k=0;k<n;k++){
+      let best = -Infinity, bp = -1;
+      for (let p=Math.max(0, k - Math.round(2*P)); p<=k - Math.round(P/2); p++){
+        const v = score[p] - GRID_TIGHTNESS * Math.log((k - p) / P) ** 2;
+        if (v > best){ best = v; bp = p; }
+      }
+      score[k] = o[k] + Math.max(0, best);
+      back[k] = best > 0 ? bp : -1;
+    }
+    let k = n - 1;
+    for (let i=Math.max(0, n - Math.round(P)); i<n; i++) if (score[i] > score[k]) k = i;
+    const frames = [];
+    for (; k >= 0; k = back[k]) frames.push(k);
+    return frames.reverse();
+  }
+
+// Whole analysis on rendered low/full band signals. Pure, so it can be tested on synthetic input.
+  function analyseBeatGrid(low, full, sampleRate){
+    const hop = Math.max(1, Math.round(sampleRate * GRID_HOP_S));
+    const hopMs = hop / sampleRate * 1000;
+    const eLow = blockRms(low, hop), eFull = blockRms(full, hop);
+    const o = gridOnsetEnvelope(eLow, eFull);
+    const P = gridPeriod(o, hop / sampleRate);
+    const frames = gridTrackBeats(o, P);
+    const beats = frames.map(k => Math.round(k * hopMs));
+
+    // Downbeat: the beat phase (of 4) with the most low-band energy.
+    const phaseSum = [0, 0, 0, 0];
+    frames.forEach((k, i) => { phaseSum[i % 4] += eLow[k] + (eLow[k + 1] || 0); });
+    const downbeat = phaseSum.indexOf(Math.max(...phaseSum));
+
+    // Energy curve, normalised to the loudest window.
+    const eHop = Math.max(1, Math.round(GRID_ENERGY_S / GRID_HOP_S));
+    const energy = [];
+    for (let k=0;k<eFull.length;k+=eHop){
+      let s = 0, c = 0;
+      for (let j=k;j<Math.min(eFull.length, k + eHop);j++){ s += eFull[j]; c++; }
+      energy.push(s / c);
+    }
+    const eMax = Math.max(1e-9, ...energy);
+    for (let i=0;i<energy.length;i++) energy[i] = Math.round(energy[i] / eMax * 1000) / 1000;
+
+    // Sections: bar-aligned points where the mean energy of the next GRID_SECTION_BARS bars
+    // differs most from the previous ones.
+    const barE = [];
+    for (let b=downbeat; b+4<frames.length; b+=4){
+      let s = 0;
+      for (let k=frames[b]; k<frames[b+4]; k++) s += eFull[k];
+      barE.push(s / Math.max(1, frames[b+4] - frames[b]));
+    }
+    const bMax = Math.max(1e-9, ...barE);
+    const W = GRID_SECTION_BARS;
+    const mean = (a, b) => { let s = 0; for (let i=a;i<b;i++) s += barE[i]; return s / Math.max(1, b - a) / bMax; };
+    const jump = barE.map((_, j) => (j >= W && j + W <= barE.length) ? Math.abs(mean(j, j + W) - mean(j - W, j)) : 0);
+    const sections = [{ beat: 0, t: beats[0] || 0 }];
+    let lastBar = -W;
+    for (let j=4; j<barE.length; j+=4){
+      const local = jump.slice(Math.max(0, j - 3), j + 4);
+      if (jump[j] >= GRID_SECTION_JUMP && jump[j] === Math.max(...local) && j - lastBar >= W){
+        const beat = downbeat + j*4;
+        sections.push({ beat, t: beats[beat] });
+        lastBar = j;
+      }
+    }
+    for (let s=0;s<sections.length;s++){
+      const t0 = sections[s].t, t1 = sections[s+1]?.t ?? Infinity;
+      const vals = energy.filter((_, i) => i * GRID_ENERGY_S * 1000 >= t0 && i * GRID_ENERGY_S * 1000 < t1);
+      sections[s].energy = Math.round(vals.reduce((a, v) => a + v, 0) / Math.max(1, vals.length) * 100) / 100;
+    }
+
+    return {
+      version: GRID_VERSION,
+      // Average over the tracked beats: finer than the period's frame resolution.
+      bpm: Math.round((beats.length > 1 ? 60000 * (beats.length - 1) / (beats[beats.length - 1] - beats[0]) : 60 / (P * hop / sampleRate)) * 10) / 10,
+      duration: Math.round(low.length / sampleRate * 1000),
+      beats,
+      downbeat,
+      energy: { stepMs: GRID_ENERGY_S * 1000, values: energy },
+      sections,
+    };
+  }
+
+// Decode a file and render mono low-pass (kick) + full band at GRID_RATE in one offline pass.
+  async function renderTrackBands(file){
+    const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineCtx) throw new Error('OfflineAudioContext is not supported in this browser');
+    const decoded = await new OfflineCtx(1, 1, GRID_RATE).decodeAudioData(await file.arrayBuffer());
+    const ctx = new OfflineCtx(2, Math.ceil(decoded.duration * GRID_RATE), GRID_RATE);
+    const src = ctx.createBufferSource();
+    src.buffer = decoded;
+    const mono = ctx.createGain();
+    mono.channelCount = 1;
+    mono.channelCountMode = 'explicit';
+    const lp = ctx.createBiquadFilter();
+    lp.type = 'lowpass';
+    lp.frequency.value = 150;
+    const merger = ctx.createChannelMerger(2);
+    src.connect(mono);
+    mono.connect(lp);
+    lp.connect(merger, 0, 0);
+    mono.connect(merger, 0, 1);
+    merger.connect(ctx.destination);
+    src.start();
+    const out = await ctx.startRendering();
+    return { low: out.getChannelData(0), full: out.getChannelData(1), sampleRate: GRID_RATE };
+  }
+
+// Analyse one track (queued: one decode at a time keeps memory in check).
+  function analyseTrack(item){
+    if (!item || item.analysing) return gridQueue;
+    item.analysing = true;
+    refreshPlaylist();
+    gridQueue = gridQueue.then(async () => {
+      try {
+        const { low, full, sampleRate } = await renderTrackBands(item.file);
+        item.grid = analyseBeatGrid(low, full, sampleRate);
+        storeGrid(item.file, item.grid);
+        setStatus(`Beat grid for <b>${escapeHtml(item.name)}</b>: ${fmtBpm(item.grid.bpm)} BPM, ${item.grid.beats.length} beats, ${item.grid.sections.length} section${item.grid.sections.length === 1 ? '' : 's'}.`);
+      } catch (e) {
+        console.error(e);
+        setStatus(`Couldn't analyse <b>${escapeHtml(item.name)}</b>: ${escapeHtml(e?.message || String(e))}`);
+      } finally {
+        item.analysing = false;
+        refreshPlaylist();
+      }
+    });
+    return gridQueue;
+  }
+
+  function analyseAllTracks(){
+    const todo = playlist.filter(t => !t.grid && !t.analysing);
+    if (!todo.length){
+      setStatus(playlist.length ? 'Every track already has a beat grid.' : 'Playlist is empty.');
+      return;
+    }
+    for (const t of todo) analyseTrack(t);
+  }
+
+// The grid driving Beat DJ right now, if any.
+  function activeBeatGrid(){
+    if (!playlistUseGrid || audioSourceType !== 'file' || !audioEl) return null;
+    return playlist[playlistIdx]?.grid || null;
+  }
+
+// Index of the first beat at or after pos (ms).
+  function gridBeatIndexAt(beats, pos){
+    let lo = 0, hi = beats.length;
+    while (lo < hi){
+      const mid = (lo + hi) >> 1;
+      if (beats[mid] < pos) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+// Fire the grid beats the (heard) playback position has passed. A seek or track change just
+// moves the cursor, so jumping around never fires a burst of beats.
+  function advanceBeatGrid(grid, tNow){
+    const pos = (audioEl.currentTime - (audioCtx?.outputLatency || 0)) * 1000;
+    if (!gridCursor || gridCursor.grid !== grid || pos < gridCursor.pos - 50 || pos > gridCursor.pos + 1000){
+      gridCursor = { grid, pos, i: gridBeatIndexAt(grid.beats, pos) };
+      if (tempoAutoBpm && !(bpmSource === 'midi' && nowMs() - midiClock.lastTick < 1000)) setBpmValue(grid.bpm, 'grid');
+      return;
+    }
+    gridCursor.pos = pos;
+    while (gridCursor.i < grid.beats.length && grid.beats[gridCursor.i] <= pos) fireGridBeat(grid, gridCursor.i++, tNow);
+  }
+
+// Beats are counted from the first downbeat, so "Preset every N beats" lands on bars and
+// phrases; a new section changes preset even off that count.
+  function fireGridBeat(grid, i, tNow){
+    const n = i - grid.downbeat;   // the grid's own count, so live beatCount is left alone
+    if (tempoAutoBpm && bpmSource === 'grid') lockBeatPhase(tNow);
+    onAudioBeat(tNow, n);
+    if (phraseGridBeat(grid, i, tNow)) return;
+    const sectionStart = i > 0 && grid.sections.some(s => s.beat === i);
+    if (sectionStart && beatDJ && beatAutoPreset && n % Math.max(1, beatEveryN) !== 0) changePresetFromPool();
+  }
+
+// =====================
+// Audio file playlist
+// =====================
+// Files play through an <audio> element into the analyser, so a prepared set can drive
+// Beat DJ where a line-in mic isn't practical. Tracks keep the File; an object URL is made
+// per play and revoked by disconnectAudio().
+  const AUDIO_FILE_RE = /\.(mp3|wav|ogg|oga|m4a|aac|flac|opus|webm)$/i;
+
+  const playlist = [];          // [{ name, file, grid, analysing }]
+  let playlistIdx = -1;         // current (or last played) track
+  let playlistMonitor = true;   // hear the file through outGain
+  let playlistAutoNext = true;  // advance to the next track when one ends
+  let playlistPlayToken = 0;    // bumped per playTrack(); a stale call stops after its await
+
+  function isAudioFile(file){
+    return !!file && (/^audio\//.test(file.type || '') || AUDIO_FILE_RE.test(file.name || ''));
+  }
+
+  function addTrackFiles(files){
+    const added = [...(files || [])].filter(isAudioFile);
+    if (!added.length){
+      setStatus('No audio files found. Use MP3, WAV or OGG.');
+      return 0;
+    }
+    for (const file of added) playlist.push({ name: file.name.replace(AUDIO_FILE_RE, ''), file, grid: loadStoredGrid(file) });
+    setStatus(`Added ${added.length} track${added.length === 1 ? '' : 's'} to the playlist.`);
+    refreshPlaylist();
+    // Nothing else is feeding the analyser: start right away.
+    if (audioSourceType === 'none') playTrack(playlist.length - added.length);
+    return added.length;
+  }
+
+  function trackIsPlaying(){
+    return audioSourceType === 'file' && !!audioEl && !audioEl.paused;
+  }
+
+  async function playTrack(i){
+    const item = playlist[i];
+    if (!item) return;
+    disconnectAudio();
+    const token = ++playlistPlayToken;
+    await ensureAudioCtx();
+    if (token !== playlistPlayToken) return;   // another track was started while the context woke up
+
+    const el = new Audio();
+    el.preload = 'auto';
+    el.src = URL.createObjectURL(item.file);
+    el.addEventListener('ended', () => { if (audioEl === el) onTrackEnded(); });
+    el.addEventListener('error', () => { if (audioEl === el) onTrackError(item); });
+    el.addEventListener('timeupdate', () => { if (audioEl === el) syncPlaylistPosition(); });
+    el.addEventListener('play', () => { if (audioEl === el) refreshPlaylist(); });
+    el.addEventListener('pause', () => { if (audioEl === el) refreshPlaylist(); });
+    audioEl = el;
+    attachSource(audioCtx.createMediaElementSource(el), {monitor: playlistMonitor});
+    audioSourceType = 'file';
+    playlistIdx = i;
+
+    enableBeatDJForAudio({force:false});
+    setStatus(`Playing <b>${escapeHtml(item.name)}</b> (${i + 1}/${playlist.length})${playlistMonitor ? '' : ' — monitoring off'}.`);
+    refreshPlaylist();
+    try {
+      await el.play();
+    } catch (e) {
+      if (audioEl === el) setStatus(`Couldn't play <b>${escapeHtml(item.name)}</b>: ${escapeHtml(e?.message || String(e))}`);
+    }
+  }
+
+// Play/pause the current track; starts the playlist when another source is active.
+  function toggleTrackPlay(){
+    if (audioSourceType !== 'file' || !audioEl){
+      if (playlist.length) playTrack(clamp(playlistIdx, 0, playlist.length - 1));
+      else setStatus('Playlist is empty. Add or drop MP3/WAV/OGG files.');
+      return;
+    }
+    if (audioEl.paused) audioEl.play().catch((e) => setStatus(`Couldn't resume: ${escapeHtml(e?.message || String(e))}`));
+    else audioEl.pause();
+  }
+
+  function stepTrack(dir){
+    if (!playlist.length) return;
+    const n = playlist.length;
+    playTrack(((playlistIdx + dir) % n + n) % n);
+  }
+
+  function seekTrack(frac){
+    if (audioSourceType !== 'file' || !audioEl || !Number.isFinite(audioEl.duration)) return;
+    audioEl.currentTime = clamp(Number(frac) || 0, 0, 1) * audioEl.duration;
+    syncPlaylistPosition();
+  }
+
+  function removeTrack(i){
+    if (i < 0 || i >= playlist.length) return;
+    const wasCurrent = (i === playlistIdx);
+    playlist.splice(i, 1);
+    if (wasCurrent){
+      if (audioSourceType === 'file') disconnectAudio();
+      playlistIdx = Math.min(i, playlist.length - 1);
+    } else if (i < playlistIdx){
+      playlistIdx--;
+    }
+    refreshPlaylist();
+  }
+
+  function setPlaylistOption(key, on){
+    if (key === 'monitor'){
+      playlistMonitor = !!on;
+      if (audioSourceType === 'file' && outGain) outGain.gain.value = playlistMonitor ? 1.0 : 0.0;
+    }
+    if (key === 'auto') playlistAutoNext = !!on;
+    if (key === 'grid'){
+      playlistUseGrid = !!on;
+      gridCursor = null;
+    }
+    refreshPlaylist();
+  }
+
+  function onTrackEnded(){
+    if (playlistAutoNext && playlistIdx + 1 < playlist.length){
+      playTrack(playlistIdx + 1);
+      return;
+    }
+    disconnectAudio();
+    setStatus('Playlist finished.');
+    refreshPlaylist();
+  }
+
+  function onTrackError(item){
+    setStatus(`Couldn't decode <b>${escapeHtml(item.name)}</b>; the browser may not support this format.`);
+    if (playlistAutoNext && playlistIdx + 1 < playlist.length) playTrack(playlistIdx + 1);
+    else { disconnectAudio(); refreshPlaylist(); }
+  }
+
+  function playlistForState(){
+    const active = audioSourceType === 'file' && !!audioEl;
+    return {
+      tracks: playlist.map(t => ({ name: t.name, grid: t.analysing ? 'Analysing…' : t.grid ? `${fmtBpm(t.grid.bpm)} BPM` : 'Analyse' })),
+      idx: playlistIdx,
+      active,
+      playing: trackIsPlaying(),
+      pos: active ? (audioEl.currentTime || 0) : 0,
+      dur: (active && Number.isFinite(audioEl.duration)) ? audioEl.duration : 0,
+      monitor: playlistMonitor,
+      auto: playlistAutoNext,
+      useGrid: playlistUseGrid,
+    };
+  }
+
+// Wire the static playlist controls in a document (main panel or pop-out). As with show
+// files, the picked files are read from here, so adding through the pop-out still works.
+  function bindPlaylistControls(d){
+    const $d = (id) => d?.getElementById(id);
+    const input = $d('trackFileInput');
+    $d('btnTrackAdd')?.addEventListener('click', () => input?.click());
+    input?.addEventListener('change', () => {
+      addTrackFiles(input.files);
+      input.value = '';
+    });
+    $d('btnTrackPlay')?.addEventListener('click', () => applyRemoteCommand({type:'trackPlay'}));
+    $d('btnTrackPrev')?.addEventListener('click', () => applyRemoteCommand({type:'trackStep', dir: -1}));
+    $d('btnTrackNext')?.addEventListener('click', () => applyRemoteCommand({type:'trackStep', dir: 1}));
+    $d('btnTrackMonitor')?.addEventListener('click', () => applyRemoteCommand({type:'trackOption', key: 'monitor', value: !playlistMonitor}));
+    $d('btnTrackAuto')?.addEventListener('click', () => applyRemoteCommand({type:'trackOption', key: 'auto', value: !playlistAutoNext}));
+    $d('btnTrackGrid')?.addEventListener('click', () => applyRemoteCommand({type:'trackOption', key: 'grid', value: !playlistUseGrid}));
+    $d('btnTrackAnalyse')?.addEventListener('click', () => applyRemoteCommand({type:'trackAnalyse'}));
+    const seek = $d('trackSeek');
+    seek?.addEventListener('input', () => applyRemoteCommand({type:'trackSeek', pos: Number(seek.value) / 1000}));
+    renderPlaylist(d);
+  }
+
+  function renderPlaylist(d, st=playlistForState()){
+    const list = d?.getElementById('trackList');
+    if (!list) return;
+    list.innerHTML = st.tracks.map((t, i) => `
+      <div class="cueItem" data-track="${i}">
+        <button class="toggle${i === st.idx && st.active ? ' on' : ''}" data-k="go" type="button">${i + 1}. ${escapeHtml(t.name)}</button>
+        <button data-k="grid" type="button" title="Analyse the beat grid">${escapeHtml(t.grid)}</button>
+        <button data-k="remove" type="button" title="Remove from playlist">✕</button>
+      </div>`).join('') || '<div class="hint">No tracks. Add files or drop them on the window.</div>';
+    list.querySelectorAll('[data-track]').forEach((row) => {
+      const i = Number(row.getAttribute('data-track'));
+      row.querySelector('[data-k="go"]')?.addEventListener('click', () => applyRemoteCommand({type:'trackPlay', index: i}));
+      row.querySelector('[data-k="grid"]')?.addEventListener('click', () => applyRemoteCommand({type:'trackAnalyse', index: i}));
+      row.querySelector('[data-k="remove"]')?.addEventListener('click', () => applyRemoteCommand({type:'trackRemove', index: i}));
+    });
+    list.setAttribute('data-sig', JSON.stringify([st.tracks, st.idx, st.active]));
+  }
+
+  function syncPlaylistDom(d, st=playlistForState()){
+    const $d = (id) => d?.getElementById(id);
+    const play = $d('btnTrackPlay');
+    if (play){
+      play.classList.toggle('on', st.playing);
+      play.textContent = st.playing ? 'Pause' : 'Play';
+    }
+    $d('btnTrackMonitor')?.classList.toggle('on', st.monitor);
+    $d('btnTrackAuto')?.classList.toggle('on', st.auto);
+    $d('btnTrackGrid')?.classList.toggle('on', st.useGrid);
+    const seek = $d('trackSeek');
+    // Leave the slider alone while it's being dragged.
+    if (seek && d.activeElement !== seek) seek.value = String(st.dur > 0 ? Math.round(st.pos / st.dur * 1000) : 0);
+    if (seek) seek.disabled = !(st.dur > 0);
+    const out = $d('trackSeekOut');
+    if (out) out.textContent = `${fmtClock(st.pos)} / ${fmtClock(st.dur)}`;
+    const list = $d('trackList');
+    if (list && list.getAttribute('data-sig') !== JSON.stringify([st.tracks, st.idx, st.active])) renderPlaylist(d, st);
+  }
+
+// Position only changes the slider + readout; the pop-out follows on the next broadcast.
+  function syncPlaylistPosition(){
+    syncPlaylistDom(document);
+    sendStateToPopup();
+  }
+
+  function refreshPlaylist(){
+    syncPlaylistDom(document);
+    if (isPopupOpen()){
+      try { syncPlaylistDom(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  bindPlaylistControls(document);
+  syncPlaylistDom(document);
+
+// Extract simple audio features from the analyser:
+ // amp (RMS), bass/mid/tre energy bands, and a rough spectral centroid.
+  function getAudioFeatures(){
+    if (!analyser) return { amp: 0, bass: 0, mid: 0, tre: 0, centroid: 0, bands: { low: 0, mid: 0, high: 0 } };
+    analyser.getByteFrequencyData(freq);
+    analyser.getByteTimeDomainData(timeArr);
+
+    let sum = 0;
+    for (let i=0;i<timeArr.length;i++){
+      const v = (timeArr[i]-128)/128;
+      sum += v*v;
+    }
+    const amp = Math.sqrt(sum/timeArr.length);
+
+    if (analyserL){
+      analyserL.getByteTimeDomainData(scopeL);
+      analyserR.getByteTimeDomainData(scopeR);
+      let rLevel = 0, diff = 0;
+      for (let i=0;i<scopeSize;i++){
+        rLevel += Math.abs(scopeR[i] - 128);
+        diff += Math.abs(scopeL[i] - scopeR[i]);
+      }
+      presetAudio.stereo = rLevel > scopeSize && diff > scopeSize;
+    }
+
+    const n = freq.length;
+    const b0 = Math.floor(n*0.08);
+    const b1 = Math.floor(n*0.25);
+    const b2 = Math.floor(n*0.55);
+
+    let bass=0, mid=0, tre=0;
+    for (let i=0;i<b0;i++) bass += freq[i];
+    for (let i=b0;i<b1;i++) mid += freq[i];
+    for (let i=b1;i<b2;i++) tre += freq[i];
+
+    bass /= Math.max(1,b0)*255;
+    mid  /= Math.max(1,b1-b0)*255;
+    tre  /= Math.max(1,b2-b1)*255;
+
+    let wsum=0, fsum=0;
+    for (let i=0;i<n;i++){
+      const w = freq[i]/255;
+      wsum += w;
+      fsum += w*(i/n);
+    }
+    const centroid = wsum>0 ? (fsum/wsum) : 0;
+
+    // Trigger bands are in Hz (see BANDS), so they track the sample rate.
+    const hz = (audioCtx?.sampleRate || 48000) / fftSize;
+    const bands = {};
+    for (const b of BANDS){
+      const i0 = clamp(Math.floor(b.lo / hz), 0, n - 1);
+      const i1 = clamp(Math.ceil(b.hi / hz), i0 + 1, n);
+      let s = 0;
+      for (let i=i0;i<i1;i++) s += freq[i];
+      bands[b.id] = s / ((i1 - i0) * 255);
+    }
+    return { amp, bass, mid, tre, centroid, bands };
+  }
+
+// =====================
+// Audio modulation matrix
+// =====================
+// Each route follows one audio feature with an attack/release envelope and adds an
+// offset to a show parameter for the current frame. Offsets never touch the slider
+// state; they are applied around rendering by withModulatedParams().
+
+  const MOD_SOURCES = [
+    { id: 'amp',      label: 'Level' },
+    { id: 'bass',     label: 'Bass' },
+    { id: 'mid',      label: 'Mid' },
+    { id: 'tre',      label: 'Treble' },
+    { id: 'centroid', label: 'Brightness (centroid)' },
+  ];
+
+  // span = how far a full-scale (±100) route moves the target, in target units.
+  const MOD_TARGETS = [
+    { id: 'size',   label: 'Size',          span: 100 },
+    { id: 'speed',  label: 'Speed',         span: 100 },
+    { id: 'bright', label: 'Brightness',    span: 100 },
+    { id: 'radius', label: 'Motion radius', span: 100 },  // percent of the motion path radius
+    { id: 'hue',    label: 'Color hue',     span: 180 },  // degrees
+    { id: 'shade',  label: 'Trails',        span: 100 },
+    { id: 'strobe', label: 'Strobe',        span: 100 },
+  ];
+
+  let modRoutes = [];
+  const modOffsets = { size: 0, speed: 0, bright: 0, radius: 0, hue: 0, shade: 0, strobe: 0 };
+
+// Clamp/fill a route so UI, remote commands and loaded shows can all pass partial objects.
+  function normalizeModRoute(r={}){
+    const src = MOD_SOURCES.some(s => s.id === r.src) ? r.src : 'bass';
+    const dst = MOD_TARGETS.some(t => t.id === r.dst) ? r.dst : 'size';
+    const num = (x, lo, hi, def) => Number.isFinite(+x) ? clamp(Math.round(+x), lo, hi) : def;
+    return {
+      on: r.on !== false,
+      src,
+      dst,
+      gain: num(r.gain, 0, 400, 150),        // percent
+      attackMs: num(r.attackMs, 0, 1000, 20),
+      releaseMs: num(r.releaseMs, 0, 2000, 250),
+      min: num(r.min, -100, 100, 0),
+      max: num(r.max, -100, 100, 40),
+      env: 0,
+    };
+  }
+
+  function modSourceValue(feats, src){
+    // Level-type features follow Mic Sensitivity; the centroid is a position, not a level.
+    const v = feats[src] || 0;
+    return src === 'centroid' ? v : v * micGain;
+  }
+
+// Advance every route's envelope and rebuild this frame's offsets. dt is seconds.
+  function updateModulation(feats, dt){
+    for (const k in modOffsets) modOffsets[k] = 0;
+    for (const r of modRoutes){
+      const x = r.on ? clamp(modSourceValue(feats, r.src) * r.gain/100, 0, 1) : 0;
+      const ms = (x > r.env) ? r.attackMs : r.releaseMs;
+      const k = ms > 0 ? (1 - Math.exp(-dt*1000 / ms)) : 1;
+      r.env += (x - r.env) * k;
+      if (!r.on) continue;
+      const tgt = MOD_TARGETS.find(t => t.id === r.dst);
+      modOffsets[r.dst] += lerp(r.min, r.max, r.env) * (tgt ? tgt.span : 100) / 100;
+    }
+  }
+
+// Run fn with Size/Speed/Brightness/colors temporarily offset by the modulation matrix.
+// Presets read the plain globals, so this is how modulation reaches every preset.
+  function withModulatedParams(fn){
+    const base = { presetSize, presetSpeed, presetBrightness, presetColor, multiColorClr };
+    presetSize = clamp(presetSize + modOffsets.size, 0, 100);
+    presetSpeed = clamp(presetSpeed + modOffsets.speed, 0, 100);
+    presetBrightness = clamp(presetBrightness + modOffsets.bright, 0, 100);
+    if (modOffsets.hue){
+      presetColor = shiftHue(presetColor, modOffsets.hue);
+      multiColorClr = shiftHue(multiColorClr, modOffsets.hue);
+    }
+    try {
+      return fn();
+    } finally {
+      ({ presetSize, presetSpeed, presetBrightness, presetColor, multiColorClr } = base);
+    }
+  }
+
+  function modRoutesForState(){
+    return modRoutes.map(({env, ...r}) => ({...r}));
+  }
+
+  function addModRoute(r){
+    modRoutes.push(normalizeModRoute(r));
+    refreshModMatrix();
+  }
+
+  function removeModRoute(i){
+    if (i < 0 || i >= modRoutes.length) return;
+    modRoutes.splice(i, 1);
+    refreshModMatrix();
+  }
+
+  function setModRouteValue(i, key, value){
+    const r = modRoutes[i];
+    if (!r) return;
+    const next = normalizeModRoute({...r, [key]: value});
+    next.env = r.env;
+    modRoutes[i] = next;
+    syncModMatrixDom(document);
+  }
+
+// Build the route editor into a document (main panel or pop-out). Controls send
+// remote commands so both windows share one code path.
+  function renderModMatrix(d){
+    const list = d?.getElementById('modList');
+    if (!list) return;
+    const opt = (items, sel) => items.map(it => `<option value="${it.id}"${it.id === sel ? ' selected' : ''}>${it.label}</option>`).join('');
+    const slider = (k, label, min, max, step) =>
+      `<div class="slider"><label>${label}</label><input data-k="${k}" type="range" min="${min}" max="${max}" step="${step}" /><output data-out="${k}"></output></div>`;
+
+    list.innerHTML = modRoutes.map((r, i) => `
+      <div class="modRow" data-mod="${i}">
+        <div class="row">
+          <button class="toggle" data-k="on" type="button">On</button>
+          <select data-k="src" aria-label="Audio source">${opt(MOD_SOURCES, r.src)}</select>
+          <span class="hint">→</span>
+          <select data-k="dst" aria-label="Target">${opt(MOD_TARGETS, r.dst)}</select>
+          <div class="meter modMeter" aria-label="Envelope"><div class="meterFill" data-env></div></div>
+          <button data-k="remove" type="button" title="Remove route">✕</button>
+        </div>
+        <div class="sliders">
+          ${slider('gain', 'Gain', 0, 400, 5)}
+          ${slider('attackMs', 'Attack', 0, 1000, 5)}
+          ${slider('releaseMs', 'Release', 0, 2000, 10)}
+          ${slider('min', 'Range min', -100, 100, 1)}
+          ${slider('max', 'Range max', -100, 100, 1)}
+        </div>
+      </div>`).join('') || '<div class="hint">No routes. Add one to let the music push Size, Speed, Brightness, Motion, Hue, Trails or Strobe.</div>';
+
+    list.querySelectorAll('.modRow').forEach((row) => {
+      const i = Number(row.getAttribute('data-mod'));
+      row.querySelectorAll('[data-k]').forEach((el) => {
+        const key = el.getAttribute('data-k');
+        if (key === 'remove'){
+          el.addEventListener('click', () => applyRemoteCommand({type:'removeMod', index: i}));
+        } else if (key === 'on'){
+          el.addEventListener('click', () => applyRemoteCommand({type:'setMod', index: i, key, value: !modRoutes[i]?.on}));
+        } else if (el.tagName === 'SELECT'){
+          el.addEventListener('change', () => applyRemoteCommand({type:'setMod', index: i, key, value: el.value}));
+        } else {
+          el.addEventListener('input', () => applyRemoteCommand({type:'setMod', index: i, key, value: parseInt(el.value, 10)}));
+        }
+      });
+    });
+
+    syncModMatrixDom(d);
+  }
+
+// Push current route values into an already-rendered editor (re-renders if the route count changed).
+  function syncModMatrixDom(d, routes=modRoutes){
+    const list = d?.getElementById('modList');
+    if (!list) return;
+    const rows = list.querySelectorAll('.modRow');
+    if (rows.length !== routes.length){ renderModMatrix(d); return; }
+
+    const fmt = { gain: v => `${v}%`, attackMs: v => `${v}ms`, releaseMs: v => `${v}ms`, min: v => (v > 0 ? '+' : '') + v, max: v => (v > 0 ? '+' : '') + v };
+    rows.forEach((row, i) => {
+      const r = routes[i];
+      row.querySelector('[data-k="on"]')?.classList.toggle('on', !!r.on);
+      row.classList.toggle('off', !r.on);
+      for (const k of ['src', 'dst']){
+        const el = row.querySelector(`[data-k="${k}"]`);
+        if (el && el.value !== r[k]) el.value = r[k];
+      }
+      for (const k of Object.keys(fmt)){
+        const el = row.querySelector(`[data-k="${k}"]`);
+        if (el && String(el.value) !== String(r[k])) el.value = String(r[k]);
+        const out = row.querySelector(`[data-out="${k}"]`);
+        if (out) out.textContent = fmt[k](r[k]);
+      }
+    });
+  }
+
+// Envelope meters are cheap to update every frame (no re-render).
+  function updateModMeters(d, envs){
+    const list = d?.getElementById('modList');
+    if (!list) return;
+    const fills = list.querySelectorAll('[data-env]');
+    fills.forEach((el, i) => { el.style.width = `${Math.round(clamp(envs[i] || 0, 0, 1)*100)}%`; });
+  }
+
+  function refreshModMatrix(){
+    renderModMatrix(document);
+    if (isPopupOpen()){
+      try { renderModMatrix(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  ui.btnModAdd?.addEventListener('click', () => applyRemoteCommand({type:'addMod'}));
+  renderModMatrix(document);
+
+// =====================
+// LFOs
+// =====================
+// Low-frequency oscillators for movement that doesn't depend on the audio: each one runs
+// free in Hz or locked to the BPM clock (a quarter bar up to 4 bars, re-aligned by Downbeat)
+// and adds its output to the same per-frame offsets as the modulation matrix. Size and
+// Brightness LFOs are eased with the sliders' own smoothing so square and S&H steps
+// don't snap harder than a slider move would.
+
+  const LFO_SHAPES = [
+    { id: 'sine',     label: 'Sine' },
+    { id: 'triangle', label: 'Triangle' },
+    { id: 'square',   label: 'Square' },
+    { id: 'saw',      label: 'Saw' },
+    { id: 'sh',       label: 'Random S&H' },
+  ];
+  // Rate: free-running Hz, or a cycle length in bars of the BPM clock.
+  const LFO_RATES = [
+    { id: 'free', label: 'Free (Hz)' },
+    { id: '0.25', label: '1/4 bar' },
+    { id: '0.5',  label: '1/2 bar' },
+    { id: '1',    label: '1 bar' },
+    { id: '2',    label: '2 bars' },
+    { id: '4',    label: '4 bars' },
+  ];
+  const LFO_TARGETS = MOD_TARGETS.filter(t => t.id !== 'strobe');
+  const LFO_SMOOTHING = { size: SIZE_SMOOTHING, bright: BRIGHT_SMOOTHING };
+  const LFO_MAX = 8;
+
+  let lfos = [];
+
+// Clamp/fill an LFO so UI, remote commands and loaded shows can all pass partial objects.
+  function normalizeLfo(l={}){
+    const pick = (items, v, def) => items.some(it => it.id === v) ? v : def;
+    const num = (x, lo, hi, def) => Number.isFinite(+x) ? clamp(+x, lo, hi) : def;
+    return {
+      on: l.on !== false,
+      shape: pick(LFO_SHAPES, l.shape, 'sine'),
+      dst: pick(LFO_TARGETS, l.dst, 'size'),
+      rate: pick(LFO_RATES, String(l.rate), '1'),
+      hz: Math.round(num(l.hz, 0.05, 10, 0.5) * 100) / 100,
+      depth: Math.round(num(l.depth, -100, 100, 30)),   // percent of the target's span
+      phase: Math.round(num(l.phase, 0, 359, 0)),       // degrees
+      // runtime
+      t: 0, cycle: -1, held: 0, value: 0,
+    };
+  }
+
+// Beats of the BPM clock since the last downbeat, including the fraction of the current beat.
+  function bpmBeatPosition(tNow){
+    const beatMs = 60000 / Math.max(1, bpm);
+    return bpmBeatTotal + clamp((tNow - bpmBeatTime) / beatMs, 0, 1);
+  }
+
+// Shape output (-1..1) at position x, counted in cycles. S&H draws a new level each cycle.
+  function lfoShapeValue(l, x){
+    const p = x - Math.floor(x);
+    switch (l.shape){
+      case 'triangle': return 1 - 4 * Math.abs(p - 0.5);
+      case 'square':   return p < 0.5 ? 1 : -1;
+      case 'saw':      return 2 * p - 1;
+      case 'sh': {
+        const cycle = Math.floor(x);
+        if (cycle !== l.cycle){
+          l.cycle = cycle;
+          l.held = Math.random() * 2 - 1;
+        }
+        return l.held;
+      }
+      default:         return Math.sin(2 * Math.PI * p);
+    }
+  }
+
+// Advance every LFO and add its output to this frame's offsets (after updateModulation() reset them).
+  function updateLfos(tNow, dt){
+    const beats = bpmBeatPosition(tNow);
+    for (const l of lfos){
+      l.t += dt * l.hz;
+      const x = (l.rate === 'free' ? l.t : beats / (4 * Number(l.rate))) + l.phase / 360;
+      const target = l.on ? lfoShapeValue(l, x) : 0;
+      const k = LFO_SMOOTHING[l.dst] ?? 1;
+      l.value += (1 - Math.pow(1 - k, frameStep)) * (target - l.value);
+      if (!l.on) continue;
+      const tgt = MOD_TARGETS.find(t => t.id === l.dst);
+      modOffsets[l.dst] += l.value * l.depth / 100 * (tgt ? tgt.span : 100);
+    }
+  }
+
+  function lfosForState(){
+    return lfos.map(({t, cycle, held, value, ...l}) => ({...l}));
+  }
+
+  function addLfo(l){
+    if (lfos.length >= LFO_MAX) return;
+    lfos.push(normalizeLfo(l));
+    refreshLfos();
+  }
+
+  function removeLfo(i){
+    if (i < 0 || i >= lfos.length) return;
+    lfos.splice(i, 1);
+    refreshLfos();
+  }
+
+  function setLfoValue(i, key, value){
+    const l = lfos[i];
+    if (!l) return;
+    const next = normalizeLfo({...l, [key]: value});
+    for (const k of ['t', 'cycle', 'held', 'value']) next[k] = l[k];
+    lfos[i] = next;
+    syncLfoDom(document);
+  }
+
+// Build the LFO editor into a document (main panel or pop-out), in the same row layout as the
+// modulation matrix. Controls send remote commands so both windows share one code path.
+  function renderLfos(d){
+    const list = d?.getElementById('lfoList');
+    if (!list) return;
+    const opt = (items, sel) => items.map(it => `<option value="${it.id}"${it.id === sel ? ' selected' : ''}>${it.label}</option>`).join('');
+    const slider = (k, label, min, max, step) =>
+      `<div class="slider"><label>${label}</label><input data-k="${k}" type="range" min="${min}" max="${max}" step="${step}" /><output data-out="${k}"></output></div>`;
+
+    list.innerHTML = lfos.map((l, i) => `
+      <div class="modRow" data-lfo="${i}">
+        <div class="row">
+          <button class="toggle" data-k="on" type="button">On</button>
+          <select data-k="shape" aria-label="Shape">${opt(LFO_SHAPES, l.shape)}</select>
+          <span class="hint">→</span>
+          <select data-k="dst" aria-label="Target">${opt(LFO_TARGETS, l.dst)}</select>
+          <select data-k="rate" aria-label="Rate">${opt(LFO_RATES, l.rate)}</select>
+          <div class="meter modMeter" aria-label="Output"><div class="meterFill" data-env></div></div>
+          <button data-k="remove" type="button" title="Remove LFO">✕</button>
+        </div>
+        <div class="sliders">
+          ${slider('hz', 'Rate (Hz)', 0.05, 10, 0.05)}
+          ${slider('depth', 'Depth', -100, 100, 1)}
+          ${slider('phase', 'Phase', 0, 359, 1)}
+        </div>
+      </div>`).join('') || '<div class="hint">No LFOs. Add one to sweep Size, Speed, Brightness, Trails, Motion or Hue in time with the BPM.</div>';
+
+    list.querySelectorAll('.modRow').forEach((row) => {
+      const i = Number(row.getAttribute('data-lfo'));
+      row.querySelectorAll('[data-k]').forEach((el) => {
+        const key = el.getAttribute('data-k');
+        if (key === 'remove'){
+          el.addEventListener('click', () => applyRemoteCommand({type:'removeLfo', index: i}));
+        } else if (key === 'on'){
+          el.addEventListener('click', () => applyRemoteCommand({type:'setLfo', index: i, key, value: !lfos[i]?.on}));
+        } else if (el.tagName === 'SELECT'){
+          el.addEventListener('change', () => applyRemoteCommand({type:'setLfo', index: i, key, value: el.value}));
+        } else {
+          el.addEventListener('input', () => applyRemoteCommand({type:'setLfo', index: i, key, value: parseFloat(el.value)}));
+        }
+      });
+    });
+
+    syncLfoDom(d);
+  }
+
+// Push current LFO values into an already-rendered editor (re-renders if the count changed).
+  function syncLfoDom(d, list=lfos){
+    const el = d?.getElementById('lfoList');
+    if (!el) return;
+    const rows = el.querySelectorAll('.modRow');
+    if (rows.length !== list.length){ renderLfos(d); return; }
+
+    const fmt = { hz: v => `${v.toFixed(2)} Hz`, depth: v => (v > 0 ? '+' : '') + v + '%', phase: v => `${v}°` };
+    rows.forEach((row, i) => {
+      const l = list[i];
+      row.querySelector('[data-k="on"]')?.classList.toggle('on', !!l.on);
+      row.classList.toggle('off', !l.on);
+      for (const k of ['shape', 'dst', 'rate']){
+        const sel = row.querySelector(`[data-k="${k}"]`);
+        if (sel && sel.value !== l[k]) sel.value = l[k];
+      }
+      for (const k of Object.keys(fmt)){
+        const input = row.querySelector(`[data-k="${k}"]`);
+        if (input && Number(input.value) !== l[k]) input.value = String(l[k]);
+        const out = row.querySelector(`[data-out="${k}"]`);
+        if (out) out.textContent = fmt[k](l[k]);
+      }
+      const hz = row.querySelector('[data-k="hz"]');
+      if (hz) hz.disabled = l.rate !== 'free';
+    });
+    const add = d.getElementById('btnLfoAdd');
+    if (add) add.disabled = list.length >= LFO_MAX;
+  }
+
+// Output meters (bipolar, centered at half width), updated every frame.
+  function updateLfoMeters(d, values){
+    const list = d?.getElementById('lfoList');
+    if (!list) return;
+    const fills = list.querySelectorAll('[data-env]');
+    fills.forEach((el, i) => { el.style.width = `${Math.round(clamp(((values[i] || 0) + 1) / 2, 0, 1)*100)}%`; });
+  }
+
+  function refreshLfos(){
+    renderLfos(document);
+    if (isPopupOpen()){
+      try { renderLfos(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  ui.btnLfoAdd?.addEventListener('click', () => applyRemoteCommand({type:'addLfo'}));
+  renderLfos(document);
+
+// =====================
+// Auto color strategies
+// =====================
+// Every automatic color change (Beat DJ Auto Color, BPM mode, the band "Auto color" action)
+// goes through autoColorChange(), which follows the selected strategy. Palette strategies
+// draw from the chosen palette; generated ones (harmonies, hue rotation, centroid) make
+// saturated colors, and "Stay in palette" snaps those to the nearest palette color so a
+// show can keep to a band's or event's colors.
+
+  const COLOR_STRATEGIES = [
+    { id: 'random',        label: 'Random from palette' },
+    { id: 'step',          label: 'Step through palette' },
+    { id: 'complementary', label: 'Complementary pair' },
+    { id: 'triadic',       label: 'Triadic pair' },
+    { id: 'analogous',     label: 'Analogous pair' },
+    { id: 'rotate',        label: 'Rotate hue' },
+    { id: 'centroid',      label: 'Follow the sound' },
+  ];
+  // Hue offset of color B for the pair strategies.
+  const COLOR_PAIR_OFFSET = { complementary: 180, triadic: 120, analogous: 30 };
+  const COLOR_HUE_STEPS = [10, 15, 30, 45, 60, 90, 120, 180];
+
+  const BUILTIN_PALETTES = Object.freeze([
+    { name: 'Primaries', colors: PALETTE },
+    { name: 'Warm',      colors: ['#ff1a00', '#ff6a00', '#ffb300', '#ff0066', '#ffffff'].map(hexToRgb) },
+    { name: 'Cool',      colors: ['#00e5ff', '#0077ff', '#6a00ff', '#00ffa2', '#ffffff'].map(hexToRgb) },
+    { name: 'Neon',      colors: ['#ff00c8', '#00fff0', '#b6ff00', '#fff200', '#8c00ff'].map(hexToRgb) },
+  ]);
+
+  // Saved with the show.
+  const colorAuto = {
+    strategy: 'random',
+    palette: 'Primaries',   // palette name
+    hueStep: 30,            // degrees per change for 'rotate'
+    lock: false,            // snap generated colors to the palette
+  };
+  let colorAutoIdx = -1;    // position for 'step'
+  let colorAutoHue = 0;     // running hue for 'rotate'
+  let colorCentroid = 0;    // smoothed spectral centroid for 'centroid'
+  let userPalettes = [];    // [{ name, colors: [{r,g,b}] }], see Palettes and swatches
+
+  const colorPalettes = () => [...BUILTIN_PALETTES, ...userPalettes];
+  const paletteColors = () => (colorPalettes().find(p => p.name === colorAuto.palette) || BUILTIN_PALETTES[0]).colors;
+
+// Centroid (0..1 of the spectrum, mostly under 0.3) -> hue: dark/bassy red through to bright violet.
+  const centroidHue = (c) => 270 * clamp((c - 0.02) / 0.25, 0, 1);
+
+// Per analysed frame (cheap): follow the centroid slowly so the hue doesn't flicker.
+  function updateColorCentroid(centroid){
+    colorCentroid += 0.05 * ((centroid || 0) - colorCentroid);
+  }
+
+// The next A/B pair for the current strategy. b === null leaves B as it is.
+  function nextAutoColors(a, b){
+    const colors = paletteColors();
+    const snap = (c) => colorAuto.lock ? nearestColor(c, colors) : c;
+    const hueOf = (c) => rgbToHsv(c).h;
+    switch (colorAuto.strategy){
+      case 'step': {
+        colorAutoIdx = (colorAutoIdx + 1) % colors.length;
+        const next = colors[(colorAutoIdx + 1) % colors.length];
+        return { a: rgb(colors[colorAutoIdx].r, colors[colorAutoIdx].g, colors[colorAutoIdx].b), b: rgb(next.r, next.g, next.b) };
+      }
+      case 'complementary':
+      case 'triadic':
+      case 'analogous': {
+        // A new base hue at least 40° from the current one, B at the pair offset.
+        const h = (hueOf(a) + 40 + Math.random() * 280) % 360;
+        return { a: snap(hsvToRgb(h, 1, 1)), b: snap(hsvToRgb(h + COLOR_PAIR_OFFSET[colorAuto.strategy], 1, 1)) };
+      }
+      case 'rotate': {
+        colorAutoHue = (colorAutoHue + colorAuto.hueStep) % 360;
+        const offset = rgbToHsv(b).s > 0.1 ? hueOf(b) - hueOf(a) : 180;
+        return { a: snap(hsvToRgb(colorAutoHue, 1, 1)), b: snap(hsvToRgb(colorAutoHue + offset, 1, 1)) };
+      }
+      case 'centroid': {
+        const h = centroidHue(colorCentroid);
+        return { a: snap(hsvToRgb(h, 1, 1)), b: snap(hsvToRgb(h + 180, 1, 1)) };
+      }
+      default:
+        return { a: randomBrightColor(colors), b: null };
+    }
+  }
+
+// One automatic color change, keeping A and B apart in multicolor mode.
+  function autoColorChange(){
+    const next = nextAutoColors(presetColor, multiColorClr);
+    presetColor = next.a;
+    if (next.b) multiColorClr = next.b;
+    if (multiColor && distSq(multiColorClr, presetColor) < 80*80) multiColorClr = contrastingColor(presetColor, paletteColors());
+    updateColorReadout();
+  }
+
+  function setColorAutoOption(key, value){
+    if (key === 'strategy' && COLOR_STRATEGIES.some(s => s.id === value)) colorAuto.strategy = value;
+    else if (key === 'palette' && colorPalettes().some(p => p.name === value)){
+      colorAuto.palette = value;
+      colorAutoIdx = -1;
+    }
+    else if (key === 'hueStep' && COLOR_HUE_STEPS.includes(+value)) colorAuto.hueStep = +value;
+    else if (key === 'lock') colorAuto.lock = !!value;
+  }
+
+// Wire the auto color pickers in a document (main panel or pop-out).
+  function bindColorAutoControls(d){
+    const $d = (id) => d?.getElementById(id);
+    for (const [id, key] of [['colorStrategy', 'strategy'], ['colorPalette', 'palette'], ['colorHueStep', 'hueStep']]){
+      const sel = $d(id);
+      sel?.addEventListener('change', () => applyRemoteCommand({type:'colorAuto', key, value: sel.value}));
+    }
+    $d('btnColorLock')?.addEventListener('click', () => applyRemoteCommand({type:'colorAuto', key: 'lock', value: !colorAuto.lock}));
+    syncColorAutoDom(d);
+  }
+
+  function syncColorAutoDom(d, st=colorAuto, paletteNames=colorPalettes().map(p => p.name)){
+    if (!d) return;
+    const pal = d.getElementById('colorPalette');
+    if (pal){
+      const opts = paletteNames.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+      if (pal.getAttribute('data-sig') !== opts){
+        pal.innerHTML = opts;
+        pal.setAttribute('data-sig', opts);
+      }
+      if (pal.value !== st.palette) pal.value = st.palette;
+    }
+    const strat = d.getElementById('colorStrategy');
+    if (strat && strat.value !== st.strategy) strat.value = st.strategy;
+    const step = d.getElementById('colorHueStep');
+    if (step && step.value !== String(st.hueStep)) step.value = String(st.hueStep);
+    if (step) step.disabled = st.strategy !== 'rotate';
+    d.getElementById('btnColorLock')?.classList.toggle('on', !!st.lock);
+  }
+
+  function refreshColorAuto(){
+    syncColorAutoDom(document);
+    if (isPopupOpen()){
+      try { syncColorAutoDom(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  bindColorAutoControls(document);
+
+// =====================
+// Palettes and swatches
+// =====================
+// The palette chosen for auto color (colorAuto.palette) is the show's palette: its colors
+// are the quick-tap color grid, followed by Rnd (a random color from it), and the color
+// chase and presets (via paletteColors()) draw from it too. Primaries is the classic
+// R/Y/G/C/B/M/W row. The built-in palettes are fixed; user palettes can be any length and
+// are saved with the show. Saved swatches are personal, like MIDI mappings, so they live in
+// localStorage instead.
+
+  const PALETTE_MAX_COLORS = 32;
+  const SWATCH_MAX = 16;
+  const SWATCH_STORE_KEY = 'projectorLightShow.swatches';
+
+  let swatches = loadSwatches();  // [{r,g,b}], newest first
+
+  const paletteByName = (name) => colorPalettes().find(p => p.name === name) || null;
+  const userPalette = (name=colorAuto.palette) => userPalettes.find(p => p.name === name) || null;
+
+  function loadSwatches(){
+    try {
+      const list = JSON.parse(localStorage.getItem(SWATCH_STORE_KEY) || '[]');
+      return Array.isArray(list) ? list.map(hexToRgb).filter(Boolean).slice(0, SWATCH_MAX) : [];
+    } catch { return []; }
+  }
+
+  function saveSwatches(){
+    try { localStorage.setItem(SWATCH_STORE_KEY, JSON.stringify(swatches.map(rgbToHex))); } catch {}
+  }
+
+// Newest first; saving a color that is already there moves it to the front.
+  function addSwatch(c){
+    swatches = [c, ...swatches.filter(s => distSq(s, c) > 0)].slice(0, SWATCH_MAX);
+    saveSwatches();
+  }
+
+  function clearSwatches(){
+    swatches = [];
+    saveSwatches();
+  }
+
+// Palette names stay unique (built-ins included): the show file refers to them by name.
+  function uniquePaletteName(name){
+    const base = String(name || '').trim() || `Palette ${userPalettes.length + 1}`;
+    let label = base;
+    for (let n=2; paletteByName(label); n++) label = `${base} ${n}`;
+    return label;
+  }
+
+// New palettes start as a copy of the active one.
+  function addPalette(name){
+    const p = { name: uniquePaletteName(name), colors: paletteColors().map(c => rgb(c.r, c.g, c.b)) };
+    userPalettes.push(p);
+    setColorAutoOption('palette', p.name);
+    const clear = (d) => { const el = d?.getElementById('paletteName'); if (el) el.value = ''; };
+    clear(document);
+    try { if (isPopupOpen()) clear(popupWin.document); } catch {}
+  }
+
+  function removePalette(){
+    const p = userPalette();
+    if (!p) return;
+    userPalettes.splice(userPalettes.indexOf(p), 1);
+    setColorAutoOption('palette', BUILTIN_PALETTES[0].name);
+  }
+
+// Only user palettes can be edited; a palette keeps at least one color.
+  function addPaletteColor(c){
+    const p = userPalette();
+    if (!p || p.colors.length >= PALETTE_MAX_COLORS) return;
+    p.colors.push(rgb(c.r, c.g, c.b));
+  }
+
+  function removePaletteColor(c){
+    const p = userPalette();
+    if (!p || p.colors.length <= 1) return;
+    const i = p.colors.findIndex(x => distSq(x, c) === 0);
+    if (i >= 0) p.colors.splice(i, 1);
+  }
+
+  const targetColor = () => colorTarget === 'A' ? presetColor : multiColorClr;
+
+  function palettesForState(){
+    return {
+      editable: !!userPalette(),
+      colors: paletteColors().map(rgbToHex),
+      swatches: swatches.map(rgbToHex),
+    };
+  }
+
+// Clicks on the color and swatch grids set the target color (buttons carry data-rgb, so MIDI
+// Learn can map them too). The main panel's color grid keeps B apart from A in multicolor
+// mode, as its quick-tap buttons always have, with another color from the palette.
+  function onColorGridClick(e, keepApart=false){
+    const btn = e.target?.closest?.('button.colorBtn');
+    if (!btn) return;
+    const parts = (btn.dataset.rgb || '').split(',').map(v => parseInt(v, 10));
+    const c = btn.dataset.random ? randomBrightColor(paletteColors()) : (parts.length === 3 ? rgb(parts[0] || 0, parts[1] || 0, parts[2] || 0) : null);
+    if (!c) return;
+    applyRemoteCommand({type:'setColor', target: colorTarget, rgb: c});
+    if (keepApart && multiColor && distSq(multiColorClr, presetColor) < 80*80){
+      multiColorClr = contrastingColor(presetColor, paletteColors());
+      updateToggles();
+    }
+  }
+
+// Wire the picker, palette and swatch controls in a document (main panel or pop-out).
+  function bindPaletteControls(d){
+    const $d = (id) => d?.getElementById(id);
+    const setTarget = (c) => { if (c) applyRemoteCommand({type:'setColor', target: colorTarget, rgb: c}); };
+    const pick = $d('colorPick');
+    pick?.addEventListener('input', () => setTarget(hexToRgb(pick.value)));
+    const hex = $d('colorHex');
+    hex?.addEventListener('change', () => {
+      const raw = hex.value.trim().replace(/^#?([0-9a-f])([0-9a-f])([0-9a-f])$/i, '#$1$1$2$2$3$3');
+      const c = hexToRgb(raw);
+      if (c) setTarget(c);
+      else syncColorPickerDom(d, targetColor());
+    });
+    for (const id of ['colorH', 'colorS', 'colorV']){
+      $d(id)?.addEventListener('input', () => {
+        setTarget(hsvToRgb(+$d('colorH').value, $d('colorS').value / 100, $d('colorV').value / 100));
+      });
+    }
+    const nameEl = $d('paletteName');
+    $d('btnPaletteAdd')?.addEventListener('click', () => applyRemoteCommand({type:'paletteAdd', name: nameEl ? nameEl.value : ''}));
+    $d('btnPaletteDel')?.addEventListener('click', () => applyRemoteCommand({type:'paletteRemove'}));
+    $d('btnPaletteAddColor')?.addEventListener('click', () => applyRemoteCommand({type:'paletteColor', add: true, rgb: {...targetColor()}}));
+    $d('btnPaletteRemoveColor')?.addEventListener('click', () => applyRemoteCommand({type:'paletteColor', add: false, rgb: {...targetColor()}}));
+    $d('btnSwatchSave')?.addEventListener('click', () => applyRemoteCommand({type:'swatchSave', rgb: {...targetColor()}}));
+    $d('btnSwatchClear')?.addEventListener('click', () => applyRemoteCommand({type:'swatchClear'}));
+    $d('colorGrid')?.addEventListener('click', (e) => onColorGridClick(e, d === document));
+    $d('swatchGrid')?.addEventListener('click', (e) => onColorGridClick(e));
+    syncPaletteDom(d);
+    syncColorPickerDom(d, targetColor());
+  }
+
+  const colorBtnsHTML = (hexes) => hexes.map((h) => {
+    const c = hexToRgb(h);
+    return `<button class="colorBtn" type="button" title="${h}" data-rgb="${c.r},${c.g},${c.b}" style="background:${h}"></button>`;
+  }).join('');
+
+// The quick-tap color grid: the palette's colors, then Rnd.
+  const colorGridHTML = (hexes) => colorBtnsHTML(hexes) + `<button class="colorBtn" type="button" title="Random color from the palette" data-random="1">Rnd</button>`;
+
+  function syncPaletteDom(d, st=palettesForState()){
+    if (!d) return;
+    for (const [id, hexes, html] of [['colorGrid', st.colors, colorGridHTML], ['swatchGrid', st.swatches, colorBtnsHTML]]){
+      const grid = d.getElementById(id);
+      const sig = hexes.join();
+      if (!grid || grid.getAttribute('data-sig') === sig) continue;
+      grid.innerHTML = html(hexes);
+      grid.setAttribute('data-sig', sig);
+    }
+    for (const id of ['btnPaletteDel', 'btnPaletteAddColor', 'btnPaletteRemoveColor']){
+      const b = d.getElementById(id);
+      if (b) b.disabled = !st.editable;
+    }
+    const clear = d.getElementById('btnSwatchClear');
+    if (clear) clear.disabled = !st.swatches.length;
+    const info = d.getElementById('paletteInfo');
+    if (info) info.textContent = st.editable ? `${st.colors.length} color${st.colors.length === 1 ? '' : 's'}` : 'Built-in (New palette makes an editable copy)';
+  }
+
+// Mirror a color into the picker. HSV sliders are left alone while they already describe it,
+// so dragging saturation to 0 doesn't snap the hue slider back to red.
+  function syncColorPickerDom(d, c){
+    if (!d || !c) return;
+    const hex = rgbToHex(c);
+    const pick = d.getElementById('colorPick');
+    if (pick && pick.value !== hex) pick.value = hex;
+    const hexEl = d.getElementById('colorHex');
+    if (hexEl && d.activeElement !== hexEl && hexEl.value !== hex) hexEl.value = hex;
+    const [h, s, v] = ['colorH', 'colorS', 'colorV'].map(id => d.getElementById(id));
+    if (!h || !s || !v) return;
+    if (distSq(hsvToRgb(+h.value, s.value / 100, v.value / 100), c) > 12){
+      const hsv = rgbToHsv(c);
+      h.value = String(Math.round(hsv.h) % 360);
+      s.value = String(Math.round(hsv.s * 100));
+      v.value = String(Math.round(hsv.v * 100));
+    }
+    const out = (id, text) => { const el = d.getElementById(id + 'Out'); if (el) el.textContent = text; };
+    out('colorH', `${h.value}°`);
+    out('colorS', `${s.value}%`);
+    out('colorV', `${v.value}%`);
+  }
+
+  function refreshPalettes(){
+    syncPaletteDom(document);
+    syncColorAutoDom(document);
+    if (isPopupOpen()){
+      try {
+        syncPaletteDom(popupWin.document);
+        syncColorAutoDom(popupWin.document);
+      } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  bindPaletteControls(document);
+
+// =====================
+// Preset pools
+// =====================
+// A pool is a named set of presets, each with a weight (1..POOL_WEIGHT_MAX; presets not in
+// the pool have no entry), plus an order mode. Beat DJ, BPM mode, band triggers and random
+// sequencer steps all pick from the active pool; a build-up/drop phase can swap in another
+// one (see "Build-ups and drops"). The defaults are seeded from preset tags.
+
+  const POOL_ORDERS = [
+    { id: 'random',     label: 'Random (weighted)' },
+    { id: 'shuffle',    label: 'Shuffle, no repeats' },
+    { id: 'sequential', label: 'Sequential' },
+  ];
+  const POOL_WEIGHT_MAX = 5;
+
+  // Presets tagged 'noauto' (e.g. Mouse Spot and Solid) start out of every pool.
+  const autoPresetIds = (tag) => presetRegistry
+    .filter(p => !p.tags.includes('noauto') && (!tag || p.tags.includes(tag)))
+    .map(p => p.id);
+
+  function makePool(name, ids, order='random'){
+    return { name, order, weights: Object.fromEntries(ids.map(id => [id, 1])) };
+  }
+
+  let presetPools = [
+    makePool('All', autoPresetIds()),
+    makePool('Chill', autoPresetIds('calm'), 'shuffle'),
+    makePool('Peak', autoPresetIds('peak'), 'shuffle'),
+  ];
+  let poolIdx = 0;
+  // Shuffle bag / sequential position per pool (not saved; dropped whenever a pool changes).
+  const poolRuntime = new WeakMap();
+
+  const currentPool = () => presetPools[poolIdx] || presetPools[0];
+  const poolByName = (name) => presetPools.find(p => p.name === name) || null;
+
+// Ids in the pool, in preset (UI) order; presets that aren't loaded are skipped.
+  function poolIds(pool){
+    return presetRegistry.map(p => p.id).filter(id => pool.weights[id] > 0);
+  }
+
+  function normalizePool(p, i=0){
+    const weights = {};
+    for (const [id, w] of Object.entries(p?.weights || {})){
+      if (presetIndexOf(id) >= 0 && Number.isFinite(+w) && +w > 0) weights[id] = clamp(Math.round(+w), 1, POOL_WEIGHT_MAX);
+    }
+    return {
+      name: String(p?.name || '').trim() || `Pool ${i + 1}`,
+      order: POOL_ORDERS.some(o => o.id === p?.order) ? p.order : 'random',
+      weights,
+    };
+  }
+
+// Next preset id from a pool. An empty pool falls back to every auto preset. Random order
+// skips `avoid` (the preset showing) when there is another choice; shuffle and sequential
+// keep their own order.
+  function pickFromPool(pool, avoid=null){
+    const ids = poolIds(pool);
+    if (!ids.length){
+      const all = autoPresetIds();
+      return all[Math.floor(Math.random() * all.length)];
+    }
+    let rt = poolRuntime.get(pool);
+    if (!rt){
+      rt = { bag: [], pos: -1 };
+      poolRuntime.set(pool, rt);
+    }
+    if (pool.order === 'sequential'){
+      rt.pos = (rt.pos + 1) % ids.length;
+      return ids[rt.pos];
+    }
+    if (pool.order === 'shuffle'){
+      // Each preset comes up `weight` times per round; refill once the round is used up.
+      if (!rt.bag.length){
+        for (const id of ids) for (let k=0;k<pool.weights[id];k++) rt.bag.push(id);
+        for (let i=rt.bag.length-1;i>0;i--){
+          const j = Math.floor(Math.random() * (i + 1));
+          [rt.bag[i], rt.bag[j]] = [rt.bag[j], rt.bag[i]];
+        }
+      }
+      return rt.bag.pop();
+    }
+    const choices = ids.length > 1 ? ids.filter(id => id !== avoid) : ids;
+    let total = 0;
+    for (const id of choices) total += pool.weights[id];
+    let r = Math.random() * total;
+    for (const id of choices){
+      r -= pool.weights[id];
+      if (r < 0) return id;
+    }
+    return choices[choices.length - 1];
+  }
+
+  function pickRandomPresetFromPool(avoid=null){
+    return pickFromPool(phrasePresetPool() || currentPool(), avoid);
+  }
+
+// Edits to the current pool (weight 0 takes a preset out).
+  function setPoolWeight(id, weight){
+    if (presetIndexOf(id) < 0) return;
+    const pool = currentPool();
+    const w = Number.isFinite(+weight) ? clamp(Math.round(+weight), 0, POOL_WEIGHT_MAX) : 0;
+    if (w > 0) pool.weights[id] = w;
+    else delete pool.weights[id];
+    poolRuntime.delete(pool);
+  }
+
+  function setPoolAll(on){
+    const pool = currentPool();
+    pool.weights = on ? Object.fromEntries(autoPresetIds().map(id => [id, pool.weights[id] || 1])) : {};
+    poolRuntime.delete(pool);
+  }
+
+  function setPoolOrder(order){
+    if (!POOL_ORDERS.some(o => o.id === order)) return;
+    currentPool().order = order;
+    poolRuntime.delete(currentPool());
+  }
+
+// Pool names stay unique: they are how Build / Drop refers to a pool.
+  function uniquePoolName(name, skip=null){
+    const base = String(name || '').trim() || `Pool ${presetPools.length + 1}`;
+    let label = base;
+    for (let n=2; presetPools.some(p => p !== skip && p.name === label); n++) label = `${base} ${n}`;
+    return label;
+  }
+
+  function renamePool(name){
+    const pool = currentPool();
+    const prev = pool.name;
+    pool.name = uniquePoolName(name || prev, pool);
+    for (const k of ['dropPool', 'breakdownPool']) if (phraseActions[k] === prev) phraseActions[k] = pool.name;
+  }
+
+// New pools start as a copy of the current one.
+  function addPool(name){
+    const src = currentPool();
+    presetPools.push({ name: uniquePoolName(name), order: src.order, weights: {...src.weights} });
+    poolIdx = presetPools.length - 1;
+    clearPoolNameFields();
+  }
+
+  function removePool(i){
+    if (presetPools.length <= 1 || i < 0 || i >= presetPools.length) return;
+    const [gone] = presetPools.splice(i, 1);
+    for (const k of ['dropPool', 'breakdownPool']) if (phraseActions[k] === gone.name) phraseActions[k] = '';
+    poolIdx = Math.min(poolIdx, presetPools.length - 1);
+  }
+
+  function selectPool(i){
+    if (Number.isInteger(i) && i >= 0 && i < presetPools.length) poolIdx = i;
+  }
+
+  function clearPoolNameFields(){
+    if (ui.poolName) ui.poolName.value = '';
+    try { const el = isPopupOpen() && popupWin.document.getElementById('poolName'); if (el) el.value = ''; } catch {}
+  }
+
+  function poolsForState(){
+    return {
+      list: presetPools.map(p => ({ name: p.name, order: p.order, weights: {...p.weights} })),
+      idx: poolIdx,
+    };
+  }
+
+// Wire the static pool controls in a document (main panel or pop-out).
+  function bindPoolControls(d){
+    const $d = (id) => d?.getElementById(id);
+    const nameEl = $d('poolName');
+    $d('btnPoolAdd')?.addEventListener('click', () => applyRemoteCommand({type:'poolAdd', name: nameEl ? nameEl.value : ''}));
+    $d('btnPoolDel')?.addEventListener('click', () => applyRemoteCommand({type:'poolRemove'}));
+    $d('btnPoolAll')?.addEventListener('click', () => applyRemoteCommand({type:'poolAll', on: true}));
+    $d('btnPoolNone')?.addEventListener('click', () => applyRemoteCommand({type:'poolAll', on: false}));
+    $d('btnPoolRename')?.addEventListener('click', () => applyRemoteCommand({type:'poolRename', name: nameEl ? nameEl.value : ''}));
+    const sel = $d('poolSel');
+    sel?.addEventListener('change', () => applyRemoteCommand({type:'poolSelect', index: Number(sel.value)}));
+    const order = $d('poolOrder');
+    order?.addEventListener('change', () => applyRemoteCommand({type:'poolOrder', value: order.value}));
+    renderPools(d);
+  }
+
+// Build the pool picker and the preset tick list (with weights) into a document.
+  function renderPools(d, ps=poolsForState()){
+    const list = d?.getElementById('poolList');
+    const sel = d?.getElementById('poolSel');
+    const pool = ps.list[ps.idx] || ps.list[0];
+    if (sel){
+      sel.innerHTML = ps.list.map((p, i) => `<option value="${i}"${i === ps.idx ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('');
+    }
+    const order = d?.getElementById('poolOrder');
+    if (order && order.value !== pool.order) order.value = pool.order;
+    const info = d?.getElementById('poolInfo');
+    if (info){
+      const n = Object.keys(pool.weights).length;
+      info.textContent = n ? `${n} preset${n === 1 ? '' : 's'}` : 'Empty: picks from every preset';
+    }
+    if (!list) return;
+    const weightOpts = (w) => Array.from({length: POOL_WEIGHT_MAX}, (_, k) => `<option value="${k + 1}"${k + 1 === w ? ' selected' : ''}>×${k + 1}</option>`).join('');
+    list.innerHTML = presetRegistry.map((p, i) => {
+      const w = pool.weights[p.id] || 0;
+      return `
+      <div class="cueItem" data-preset="${escapeHtml(p.id)}">
+        <button class="toggle${w ? ' on' : ''}" data-k="on" type="button">${escapeHtml(presetLabel(i))}</button>
+        <select data-k="weight" aria-label="${escapeHtml(presetLabel(i))} weight"${w ? '' : ' disabled'}>${weightOpts(w || 1)}</select>
+      </div>`;
+    }).join('');
+    list.querySelectorAll('[data-preset]').forEach((row) => {
+      const id = row.getAttribute('data-preset');
+      const w = pool.weights[id] || 0;
+      row.querySelector('[data-k="on"]')?.addEventListener('click', () => applyRemoteCommand({type:'poolSet', id, weight: w ? 0 : 1}));
+      const wSel = row.querySelector('[data-k="weight"]');
+      wSel?.addEventListener('change', () => applyRemoteCommand({type:'poolSet', id, weight: Number(wSel.value)}));
+    });
+    list.setAttribute('data-sig', JSON.stringify(ps));
+  }
+
+// Re-render only when the pools changed.
+  function syncPoolDom(d, ps){
+    const list = d?.getElementById('poolList');
+    if (!list || list.getAttribute('data-sig') === JSON.stringify(ps)) return;
+    renderPools(d, ps);
+  }
+
+  function refreshPools(){
+    renderPools(document);
+    if (isPopupOpen()){
+      try { renderPools(popupWin.document); } catch {}
+    }
+    refreshPhrase();
+  }
+
+  bindPoolControls(document);
+
+// Beat callback: optionally change colors and/or presets depending on toggles.
+// count: beat number from a beat grid; live beats count themselves in beatCount.
+  function onBeat(tNow, count=null){
+    if (count == null) count = ++beatCount;
+    lastBeatFlash = tNow;
+
+    if (beatAutoColor) autoColorChange();
+
+    if (beatAutoPreset && (count % Math.max(1, beatEveryN) === 0)) changePresetFromPool();
+  }
+
+// Switch to the pool's next preset (a random pick avoids the one already showing).
+  function changePresetFromPool(){
+    selectPreset(pickRandomPresetFromPool(presetIdAt(presetNumber)), {user:false});
+  }
+
+// =====================
+// Band triggers (kick / snare / hi-hat)
+// =====================
+// Three independent onset detectors on low/mid/high bands, each with its own sensitivity
+// and cooldown. A hit runs the band's action; "preset every N" additionally changes preset
+// on every Nth hit of that band.
+
+  const BANDS = [
+    { id: 'low',  label: 'Kick',   lo: 30,   hi: 150 },
+    { id: 'mid',  label: 'Snare',  lo: 180,  hi: 4000 },
+    { id: 'high', label: 'Hi-hat', lo: 6000, hi: 16000 },
+  ];
+
+  const BAND_ACTIONS = [
+    { id: 'none',   label: 'Nothing' },
+    { id: 'color',  label: 'Auto color' },
+    { id: 'chase',  label: 'Color chase' },
+    { id: 'strobe', label: 'Strobe flash' },
+    { id: 'preset', label: 'Next preset' },
+    { id: 'beat',   label: 'Beat DJ beat' },
+  ];
+
+  const BAND_EVERY = [0, 1, 2, 4, 8, 16];   // 0 = off
+  const BAND_STROBE_MS = 90;
+
+  // Per-band settings (saved) + runtime detector state.
+  const bandTriggers = {
+    low:  { action: 'color',  presetEvery: 4, sens: 65, cooldownMs: 220 },
+    mid:  { action: 'strobe', presetEvery: 0, sens: 60, cooldownMs: 160 },
+    high: { action: 'chase',  presetEvery: 0, sens: 55, cooldownMs: 90 },
+  };
+  const bandRuntime = Object.fromEntries(BANDS.map(b => [b.id, { det: new BeatDetector(), energy: 0, lastHit: -1e9, hits: 0 }]));
+  let chaseIdx = 0;
+
+  function normalizeBandTrigger(id, t={}){
+    const prev = bandTriggers[id];
+    const num = (v, lo, hi, d) => Number.isFinite(+v) ? clamp(Math.round(+v), lo, hi) : d;
+    return {
+      action: BAND_ACTIONS.some(a => a.id === t.action) ? t.action : prev.action,
+      presetEvery: BAND_EVERY.includes(+t.presetEvery) ? +t.presetEvery : prev.presetEvery,
+      sens: num(t.sens, 0, 100, prev.sens),
+      cooldownMs: num(t.cooldownMs, 40, 600, prev.cooldownMs),
+    };
+  }
+
+  function setBandValue(id, key, value){
+    if (!bandTriggers[id]) return;
+    bandTriggers[id] = normalizeBandTrigger(id, {...bandTriggers[id], [key]: value});
+    if (key === 'sens' || key === 'cooldownMs') bandRuntime[id].det.reset();
+  }
+
+// Step color A through the palette (B trails two steps behind).
+  function advanceChase(){
+    const colors = paletteColors();
+    chaseIdx = (chaseIdx + 1) % colors.length;
+    presetColor = {...colors[chaseIdx]};
+    multiColorClr = {...colors[(chaseIdx + colors.length - 2) % colors.length]};
+    updateColorReadout();
+  }
+
+  function runBandAction(action, tNow){
+    switch (action){
+      case 'color': autoColorChange(); break;
+      case 'chase': advanceChase(); break;
+      case 'strobe':
+        strobeBurstLevel = 100;
+        strobeBurstUntil = tNow + BAND_STROBE_MS;
+        break;
+      case 'preset': selectPreset(pickRandomPresetFromPool(), {user:false}); break;
+      case 'beat': onBeat(tNow); break;
+    }
+  }
+
+// Per frame: band energies (already scaled by Mic Sensitivity) -> hits -> actions.
+  function updateBandTriggers(bands, tNow){
+    for (const b of BANDS){
+      const cfg = bandTriggers[b.id];
+      const rt = bandRuntime[b.id];
+      rt.energy = clamp((bands[b.id] || 0) * micGain, 0, 1);
+      if (!rt.det.update(rt.energy, tNow, cfg.sens / 100, cfg.cooldownMs)) continue;
+      rt.lastHit = tNow;
+      rt.hits++;
+      if (!bandTriggersOn) continue;
+      runBandAction(cfg.action, tNow);
+      if (cfg.presetEvery && rt.hits % cfg.presetEvery === 0) selectPreset(pickRandomPresetFromPool(), {user:false});
+    }
+  }
+
+  function bandsForState(){
+    return BANDS.map(b => ({ id: b.id, ...bandTriggers[b.id] }));
+  }
+
+  function bandMetersForState(tNow=nowMs()){
+    return BANDS.map(b => ({ energy: bandRuntime[b.id].energy, beatAgeMs: tNow - bandRuntime[b.id].lastHit }));
+  }
+
+// Build the band rows (meter + beat dot, action, preset every N, sensitivity, cooldown).
+  function renderBandTriggers(d){
+    const list = d?.getElementById('bandList');
+    if (!list) return;
+    const opt = (items, sel) => items.map(it => `<option value="${it.id}"${it.id === sel ? ' selected' : ''}>${it.label}</option>`).join('');
+    const everyOpts = BAND_EVERY.map(n => ({ id: n, label: n ? `Preset every ${n}` : 'No preset' }));
+    const slider = (k, label, min, max, step) =>
+      `<div class="slider"><label>${label}</label><input data-k="${k}" type="range" min="${min}" max="${max}" step="${step}" /><output data-out="${k}"></output></div>`;
+
+    list.innerHTML = BANDS.map((b) => `
+      <div class="modRow" data-band="${b.id}">
+        <div class="row">
+          <span class="bandLabel">${b.label}</span>
+          <div class="meter modMeter" aria-label="${b.label} level">
+            <div class="meterFill" data-fill></div>
+            <div class="meterBeat" data-dot title="${b.label} hit"></div>
+          </div>
+          <select data-k="action" aria-label="${b.label} action">${opt(BAND_ACTIONS, bandTriggers[b.id].action)}</select>
+          <select data-k="presetEvery" aria-label="${b.label} preset change">${opt(everyOpts, bandTriggers[b.id].presetEvery)}</select>
+        </div>
+        <div class="sliders">
+          ${slider('sens', 'Sensitivity', 0, 100, 1)}
+          ${slider('cooldownMs', 'Cooldown', 40, 600, 5)}
+        </div>
+      </div>`).join('');
+
+    list.querySelectorAll('[data-band]').forEach((row) => {
+      const band = row.getAttribute('data-band');
+      row.querySelectorAll('[data-k]').forEach((el) => {
+        const key = el.getAttribute('data-k');
+        const ev = el.tagName === 'SELECT' ? 'change' : 'input';
+        el.addEventListener(ev, () => applyRemoteCommand({type:'setBand', band, key, value: el.value}));
+      });
+    });
+    syncBandDom(d);
+  }
+
+  function syncBandDom(d, bands=bandsForState()){
+    const list = d?.getElementById('bandList');
+    if (!list) return;
+    const fmt = { sens: v => String(v), cooldownMs: v => `${v}ms` };
+    for (const b of bands){
+      const row = list.querySelector(`[data-band="${b.id}"]`);
+      if (!row) continue;
+      for (const k of ['action', 'presetEvery', 'sens', 'cooldownMs']){
+        const el = row.querySelector(`[data-k="${k}"]`);
+        if (el && String(el.value) !== String(b[k])) el.value = String(b[k]);
+        const out = row.querySelector(`[data-out="${k}"]`);
+        if (out && fmt[k]) out.textContent = fmt[k](b[k]);
+      }
+    }
+    d.getElementById('btnBands')?.classList.toggle('on', bandTriggersOn);
+  }
+
+// Band meters + beat dots (cheap, every frame).
+  function updateBandMeters(d, meters=bandMetersForState()){
+    const list = d?.getElementById('bandList');
+    if (!list) return;
+    list.querySelectorAll('[data-band]').forEach((row, i) => {
+      const m = meters[i];
+      if (!m) return;
+      const fill = row.querySelector('[data-fill]');
+      if (fill) fill.style.width = `${Math.round(clamp(m.energy, 0, 1)*100)}%`;
+      const dot = row.querySelector('[data-dot]');
+      if (dot){
+        const flash = clamp(1 - m.beatAgeMs/140, 0, 1);
+        dot.style.opacity = String(flash);
+        dot.style.background = `rgba(120,255,190,${0.15 + 0.85*flash})`;
+      }
+    });
+  }
+
+  function refreshBandTriggers(){
+    syncBandDom(document);
+    if (isPopupOpen()){
+      try { syncBandDom(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  ui.btnBands?.addEventListener('click', () => applyRemoteCommand({type:'setBand', key: 'on', value: !bandTriggersOn}));
+  renderBandTriggers(document);
+
+// =====================
+// Build-ups and drops
+// =====================
+// PhraseDetector follows the energy trend of the mix over several seconds: a build-up is
+// loudness and high-frequency share rising together, a breakdown is energy sitting well under
+// its long-term level, and a drop is the bass surge that ends either. The cut-out many builds
+// end on ("gap") is reported too, so the beat before the drop can go black. With Build / Drop on,
+// Beat DJ turns those phases into actions (including switching preset pools); a beat grid knows
+// its sections ahead of time and drives the same actions from them.
+
+  const PHRASE_SAMPLE_MS = 250;       // trend history resolution
+  const PHRASE_WINDOW_MS = 8000;      // build-up slope window
+  const PHRASE_WARMUP_MS = 6000;      // no decisions until the levels have settled
+  const PHRASE_BUILD_RISE = 0.35;     // trend score (see trend()) that starts a build-up
+  const PHRASE_LOW_LEVEL = 0.55;      // breakdown: short-term energy below this share of the long-term level...
+  const PHRASE_LOW_MS = 4000;         // ...for this long
+  const PHRASE_GAP_LEVEL = 0.35;      // gap: energy below this share of the build's peak
+  const PHRASE_DROP_BASS = 1.5;       // drop: short-term bass this many times its slow average
+  const PHRASE_DROP_HOLD_MS = 16000;  // how long a drop counts as "the drop"
+  const PHRASE_RAMP_MS = 16000;       // build strobe reaches its full level after this long
+  const PHRASE_GRID_PEAK = 0.6;       // grid section energy (0..1) a drop has to reach
+
+  const PHRASE_LABELS = { normal: 'Normal', build: 'Build-up', breakdown: 'Breakdown', drop: 'Drop' };
+
+  class PhraseDetector {
+    constructor(){ this.reset(); }
+    reset(){
+      this.phase = 'normal';  // 'normal' | 'build' | 'breakdown' | 'drop'
+      this.since = 0;         // when the phase started
+      this.t0 = null;         // first frame seen
+      this.lastT = 0;
+      this.fast = 0;          // ~0.4 s energy
+      this.snap = 0;          // ~0.15 s energy: quick enough to catch a one-beat cut
+      this.ref = 0;           // ~30 s energy: what "normal" loudness is for this set
+      this.hi = 0;            // ~0.4 s high-frequency share
+      this.bassFast = 0;      // ~0.3 s bass
+      this.bassSlow = 0;      // ~4 s bass
+      this.hist = [];         // [t, fast, hi] every PHRASE_SAMPLE_MS over PHRASE_WINDOW_MS
+      this.lowSince = null;
+      this.peak = 0;          // loudest short-term energy of the current build
+      this.gap = false;       // the build has cut out; a drop is probably next
+      this.rise = 0;          // last trend score
+    }
+    get ready(){ return this.t0 != null && this.lastT - this.t0 >= PHRASE_WARMUP_MS; }
+
+    setPhase(phase, t){
+      this.phase = phase;
+      this.since = t;
+      this.peak = this.fast;
+      this.gap = false;
+    }
+
+    // Least-squares slope of history column k, as the change across one full window.
+    slope(k){
+      const h = this.hist, n = h.length;
+      let st = 0, sv = 0, stt = 0, stv = 0;
+      for (const r of h){
+        const x = (r[0] - h[0][0]) / PHRASE_WINDOW_MS;
+        st += x; sv += r[k]; stt += x*x; stv += x*r[k];
+      }
+      const den = n*stt - st*st;
+      return den > 0 ? (n*stv - st*sv) / den : 0;
+    }
+
+    // Relative energy gain plus (weighted) high-frequency share gain over the window. Needs
+    // most of a window of history.
+    trend(){
+      if (this.hist.length < 0.75 * PHRASE_WINDOW_MS / PHRASE_SAMPLE_MS) return 0;
+      return this.slope(1) / Math.max(0.05, this.ref) + 2 * this.slope(2);
+    }
+
+    // Call once per analysed frame (energy, bass: 0..1 after Mic Sensitivity; hiShare: treble
+    // share of the spectrum). Returns the new phase when it changes, 'gap' when a build cuts
+    // out, otherwise null.
+    update(energy, bass, hiShare, t){
+      if (this.t0 == null){
+        this.t0 = this.lastT = t;
+        this.fast = this.snap = this.ref = energy;
+        this.hi = hiShare;
+        this.bassFast = this.bassSlow = bass;
+      }
+      const dt = clamp(t - this.lastT, 0, 100);
+      this.lastT = t;
+      const ema = (v, x, tau) => v + (x - v) * (1 - Math.exp(-dt / tau));
+      this.fast = ema(this.fast, energy, 400);
+      this.snap = ema(this.snap, energy, 150);
+      this.hi = ema(this.hi, hiShare, 400);
+      this.bassFast = ema(this.bassFast, bass, 300);
+      this.bassSlow = ema(this.bassSlow, bass, 4000);
+      // A long breakdown must not become the new normal.
+      if (this.phase !== 'breakdown') this.ref = ema(this.ref, energy, 30000);
+      if (t - (this.hist[this.hist.length - 1]?.[0] ?? -1e9) >= PHRASE_SAMPLE_MS){
+        this.hist.push([t, this.fast, this.hi]);
+        while (t - this.hist[0][0] > PHRASE_WINDOW_MS) this.hist.shift();
+      }
+      if (!this.ready) return null;
+
+      const rise = this.rise = this.trend();
+      const surge = this.bassFast > Math.max(PHRASE_DROP_BASS * this.bassSlow, this.bassSlow + 0.08) && this.fast >= 0.9 * this.ref;
+      this.lowSince = (this.fast < PHRASE_LOW_LEVEL * this.ref) ? (this.lowSince ?? t) : null;
+      const longLow = this.lowSince != null && t - this.lowSince >= PHRASE_LOW_MS;
+      const to = (phase) => { this.setPhase(phase, t); return phase; };
+
+      switch (this.phase){
+        case 'build':
+          if (surge || (this.gap && this.fast >= 0.8 * this.peak)) return to('drop');
+          if (this.gap){
+            // Cut out and never came back: it was a breakdown after all.
+            if (longLow) return to('breakdown');
+            return null;
+          }
+          this.peak = Math.max(this.peak, this.fast);
+          if (this.snap < PHRASE_GAP_LEVEL * this.peak){
+            this.gap = true;
+            return 'gap';
+          }
+          if (rise < PHRASE_BUILD_RISE / 4) return to('normal');
+          return null;
+        case 'breakdown':
+          if (surge) return to('drop');
+          if (rise > PHRASE_BUILD_RISE) return to('build');
+          if (this.fast >= 0.8 * this.ref) return to('normal');
+          return null;
+        case 'drop':
+          if (longLow) return to('breakdown');
+          if (t - this.since >= PHRASE_DROP_HOLD_MS) return to('normal');
+          return null;
+        default:
+          if (rise > PHRASE_BUILD_RISE) return to('build');
+          if (longLow) return to('breakdown');
+          return null;
+      }
+    }
+  }
+
+  const phraseDetector = new PhraseDetector();
+
+  // What Beat DJ does in each phase (saved with the show).
+  const phraseActions = {
+    buildStrobe: true,     // ramp the strobe up through a build-up
+    dropBlackout: true,    // black out the beat before the drop (live: one beat from where the build cuts out)
+    dropPool: 'Peak',      // pool (by name) to switch to on the drop and stay in; '' = off
+    breakdownPool: 'Chill',// pool to pick from in breakdowns; '' = off
+  };
+  const PHRASE_POOL_KEYS = ['dropPool', 'breakdownPool'];
+  let phraseBlackoutUntil = 0;
+
+  function phraseActive(){
+    return phraseOn && beatDJ;
+  }
+
+// Per analysed frame: feed the detector and run the actions for whatever it reports.
+  function updatePhrase(feats, tNow){
+    const hiShare = feats.tre / Math.max(1e-3, feats.bass + feats.mid + feats.tre);
+    const ev = phraseDetector.update(beatEnergy(feats, micGain), clamp(feats.bass * micGain, 0, 1), hiShare, tNow);
+    if (ev) onPhraseEvent(ev, tNow);
+    updatePhraseReadout();
+  }
+
+// Returns true when it changed the preset.
+  function onPhraseEvent(ev, tNow, beatMs = 60000 / Math.max(1, bpm)){
+    if (ev !== 'gap') phraseBlackoutUntil = 0;
+    if (!phraseActive()) return false;
+    if (ev === 'gap' && phraseActions.dropBlackout) phraseBlackoutUntil = tNow + beatMs;
+    if ((ev === 'drop' && poolByName(phraseActions.dropPool)) || (ev === 'breakdown' && poolByName(phraseActions.breakdownPool))){
+      changePresetFromPool();
+      return true;
+    }
+    return false;
+  }
+
+// A beat grid knows what's coming: a section well above the previous one's energy is a drop
+// (black out the beat before it), one well below is a breakdown. Returns true when it changed
+// the preset.
+  function phraseGridBeat(grid, i, tNow){
+    const kindAt = (beat) => {
+      const k = grid.sections.findIndex(s => s.beat === beat);
+      if (k < 1) return null;
+      const d = grid.sections[k].energy - grid.sections[k - 1].energy;
+      if (d >= GRID_SECTION_JUMP && grid.sections[k].energy >= PHRASE_GRID_PEAK) return 'drop';
+      return (d <= -GRID_SECTION_JUMP) ? 'breakdown' : null;
+    };
+    if (i + 1 < grid.beats.length && kindAt(i + 1) === 'drop') onPhraseEvent('gap', tNow, grid.beats[i + 1] - grid.beats[i]);
+    const kind = kindAt(i);
+    if (!kind){
+      // Live detection is off while the grid plays, so a plain section ends a drop / breakdown.
+      if (i > 0 && phraseDetector.phase !== 'normal' && grid.sections.some(s => s.beat === i)) phraseDetector.setPhase('normal', tNow);
+      return false;
+    }
+    phraseDetector.setPhase(kind, tNow);
+    return onPhraseEvent(kind, tNow);
+  }
+
+// The pool Beat DJ picks from during a drop / breakdown (null = the active pool).
+  function phrasePresetPool(){
+    if (!phraseActive()) return null;
+    const ph = phraseDetector.phase;
+    if (ph === 'drop') return poolByName(phraseActions.dropPool);
+    if (ph === 'breakdown') return poolByName(phraseActions.breakdownPool);
+    return null;
+  }
+
+// Strobe level for the build-up ramp (0 = off); it stops when the build cuts out.
+  function phraseStrobeLevel(tNow){
+    if (!phraseActive() || !phraseActions.buildStrobe) return 0;
+    if (phraseDetector.phase !== 'build' || phraseDetector.gap) return 0;
+    return lerp(15, 80, clamp((tNow - phraseDetector.since) / PHRASE_RAMP_MS, 0, 1));
+  }
+
+  function phraseLabel(tNow=nowMs()){
+    if (!phraseDetector.ready) return 'Phase: –';
+    const ph = phraseDetector.phase;
+    if (ph === 'build'){
+      if (phraseDetector.gap) return 'Phase: Build-up · cut';
+      return `Phase: Build-up · ${Math.round(clamp((tNow - phraseDetector.since) / PHRASE_RAMP_MS, 0, 1) * 100)}%`;
+    }
+    return `Phase: ${PHRASE_LABELS[ph]}`;
+  }
+
+  function updatePhraseReadout(d=document, label=phraseLabel()){
+    const el = d?.getElementById('phraseEst');
+    if (!el || el.textContent === label) return;
+    el.textContent = label;
+    el.classList.toggle('on', /Build|Drop|Breakdown/.test(label));
+  }
+
+  function setPhraseOption(key, value){
+    if (key === 'on') phraseOn = !!value;
+    else if (PHRASE_POOL_KEYS.includes(key)) phraseActions[key] = poolByName(String(value ?? ''))?.name || '';
+    else if (key in phraseActions) phraseActions[key] = !!value;
+    if (!phraseActive()) phraseBlackoutUntil = 0;
+  }
+
+  // Toggle button id -> phraseActions key ('on' = the Build / Drop master toggle).
+  const PHRASE_BUTTONS = {
+    btnPhrase: 'on',
+    btnPhraseStrobe: 'buildStrobe',
+    btnPhraseBlackout: 'dropBlackout',
+  };
+  // Pool picker id -> phraseActions key.
+  const PHRASE_SELECTS = {
+    phraseDropPool: 'dropPool',
+    phraseCalmPool: 'breakdownPool',
+  };
+
+// Wire the Build / Drop toggles in a document (main panel or pop-out).
+  function bindPhraseControls(d){
+    for (const [id, key] of Object.entries(PHRASE_BUTTONS)){
+      d?.getElementById(id)?.addEventListener('click', () => {
+        applyRemoteCommand({type:'setPhrase', key, value: key === 'on' ? !phraseOn : !phraseActions[key]});
+      });
+    }
+    for (const [id, key] of Object.entries(PHRASE_SELECTS)){
+      const sel = d?.getElementById(id);
+      sel?.addEventListener('change', () => applyRemoteCommand({type:'setPhrase', key, value: sel.value}));
+    }
+    syncPhraseDom(d);
+  }
+
+  function syncPhraseDom(d, on=phraseOn, actions=phraseActions, poolNames=presetPools.map(p => p.name)){
+    if (!d) return;
+    for (const [id, key] of Object.entries(PHRASE_BUTTONS)){
+      d.getElementById(id)?.classList.toggle('on', key === 'on' ? !!on : !!actions[key]);
+    }
+    const opts = ['<option value="">Off</option>', ...poolNames.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`)].join('');
+    for (const [id, key] of Object.entries(PHRASE_SELECTS)){
+      const sel = d.getElementById(id);
+      if (!sel) continue;
+      if (sel.getAttribute('data-sig') !== opts){
+        sel.innerHTML = opts;
+        sel.setAttribute('data-sig', opts);
+      }
+      if (sel.value !== actions[key]) sel.value = actions[key];
+    }
+  }
+
+  function refreshPhrase(){
+    syncPhraseDom(document);
+    if (isPopupOpen()){
+      try { syncPhraseDom(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  bindPhraseControls(document);
+
+// =====================
+// Pointer interaction in visual zone
+// =====================
+  let mouseXw = 0, mouseYw = 0;
+  let pmouseXw = 0, pmouseYw = 0;
+  let mouseDown = false;
+
+// Track pointer position in WORLD units, clamped to the visual drawing area.
+  function updateMouse(e){
+    pmouseXw = mouseXw; pmouseYw = mouseYw;
+    mouseXw = clamp(e.clientX, 0, visualW/DPR);
+    mouseYw = clamp(e.clientY, 0, H/DPR);
+  }
+
+  window.addEventListener('pointermove', (e) => { updateMouse(e); });
+  window.addEventListener('pointerdown', (e) => { updateMouse(e); mouseDown = true; });
+  window.addEventListener('pointerup', () => { mouseDown = false; });
+
+  
+  function renderPresetGrid(){
+    const grid = ui.presetGrid;
+    if (!grid) return;
+    grid.innerHTML = '';
+    for (let i=0;i<presetCount();i++){
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'presetBtn' + (i === presetNumber ? ' active' : '');
+      let label = `Preset ${i}`;
+      try { if (typeof presetLabel === 'function') label = presetLabel(i); } catch {}
+      b.textContent = String(label);
+      b.dataset.preset = String(i);
+      b.addEventListener('click', () => selectPreset(i, {user:true}));
+      grid.appendChild(b);
+    }
+  }
+
+// Switch to a preset by stable id (e.g. 'discoball') or by UI index.
+  function selectPreset(ref, {user=false}={}){
+    let idx = ref;
+    if (typeof ref === 'string'){
+      idx = presetIndexOf(ref);
+      if (idx < 0){ console.warn(`selectPreset: unknown preset id "${ref}"`); return; }
+    }
+    idx = clamp(Math.round(Number(idx) || 0), 0, (presetCount() - 1));
+    if (idx === presetNumber && presetInstance) return;
+
+    // The outgoing instance keeps animating (with its own state) while it blends out.
+    startPresetTransition(presetInstance, nowMs());
+
+    presetNumber = idx;
+    presetInstance = createPresetInstance(idx);
+    renderPresetGrid();
+
+    sendStateToPopup(true);
+
+    if (user && beatDJ){
+      // Manual pick while Beat DJ is on: keep it (Beat DJ will still change later if Auto Preset is on)
+    }
+  }
+
+  renderPresetGrid();
+
+// =====================
+// Preset transitions (offscreen buffers)
+// =====================
+// During a transition the outgoing and incoming presets each render into their own
+// offscreen canvas (by temporarily pointing `ctx` at it), then get composited onto
+// the main canvas. Buffers are opaque black like the main canvas, so trails work
+// the same way inside them.
+
+  function makeBlendBuffer(){
+    const canvas = document.createElement('canvas');
+    canvas.width = W;
+    canvas.height = H;
+    const g = canvas.getContext('2d', { alpha: false });
+    g.lineCap = 'round';
+    g.lineJoin = 'round';
+    g.fillStyle = '#000';
+    g.fillRect(0,0,W,H);
+    return { canvas, ctx: g };
+  }
+
+  function resizeBlendBuffers(){
+    // Size changes invalidate the buffers; drop any in-flight blend.
+    finishPresetTransition();
+    if (!blendBufs) return;
+    blendBufs = [makeBlendBuffer(), makeBlendBuffer()];
+  }
+
+// The running instance of the selected preset (created on first use).
+  function currentPresetInstance(){
+    if (!presetInstance) presetInstance = createPresetInstance(presetNumber);
+    return presetInstance;
+  }
+
+// Milliseconds until the next beat on whichever beat clock is active, or null if there is none.
+  function msUntilNextBeat(tNow){
+    const beatMs = 60000 / Math.max(1, bpm);
+    let anchor = null;
+    if (bpmSTLmode || (seqPlaying && seqSync === 'clock')) anchor = bpmBeatTime;
+    else if (beatDJ && (tNow - lastBeatFlash) < 4*beatMs) anchor = lastBeatFlash;
+    if (anchor == null) return null;
+
+    let ms = beatMs - ((tNow - anchor) % beatMs);
+    if (ms < 80) ms += beatMs; // too close to land cleanly; finish on the following beat
+    return ms;
+  }
+
+  function presetBlendDurationMs(tNow){
+    if (presetBlendBeatSync){
+      const ms = msUntilNextBeat(tNow);
+      if (ms != null) return ms;
+    }
+    return presetBlendDurationSec() * 1000;
+  }
+
+// Begin blending out the `from` instance. Call before presetNumber/presetInstance switch to the new preset.
+  function startPresetTransition(from, tNow){
+    // A blend already in flight is superseded; its outgoing instance is no longer drawn.
+    finishPresetTransition();
+    if (presetBlendMode === 'cut' || !from){ disposePresetInstance(from); return; }
+    if (!blendBufs) blendBufs = [makeBlendBuffer(), makeBlendBuffer()];
+
+    // Outgoing starts from what is on screen now (including any in-flight blend and trails).
+    const [outBuf, inBuf] = blendBufs;
+    outBuf.ctx.setTransform(1,0,0,1,0,0);
+    outBuf.ctx.globalCompositeOperation = 'source-over';
+    outBuf.ctx.globalAlpha = 1;
+    outBuf.ctx.drawImage(main, 0, 0);
+    inBuf.ctx.setTransform(1,0,0,1,0,0);
+    inBuf.ctx.fillStyle = '#000';
+    inBuf.ctx.fillRect(0,0,W,H);
+
+    presetTransition = {
+      from,
+      mode: presetBlendMode,
+      start: tNow,
+      dur: Math.max(1, presetBlendDurationMs(tNow)),
+    };
+  }
+
+  function finishPresetTransition(){
+    if (presetTransition) disposePresetInstance(presetTransition.from);
+    presetTransition = null;
+  }
+
+// Render one preset into an offscreen buffer (fades it by the Trails amount first).
+  function renderIntoBuffer(buf, draw){
+    const prevCtx = ctx;
+    ctx = buf.ctx;
+    try {
+      ctx.setTransform(1,0,0,1,0,0);
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = `rgba(0,0,0,${trailAlpha()})`;
+      ctx.fillRect(0,0,visualW,H);
+      draw();
+    } finally {
+      ctx = prevCtx;
+    }
+  }
+
+// Composite outgoing/incoming buffers onto the main canvas. t is eased 0..1.
+  function compositeTransition(mode, t){
+    const [outBuf, inBuf] = blendBufs;
+    const drawBuf = (buf) => ctx.drawImage(buf.canvas, 0, 0, visualW, H, 0, 0, visualW, H);
+
+    ctx.save();
+    ctx.setTransform(1,0,0,1,0,0);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0,0,visualW,H);
+
+    if (mode === 'wipe'){
+      drawBuf(outBuf);
+      ctx.beginPath();
+      ctx.rect(0, 0, visualW*t, H);
+      ctx.clip();
+      drawBuf(inBuf);
+    } else if (mode === 'zoom'){
+      // Fly through the outgoing preset while the incoming one grows in behind it.
+      const zoomAbout = (s) => {
+        ctx.setTransform(s, 0, 0, s, (visualW/2)*(1-s), (H/2)*(1-s));
+      };
+      zoomAbout(lerp(0.4, 1, t));
+      ctx.globalAlpha = t;
+      drawBuf(inBuf);
+      zoomAbout(lerp(1, 2.5, t));
+      ctx.globalAlpha = 1 - t;
+      drawBuf(outBuf);
+    } else if (mode === 'flash'){
+      drawBuf(t < 0.5 ? outBuf : inBuf);
+      const flash = (1 - Math.abs(2*t - 1)) * clamp(presetBrightness/100, 0, 1);
+      ctx.fillStyle = `rgba(255,255,255,${(0.9*flash).toFixed(3)})`;
+      ctx.fillRect(0,0,visualW,H);
+    } else {
+      // crossfade
+      drawBuf(outBuf);
+      ctx.globalAlpha = t;
+      drawBuf(inBuf);
+    }
+
+    ctx.restore();
+  }
+
+// Draw the current preset, routing through the offscreen buffers while a transition runs.
+  function drawPresetFrame(feats, motion, tNow){
+    const tr = presetTransition;
+    if (!tr || !blendBufs){
+      drawPreset(currentPresetInstance(), feats, motion);
+      return;
+    }
+
+    const raw = (tNow >= tr.start + tr.dur) ? 1 : clamp((tNow - tr.start) / tr.dur, 0, 1);
+
+    renderIntoBuffer(blendBufs[0], () => drawPreset(tr.from, feats, motion));
+    renderIntoBuffer(blendBufs[1], () => drawPreset(currentPresetInstance(), feats, motion));
+
+    // Flash cuts hard at the midpoint; the others ease.
+    compositeTransition(tr.mode, tr.mode === 'flash' ? raw : easeInOutCubic(raw));
+
+    if (raw >= 1){
+      // Hand over to direct rendering: the main canvas now holds the incoming frame.
+      finishPresetTransition();
+    }
+  }
+
+// =====================
+// Preset layers (compositing)
+// =====================
+// The main show (presetNumber + the panel controls) is the base layer. Extra layers
+// stack on top, each running its own preset instance with its own colors, Size,
+// Speed and motion offset. Every layer renders into its own transparent offscreen
+// canvas (trails fade to transparent there), then the stack is composited onto the
+// main canvas with the layer's blend mode and opacity.
+
+  const LAYER_MAX = 4;
+
+  const LAYER_BLENDS = [
+    { id: 'add',        label: 'Add',        op: 'lighter' },
+    { id: 'screen',     label: 'Screen',     op: 'screen' },
+    { id: 'multiply',   label: 'Multiply',   op: 'multiply' },
+    { id: 'difference', label: 'Difference', op: 'difference' },
+    { id: 'mask',       label: 'Mask',       op: 'destination-in' },  // only show the stack where this layer draws
+    { id: 'normal',     label: 'Normal',     op: 'source-over' },
+  ];
+
+// Clamp/fill a layer so UI, remote commands and loaded shows can all pass partial objects.
+  function normalizeLayer(l={}){
+    const num = (x, lo, hi, def) => Number.isFinite(+x) ? clamp(Math.round(+x), lo, hi) : def;
+    const col = (c, def) => parseColor(c) || def;
+    const presetId = presetIndexOf(l.presetId) >= 0 ? l.presetId : 'discoball';
+    return {
+      on: l.on !== false,
+      presetId,
+      blend: LAYER_BLENDS.some(b => b.id === l.blend) ? l.blend : 'add',
+      opacity: num(l.opacity, 0, 100, 100),
+      size: num(l.size, 0, 100, 50),
+      speed: num(l.speed, 0, 100, 30),
+      offsetX: num(l.offsetX, -50, 50, 0),   // percent of the visual area
+      offsetY: num(l.offsetY, -50, 50, 0),
+      followMotion: l.followMotion !== false,
+      multiColor: l.multiColor !== false,
+      colorA: col(l.colorA, rgb(255,0,255)),
+      colorB: col(l.colorB, rgb(0,255,255)),
+      inst: null,
+      buf: null,
+    };
+  }
+
+  function makeLayerBuffer(){
+    const canvas = document.createElement('canvas');
+    canvas.width = W;
+    canvas.height = H;
+    const g = canvas.getContext('2d');
+    g.lineCap = 'round';
+    g.lineJoin = 'round';
+    return { canvas, ctx: g };
+  }
+
+  function resizeLayerBuffers(){
+    layerBaseBuf = null;
+    for (const l of presetLayers) l.buf = null;
+  }
+
+  function dropLayer(l){
+    disposePresetInstance(l.inst);
+    l.inst = null;
+    l.buf = null;
+  }
+
+  function layersActive(){
+    return presetLayers.some(l => l.on);
+  }
+
+// Run fn with the show's Size/Speed/colors swapped for a layer's own values.
+  function withLayerParams(l, fn){
+    const base = { presetSize, presetSpeed, presetColor, multiColorClr, multiColor };
+    presetSize = l.size;
+    presetSpeed = l.speed;
+    presetColor = l.colorA;
+    multiColorClr = l.colorB;
+    multiColor = l.multiColor;
+    try {
+      return fn();
+    } finally {
+      ({ presetSize, presetSpeed, presetColor, multiColorClr, multiColor } = base);
+    }
+  }
+
+// Render one layer into its transparent buffer: fade toward transparent by the Trails amount, then draw.
+  function renderLayer(l, feats, motion){
+    if (!l.buf) l.buf = makeLayerBuffer();
+    if (!l.inst || l.inst.def.id !== l.presetId){
+      disposePresetInstance(l.inst);
+      l.inst = createPresetInstance(l.presetId);
+    }
+    const lm = {
+      x: (l.followMotion ? motion.x : 0) + (visualW/DPR) * l.offsetX/100,
+      y: (l.followMotion ? motion.y : 0) + (H/DPR) * l.offsetY/100,
+    };
+
+    const prevCtx = ctx;
+    ctx = l.buf.ctx;
+    try {
+      ctx.setTransform(1,0,0,1,0,0);
+      ctx.globalAlpha = 1;
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.fillStyle = `rgba(0,0,0,${trailAlpha()})`;
+      ctx.fillRect(0,0,visualW,H);
+      ctx.globalCompositeOperation = 'source-over';
+      withLayerParams(l, () => withModulatedParams(() => drawPreset(l.inst, feats, lm)));
+    } finally {
+      ctx = prevCtx;
+    }
+  }
+
+// Draw the base show plus every active layer. drawBase renders the base show (into the current ctx).
+  function drawLayeredFrame(feats, motion, drawBase){
+    if (!layerBaseBuf) layerBaseBuf = makeBlendBuffer();
+    renderIntoBuffer(layerBaseBuf, drawBase);
+
+    const active = presetLayers.filter(l => l.on);
+    for (const l of active) renderLayer(l, feats, motion);
+
+    const drawBuf = (buf) => ctx.drawImage(buf.canvas, 0, 0, visualW, H, 0, 0, visualW, H);
+    ctx.save();
+    ctx.setTransform(1,0,0,1,0,0);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+    drawBuf(layerBaseBuf);
+    for (const l of active){
+      ctx.globalCompositeOperation = (LAYER_BLENDS.find(b => b.id === l.blend) || LAYER_BLENDS[0]).op;
+      ctx.globalAlpha = clamp(l.opacity/100, 0, 1);
+      drawBuf(l.buf);
+    }
+    ctx.restore();
+
+    // A mask can leave transparent holes in the (opaque) main canvas; keep them black.
+    if (active.some(l => l.blend === 'mask')){
+      ctx.save();
+      ctx.setTransform(1,0,0,1,0,0);
+      ctx.globalCompositeOperation = 'destination-over';
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0,0,visualW,H);
+      ctx.restore();
+    }
+  }
+
+  function layersForState(){
+    return presetLayers.map(({inst, buf, colorA, colorB, ...l}) => ({...l, colorA: rgbToHex(colorA), colorB: rgbToHex(colorB)}));
+  }
+
+  function addLayer(l){
+    if (presetLayers.length >= LAYER_MAX){
+      setStatus(`Up to ${LAYER_MAX} layers.`);
+      return;
+    }
+    presetLayers.push(normalizeLayer(l));
+    refreshLayerList();
+  }
+
+  function removeLayer(i){
+    if (i < 0 || i >= presetLayers.length) return;
+    dropLayer(presetLayers[i]);
+    presetLayers.splice(i, 1);
+    refreshLayerList();
+  }
+
+  function setLayerValue(i, key, value){
+    const l = presetLayers[i];
+    if (!l) return;
+    const next = normalizeLayer({...l, [key]: value});
+    next.inst = l.inst;
+    next.buf = l.buf;
+    if (!next.on) dropLayer(next);
+    presetLayers[i] = next;
+    syncLayerListDom(document);
+  }
+
+// Build the layer editor into a document (main panel or pop-out). Controls send
+// remote commands so both windows share one code path.
+  function renderLayerList(d){
+    const list = d?.getElementById('layerList');
+    if (!list) return;
+    const opt = (items, sel) => items.map(it => `<option value="${it.id}"${it.id === sel ? ' selected' : ''}>${it.label}</option>`).join('');
+    const presetOpts = presetRegistry.map(p => ({ id: p.id, label: p.name }));
+    const slider = (k, label, min, max, step) =>
+      `<div class="slider"><label>${label}</label><input data-k="${k}" type="range" min="${min}" max="${max}" step="${step}" /><output data-out="${k}"></output></div>`;
+
+    list.innerHTML = presetLayers.map((l, i) => `
+      <div class="modRow" data-layer="${i}">
+        <div class="row">
+          <button class="toggle" data-k="on" type="button">Layer ${i + 2}</button>
+          <select data-k="presetId" aria-label="Preset">${opt(presetOpts, l.presetId)}</select>
+          <select data-k="blend" aria-label="Blend mode">${opt(LAYER_BLENDS, l.blend)}</select>
+          <button data-k="remove" type="button" title="Remove layer">✕</button>
+        </div>
+        <div class="row">
+          <input data-k="colorA" type="color" aria-label="Layer color A" />
+          <input data-k="colorB" type="color" aria-label="Layer color B" />
+          <button class="toggle" data-k="multiColor" type="button">Multicolor</button>
+          <button class="toggle" data-k="followMotion" type="button">Motion</button>
+        </div>
+        <div class="sliders">
+          ${slider('opacity', 'Opacity', 0, 100, 1)}
+          ${slider('size', 'Size', 0, 100, 1)}
+          ${slider('speed', 'Speed', 0, 100, 1)}
+          ${slider('offsetX', 'Offset X', -50, 50, 1)}
+          ${slider('offsetY', 'Offset Y', -50, 50, 1)}
+        </div>
+      </div>`).join('') || '<div class="hint">Only the main preset is drawn. Add a layer to stack another preset on top.</div>';
+
+    list.querySelectorAll('.modRow').forEach((row) => {
+      const i = Number(row.getAttribute('data-layer'));
+      row.querySelectorAll('[data-k]').forEach((el) => {
+        const key = el.getAttribute('data-k');
+        if (key === 'remove'){
+          el.addEventListener('click', () => applyRemoteCommand({type:'removeLayer', index: i}));
+        } else if (el.tagName === 'BUTTON'){
+          el.addEventListener('click', () => applyRemoteCommand({type:'setLayer', index: i, key, value: !presetLayers[i]?.[key]}));
+        } else if (el.tagName === 'SELECT' || el.type === 'color'){
+          el.addEventListener(el.type === 'color' ? 'input' : 'change', () => applyRemoteCommand({type:'setLayer', index: i, key, value: el.value}));
+        } else {
+          el.addEventListener('input', () => applyRemoteCommand({type:'setLayer', index: i, key, value: parseInt(el.value, 10)}));
+        }
+      });
+    });
+
+    syncLayerListDom(d);
+  }
+
+// Push current layer values into an already-rendered editor (re-renders if the layer count changed).
+  function syncLayerListDom(d, layers=layersForState()){
+    const list = d?.getElementById('layerList');
+    if (!list) return;
+    const rows = list.querySelectorAll('.modRow');
+    if (rows.length !== layers.length){ renderLayerList(d); return; }
+
+    const signed = v => (v > 0 ? '+' : '') + v + '%';
+    const fmt = { opacity: v => `${v}%`, size: String, speed: String, offsetX: signed, offsetY: signed };
+    rows.forEach((row, i) => {
+      const l = layers[i];
+      row.classList.toggle('off', !l.on);
+      for (const k of ['on', 'multiColor', 'followMotion']){
+        row.querySelector(`[data-k="${k}"]`)?.classList.toggle('on', !!l[k]);
+      }
+      for (const k of ['presetId', 'blend', 'colorA', 'colorB']){
+        const el = row.querySelector(`[data-k="${k}"]`);
+        if (el && el.value !== l[k]) el.value = l[k];
+      }
+      for (const k of Object.keys(fmt)){
+        const el = row.querySelector(`[data-k="${k}"]`);
+        if (el && String(el.value) !== String(l[k])) el.value = String(l[k]);
+        const out = row.querySelector(`[data-out="${k}"]`);
+        if (out) out.textContent = fmt[k](l[k]);
+      }
+    });
+  }
+
+  function refreshLayerList(){
+    renderLayerList(document);
+    if (isPopupOpen()){
+      try { renderLayerList(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  ui.btnLayerAdd?.addEventListener('click', () => applyRemoteCommand({type:'addLayer'}));
+  renderLayerList(document);
+
+// =====================
+// Cues (show snapshots)
+// =====================
+// A cue is a named snapshot of the show-relevant part of getRemoteState(). Recalling a
+// cue switches discrete settings (preset, toggles, motion mode, layers, routes) at once
+// and fades every slider and both colors to the stored values over the Cue Fade time.
+
+  // getRemoteState() fields that make up a look (UI-only fields like meters/status are left out).
+  const SHOW_STATE_KEYS = [
+    'presetId', 'presetSpeed', 'presetSizeDest', 'presetBrightnessDest', 'presetStrobing', 'shadeAmount', 'bpm',
+    'transitionSpeed', 'motionMode', 'presetBlendMode', 'presetBlendSpeed', 'presetBlendBeatSync',
+    'multiColor', 'multiColorMode', 'blackout', 'bpmSTLmode',
+    'beatDJ', 'beatAutoColor', 'beatAutoPreset', 'beatSens', 'beatCooldownMs', 'beatEveryN', 'micGainVal',
+    'colorA', 'colorB', 'modRoutes', 'lfos', 'layers',
+  ];
+
+  // Slider-backed values: state key -> slider id + direct setter (used when that slider isn't in this panel).
+  const SHOW_RANGES = {
+    presetSpeed:          { id: 'speed',    set: (v) => { presetSpeed = v; } },
+    presetSizeDest:       { id: 'size',     set: (v) => { presetSizeDest = v; } },
+    presetBrightnessDest: { id: 'bright',   set: (v) => { presetBrightnessDest = v; } },
+    presetStrobing:       { id: 'strobe',   set: (v) => { presetStrobing = v; } },
+    shadeAmount:          { id: 'shade',    set: (v) => { shadeAmount = v; } },
+    transitionSpeed:      { id: 'trans',    set: (v) => { transitionSpeed = v; } },
+    presetBlendSpeed:     { id: 'blend',    set: (v) => { presetBlendSpeed = v; } },
+    micGainVal:           { id: 'micGain',  set: (v) => { micGainVal = v; micGain = micGainFromUI(v); } },
+    beatSens:             { id: 'beatSens', set: (v) => { beatSens = v; } },
+    beatCooldownMs:       { id: 'beatCool', set: (v) => { beatCooldownMs = v; } },
+    bpm:                  { id: 'bpm',      set: (v) => { bpm = v; } },
+    cueFadeVal:           { id: 'cueFade',  set: (v) => { cueFadeVal = v; } },
+  };
+
+// Snapshot the current look as a plain (JSON-safe) object.
+  function captureShowState(){
+    const st = getRemoteState();
+    const out = {};
+    for (const k of SHOW_STATE_KEYS){
+      if (st[k] !== undefined) out[k] = JSON.parse(JSON.stringify(st[k]));
+    }
+    return out;
+  }
+
+// Route a value through the slider so its normal handler (outputs, side effects) runs.
+  function setShowRange(key, value){
+    const r = SHOW_RANGES[key];
+    if (!r) return;
+    const el = document.getElementById(r.id);
+    if (el && el.tagName === 'INPUT' && el.type === 'range'){
+      const v = clamp(Math.round(value), +el.min, +el.max);
+      if (String(el.value) === String(v)) return;
+      el.value = String(v);
+      el.dispatchEvent(new Event('input', {bubbles:true}));
+    } else {
+      r.set(Math.round(value));
+    }
+  }
+
+  function showRangeValue(key){
+    switch (key){
+      case 'presetSpeed': return presetSpeed;
+      case 'presetSizeDest': return presetSizeDest;
+      case 'presetBrightnessDest': return presetBrightnessDest;
+      case 'presetStrobing': return presetStrobing;
+      case 'shadeAmount': return shadeAmount;
+      case 'transitionSpeed': return transitionSpeed;
+      case 'presetBlendSpeed': return presetBlendSpeed;
+      case 'micGainVal': return micGainVal;
+      case 'beatSens': return beatSens;
+      case 'beatCooldownMs': return beatCooldownMs;
+      case 'bpm': return bpm;
+      case 'cueFadeVal': return cueFadeVal;
+      default: return 0;
+    }
+  }
+
+// Apply a (possibly partial) show state. Discrete settings switch now; sliders and
+// colors fade over fadeMs (0 = snap).
+  function applyShowState(st, fadeMs=0){
+    if (!st || typeof st !== 'object') return;
+    const bool = (k) => typeof st[k] === 'boolean';
+
+    if (st.presetId != null || st.presetNumber != null) selectPreset(st.presetId ?? st.presetNumber);
+
+    if (typeof st.motionMode === 'string' && ['off','circle','square','triangle'].includes(st.motionMode)){
+      if (ui.motionSel) ui.motionSel.value = st.motionMode;
+      setMotionMode(st.motionMode);
+    }
+    if (typeof st.presetBlendMode === 'string' && ui.blendSel){
+      ui.blendSel.value = st.presetBlendMode;
+      ui.blendSel.dispatchEvent(new Event('change', {bubbles:true}));
+    }
+    if (st.beatEveryN != null && ui.beatEvery){
+      ui.beatEvery.value = String(st.beatEveryN);
+      ui.beatEvery.dispatchEvent(new Event('change', {bubbles:true}));
+    }
+
+    if (bool('multiColor')) multiColor = st.multiColor;
+    if (MULTI_COLOR_MODES.includes(st.multiColorMode)) multiColorMode = st.multiColorMode;
+    if (bool('blackout')) blackout = st.blackout;
+    if (bool('presetBlendBeatSync')) presetBlendBeatSync = st.presetBlendBeatSync;
+    if (bool('beatAutoColor')) beatAutoColor = st.beatAutoColor;
+    if (bool('beatAutoPreset')) beatAutoPreset = st.beatAutoPreset;
+    if (bool('beatDJ') && st.beatDJ !== beatDJ){
+      beatDJ = st.beatDJ;
+      beatCount = 0;
+      beatDetector.reset();
+    }
+    if (bool('bpmSTLmode')) bpmSTLmode = st.bpmSTLmode && !beatDJ;
+
+    // Tempo snaps (gliding it would keep restarting the BPM clock).
+    if (st.bpm != null) setShowRange('bpm', st.bpm);
+
+    if (Array.isArray(st.modRoutes)){
+      modRoutes = st.modRoutes.map(normalizeModRoute);
+      refreshModMatrix();
+    }
+    if (Array.isArray(st.lfos)){
+      lfos = st.lfos.slice(0, LFO_MAX).map(normalizeLfo);
+      refreshLfos();
+    }
+    if (Array.isArray(st.layers)){
+      presetLayers.forEach(dropLayer);
+      presetLayers = st.layers.slice(0, LAYER_MAX).map(normalizeLayer);
+      refreshLayerList();
+    }
+
+    // Fade sliders + colors
+    const to = {};
+    const from = {};
+    for (const k of Object.keys(SHOW_RANGES)){
+      if (k === 'bpm' || !Number.isFinite(+st[k])) continue;
+      to[k] = +st[k];
+      from[k] = showRangeValue(k);
+    }
+    const colorA = parseColor(st.colorA);
+    const colorB = parseColor(st.colorB);
+    cueFade = {
+      start: nowMs(),
+      dur: Math.max(0, +fadeMs || 0),
+      from, to,
+      fromA: {...presetColor}, toA: colorA,
+      fromB: {...multiColorClr}, toB: colorB,
+    };
+    updateCueFade(cueFade.start);
+    updateToggles();
+    sendStateToPopup(true);
+  }
+
+// Advance an active cue fade (called every frame from loop()).
+  function updateCueFade(tNow){
+    const f = cueFade;
+    if (!f) return;
+    const t = (f.dur > 0 && tNow < f.start + f.dur) ? clamp((tNow - f.start) / f.dur, 0, 1) : 1;
+    for (const k of Object.keys(f.to)) setShowRange(k, lerp(f.from[k], f.to[k], t));
+    if (f.toA) presetColor = mixColor(f.fromA, f.toA, t);
+    if (f.toB) multiColorClr = mixColor(f.fromB, f.toB, t);
+    if (f.toA || f.toB) updateColorReadout();
+    if (t >= 1) cueFade = null;
+  }
+
+  const currentCueList = () => cueLists[cueListIdx] || cueLists[0];
+
+  function storeCue(name){
+    const list = currentCueList();
+    const label = String(name || '').trim() || `Cue ${list.cues.length + 1}`;
+    list.cues.push({ name: label, state: captureShowState() });
+    cueIdx = list.cues.length - 1;
+    clearCueNameFields();
+    setStatus(`Stored <b>${escapeHtml(label)}</b> in ${escapeHtml(list.name)}.`);
+    refreshCues();
+  }
+
+// Recall cue i of the current list (out-of-range GO/BACK does nothing).
+  function goCue(i){
+    const list = currentCueList();
+    const cue = list.cues[i];
+    if (!cue) return;
+    cueIdx = i;
+    applyShowState(cue.state, cueFadeSec() * 1000);
+    setStatus(`Cue ${i + 1}/${list.cues.length}: <b>${escapeHtml(cue.name)}</b>`);
+    refreshCues();
+  }
+
+  function removeCue(i){
+    const list = currentCueList();
+    if (i < 0 || i >= list.cues.length) return;
+    list.cues.splice(i, 1);
+    if (cueIdx >= i) cueIdx--;
+    refreshCues();
+  }
+
+  function addCueList(name){
+    const label = String(name || '').trim() || `List ${cueLists.length + 1}`;
+    cueLists.push({ name: label, cues: [] });
+    clearCueNameFields();
+    selectCueList(cueLists.length - 1);
+  }
+
+  function removeCueList(i){
+    if (cueLists.length <= 1 || i < 0 || i >= cueLists.length) return;
+    cueLists.splice(i, 1);
+    selectCueList(Math.min(i, cueLists.length - 1));
+  }
+
+  function selectCueList(i){
+    if (!Number.isInteger(i) || i < 0 || i >= cueLists.length) return;
+    cueListIdx = i;
+    cueIdx = -1;
+    refreshCues();
+  }
+
+  function clearCueNameFields(){
+    if (ui.cueName) ui.cueName.value = '';
+    try { const el = isPopupOpen() && popupWin.document.getElementById('cueName'); if (el) el.value = ''; } catch {}
+  }
+
+  function cuesForState(){
+    return {
+      lists: cueLists.map(l => ({ name: l.name, cues: l.cues.map(c => c.name) })),
+      listIdx: cueListIdx,
+      cueIdx,
+    };
+  }
+
+// Wire the static cue controls in a document (main panel or pop-out).
+  function bindCueControls(d){
+    const $d = (id) => d?.getElementById(id);
+    const nameEl = $d('cueName');
+    $d('btnCueStore')?.addEventListener('click', () => applyRemoteCommand({type:'cueStore', name: nameEl ? nameEl.value : ''}));
+    $d('btnCueGo')?.addEventListener('click', () => applyRemoteCommand({type:'cueGo'}));
+    $d('btnCueBack')?.addEventListener('click', () => applyRemoteCommand({type:'cueBack'}));
+    $d('btnCueListAdd')?.addEventListener('click', () => applyRemoteCommand({type:'cueListAdd', name: nameEl ? nameEl.value : ''}));
+    $d('btnCueListDel')?.addEventListener('click', () => applyRemoteCommand({type:'cueListRemove'}));
+    const sel = $d('cueListSel');
+    sel?.addEventListener('change', () => applyRemoteCommand({type:'cueListSelect', index: Number(sel.value)}));
+    renderCues(d);
+  }
+
+// Build the cue list buttons + list picker into a document.
+  function renderCues(d, cs=cuesForState()){
+    const list = d?.getElementById('cueList');
+    const sel = d?.getElementById('cueListSel');
+    if (sel){
+      sel.innerHTML = cs.lists.map((l, i) => `<option value="${i}"${i === cs.listIdx ? ' selected' : ''}>${escapeHtml(l.name)}</option>`).join('');
+    }
+    if (!list) return;
+    const names = cs.lists[cs.listIdx]?.cues || [];
+    list.innerHTML = names.map((n, i) => `
+      <div class="cueItem" data-cue="${i}">
+        <button class="toggle${i === cs.cueIdx ? ' on' : ''}" data-k="go" type="button">${i + 1}. ${escapeHtml(n)}</button>
+        <button data-k="remove" type="button" title="Delete cue">✕</button>
+      </div>`).join('') || '<div class="hint">No cues yet. Set up a look, then Store it.</div>';
+    list.querySelectorAll('.cueItem').forEach((row) => {
+      const i = Number(row.getAttribute('data-cue'));
+      row.querySelector('[data-k="go"]')?.addEventListener('click', () => applyRemoteCommand({type:'cueGo', index: i}));
+      row.querySelector('[data-k="remove"]')?.addEventListener('click', () => applyRemoteCommand({type:'cueRemove', index: i}));
+    });
+    list.setAttribute('data-sig', JSON.stringify(cs));
+  }
+
+// Re-render only when the cue lists or position changed.
+  function syncCueDom(d, cs){
+    const list = d?.getElementById('cueList');
+    if (!list || list.getAttribute('data-sig') === JSON.stringify(cs)) return;
+    renderCues(d, cs);
+  }
+
+  function refreshCues(){
+    renderCues(document);
+    if (isPopupOpen()){
+      try { renderCues(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  bindCueControls(document);
+
+// =====================
+// BPM clock + sequencer
+// =====================
+// The BPM clock always runs. Its anchor advances in whole beats so it doesn't drift with
+// frame timing; BPM mode and the sequencer (when synced to it) both step on it. Tempo comes
+// from the slider, tap tempo or MIDI clock (see Tempo sync below).
+
+// Returns true when a beat boundary has passed since the previous call.
+  function advanceBpmClock(tNow){
+    const beatMs = 60000 / Math.max(1, bpm);
+    if (tNow - bpmBeatTime < beatMs) return false;
+    bpmBeatTime += beatMs;
+    if (tNow - bpmBeatTime >= beatMs) bpmBeatTime = tNow; // stalled (hidden tab etc.): resync
+    bpmBeatTotal++;
+    return true;
+  }
+
+// BPM Sound-To-Light: random size + color every beat, random preset every 8 beats.
+  function onBpmBeat(){
+    bpmBeatCounter++;
+
+    const r = Math.floor(10 + Math.random()*85);
+    presetSize = r;
+    presetSizeDest = r;
+    ui.size.value = String(r);
+    ui.sizeOut.textContent = String(r);
+
+    autoColorChange();
+
+    if (bpmBeatCounter >= 8){
+      bpmBeatCounter = 0;
+      selectPreset(pickRandomPresetFromPool(), {user:false});
+    }
+  }
+
+// Tempo sync: tap tempo, nudge, downbeat resync and MIDI clock (24 ppqn) all steer the
+// same clock by setting bpm and moving the bpmBeatTime anchor.
+
+  const TAP_RESET_MS = 2000;         // a longer gap starts a new tap sequence
+  const NUDGE_MS = 20;
+  const MIDI_PPQN = 24;
+
+  const midiClock = { running: false, tick: -1, downbeat: false, times: [], lastTick: -1e9 };
+
+// Set the tempo without touching the beat phase (the slider's own handler is for manual moves).
+  function setBpmValue(v, source){
+    bpm = clamp(v, 60, 180);
+    bpmSource = source;
+    if (ui.bpm) ui.bpm.value = String(Math.round(bpm));
+    if (ui.bpmOut) ui.bpmOut.textContent = fmtBpm(bpm);
+    syncTempoDom(document);
+    sendStateToPopup();
+  }
+
+  function tempoSourceLabel(){
+    if (bpmSource === 'midi') return `MIDI clock ${midiClock.running ? '▶' : '■'}`;
+    return { tap: 'Tap', audio: 'Audio', grid: 'Beat grid' }[bpmSource] || 'Manual';
+  }
+
+// Each tap is a beat; two or more taps (within TAP_RESET_MS of each other) set the tempo.
+  function tapTempo(t=nowMs()){
+    if (tapTimes.length && t - tapTimes[tapTimes.length - 1] > TAP_RESET_MS) tapTimes = [];
+    tapTimes.push(t);
+    if (tapTimes.length > 8) tapTimes.shift();
+    bpmBeatTime = t;
+    if (tapTimes.length >= 2){
+      const avg = (t - tapTimes[0]) / (tapTimes.length - 1);
+      setBpmValue(Math.round(60000 / avg), 'tap');
+    }
+  }
+
+// Shift the beat phase (negative = beats land earlier).
+  function nudgeBeat(ms){
+    bpmBeatTime += ms;
+  }
+
+// Make t the downbeat: the clock fires on the next frame, BPM mode changes preset on it
+// and the sequencer restarts from step 1.
+  function resyncDownbeat(t=nowMs()){
+    bpmBeatTime = t - 60000 / Math.max(1, bpm);
+    bpmBeatCounter = 7;
+    bpmBeatTotal = -1;
+    if (seqPlaying) seqStep = -1;
+  }
+
+// MIDI realtime bytes: clock (0xF8), start (0xFA), continue (0xFB), stop (0xFC).
+// Tempo follows the clock whenever it is sent; the phase only while the transport runs.
+  function handleMidiClock(byte, t){
+    if (byte === 0xFA){
+      midiClock.running = true;
+      midiClock.tick = -1;
+      midiClock.downbeat = true;
+    } else if (byte === 0xFB){
+      midiClock.running = true;
+    } else if (byte === 0xFC){
+      midiClock.running = false;
+    } else if (byte !== 0xF8){
+      return;   // active sensing, reset and the rest: nothing to follow
+    }
+    if (byte !== 0xF8){
+      syncTempoDom(document);
+      sendStateToPopup(true);
+      return;
+    }
+
+    // A gap (transport stopped sending) would skew the average: start over.
+    if (t - midiClock.lastTick > 500) midiClock.times = [];
+    midiClock.lastTick = t;
+    midiClock.times.push(t);
+    if (midiClock.times.length > 2 * MIDI_PPQN + 1) midiClock.times.shift();
+    if (midiClock.times.length > MIDI_PPQN){
+      const tickMs = (t - midiClock.times[0]) / (midiClock.times.length - 1);
+      setBpmValue(Math.round(600000 / (tickMs * MIDI_PPQN)) / 10, 'midi');
+    }
+
+    if (!midiClock.running) return;
+    midiClock.tick++;
+    if (midiClock.tick % MIDI_PPQN !== 0) return;
+    if (midiClock.downbeat){
+      midiClock.downbeat = false;
+      resyncDownbeat(t);
+      return;
+    }
+    lockBeatPhase(t);
+  }
+
+// Pull the clock onto an external beat at t: if it already fired for that beat just move
+// the anchor, otherwise make it fire on the next frame.
+  function lockBeatPhase(t){
+    const beatMs = 60000 / Math.max(1, bpm);
+    bpmBeatTime = (t - bpmBeatTime < beatMs / 2) ? t : t - beatMs;
+  }
+
+// Audio tempo (TempoTracker): follow the estimate into bpm, fill in missed beats.
+  const TEMPO_MIN_CONF = 0.5;        // below this the estimate only shows in the panel
+
+// A detected (or predicted) beat from the audio: Beat DJ + beat-synced sequencer.
+  function onAudioBeat(tNow, count=null){
+    noteFeatureBeat(tNow);
+    if (beatDJ) onBeat(tNow, count);
+    else lastBeatFlash = tNow;
+    if (seqPlaying && seqSync === 'beats') seqAdvance(tNow);
+  }
+
+// Auto BPM: write the estimate into bpm and pull the clock onto the audio's beat at t.
+// A running MIDI clock takes priority.
+  function followTempo(t){
+    if (bpmSource === 'midi' && nowMs() - midiClock.lastTick < 1000) return;
+    const est = Math.round(tempoTracker.bpm * 10) / 10;
+    if (bpmSource !== 'audio' || Math.abs(est - bpm) >= 0.5) setBpmValue(est, 'audio');
+    lockBeatPhase(t);
+  }
+
+  function tempoEstimateLabel(){
+    if (!tempoTracker.bpm) return 'Tempo: –';
+    return `Tempo: ${fmtBpm(Math.round(tempoTracker.bpm * 10) / 10)} · ${Math.round(tempoTracker.confidence * 100)}%`;
+  }
+
+  function updateTempoReadout(d=document, label=tempoEstimateLabel()){
+    const el = d?.getElementById('tempoEst');
+    if (!el || el.textContent === label) return;
+    el.textContent = label;
+    el.classList.toggle('on', tempoTracker.confidence >= TEMPO_MIN_CONF);
+  }
+
+// Wire the tap/nudge/downbeat buttons in a document (main panel or pop-out).
+  function bindTempoControls(d){
+    const $d = (id) => d?.getElementById(id);
+    $d('btnTap')?.addEventListener('click', () => applyRemoteCommand({type:'tap'}));
+    $d('btnNudgeBack')?.addEventListener('click', () => applyRemoteCommand({type:'nudge', ms: -NUDGE_MS}));
+    $d('btnNudgeFwd')?.addEventListener('click', () => applyRemoteCommand({type:'nudge', ms: NUDGE_MS}));
+    $d('btnDownbeat')?.addEventListener('click', () => applyRemoteCommand({type:'downbeat'}));
+    syncTempoDom(d);
+  }
+
+  function syncTempoDom(d, label=tempoSourceLabel()){
+    const el = d?.getElementById('bpmSrc');
+    if (el && el.textContent !== label) el.textContent = label;
+  }
+
+  bindTempoControls(document);
+
+// Sequencer: lanes of per-beat events over a 4/8/16 bar loop. A step holds null (nothing)
+// or the lane's value. Values are written from the lane's picker when a cell is clicked.
+
+  const SEQ_BEATS_PER_BAR = 4;
+  const SEQ_MAX_STEPS = 16 * SEQ_BEATS_PER_BAR;
+
+  const SEQ_LANES = [
+    { id: 'preset',   label: 'Preset' },    // preset id or 'random' (auto pool)
+    { id: 'color',    label: 'Color' },     // COLORS key or 'random'
+    { id: 'strobe',   label: 'Strobe' },    // strobe level for one beat
+    { id: 'blackout', label: 'Blackout' },  // black for one beat
+    { id: 'motion',   label: 'Motion' },    // motion mode
+  ];
+
+  let seqLanes = Object.fromEntries(SEQ_LANES.map(l => [l.id, Array(SEQ_MAX_STEPS).fill(null)]));
+  // What a click on an empty cell writes, per lane.
+  const seqLaneValues = { preset: 'random', color: 'random', strobe: 90, blackout: true, motion: 'circle' };
+
+  function normalizeSeqValue(lane, v){
+    if (v == null || v === false) return null;
+    if (lane === 'preset') return (v === 'random' || presetIndexOf(v) >= 0) ? v : null;
+    if (lane === 'color') return (v === 'random' || Object.prototype.hasOwnProperty.call(COLORS, v)) ? v : null;
+    if (lane === 'strobe') return Number.isFinite(+v) ? clamp(Math.round(+v), 1, 100) : null;
+    if (lane === 'blackout') return true;
+    if (lane === 'motion') return ['off','circle','square','triangle'].includes(v) ? v : null;
+    return null;
+  }
+
+  const seqLength = () => seqBars * SEQ_BEATS_PER_BAR;
+
+// Advance one beat and fire that step's events.
+  function seqAdvance(tNow){
+    seqStep = (seqStep + 1) % seqLength();
+    const beatMs = 60000 / Math.max(1, bpm);
+
+    const preset = seqLanes.preset[seqStep];
+    if (preset) selectPreset(preset === 'random' ? pickRandomPresetFromPool() : preset, {user:false});
+
+    const color = seqLanes.color[seqStep];
+    if (color === 'random') autoColorChange();
+    else if (color){
+      presetColor = {...COLORS[color]};
+      if (multiColor && distSq(multiColorClr, presetColor) < 80*80) multiColorClr = contrastingColor(presetColor, paletteColors());
+      updateColorReadout();
+    }
+
+    const strobe = seqLanes.strobe[seqStep];
+    if (strobe){
+      strobeBurstLevel = strobe;
+      strobeBurstUntil = tNow + beatMs;
+    }
+
+    if (seqLanes.blackout[seqStep]) seqBlackoutUntil = tNow + beatMs;
+
+    const motion = seqLanes.motion[seqStep];
+    if (motion){
+      if (ui.motionSel) ui.motionSel.value = motion;
+      setMotionMode(motion);
+    }
+
+    syncSeqDom(document);
+    sendStateToPopup();
+  }
+
+// Timed blackouts (sequencer steps) drive the Blackout toggle: on while held, back off afterwards.
+// A Blackout that was already on is left alone.
+  function holdBlackout(hold){
+    if (hold === blackoutHeld || (hold && blackout)) return;
+    blackoutHeld = hold;
+    blackout = hold;
+    updateToggles();
+    sendStateToPopup(true);
+  }
+
+  function toggleSeqStep(lane, step){
+    if (!seqLanes[lane] || !(step >= 0 && step < SEQ_MAX_STEPS)) return;
+    seqLanes[lane][step] = seqLanes[lane][step] == null ? normalizeSeqValue(lane, seqLaneValues[lane]) : null;
+    refreshSeq();
+  }
+
+  function clearSeq(){
+    for (const l of SEQ_LANES) seqLanes[l.id].fill(null);
+    refreshSeq();
+  }
+
+  function setSeqPlaying(on){
+    seqPlaying = !!on;
+    seqStep = -1;
+    strobeBurstUntil = seqBlackoutUntil = 0;
+    // Start on the next frame at step 1 of the pattern (the clock restarts with it).
+    if (seqPlaying && seqSync === 'clock') bpmBeatTime = nowMs() - 60000 / Math.max(1, bpm);
+  }
+
+// Transport/options + lane pickers (keys are the control ids without the "seq" prefix).
+  function setSeqOption(key, value){
+    if (key === 'playing') setSeqPlaying(value);
+    else if (key === 'sync') seqSync = (value === 'beats') ? 'beats' : 'clock';
+    else if (key === 'bars'){
+      const n = parseInt(value, 10);
+      seqBars = [4, 8, 16].includes(n) ? n : 4;
+      seqPage = Math.min(seqPage, seqBars / 4 - 1);
+      if (seqStep >= seqLength()) seqStep = -1;
+    }
+    else if (key === 'page') seqPage = clamp(parseInt(value, 10) || 0, 0, seqBars / 4 - 1);
+    else if (key in seqLaneValues){
+      const v = normalizeSeqValue(key, value);
+      if (v != null) seqLaneValues[key] = v;
+    }
+    refreshSeq();
+  }
+
+  function seqForState(){
+    return {
+      playing: seqPlaying,
+      sync: seqSync,
+      bars: seqBars,
+      page: seqPage,
+      step: seqStep,
+      lanes: Object.fromEntries(SEQ_LANES.map(l => [l.id, seqLanes[l.id].slice()])),
+      values: {...seqLaneValues},
+    };
+  }
+
+// Wire the static sequencer controls in a document (main panel or pop-out).
+  function bindSeqControls(d){
+    const $d = (id) => d?.getElementById(id);
+    $d('btnSeq')?.addEventListener('click', () => applyRemoteCommand({type:'seqSet', key: 'playing', value: !seqPlaying}));
+    $d('btnSeqClear')?.addEventListener('click', () => applyRemoteCommand({type:'seqClear'}));
+    for (const key of ['sync', 'bars', 'page', 'preset', 'color', 'strobe', 'motion']){
+      const id = 'seq' + key[0].toUpperCase() + key.slice(1) + (key in seqLaneValues ? 'Val' : '');
+      const el = $d(id);
+      el?.addEventListener('change', () => applyRemoteCommand({type:'seqSet', key, value: el.value}));
+    }
+    const presetSel = $d('seqPresetVal');
+    if (presetSel){
+      presetSel.innerHTML = '<option value="random">Random (pool)</option>' +
+        presetRegistry.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+    }
+    const colorSel = $d('seqColorVal');
+    if (colorSel){
+      colorSel.innerHTML = '<option value="random">Random</option>' +
+        Object.keys(COLORS).map(k => `<option value="${k}">${k[0].toUpperCase() + k.slice(1)}</option>`).join('');
+    }
+    renderSeqGrid(d);
+  }
+
+// Build the step grid for the current 4-bar page.
+  function renderSeqGrid(d, st=seqForState()){
+    const grid = d?.getElementById('seqGrid');
+    const page = d?.getElementById('seqPage');
+    if (page){
+      page.innerHTML = Array.from({length: st.bars / 4}, (_, i) => `<option value="${i}"${i === st.page ? ' selected' : ''}>${i*4 + 1}–${i*4 + 4}</option>`).join('');
+    }
+    if (!grid) return;
+    const first = st.page * 4 * SEQ_BEATS_PER_BAR;
+    const cols = 4 * SEQ_BEATS_PER_BAR;
+    grid.innerHTML = SEQ_LANES.map(l => {
+      let cells = '';
+      for (let s = first; s < first + cols; s++){
+        const v = st.lanes[l.id][s];
+        const title = v == null ? `Bar ${Math.floor(s/4) + 1}, beat ${s%4 + 1}` :
+          (l.id === 'preset' && v !== 'random') ? presetLabel(presetIndexOf(v)) : String(v);
+        const bg = (l.id === 'color' && v && v !== 'random') ? ` style="background:${rgba(COLORS[v], 0.75)}"` : '';
+        cells += `<button type="button" class="seqCell${v != null ? ' on' : ''}${s % SEQ_BEATS_PER_BAR === 0 ? ' bar' : ''}${s === st.step ? ' play' : ''}" data-lane="${l.id}" data-step="${s}" title="${escapeHtml(title)}"${bg}></button>`;
+      }
+      return `<span class="seqLabel">${l.label}</span>${cells}`;
+    }).join('');
+    grid.querySelectorAll('.seqCell').forEach((el) => {
+      el.addEventListener('click', () => applyRemoteCommand({type:'seqStep', lane: el.getAttribute('data-lane'), step: Number(el.getAttribute('data-step'))}));
+    });
+    grid.setAttribute('data-sig', JSON.stringify([st.bars, st.page, st.lanes]));
+  }
+
+// Cheap per-beat update: move the playhead, re-render only when the pattern/page changed.
+  function syncSeqDom(d, st=seqForState()){
+    const grid = d?.getElementById('seqGrid');
+    if (!grid) return;
+    if (grid.getAttribute('data-sig') !== JSON.stringify([st.bars, st.page, st.lanes])){
+      renderSeqGrid(d, st);
+    } else {
+      grid.querySelectorAll('.seqCell').forEach((el) => el.classList.toggle('play', Number(el.getAttribute('data-step')) === st.step));
+    }
+    const $d = (id) => d.getElementById(id);
+    $d('btnSeq')?.classList.toggle('on', st.playing);
+    for (const key of Object.keys(st.values)){
+      const el = $d('seq' + key[0].toUpperCase() + key.slice(1) + 'Val');
+      if (el && String(el.value) !== String(st.values[key])) el.value = String(st.values[key]);
+    }
+  }
+
+  function refreshSeq(){
+    syncSeqDom(document);
+    if (ui.seqSync) ui.seqSync.value = seqSync;
+    if (ui.seqBars) ui.seqBars.value = String(seqBars);
+    if (isPopupOpen()){
+      try { syncSeqDom(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  bindSeqControls(document);
+
+// =====================
+// Show files (save/load)
+// =====================
+// A show file is versioned JSON: the persistent part of getRemoteState() plus the full
+// cue lists, the sequencer pattern and the Beat DJ preset pool. Older files are migrated
+// forward step by step (SHOW_FILE_MIGRATIONS) before validation, so bump SHOW_FILE_VERSION
+// and add a migration whenever the layout changes. The last session is kept in localStorage.
+
+  const SHOW_FILE_FORMAT = 'projector-light-show';
+  const SHOW_FILE_VERSION = 2;
+  const SESSION_KEY = 'projectorLightShow.session';
+
+  // getRemoteState() fields that describe this window rather than the show.
+  const SHOW_FILE_SKIP = ['presetNumber', 'micGain', 'colorTarget', 'modEnv', 'lfoOut', 'cues', 'seq', 'midi', 'tempoSource', 'tempoEst', 'phraseEst', 'pools', 'palettes', 'meter', 'cap', 'statusHTML', 'presetNames'];
+
+  // Numeric fields: [min, max] (same ranges as the sliders).
+  const SHOW_FILE_NUMBERS = {
+    presetSpeed: [0, 100], presetSizeDest: [0, 100], presetBrightnessDest: [0, 100], presetStrobing: [0, 100],
+    shadeAmount: [0, 100], bpm: [60, 180], transitionSpeed: [0, 100], presetBlendSpeed: [0, 100],
+    beatSens: [0, 100], beatCooldownMs: [80, 420], micGainVal: [0, 200], cueFadeVal: [0, 100],
+  };
+  const SHOW_FILE_BOOLS = ['presetBlendBeatSync', 'multiColor', 'blackout', 'bpmSTLmode', 'beatDJ', 'beatAutoColor', 'beatAutoPreset', 'tempoAutoBpm', 'tempoFillBeats', 'bandTriggersOn', 'phraseOn'];
+  const SHOW_FILE_CHOICES = {
+    motionMode: ['off', 'circle', 'square', 'triangle'],
+    presetBlendMode: ['cut', 'crossfade', 'wipe', 'zoom', 'flash'],
+    beatEveryN: [1, 2, 4, 8, 16],
+    beatAlgo: ['energy', 'flux'],
+    multiColorMode: MULTI_COLOR_MODES,
+  };
+
+  // migrations[n] turns a version-n file into version n+1.
+  const SHOW_FILE_MIGRATIONS = {
+    // v0: a bare state object (e.g. a copied getRemoteState() or cue snapshot) with no wrapper.
+    0: (f) => ({ format: SHOW_FILE_FORMAT, version: 1, state: f }),
+    // v1: a single Beat DJ pool as a list of ids -> named, weighted pools. Build / Drop's
+    // drop/breakdown switches (peak / calm presets) become the Peak / Chill pools by name.
+    1: (f) => ({
+      ...f,
+      version: 2,
+      state: f.state?.phraseActions ? { ...f.state, phraseActions: phrasePoolsFromV1(f.state.phraseActions) } : f.state,
+      pools: Array.isArray(f.pools?.auto)
+        ? { list: [{ name: 'All', order: 'random', weights: Object.fromEntries(f.pools.auto.map(id => [id, 1])) }], idx: 0 }
+        : f.pools,
+    }),
+  };
+
+  function phrasePoolsFromV1(actions){
+    const out = { ...actions };
+    if (typeof out.dropPool === 'boolean') out.dropPool = out.dropPool ? 'Peak' : '';
+    if (typeof out.breakdownPool === 'boolean') out.breakdownPool = out.breakdownPool ? 'Chill' : '';
+    return out;
+  }
+
+  function buildShowFile(){
+    const st = getRemoteState();
+    const state = {};
+    for (const [k, v] of Object.entries(st)){
+      if (!SHOW_FILE_SKIP.includes(k)) state[k] = v;
+    }
+    return JSON.parse(JSON.stringify({
+      format: SHOW_FILE_FORMAT,
+      version: SHOW_FILE_VERSION,
+      savedAt: new Date().toISOString(),
+      state,
+      cues: { lists: cueLists, listIdx: cueListIdx },
+      seq: { sync: seqSync, bars: seqBars, lanes: seqLanes, values: seqLaneValues },
+      pools: poolsForState(),
+      palettes: { list: userPalettes.map(p => ({ name: p.name, colors: p.colors.map(rgbToHex) })) },
+    }));
+  }
+
+// Bring any older file up to SHOW_FILE_VERSION. Throws on files from a newer version.
+  function migrateShowFile(f){
+    let version = (f.format === undefined && f.version === undefined) ? 0 : f.version;
+    if (!Number.isInteger(version) || version < 0) throw new Error('"version" must be a whole number.');
+    if (version > SHOW_FILE_VERSION) throw new Error(`This show was saved by a newer version (file v${version}, this app reads up to v${SHOW_FILE_VERSION}).`);
+    while (version < SHOW_FILE_VERSION){
+      f = SHOW_FILE_MIGRATIONS[version](f);
+      version = f.version;
+    }
+    return f;
+  }
+
+// Check a (migrated) show file. Returns { errors, warnings } as readable sentences:
+// errors block loading, warnings describe parts that are skipped or replaced.
+  function validateShowFile(f){
+    const errors = [];
+    const warnings = [];
+    const isObj = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+    const isColor = (c) => (typeof c === 'string' && !!hexToRgb(c)) ||
+      (isObj(c) && ['r', 'g', 'b'].every(k => Number.isFinite(c[k]) && c[k] >= 0 && c[k] <= 255));
+
+    // The show's state and every cue's stored state go through the same checks.
+    const checkState = (st, where) => {
+      for (const [k, [lo, hi]] of Object.entries(SHOW_FILE_NUMBERS)){
+        if (k in st && !(Number.isFinite(st[k]) && st[k] >= lo && st[k] <= hi)) errors.push(`${where}.${k} must be a number from ${lo} to ${hi} (got ${JSON.stringify(st[k])}).`);
+      }
+      for (const k of SHOW_FILE_BOOLS){
+        if (k in st && typeof st[k] !== 'boolean') errors.push(`${where}.${k} must be true or false.`);
+      }
+      for (const [k, options] of Object.entries(SHOW_FILE_CHOICES)){
+        if (k in st && !options.includes(st[k])) errors.push(`${where}.${k} must be one of ${options.join(', ')}.`);
+      }
+      for (const k of ['colorA', 'colorB']){
+        if (k in st && !isColor(st[k])) errors.push(`${where}.${k} must be {r,g,b} (0–255) or a #rrggbb color.`);
+      }
+      for (const k of ['modRoutes', 'lfos', 'layers', 'bands']){
+        if (k in st && !Array.isArray(st[k])) errors.push(`${where}.${k} must be a list.`);
+      }
+      for (const k of ['phraseActions', 'colorAuto']){
+        if (k in st && !isObj(st[k])) errors.push(`${where}.${k} must be an object.`);
+      }
+    };
+
+    if (f.format !== SHOW_FILE_FORMAT) errors.push(`"format" should be "${SHOW_FILE_FORMAT}".`);
+    if (!isObj(f.state)){
+      errors.push('"state" is missing or not an object.');
+      return { errors, warnings };
+    }
+    const st = f.state;
+    checkState(st, 'state');
+    if (Array.isArray(st.layers) && st.layers.length > LAYER_MAX) warnings.push(`Only the first ${LAYER_MAX} layers are used.`);
+    if (st.presetId != null && presetIndexOf(st.presetId) < 0) warnings.push(`Preset "${st.presetId}" isn't loaded; keeping the current preset.`);
+
+    if (f.cues !== undefined){
+      const lists = f.cues?.lists;
+      if (!Array.isArray(lists) || !lists.length) errors.push('cues.lists must be a non-empty list.');
+      else lists.forEach((l, i) => {
+        if (!isObj(l) || typeof l.name !== 'string' || !Array.isArray(l.cues)) errors.push(`Cue list ${i + 1} needs a name and a cues list.`);
+        else l.cues.forEach((c, j) => {
+          if (!isObj(c) || typeof c.name !== 'string' || !isObj(c.state)) errors.push(`Cue ${j + 1} in "${l.name}" needs a name and a state object.`);
+          else checkState(c.state, `Cue "${c.name}" in "${l.name}": state`);
+        });
+      });
+    }
+
+    if (f.seq !== undefined){
+      if (!isObj(f.seq)) errors.push('"seq" must be an object.');
+      else {
+        if ('bars' in f.seq && ![4, 8, 16].includes(f.seq.bars)) errors.push('seq.bars must be 4, 8 or 16.');
+        if ('lanes' in f.seq && !isObj(f.seq.lanes)) errors.push('seq.lanes must be an object of lane lists.');
+      }
+    }
+
+    if (f.pools !== undefined){
+      const list = f.pools?.list;
+      if (!Array.isArray(list) || !list.length) errors.push('pools.list must be a non-empty list.');
+      else list.forEach((p, i) => {
+        if (!isObj(p) || typeof p.name !== 'string' || !isObj(p.weights)) errors.push(`Pool ${i + 1} needs a name and a weights object.`);
+        else {
+          const missing = Object.keys(p.weights).filter(id => presetIndexOf(id) < 0);
+          if (missing.length) warnings.push(`Skipped unknown presets in pool "${p.name}": ${missing.join(', ')}.`);
+        }
+      });
+    }
+
+    if (f.palettes !== undefined){
+      const list = f.palettes?.list;
+      if (!Array.isArray(list)) errors.push('palettes.list must be a list.');
+      else list.forEach((p, i) => {
+        if (!isObj(p) || typeof p.name !== 'string' || !Array.isArray(p.colors)) errors.push(`Palette ${i + 1} needs a name and a colors list.`);
+        else if (!p.colors.some(hexToRgb)) errors.push(`Palette "${p.name}" has no valid #rrggbb colors.`);
+        else if (!p.colors.every(hexToRgb)) warnings.push(`Skipped invalid colors in palette "${p.name}".`);
+      });
+    }
+    return { errors, warnings };
+  }
+
+// Parse, migrate and validate show-file text. Throws an Error whose message lists every problem.
+  function parseShowFile(text){
+    let f;
+    try { f = JSON.parse(text); } catch (e) { throw new Error(`Not valid JSON (${e.message}).`); }
+    if (!f || typeof f !== 'object' || Array.isArray(f)) throw new Error('A show file must be a JSON object.');
+    f = migrateShowFile(f);
+    const { errors, warnings } = validateShowFile(f);
+    if (errors.length) throw new Error(errors.join(' '));
+    return { file: f, warnings };
+  }
+
+// Replace the running show with a parsed file (everything snaps; no cue fade).
+  function applyShowFile(f){
+    const st = f.state;
+    applyShowState(st, 0);
+    if (st.beatAlgo && ui.beatAlgo){
+      ui.beatAlgo.value = st.beatAlgo;
+      ui.beatAlgo.dispatchEvent(new Event('change', {bubbles:true}));
+    }
+    if (typeof st.tempoAutoBpm === 'boolean') tempoAutoBpm = st.tempoAutoBpm;
+    if (typeof st.tempoFillBeats === 'boolean') tempoFillBeats = st.tempoFillBeats;
+    if (typeof st.bandTriggersOn === 'boolean') bandTriggersOn = st.bandTriggersOn;
+    if (Array.isArray(st.bands)){
+      for (const b of st.bands){
+        if (b && bandTriggers[b.id]) bandTriggers[b.id] = normalizeBandTrigger(b.id, b);
+      }
+      refreshBandTriggers();
+    }
+    // User palettes first: auto color picks its palette by name.
+    if (f.palettes){
+      userPalettes = [];
+      for (const p of f.palettes.list){
+        userPalettes.push({ name: uniquePaletteName(p.name), colors: p.colors.map(hexToRgb).filter(Boolean).slice(0, PALETTE_MAX_COLORS) });
+      }
+      if (!paletteByName(colorAuto.palette)) setColorAutoOption('palette', BUILTIN_PALETTES[0].name);
+    }
+    if (st.colorAuto){
+      for (const k of Object.keys(colorAuto)) if (k in st.colorAuto) setColorAutoOption(k, st.colorAuto[k]);
+    }
+    if (f.palettes || st.colorAuto) refreshPalettes();
+    // Pools first: Build / Drop refers to them by name.
+    if (f.pools){
+      presetPools = [];
+      f.pools.list.forEach((p, i) => {
+        const pool = normalizePool(p, i);
+        pool.name = uniquePoolName(pool.name);
+        presetPools.push(pool);
+      });
+      poolIdx = clamp(Number.isInteger(f.pools.idx) ? f.pools.idx : 0, 0, presetPools.length - 1);
+      refreshPools();
+    }
+    if (typeof st.phraseOn === 'boolean') phraseOn = st.phraseOn;
+    if (st.phraseActions){
+      for (const k of Object.keys(phraseActions)){
+        const v = st.phraseActions[k];
+        if (PHRASE_POOL_KEYS.includes(k)){
+          if (typeof v === 'string') phraseActions[k] = poolByName(v)?.name || '';
+        } else if (typeof v === 'boolean') phraseActions[k] = v;
+      }
+    }
+    refreshPhrase();
+
+    if (f.cues){
+      cueLists = f.cues.lists.map(l => ({
+        name: l.name,
+        cues: l.cues.map(c => ({ name: c.name, state: c.state })),
+      }));
+      cueListIdx = clamp(Number.isInteger(f.cues.listIdx) ? f.cues.listIdx : 0, 0, cueLists.length - 1);
+      cueIdx = -1;
+      refreshCues();
+    }
+
+    if (f.seq){
+      setSeqPlaying(false);
+      seqSync = f.seq.sync === 'beats' ? 'beats' : 'clock';
+      seqBars = [4, 8, 16].includes(f.seq.bars) ? f.seq.bars : 4;
+      seqPage = 0;
+      for (const l of SEQ_LANES){
+        const src = Array.isArray(f.seq.lanes?.[l.id]) ? f.seq.lanes[l.id] : [];
+        seqLanes[l.id] = Array.from({length: SEQ_MAX_STEPS}, (_, s) => src[s] == null ? null : normalizeSeqValue(l.id, src[s]));
+      }
+      for (const k of Object.keys(seqLaneValues)){
+        const v = normalizeSeqValue(k, f.seq.values?.[k]);
+        if (v != null) seqLaneValues[k] = v;
+      }
+      refreshSeq();
+    }
+    updateToggles();
+    sendStateToPopup(true);
+  }
+
+// Load show-file text; problems end up in the status bar instead of throwing.
+  function loadShowText(text, label='show file'){
+    let parsed;
+    try {
+      parsed = parseShowFile(text);
+    } catch (e) {
+      setStatus(`Couldn't load ${escapeHtml(label)}: ${escapeHtml(e.message)}`);
+      return false;
+    }
+    applyShowFile(parsed.file);
+    const note = parsed.warnings.length ? ` ${escapeHtml(parsed.warnings.join(' '))}` : '';
+    setStatus(`Loaded <b>${escapeHtml(label)}</b>.${note}`);
+    saveSession();
+    return true;
+  }
+
+  function loadShowFromFile(file){
+    if (!file) return;
+    file.text()
+      .then((text) => loadShowText(text, file.name))
+      .catch((e) => setStatus(`Couldn't read ${escapeHtml(file.name)}: ${escapeHtml(e.message || String(e))}`));
+  }
+
+// Offer JSON text as a file download.
+  function downloadJson(json, filename){
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function downloadShowFile(){
+    const name = `light-show-${new Date().toISOString().slice(0, 10)}.json`;
+    downloadJson(JSON.stringify(buildShowFile(), null, 2), name);
+    setStatus(`Saved show as <b>${escapeHtml(name)}</b>.`);
+  }
+
+// Autosave (cheap: only writes when something changed).
+  let lastSessionJson = '';
+  function saveSession(){
+    try {
+      const json = JSON.stringify({ ...buildShowFile(), savedAt: undefined });
+      if (json === lastSessionJson) return;
+      localStorage.setItem(SESSION_KEY, json);
+      lastSessionJson = json;
+    } catch {}
+  }
+
+  function restoreSession(){
+    let text = null;
+    try { text = localStorage.getItem(SESSION_KEY); } catch {}
+    if (!text) return false;
+    try {
+      const { file } = parseShowFile(text);
+      applyShowFile(file);
+      lastSessionJson = text;
+      setStatus('Restored the last session.');
+      return true;
+    } catch (e) {
+      console.warn('Ignoring saved session:', e.message);
+      return false;
+    }
+  }
+
+// Wire Save/Load in a document (main panel or pop-out). The file input is read from here,
+// so loading through the pop-out still happens in the main window.
+  function bindShowFileControls(d){
+    const input = d?.getElementById('showFileInput');
+    d?.getElementById('btnShowSave')?.addEventListener('click', () => applyRemoteCommand({type:'showSave'}));
+    d?.getElementById('btnShowLoad')?.addEventListener('click', () => input?.click());
+    input?.addEventListener('change', () => {
+      loadShowFromFile(input.files?.[0]);
+      input.value = '';
+    });
+  }
+
+  bindShowFileControls(document);
+
+  // Drop a show file (or audio files for the playlist) anywhere on the window.
+  window.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer || ![...e.dataTransfer.types].includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+  window.addEventListener('drop', (e) => {
+    const files = [...(e.dataTransfer?.files || [])];
+    if (!files.length) return;
+    e.preventDefault();
+    // Audio files go to the playlist.
+    if (files.some(isAudioFile)){
+      addTrackFiles(files);
+      return;
+    }
+    const file = files[0];
+    if (!/\.json$/i.test(file.name) && file.type !== 'application/json'){
+      setStatus(`Drop a <b>.json</b> show file or audio files (got ${escapeHtml(file.name)}).`);
+      return;
+    }
+    loadShowFromFile(file);
+  });
+
+  setInterval(saveSession, 3000);
+  window.addEventListener('pagehide', saveSession);
+
+// =====================
+// MIDI input (Web MIDI + learn)
+// =====================
+// Notes/CCs from any controller are mapped onto panel controls and replayed as the same
+// commands the pop-out sends (applyRemoteCommand), so MIDI never needs its own code paths.
+// Learn: turn on Learn, click a control (main panel or pop-out), then move a knob/press a pad.
+
+  const MIDI_STORE_KEY = 'projectorLightShow.midi';
+  const MIDI_RANGES = ['speed', 'size', 'strobe', 'shade', 'bpm', 'micGain', 'beatSens'];
+  const MIDI_BUTTONS = ['btnBlackout', 'btnMulti', 'btnBeat', 'btnTap', 'btnDownbeat', 'btnNudgeBack', 'btnNudgeFwd'];
+  const MOTION_MODES = ['off', 'circle', 'square', 'triangle'];
+
+  let midiAccess = null;
+  let midiLearn = false;
+  let midiArmed = null;              // target waiting for a MIDI message while learning
+  let midiMaps = [];                 // [{ key: 'cc:0:7' | 'note:9:36', target }]
+  const midiCcLast = {};             // last value per CC key (buttons on CCs fire on the rising edge)
+
+  function loadMidiMaps(){
+    try {
+      const list = JSON.parse(localStorage.getItem(MIDI_STORE_KEY) || '[]');
+      if (Array.isArray(list)) midiMaps = list.filter(m => m && typeof m.key === 'string' && m.target && typeof m.target.kind === 'string');
+    } catch {}
+  }
+
+  function saveMidiMaps(){
+    try { localStorage.setItem(MIDI_STORE_KEY, JSON.stringify(midiMaps)); } catch {}
+  }
+
+// What a clicked element controls, or null if it can't be mapped.
+  function midiTargetFromElement(el){
+    if (!el) return null;
+    if (el.tagName === 'INPUT' && el.type === 'range' && MIDI_RANGES.includes(el.id)) return { kind: 'range', id: el.id };
+    if (MIDI_BUTTONS.includes(el.id)) return { kind: 'click', id: el.id };
+    if (el.id === 'motionSel') return { kind: 'motion' };
+    if (el.dataset?.preset != null){
+      const id = presetIdAt(Number(el.dataset.preset));
+      return id ? { kind: 'preset', id } : null;
+    }
+    if (el.classList?.contains('colorBtn')) return el.dataset.random ? { kind: 'color', rgb: null } : { kind: 'color', rgb: el.dataset.rgb || '' };
+    return null;
+  }
+
+  function midiTargetLabel(t){
+    switch (t.kind){
+      case 'range': return document.querySelector(`label[for="${t.id}"]`)?.textContent || t.id;
+      case 'click': return document.getElementById(t.id)?.textContent || t.id;
+      case 'motion': return 'Motion';
+      case 'preset': return presetLabel(presetIndexOf(t.id));
+      case 'color': return t.rgb ? `Color ${t.rgb}` : 'Random color';
+      default: return '?';
+    }
+  }
+
+  function midiKeyLabel(key){
+    const [kind, ch, num] = key.split(':');
+    return `${kind === 'cc' ? 'CC' : 'Note'} ${num} · ch ${Number(ch) + 1}`;
+  }
+
+// Turn one mapped MIDI event into a remote command (null = nothing to do).
+// ev: { value: 0..127, press: note-on or CC crossing the halfway point upward }
+  function midiCommandFor(t, ev, isCC){
+    if (t.kind === 'range'){
+      const el = document.getElementById(t.id);
+      if (!el || (!isCC && !ev.press)) return null;
+      const lo = +el.min, hi = +el.max;
+      return { type: 'setRange', id: t.id, value: Math.round(lo + (hi - lo) * ev.value / 127) };
+    }
+    if (t.kind === 'motion'){
+      if (isCC) return { type: 'setSelect', id: 'motionSel', value: MOTION_MODES[Math.min(3, Math.floor(ev.value / 32))] };
+      if (!ev.press) return null;
+      return { type: 'setSelect', id: 'motionSel', value: MOTION_MODES[(MOTION_MODES.indexOf(motionToMode) + 1) % MOTION_MODES.length] };
+    }
+    if (!ev.press) return null;
+    if (t.kind === 'click') return { type: 'click', id: t.id };
+    if (t.kind === 'preset') return { type: 'selectPreset', id: t.id };
+    if (t.kind === 'color'){
+      const c = t.rgb ? t.rgb.split(',').map(v => parseInt(v, 10) || 0) : null;
+      return { type: 'setColor', target: colorTarget, rgb: c ? { r: c[0], g: c[1], b: c[2] } : randomBrightColor(paletteColors()) };
+    }
+    return null;
+  }
+
+// Raw MIDI bytes in: notes + CCs for mappings, realtime clock bytes for tempo sync.
+  function handleMidiMessage(data, t=nowMs()){
+    if (data?.[0] >= 0xF8){
+      handleMidiClock(data[0], t);
+      return;
+    }
+    if (!data || data.length < 3) return;
+    const status = data[0] & 0xF0;
+    const ch = data[0] & 0x0F;
+    let key, ev, isCC = false;
+    if (status === 0x90 || status === 0x80){
+      key = `note:${ch}:${data[1]}`;
+      ev = { value: data[2], press: status === 0x90 && data[2] > 0 };
+    } else if (status === 0xB0){
+      key = `cc:${ch}:${data[1]}`;
+      isCC = true;
+      ev = { value: data[2], press: data[2] >= 64 && (midiCcLast[key] ?? 0) < 64 };
+      midiCcLast[key] = data[2];
+    } else {
+      return;
+    }
+
+    if (midiLearn && midiArmed){
+      if (!isCC && !ev.press) return; // the release of the pad that was just learned
+      midiMaps = midiMaps.filter(m => m.key !== key);
+      midiMaps.push({ key, target: midiArmed });
+      setStatus(`MIDI: <b>${escapeHtml(midiKeyLabel(key))}</b> → ${escapeHtml(midiTargetLabel(midiArmed))}`);
+      midiArmed = null;
+      saveMidiMaps();
+      refreshMidi();
+      return;
+    }
+
+    let hit = false;
+    for (const m of midiMaps){
+      if (m.key !== key) continue;
+      const cmd = midiCommandFor(m.target, ev, isCC);
+      if (cmd){
+        applyRemoteCommand(cmd);
+        hit = true;
+      }
+    }
+    if (hit) sendStateToPopup(true);
+  }
+
+// Attach to a MIDIAccess (real or mocked): listen on every input, including ones plugged in later.
+  function connectMidi(access){
+    midiAccess = access;
+    const attach = () => {
+      for (const input of access.inputs.values()) input.onmidimessage = (e) => handleMidiMessage(e.data, e.timeStamp || nowMs());
+      refreshMidi();
+    };
+    access.onstatechange = attach;
+    attach();
+  }
+
+  async function enableMidi(){
+    if (midiAccess) return;
+    if (!navigator.requestMIDIAccess){
+      setStatus('Web MIDI is not available in this browser (try Chrome or Edge).');
+      return;
+    }
+    try {
+      connectMidi(await navigator.requestMIDIAccess());
+      setStatus(`MIDI ready: ${midiAccess.inputs.size} input(s).`);
+    } catch (e) {
+      setStatus(`MIDI access was blocked: ${escapeHtml(e.message || String(e))}`);
+    }
+  }
+
+  function setMidiLearn(on){
+    midiLearn = !!on;
+    midiArmed = null;
+    if (midiLearn) setStatus('MIDI learn: click a control, then move a knob or press a pad.');
+    refreshMidi();
+  }
+
+  function armMidiTarget(t){
+    midiArmed = t;
+    setStatus(`MIDI learn: waiting for a knob/pad for <b>${escapeHtml(midiTargetLabel(t))}</b>…`);
+    refreshMidi();
+  }
+
+  function removeMidiMap(i){
+    if (i < 0 || i >= midiMaps.length) return;
+    midiMaps.splice(i, 1);
+    saveMidiMaps();
+    refreshMidi();
+  }
+
+  function midiForState(){
+    return {
+      connected: !!midiAccess,
+      inputs: midiAccess ? [...midiAccess.inputs.values()].map(i => i.name || i.id) : [],
+      learn: midiLearn,
+      armed: midiArmed ? midiTargetLabel(midiArmed) : null,
+      maps: midiMaps.map(m => ({ key: midiKeyLabel(m.key), target: midiTargetLabel(m.target) })),
+    };
+  }
+
+// While learning, clicks on mappable controls arm them instead of changing the show.
+// Sliders/selects are caught on pointerdown so they don't move or open.
+  function onMidiLearnPointer(e){
+    if (!midiLearn) return;
+    const el = e.target?.closest?.('input[type=range], select, button');
+    if (!el) return;
+    const isField = el.tagName !== 'BUTTON';
+    if ((e.type === 'pointerdown') !== isField) return;
+    const t = midiTargetFromElement(el);
+    if (!t) return;
+    e.preventDefault();
+    e.stopPropagation();
+    applyRemoteCommand({type:'midiArm', target: t});
+  }
+
+// Wire the static MIDI controls in a document (main panel or pop-out).
+  function bindMidiControls(d){
+    const $d = (id) => d?.getElementById(id);
+    $d('btnMidi')?.addEventListener('click', () => applyRemoteCommand({type:'midiEnable'}));
+    $d('btnMidiLearn')?.addEventListener('click', () => applyRemoteCommand({type:'midiLearn', on: !midiLearn}));
+    d?.addEventListener('click', onMidiLearnPointer, true);
+    d?.addEventListener('pointerdown', onMidiLearnPointer, true);
+    renderMidiList(d);
+  }
+
+  function renderMidiList(d, st=midiForState()){
+    const list = d?.getElementById('midiList');
+    if (!list) return;
+    list.innerHTML = st.maps.map((m, i) => `
+      <div class="cueItem" data-map="${i}">
+        <span class="pill" style="flex:1 1 auto;">${escapeHtml(m.key)} → ${escapeHtml(m.target)}</span>
+        <button data-k="remove" type="button" title="Forget this mapping">✕</button>
+      </div>`).join('') || '<div class="hint">No mappings yet. Turn on Learn, click a control, move a knob.</div>';
+    list.querySelectorAll('[data-map]').forEach((row) => {
+      const i = Number(row.getAttribute('data-map'));
+      row.querySelector('[data-k="remove"]')?.addEventListener('click', () => applyRemoteCommand({type:'midiRemove', index: i}));
+    });
+    list.setAttribute('data-sig', JSON.stringify(st.maps));
+  }
+
+  function syncMidiDom(d, st=midiForState()){
+    const $d = (id) => d?.getElementById(id);
+    $d('btnMidi')?.classList.toggle('on', st.connected);
+    $d('btnMidiLearn')?.classList.toggle('on', st.learn);
+    d?.body?.classList.toggle('midiLearn', st.learn);
+    const info = $d('midiInfo');
+    if (info) info.textContent = !st.connected ? 'MIDI: off' : (st.inputs.length ? `MIDI: ${st.inputs.join(', ')}` : 'MIDI: no inputs');
+    const list = $d('midiList');
+    if (list && list.getAttribute('data-sig') !== JSON.stringify(st.maps)) renderMidiList(d, st);
+  }
+
+  function refreshMidi(){
+    syncMidiDom(document);
+    if (isPopupOpen()){
+      try { syncMidiDom(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  loadMidiMaps();
+  bindMidiControls(document);
+  syncMidiDom(document);
+
+// =====================
+// Feature recording + replay
+// =====================
+// Recording keeps the per-frame getAudioFeatures() output and the beats that fired, so a gig
+// can be replayed later without the audio: the replay drives the meter, detectors, tempo
+// tracker and Beat DJ exactly like live input. Frames are fed in recorded order with
+// recorded timestamps, so the same file and settings always give the same beats.
+// Features are stored before Mic Sensitivity, so gain can be re-tuned on replay. The spectrum
+// (for the flux detector) is kept at REC_SPEC_BINS bins to keep files small.
+  const REC_FORMAT = 'projector-light-show-features';
+  const REC_VERSION = 1;
+  const REC_FIELDS = ['t', 'amp', 'bass', 'mid', 'tre', 'centroid', 'low', 'bandMid', 'high', 'spec'];
+  const REC_SPEC_BINS = 128;
+  const REC_MAX_FRAMES = 60 * 60 * 20;  // 20 minutes at 60 fps (~17 MB of JSON, built in memory on save)
+  const REC_MATCH_MS = 40;             // beats within this are "the same" when comparing runs
+
+  let featRec = null;        // { start, frames, beats } while recording
+  let featRecLast = null;    // finished recording, ready to save
+  let featReplay = null;     // { rec, name, base, idx, feats, beats } while replaying
+
+  const r4 = (v) => Math.round((Number(v) || 0) * 1e4) / 1e4;
+
+// Average the analyser spectrum down to REC_SPEC_BINS bytes, base64-encoded.
+  function packSpectrum(spec){
+    const k = spec.length / REC_SPEC_BINS;
+    let out = '';
+    for (let i=0;i<REC_SPEC_BINS;i++){
+      let sum = 0;
+      for (let j=0;j<k;j++) sum += spec[i*k + j];
+      out += String.fromCharCode(Math.round(sum / k));
+    }
+    return btoa(out);
+  }
+
+// Stretch a packed spectrum back over a full-size array (each stored bin fills k bins).
+  function unpackSpectrum(packed, into){
+    let bin = '';
+    try { bin = atob(packed || ''); } catch {}
+    if (!bin.length){ into.fill(0); return; }
+    const k = into.length / bin.length;
+    for (let i=0;i<into.length;i++) into[i] = bin.charCodeAt(Math.floor(i / k));
+  }
+
+  function featureFrame(feats, t, spec){
+    return [Math.round(t * 10) / 10, r4(feats.amp), r4(feats.bass), r4(feats.mid), r4(feats.tre), r4(feats.centroid),
+      r4(feats.bands?.low), r4(feats.bands?.mid), r4(feats.bands?.high), packSpectrum(spec)];
+  }
+
+  function replayFrameFeatures(fr){
+    return { amp: fr[1], bass: fr[2], mid: fr[3], tre: fr[4], centroid: fr[5], bands: { low: fr[6], mid: fr[7], high: fr[8] } };
+  }
 
-    let sum = 0;
-    for (let i=0;i<timeArr.length;i++){
-      const v = (timeArr[i]-128)/128;
-      sum += v*v;
+  function startFeatureRecording(){
+    if (!analyser || audioSourceType === 'none' || featReplay){
+      setStatus('Connect Mic, Demo or the Playlist before recording features.');
+      return;
     }
-    const amp = Math.sqrt(sum/timeArr.length);
+    featRec = { start: nowMs(), frames: [], beats: [] };
+    setStatus('Recording audio features… Press Record again to stop.');
+    refreshFeatureRec();
+  }
 
-    const n = freq.length;
-    const b0 = Math.floor(n*0.08);
-    const b1 = Math.floor(n*0.25);
-    const b2 = Math.floor(n*0.55);
+  function stopFeatureRecording(note=''){
+    if (!featRec) return;
+    featRecLast = {
+      format: REC_FORMAT,
+      version: REC_VERSION,
+      recordedAt: new Date().toISOString(),
+      source: audioSourceType,
+      sampleRate: audioCtx?.sampleRate || 48000,
+      fftSize,
+      settings: { beatAlgo, beatSens, beatCooldownMs, micGain: r4(micGain) },
+      fields: REC_FIELDS,
+      frames: featRec.frames,
+      beats: featRec.beats,
+    };
+    featRec = null;
+    setStatus(`${note}Recorded ${fmtClock(recordingDuration(featRecLast) / 1000)} of features and ${featRecLast.beats.length} beats. Save it to replay later.`);
+    refreshFeatureRec();
+  }
 
-    let bass=0, mid=0, tre=0;
-    for (let i=0;i<b0;i++) bass += freq[i];
-    for (let i=b0;i<b1;i++) mid += freq[i];
-    for (let i=b1;i<b2;i++) tre += freq[i];
+  function recordFeatureFrame(feats, tNow){
+    featRec.frames.push(featureFrame(feats, tNow - featRec.start, freq));
+    if (featRec.frames.length >= REC_MAX_FRAMES) stopFeatureRecording(`Stopped at the ${fmtClock(REC_MAX_FRAMES / 60)} limit. `);
+  }
 
-    bass /= Math.max(1,b0)*255;
-    mid  /= Math.max(1,b1-b0)*255;
-    tre  /= Math.max(1,b2-b1)*255;
+// Beats from onAudioBeat(): stored while recording, collected while replaying.
+  function noteFeatureBeat(tNow){
+    if (featRec) featRec.beats.push(Math.round((tNow - featRec.start) * 10) / 10);
+    if (featReplay) featReplay.beats.push(Math.round((tNow - featReplay.base) * 10) / 10);
+  }
 
-    let wsum=0, fsum=0;
-    for (let i=0;i<n;i++){
-      const w = freq[i]/255;
-      wsum += w;
-      fsum += w*(i/n);
-    }
-    const centroid = wsum>0 ? (fsum/wsum) : 0;
-    return { amp, bass, mid, tre, centroid };
+  function recordingDuration(rec){
+    return rec.frames.length ? rec.frames[rec.frames.length - 1][0] : 0;
   }
 
-  const autoDJPresetPool = (() => {
-    // avoid mouse-dependent (15) and full solid (23) for auto mode
-    const arr = [];
-    for (let i=0;i<presetCount();i++){
-      if (i === 15 || i === 23) continue;
-      arr.push(i);
+  function saveFeatureRecording(){
+    if (!featRecLast){
+      setStatus('Nothing recorded yet.');
+      return;
     }
-    return arr;
-  })();
-
-  function pickRandomPresetFromPool(){
-    const idx = Math.floor(Math.random() * autoDJPresetPool.length);
-    return autoDJPresetPool[idx];
+    const name = `features-${featRecLast.recordedAt.slice(0, 19).replace(/[T:]/g, '-')}.json`;
+    downloadJson(JSON.stringify(featRecLast), name);
+    setStatus(`Saved recording as <b>${escapeHtml(name)}</b>.`);
   }
 
-// Beat callback: optionally change colors and/or presets depending on toggles.
-  function onBeat(tNow){
-    beatCount++;
-    lastBeatFlash = tNow;
-
-    if (beatAutoColor){
-      presetColor = randomBrightColor();
-      if (multiColor){
-        if (distSq(multiColorClr, presetColor) < 80*80) multiColorClr = contrastingColor(presetColor);
+// Parse + check a recording. Throws an Error whose message lists every problem.
+  function parseFeatureRecording(text){
+    let rec;
+    try { rec = JSON.parse(text); } catch (e) { throw new Error(`Not valid JSON (${e.message}).`); }
+    const errors = [];
+    if (!rec || rec.format !== REC_FORMAT) errors.push('Not a feature recording.');
+    else {
+      if (rec.version !== REC_VERSION) errors.push(`Unsupported recording version ${rec.version}.`);
+      if (JSON.stringify(rec.fields) !== JSON.stringify(REC_FIELDS)) errors.push('Unknown frame layout.');
+      if (!Array.isArray(rec.frames) || !rec.frames.length) errors.push('No frames.');
+      else if (rec.frames.some((fr, i) => !Array.isArray(fr) || fr.length !== REC_FIELDS.length || !Number.isFinite(fr[0]) || (i && fr[0] < rec.frames[i - 1][0]))) {
+        errors.push('Frames must be [t, …] rows in time order.');
       }
-      updateColorReadout();
+      if (!Array.isArray(rec.beats) || rec.beats.some(t => !Number.isFinite(t))) errors.push('Beats must be a list of times.');
     }
+    if (errors.length) throw new Error(errors.join(' '));
+    return rec;
+  }
+
+  function startReplay(rec, name='recording'){
+    disconnectAudio();
+    for (const d of [beatDetector, fluxDetector, tempoTracker]) d.reset();
+    for (const b of BANDS) bandRuntime[b.id].det.reset();
+    audioSourceType = 'replay';
+    featReplay = { rec, name, base: nowMs(), idx: 0, feats: replayFrameFeatures(rec.frames[0]), beats: [] };
+    enableBeatDJForAudio({force:false});
+    setStatus(`Replaying <b>${escapeHtml(name)}</b> (${fmtClock(recordingDuration(rec) / 1000)}).`);
+    refreshFeatureRec();
+  }
 
-    if (beatAutoPreset && (beatCount % Math.max(1, beatEveryN) === 0)){
-      let p;
-      let tries = 0;
-      do {
-        p = pickRandomPresetFromPool();
-        tries++;
-      } while (p === presetNumber && tries < 8);
-      selectPreset(p, {user:false});
+// Recorded frames that are due by tNow (in order); the newest becomes the frame's features.
+  function takeReplayFrames(tNow){
+    const frames = featReplay.rec.frames;
+    const due = [];
+    while (featReplay.idx < frames.length && featReplay.base + frames[featReplay.idx][0] <= tNow){
+      due.push(frames[featReplay.idx++]);
     }
+    if (due.length) featReplay.feats = replayFrameFeatures(due[due.length - 1]);
+    return due;
   }
 
-// =====================
-// Pointer interaction in visual zone
-// =====================
-  let mouseXw = 0, mouseYw = 0;
-  let pmouseXw = 0, pmouseYw = 0;
-  let mouseDown = false;
+  function finishReplay(){
+    if (!featReplay) return;
+    const { rec, name, beats } = featReplay;
+    featReplay = null;
+    audioSourceType = 'none';
+    const same = countMatchingBeats(rec.beats, beats, REC_MATCH_MS);
+    setStatus(`Replay of <b>${escapeHtml(name)}</b> finished: ${beats.length} beats (recorded ${rec.beats.length}, ${same} within ${REC_MATCH_MS}ms).`);
+    refreshFeatureRec();
+  }
 
-// Track pointer position in WORLD units, clamped to the visual drawing area.
-  function updateMouse(e){
-    pmouseXw = mouseXw; pmouseYw = mouseYw;
-    mouseXw = clamp(e.clientX, 0, visualW/DPR);
-    mouseYw = clamp(e.clientY, 0, H/DPR);
+// Called from disconnectAudio(): another source (or Escape) ends a replay without a report.
+  function stopReplay(){
+    if (!featReplay) return;
+    featReplay = null;
+    refreshFeatureRec();
   }
 
-  window.addEventListener('pointermove', (e) => { updateMouse(e); });
-  window.addEventListener('pointerdown', (e) => { updateMouse(e); mouseDown = true; });
-  window.addEventListener('pointerup', () => { mouseDown = false; });
+// How many beats in b line up with one in a (each used once). Both lists are sorted.
+  function countMatchingBeats(a, b, tolMs){
+    let i = 0, j = 0, n = 0;
+    while (i < a.length && j < b.length){
+      const d = b[j] - a[i];
+      if (Math.abs(d) <= tolMs){ n++; i++; j++; }
+      else if (d < 0) j++;
+      else i++;
+    }
+    return n;
+  }
 
-  
-  function renderPresetGrid(){
-    const grid = ui.presetGrid;
-    if (!grid) return;
-    grid.innerHTML = '';
-    for (let i=0;i<presetCount();i++){
-      const b = document.createElement('button');
-      b.type = 'button';
-      b.className = 'presetBtn' + (i === presetNumber ? ' active' : '');
-      let label = `Preset ${i}`;
-      try { if (typeof presetLabel === 'function') label = presetLabel(i); } catch {}
-      b.textContent = String(label);
-      b.addEventListener('click', () => selectPreset(i, {user:true}));
-      grid.appendChild(b);
+// Run fresh detectors over a recording with the given settings and return the onset times.
+// No Beat DJ actions or tempo filling: this is for tuning and regression checks.
+  function detectRecordingBeats(rec, {algo=beatAlgo, sens=beatSens, cooldownMs=beatCooldownMs, gain=micGain}={}){
+    const det = (algo === 'flux') ? new SpectralFluxDetector() : new BeatDetector();
+    const spec = new Uint8Array(fftSize / 2);
+    const sens01 = clamp(sens / 100, 0, 1);
+    const hits = [];
+    for (const fr of rec.frames){
+      let hit;
+      if (algo === 'flux'){
+        unpackSpectrum(fr[REC_FIELDS.length - 1], spec);
+        hit = det.update(spec, fr[0], sens01, cooldownMs, gain);
+      } else {
+        hit = det.update(beatEnergy(replayFrameFeatures(fr), gain), fr[0], sens01, cooldownMs);
+      }
+      if (hit) hits.push(fr[0]);
     }
+    return hits;
   }
 
-  function selectPreset(idx, {user=false}={}){
-    idx = clamp(idx, 0, (presetCount() - 1));
-    if (idx === presetNumber) return;
+  function loadReplayFromFile(file){
+    if (!file) return;
+    file.text()
+      .then((text) => startReplay(parseFeatureRecording(text), file.name))
+      .catch((e) => setStatus(`Couldn't replay ${escapeHtml(file.name)}: ${escapeHtml(e.message || String(e))}`));
+  }
 
-    // Instant switch (no morph transition)
-    presetNumber = idx;
-    v = 0.2 + Math.random()*0.8;
-    m = 0;
-    if (presetNumber === 8) initDiscoball();
-    renderPresetGrid();
+  function featureRecForState(){
+    return {
+      recording: !!featRec,
+      replaying: !!featReplay,
+      canSave: !!featRecLast,
+      info: featRec ? `Rec ${fmtClock(featRec.frames.length ? featRec.frames[featRec.frames.length - 1][0] / 1000 : 0)}`
+        : featReplay ? `Replay ${fmtClock(featReplay.idx ? featReplay.rec.frames[featReplay.idx - 1][0] / 1000 : 0)} / ${fmtClock(recordingDuration(featReplay.rec) / 1000)}`
+        : featRecLast ? `Recorded ${fmtClock(recordingDuration(featRecLast) / 1000)}` : 'Idle',
+    };
+  }
 
-    sendStateToPopup(true);
+// Wire the recorder controls in a document (main panel or pop-out). Replay files are read
+// from here, so picking one in the pop-out still replays in the main window.
+  function bindFeatureRecControls(d){
+    const $d = (id) => d?.getElementById(id);
+    const input = $d('replayFileInput');
+    $d('btnFeatRec')?.addEventListener('click', () => applyRemoteCommand({type:'featRec', on: !featRec}));
+    $d('btnFeatSave')?.addEventListener('click', () => applyRemoteCommand({type:'featSave'}));
+    $d('btnReplay')?.addEventListener('click', () => {
+      if (featReplay) applyRemoteCommand({type:'replayStop'});
+      else input?.click();
+    });
+    input?.addEventListener('change', () => {
+      loadReplayFromFile(input.files?.[0]);
+      input.value = '';
+    });
+    syncFeatureRecDom(d);
+  }
 
-    if (user && beatDJ){
-      // Manual pick while Beat DJ is on: keep it (Beat DJ will still change later if Auto Preset is on)
+  function syncFeatureRecDom(d, st=featureRecForState()){
+    const $d = (id) => d?.getElementById(id);
+    $d('btnFeatRec')?.classList.toggle('on', st.recording);
+    const replay = $d('btnReplay');
+    if (replay){
+      replay.classList.toggle('on', st.replaying);
+      replay.textContent = st.replaying ? 'Stop replay' : 'Replay…';
+    }
+    const save = $d('btnFeatSave');
+    if (save) save.disabled = !st.canSave;
+    const info = $d('featRecInfo');
+    if (info){
+      info.textContent = st.info;
+      info.classList.toggle('on', st.recording || st.replaying);
     }
   }
 
-  renderPresetGrid();
+  function refreshFeatureRec(){
+    syncFeatureRecDom(document);
+    if (isPopupOpen()){
+      try { syncFeatureRecDom(popupWin.document); } catch {}
+    }
+    sendStateToPopup(true);
+  }
+
+  bindFeatureRecControls(document);
+  // Keep the Rec/Replay clock moving without a full refresh every frame.
+  setInterval(() => { if (featRec || featReplay) syncFeatureRecDom(document); }, 500);
 
 // =====================
 // Main loop
@@ -1743,55 +7067,94 @@
     sendStateToPopup();
   }
 
+// Beat DJ detection energy (bass + amp), scaled by Mic Sensitivity.
+  function beatEnergy(feats, gain){
+    return clamp(clamp(0.75*feats.bass + 0.25*feats.amp, 0, 1) * gain, 0, 1);
+  }
+
+// One frame of audio analysis: meter, onset detection, tempo tracking and band triggers.
+// The flux detector reads the spectrum from `freq`. detect=false skips onsets (a beat grid
+// is driving Beat DJ instead).
+  function analyzeAudioFrame(feats, tNow, detect=true){
+    const energy = beatEnergy(feats, micGain);
+    updateInputMeter(energy);
+
+    // Onsets drive Beat DJ / the beat-synced sequencer and feed the tempo tracker, whose
+    // predicted beats stand in for missed onsets once it is confident.
+    if (detect){
+      const hit = (beatAlgo === 'flux')
+        ? fluxDetector.update(freq, tNow, clamp(beatSens/100,0,1), beatCooldownMs, micGain)
+        : beatDetector.update(energy, tNow, clamp(beatSens/100,0,1), beatCooldownMs);
+      const beat = tempoTracker.update(tNow, hit);
+      const confident = tempoTracker.confidence >= TEMPO_MIN_CONF;
+      if (hit ? !beat?.dup : (beat?.predicted && tempoFillBeats && confident)) onAudioBeat(tNow);
+      if (beat && confident && tempoAutoBpm) followTempo(beat.t);
+      updateTempoReadout();
+    }
+    updateBandTriggers(feats.bands, tNow);
+    updateBandMeters(document);
+    // A playing beat grid runs the phrase actions itself (phraseGridBeat); don't double them.
+    if (detect) updatePhrase(feats, tNow);
+    else updatePhraseReadout();
+    updateColorCentroid(feats.centroid);
+  }
+
+// Mouse/touch "paint" trail while the pointer is held down in the visual zone.
+  function drawMousePaint(){
+    if (!mouseDown || mouseXw >= (visualW/DPR)) return;
+    ctx.fillStyle = 'rgba(255,255,255,0.85)';
+    const dx = mouseXw - pmouseXw;
+    const dy = mouseYw - pmouseYw;
+    for (let i=0;i<10;i++){
+      const x = mouseXw - i*(dx/10);
+      const y = mouseYw - i*(dy/10);
+      fillCircleWorld(x, y, (H/DPR)/20);
+    }
+  }
+
 // Main animation loop. Handles:
  // - panel auto-hide
- // - smoothing Size/Brightness toward destinations
- // - BPM strobe mode timing
- // - audio feature sampling + beat detection
- // - preset rendering (per presetNumber)
+ // - cue fades, smoothing Size/Brightness toward destinations
+ // - BPM clock (BPM mode + sequencer timing)
+ // - audio feature sampling, modulation matrix + beat detection
+ // - preset rendering (current preset instance + any extra layers), with modulation offsets applied
   function loop(){
     requestAnimationFrame(loop);
 
     const tNow = nowMs();
     const dt = Math.min(0.05, (tNow - lastFrame)/1000);
     lastFrame = tNow;
+    frameStep = dt * 60;
 
     if ((tNow - lastMouseMovedTime) >= 5000){
       setPanelHidden(true);
     }
 
-    if (!blackout) presetBrightness += 0.2 * (presetBrightnessDest - presetBrightness);
-    presetSize += 0.14 * (presetSizeDest - presetSize);
-
-    // BPM Sound-To-Light (manual BPM)
-    if (bpmSTLmode){
-      const beatMs = 60000 / bpm;
-      if (tNow - bpmBeatTime >= beatMs){
-        bpmBeatTime = tNow;
-        bpmBeatCounter++;
-
-        const r = Math.floor(10 + Math.random()*85);
-        presetSize = r;
-        presetSizeDest = r;
-        ui.size.value = String(r);
-        ui.sizeOut.textContent = String(r);
+    updateCueFade(tNow);
 
-        presetColor = randomBrightColor();
-        if (multiColor && distSq(multiColorClr, presetColor) < 80*80) multiColorClr = contrastingColor(presetColor);
-        updateColorReadout();
+    // Exponential smoothing, tuned at 60 Hz and scaled so it converges at the same rate on any display.
+    if (!blackout) presetBrightness += (1 - Math.pow(1 - BRIGHT_SMOOTHING, frameStep)) * (presetBrightnessDest - presetBrightness);
+    presetSize += (1 - Math.pow(1 - SIZE_SMOOTHING, frameStep)) * (presetSizeDest - presetSize);
+    rainbowTurn = (rainbowTurn + dt * bpm / 60 / RAINBOW_BEATS) % 1;
 
-        if (bpmBeatCounter >= 8){
-          bpmBeatCounter = 0;
-          let p;
-          do { p = Math.floor(Math.random()*presetCount()); }
-          while (p === 15 || p === 23);
-          selectPreset(p, {user:false});
-        }
-      }
+    // Manual BPM clock: drives BPM Sound-To-Light and (when synced to it) the sequencer.
+    if (advanceBpmClock(tNow)){
+      if (bpmSTLmode) onBpmBeat();
+      if (seqPlaying && seqSync === 'clock') seqAdvance(tNow);
     }
 
-    if (presetStrobing > 0){
-      const interval = 200 - 1.8*presetStrobing;
+    // A feature replay stands in for the analyser; every recorded frame that is due gets
+    // analysed below, in order, so detection doesn't depend on the display frame rate.
+    const replayFrames = featReplay ? takeReplayFrames(tNow) : null;
+    const feats = replayFrames ? featReplay.feats : getAudioFeatures();
+    updateModulation(feats, dt);
+    if (modRoutes.length) updateModMeters(document, modRoutes.map(r => r.env));
+    updateLfos(tNow, dt);
+    if (lfos.length) updateLfoMeters(document, lfos.map(l => l.value));
+
+    const strobing = clamp(Math.max(presetStrobing + modOffsets.strobe, (tNow < strobeBurstUntil) ? strobeBurstLevel : 0, phraseStrobeLevel(tNow)), 0, 100);
+    if (strobing > 0){
+      const interval = 200 - 1.8*strobing;
       if (tNow - strobeTime >= interval){
         onoff = !onoff;
         strobeTime = tNow;
@@ -1801,39 +7164,40 @@
     }
 
     fadeBackground();
+    const layered = layersActive();
+    if (!layered) drawMousePaint();
+
+    const motion = withModulatedParams(() => computeMotionOffset(tNow, dt));
 
-    if (mouseDown && mouseXw < (visualW/DPR)){
-      ctx.fillStyle = 'rgba(255,255,255,0.85)';
-      const dx = mouseXw - pmouseXw;
-      const dy = mouseYw - pmouseYw;
-      for (let i=0;i<10;i++){
-        const x = mouseXw - i*(dx/10);
-        const y = mouseYw - i*(dy/10);
-        fillCircleWorld(x, y, (H/DPR)/20);
+    if (replayFrames){
+      for (const fr of replayFrames){
+        unpackSpectrum(fr[REC_FIELDS.length - 1], freq);
+        analyzeAudioFrame(replayFrameFeatures(fr), featReplay.base + fr[0]);
       }
+    } else if (analyser){
+      if (featRec) recordFeatureFrame(feats, tNow);
+      const grid = activeBeatGrid();
+      analyzeAudioFrame(feats, tNow, !grid);
+      if (grid) advanceBeatGrid(grid, tNow);
     }
+    if (featReplay && featReplay.idx >= featReplay.rec.frames.length) finishReplay();
 
-    const feats = getAudioFeatures();
-    const motion = computeMotionOffset(tNow, dt);
-
-    // Beat DJ detection (uses bass+amp) — scaled by Mic Sensitivity
-    const rawEnergy = clamp(0.75*feats.bass + 0.25*feats.amp, 0, 1);
-    const energy = clamp(rawEnergy * micGain, 0, 1);
-
-    // Always update the in-panel meter when audio exists.
-    if (analyser) updateInputMeter(energy);
-
-    if (beatDJ && analyser){
-      const hit = beatDetector.update(energy, tNow, clamp(beatSens/100,0,1), beatCooldownMs);
-      if (hit) onBeat(tNow);
-    }
+    holdBlackout(tNow < seqBlackoutUntil || tNow < phraseBlackoutUntil);
 
     if (!onoff) {
       return; // skip drawing this frame
     }
 
 
-    drawPreset(presetNumber, feats, motion);
+    if (layered){
+      // The base show gets its own buffer (with trails + mouse paint) so layers don't bake into it.
+      drawLayeredFrame(feats, motion, () => {
+        drawMousePaint();
+        withModulatedParams(() => drawPresetFrame(feats, motion, tNow));
+      });
+    } else {
+      withModulatedParams(() => drawPresetFrame(feats, motion, tNow));
+    }
   }
 
   loop();
@@ -1848,7 +7212,7 @@
       console.assert(clamp(5,0,3) === 3 && clamp(-1,0,3) === 0, 'clamp should clamp');
       console.assert(presetLabel(0).length > 0 && presetLabel(presetCount()).length > 0, 'presetLabel should return strings');
 
-      // Regression: Sinus (5) and Sin Blocks (6) must work in single-color mode too.
+      // Regression: Sinus and Sin Blocks must work in single-color mode too.
       try {
         const feats0 = { amp:0, bass:0, mid:0, tre:0, centroid:0 };
         const sent = 'rgba(1,2,3,0.4)';
@@ -1863,12 +7227,12 @@
         onoff = true;
 
         ctx.fillStyle = sent;
-        drawPreset(5, feats0, {x:0,y:0});
-        console.assert(ctx.fillStyle !== sent, 'Preset 5 should set fillStyle in single-color');
+        drawPreset('sinus', feats0, {x:0,y:0});
+        console.assert(ctx.fillStyle !== sent, 'Sinus should set fillStyle in single-color');
 
         ctx.fillStyle = sent;
-        drawPreset(6, feats0, {x:0,y:0});
-        console.assert(ctx.fillStyle !== sent, 'Preset 6 should set fillStyle in single-color');
+        drawPreset('sin-blocks', feats0, {x:0,y:0});
+        console.assert(ctx.fillStyle !== sent, 'Sin Blocks should set fillStyle in single-color');
 
         multiColor = prevMulti;
         presetColor = prevColorA;
@@ -1901,11 +7265,80 @@
 
       selectPreset(8);
       console.assert(presetNumber === 8, 'selectPreset should set');
+      selectPreset('pingpong');
+      console.assert(presetNumber === presetIndexOf('pingpong') && presetInstance.def.id === 'pingpong', 'selectPreset should accept a preset id');
       selectPreset(999);
       console.assert(presetNumber === presetCount() - 1, 'selectPreset should clamp high');
       selectPreset(-5);
       console.assert(presetNumber === 0, 'selectPreset should clamp low');
 
+      // Preset transitions: every mode should composite and hand back to direct rendering when done.
+      try {
+        const feats0 = { amp:0, bass:0, mid:0, tre:0, centroid:0 };
+        const prevMode = presetBlendMode;
+        const prevOn = onoff;
+        onoff = true;
+        ['crossfade','wipe','zoom','flash'].forEach((mode) => {
+          presetBlendMode = mode;
+          selectPreset(presetNumber === 1 ? 2 : 1);
+          console.assert(presetTransition && presetTransition.mode === mode, `selectPreset should start a ${mode} transition`);
+          const tr = presetTransition;
+          drawPresetFrame(feats0, {x:0,y:0}, tr.start + tr.dur/2);
+          console.assert(presetTransition === tr, `${mode} transition should still be running halfway`);
+          drawPresetFrame(feats0, {x:0,y:0}, tr.start + tr.dur);
+          console.assert(presetTransition === null, `${mode} transition should finish after its duration`);
+        });
+        presetBlendMode = 'cut';
+        selectPreset(0);
+        console.assert(presetTransition === null, 'Cut should switch presets without a transition');
+        presetBlendMode = prevMode;
+        onoff = prevOn;
+      } catch (e) {
+        console.warn('Preset transition test failed (non-fatal):', e);
+      }
+      finishPresetTransition();
+
+      // Frame-rate independence: one 2-frame step should advance a preset like two 1-frame steps.
+      try {
+        const feats0 = { amp:0, bass:0, mid:0, tre:0, centroid:0 };
+        const prevStep = frameStep;
+        const prevOn = onoff;
+        onoff = true;
+        for (const id of ['ring-sin', 'ring-rot', 'multi-v', 'tunnel-rect']){
+          const once = createPresetInstance(id);
+          const twice = createPresetInstance(id);
+          once.state.v = twice.state.v = 0.2;
+          frameStep = 2;
+          drawPreset(once, feats0, {x:0,y:0});
+          frameStep = 1;
+          drawPreset(twice, feats0, {x:0,y:0});
+          drawPreset(twice, feats0, {x:0,y:0});
+          console.assert(Math.abs(once.state.v - twice.state.v) < 1e-9 && Math.abs(once.state.m - twice.state.m) < 1e-9, `Preset ${id} should advance by elapsed time, not frames`);
+        }
+        frameStep = prevStep;
+        onoff = prevOn;
+      } catch (e) {
+        console.warn('Frame-rate independence test failed (non-fatal):', e);
+      }
+
+      // Preset registry: stable unique ids, private per-instance state, duplicate ids rejected.
+      try {
+        const ids = presetRegistry.map(p => p.id);
+        console.assert(new Set(ids).size === ids.length && ids.length === presetCount(), 'Preset ids should be unique and match presetNames');
+        console.assert(presetIdAt(presetIndexOf('discoball')) === 'discoball', 'presetIndexOf/presetIdAt should round-trip');
+        console.assert(!autoPresetIds().includes('mouse-spot') && !autoPresetIds().includes('solid'), 'noauto presets should stay out of the auto pool');
+        const a1 = createPresetInstance('ring-rot');
+        const a2 = createPresetInstance('ring-rot');
+        a1.state.v = a2.state.v = 0.5;
+        drawPreset(a1, { amp:0, bass:0, mid:0, tre:0, centroid:0 }, {x:0,y:0});
+        console.assert(a2.state.v === 0.5, 'Preset instances should not share state');
+        let threw = false;
+        try { registerPreset({ id: 'ring-rot', name: 'Dup', draw(){} }); } catch { threw = true; }
+        console.assert(threw && presetCount() === ids.length, 'registerPreset should reject duplicate ids');
+      } catch (e) {
+        console.warn('Preset registry test failed (non-fatal):', e);
+      }
+
       // Beat detector should fire on a clear spike
       const bd = new BeatDetector();
       let fired = 0;
@@ -1917,6 +7350,31 @@
       }
       console.assert(fired >= 1 && fired <= 4, 'BeatDetector should detect spikes (approx)');
 
+      // Spectral flux: synthetic spectra (deterministic noise) — one hit per onset, none for held bass.
+      try {
+        let seed = 1;
+        const noise = () => (seed = (seed * 16807) % 2147483647) % 7;
+        const frame = (fill) => { const f = new Uint8Array(1024); for (let i=0;i<f.length;i++) f[i] = clamp(fill(i) + noise(), 0, 255); return f; };
+        const sd = new SpectralFluxDetector();
+        let hits = 0;
+        for (let i=0;i<240;i++){
+          const age = i % 40;                    // an onset every 40 frames, decaying over ~10
+          const level = age < 10 ? 200 - age*15 : 40;
+          if (sd.update(frame(() => level), i*16, 0.6, 120)) hits++;
+        }
+        console.assert(hits >= 5 && hits <= 6, `Spectral flux should find each synthetic onset (got ${hits})`);
+
+        const held = new SpectralFluxDetector();
+        let heldHits = 0;
+        for (let i=0;i<200;i++){
+          const bass = Math.min(230, 40 + i*20);  // bass swells once, then holds
+          if (held.update(frame((b) => b < 80 ? bass : 30), i*16, 0.6, 120) && i > 20) heldHits++;
+        }
+        console.assert(heldHits === 0, 'Spectral flux should ignore sustained bass');
+      } catch (e) {
+        console.warn('Spectral flux test failed (non-fatal):', e);
+      }
+
       // Sensitivity mapping sanity: higher sensitivity => lower threshold (after settling)
       const bdLo = new BeatDetector();
       const bdHi = new BeatDetector();
@@ -1926,6 +7384,605 @@
       }
       console.assert(bdHi.lastThr < bdLo.lastThr, 'Higher beat sensitivity should lower threshold');
 
+      // Modulation matrix: envelope follows the source and offsets apply only around rendering.
+      try {
+        const prevRoutes = modRoutes;
+        const prevSize = presetSize;
+        modRoutes = [normalizeModRoute({src:'bass', dst:'size', gain:100, attackMs:0, releaseMs:500, min:0, max:50})];
+        presetSize = 40;
+        const loud = { amp:0, bass:1/Math.max(1e-6, micGain), mid:0, tre:0, centroid:0 };
+        updateModulation(loud, 1/60);
+        console.assert(Math.abs(modOffsets.size - 50) < 1e-6, 'Instant attack should reach full range');
+        console.assert(withModulatedParams(() => presetSize) === 90, 'Size offset should apply inside withModulatedParams');
+        console.assert(presetSize === 40, 'withModulatedParams should restore base values');
+        updateModulation({ amp:0, bass:0, mid:0, tre:0, centroid:0 }, 1/60);
+        console.assert(modOffsets.size > 0 && modOffsets.size < 50, 'Release should decay gradually');
+        console.assert(shiftHue(rgb(255,0,0), 120).g === 255, 'shiftHue(red, 120) should be green');
+        modRoutes = prevRoutes;
+        presetSize = prevSize;
+        updateModulation({ amp:0, bass:0, mid:0, tre:0, centroid:0 }, 1/60);
+      } catch (e) {
+        console.warn('Modulation matrix test failed (non-fatal):', e);
+      }
+
+      // Layers: normalized on the way in, swapped params restored, composited without leaking state.
+      try {
+        const feats0 = { amp:0, bass:0, mid:0, tre:0, centroid:0 };
+        const prevLayers = presetLayers;
+        const prevSize = presetSize;
+        const prevOn = onoff;
+        onoff = true;
+        presetLayers = [normalizeLayer({presetId: 'no-such-preset', blend: 'multiply', opacity: 250, colorA: '#ff8000'})];
+        const l = presetLayers[0];
+        console.assert(l.presetId === 'discoball' && l.opacity === 100 && l.colorA.g === 128, 'normalizeLayer should clamp and fill defaults');
+        console.assert(withLayerParams({...l, size: 7}, () => presetSize) === 7 && presetSize === prevSize, 'withLayerParams should swap and restore Size');
+        const prevCtx = ctx;
+        drawLayeredFrame(feats0, {x:0,y:0}, () => drawPreset(currentPresetInstance(), feats0, {x:0,y:0}));
+        console.assert(ctx === prevCtx && l.inst?.def.id === 'discoball' && l.buf, 'Layer should render into its own buffer and restore ctx');
+        console.assert(layersForState()[0].colorA === '#ff8000', 'Layer colors should serialize as hex');
+        dropLayer(l);
+        presetLayers = prevLayers;
+        onoff = prevOn;
+      } catch (e) {
+        console.warn('Layer test failed (non-fatal):', e);
+      }
+
+      // Cues: a stored look comes back after changes; fades land exactly on the stored values.
+      try {
+        const prevLists = cueLists, prevListIdx = cueListIdx, prevCueIdx = cueIdx;
+        const prevSpeed = presetSpeed, prevA = presetColor, prevPreset = presetNumber;
+        cueLists = [{ name: 'Test', cues: [] }];
+        cueListIdx = 0;
+        setShowRange('presetSpeed', 12);
+        presetColor = rgb(255,0,0);
+        selectPreset('cross');
+        storeCue('Red cross');
+        setShowRange('presetSpeed', 88);
+        presetColor = rgb(0,0,255);
+        selectPreset('sinus');
+        const st = captureShowState();
+        console.assert(st.presetId === 'sinus' && !('meter' in st) && !('statusHTML' in st), 'captureShowState should keep look fields only');
+        goCue(0);
+        console.assert(presetIdAt(presetNumber) === 'cross', 'Cue recall should switch preset immediately');
+        const f = cueFade;
+        updateCueFade(f.start + f.dur/2);
+        console.assert(presetSpeed === 50 && Math.abs(presetColor.r - 128) <= 1 && Math.abs(presetColor.b - 128) <= 1, 'Cue fade should interpolate sliders and colors');
+        updateCueFade(f.start + f.dur);
+        console.assert(presetSpeed === 12 && presetColor.r === 255 && cueFade === null, 'Cue fade should finish on the stored values');
+        applyRemoteCommand({type:'cueBack'});
+        console.assert(cueIdx === 0, 'BACK before the first cue should stay put');
+        cueLists = prevLists; cueListIdx = prevListIdx; cueIdx = prevCueIdx;
+        setShowRange('presetSpeed', prevSpeed);
+        presetColor = prevA;
+        finishPresetTransition();
+        selectPreset(prevPreset);
+        finishPresetTransition();
+        refreshCues();
+      } catch (e) {
+        console.warn('Cue test failed (non-fatal):', e);
+      }
+
+      // BPM clock + sequencer: whole-beat anchor steps, events fire on their step, loop wraps.
+      try {
+        const prevBpm = bpm, prevAnchor = bpmBeatTime, prevBeatTotal = bpmBeatTotal, prevLanes = seqLanes, prevSync = seqSync, prevBars = seqBars;
+        const prevPreset = presetNumber, prevA = presetColor, prevB = multiColorClr;
+        bpm = 120;
+        bpmBeatTime = 1000;
+        console.assert(!advanceBpmClock(1400) && advanceBpmClock(1510) && bpmBeatTime === 1500, 'BPM clock should step its anchor by whole beats');
+        advanceBpmClock(9000);
+        console.assert(bpmBeatTime === 9000, 'BPM clock should resync after a stall');
+
+        seqLanes = Object.fromEntries(SEQ_LANES.map(l => [l.id, Array(SEQ_MAX_STEPS).fill(null)]));
+        seqSync = 'beats';
+        seqBars = 4;
+        seqLanes.preset[2] = 'tunnel-rect';
+        seqLanes.color[0] = 'green';
+        seqLanes.blackout[3] = true;
+        setSeqPlaying(true);
+        seqAdvance(0);
+        console.assert(seqStep === 0 && presetColor.g === 255 && presetColor.r === 0, 'Step 1 should set the color');
+        console.assert(presetColor !== COLORS.green, 'A color step should copy the named color');
+        seqAdvance(500);
+        seqAdvance(1000);
+        console.assert(presetIdAt(presetNumber) === 'tunnel-rect', 'Step 3 should change the preset');
+        seqAdvance(1500);
+        console.assert(seqBlackoutUntil === 2000, 'Blackout step should last one beat');
+        holdBlackout(1500 < seqBlackoutUntil);
+        console.assert(blackout, 'Blackout step should switch the Blackout toggle on');
+        holdBlackout(2000 < seqBlackoutUntil);
+        console.assert(!blackout, 'Blackout step should hand the toggle back after its beat');
+        for (let i=0;i<12;i++) seqAdvance(2000 + i*500);
+        console.assert(seqStep === 15, '4-bar loop should have 16 steps');
+        seqAdvance(8000);
+        console.assert(seqStep === 0, 'Sequencer should loop back to the first step');
+        const prevStrategy = colorAuto.strategy, prevIdx = colorAutoIdx;
+        colorAuto.strategy = 'step';
+        seqLanes.color[1] = 'random';
+        seqAdvance(8500);
+        const stepped = paletteColors()[colorAutoIdx];
+        console.assert(presetColor.r === stepped.r && presetColor.g === stepped.g && presetColor.b === stepped.b, 'A random color step should follow the auto color strategy');
+        colorAuto.strategy = prevStrategy; colorAutoIdx = prevIdx;
+        const prevMulti = multiColor, prevPalette = colorAuto.palette;
+        multiColor = true;
+        setColorAutoOption('palette', 'Cool');
+        multiColorClr = rgb(255, 0, 0);
+        seqLanes.color[2] = 'red';
+        seqAdvance(9000);
+        console.assert(paletteColors().some(c => distSq(c, multiColorClr) === 0), 'A named color step should keep B within the active palette');
+        multiColor = prevMulti;
+        setColorAutoOption('palette', prevPalette);
+        setSeqPlaying(false);
+
+        seqLanes = prevLanes; seqSync = prevSync; seqBars = prevBars;
+        bpm = prevBpm; bpmBeatTime = prevAnchor; bpmBeatTotal = prevBeatTotal;
+        presetColor = prevA; multiColorClr = prevB;
+        finishPresetTransition();
+        selectPreset(prevPreset);
+        finishPresetTransition();
+        refreshSeq();
+      } catch (e) {
+        console.warn('Sequencer test failed (non-fatal):', e);
+      }
+
+      // Show files: round-trip, bare-state migration, readable validation errors.
+      try {
+        const saved = buildShowFile();
+        const { file, warnings } = parseShowFile(JSON.stringify(saved));
+        console.assert(file.version === SHOW_FILE_VERSION && !warnings.length && !('meter' in file.state) && file.cues.lists.length === cueLists.length, 'Show file should round-trip');
+        const bare = parseShowFile(JSON.stringify({ presetId: 'cross', presetSpeed: 40 })).file;
+        console.assert(bare.format === SHOW_FILE_FORMAT && bare.version === SHOW_FILE_VERSION && bare.state.presetSpeed === 40, 'A bare state object should migrate to the current version');
+        let msg = '';
+        try { parseShowFile(JSON.stringify({ ...saved, state: { ...saved.state, bpm: 500, beatDJ: 'yes' } })); } catch (e) { msg = e.message; }
+        console.assert(msg.includes('state.bpm') && msg.includes('state.beatDJ'), 'Validation should name every bad field');
+        msg = '';
+        try { parseShowFile(JSON.stringify({ ...saved, version: SHOW_FILE_VERSION + 1 })); } catch (e) { msg = e.message; }
+        console.assert(msg.includes('newer version'), 'Files from a newer version should be refused');
+        const odd = parseShowFile(JSON.stringify({ ...saved, pools: { list: [{ name: 'X', weights: { cross: 1, nope: 2 } }], idx: 0 } }));
+        console.assert(odd.warnings.some(w => w.includes('nope')), 'Unknown pool presets should be reported');
+        const v1 = parseShowFile(JSON.stringify({ ...saved, version: 1, pools: { auto: ['cross', 'sinus'] } })).file;
+        console.assert(v1.pools.list[0].weights.sinus === 1 && v1.pools.list.length === 1, 'A v1 Beat DJ pool should migrate to a named pool');
+        const v1Phrase = parseShowFile(JSON.stringify({ ...saved, version: 1, state: { phraseActions: { dropPool: false, breakdownPool: true } } })).file;
+        console.assert(v1Phrase.state.phraseActions.dropPool === '' && v1Phrase.state.phraseActions.breakdownPool === 'Chill', 'v1 Build / Drop switches should migrate to pool names');
+        msg = '';
+        try { parseShowFile(JSON.stringify({ ...saved, cues: { lists: [{ name: 'Main', cues: [{ name: 'Q1', state: { presetSpeed: 'fast' } }] }] } })); } catch (e) { msg = e.message; }
+        console.assert(msg.includes('Cue "Q1"') && msg.includes('presetSpeed'), 'Cue states should be validated like the show state');
+        const prevA = presetColor, prevB = multiColorClr;
+        applyShowState(parseShowFile(JSON.stringify({ ...saved, state: { colorA: '#ff8000', colorB: '#00ff00' } })).file.state, 0);
+        console.assert(presetColor.r === 255 && presetColor.g === 128 && presetColor.b === 0 && multiColorClr.g === 255 && multiColorClr.r === 0, 'Hex colors should load');
+        presetColor = prevA;
+        multiColorClr = prevB;
+        updateColorReadout();
+      } catch (e) {
+        console.warn('Show file test failed (non-fatal):', e);
+      }
+
+      // MIDI: learn through a mocked MIDIAccess, then drive slider/toggle/preset via remote commands.
+      try {
+        const prevMaps = midiMaps, prevAccess = midiAccess;
+        const prevSpeed = presetSpeed, prevBlackout = blackout, prevPreset = presetNumber;
+        const input = { id: 'mock', name: 'Mock controller', onmidimessage: null };
+        const send = (...data) => input.onmidimessage({ data });
+        midiMaps = [];
+        connectMidi({ inputs: new Map([['mock', input]]), onstatechange: null });
+        console.assert(typeof input.onmidimessage === 'function' && midiForState().inputs[0] === 'Mock controller', 'connectMidi should listen on every input');
+        setMidiLearn(true);
+        armMidiTarget(midiTargetFromElement(ui.speed));
+        send(0xB0, 7, 10);
+        armMidiTarget(midiTargetFromElement(ui.btnBlackout));
+        send(0x99, 36, 100);
+        send(0x89, 36, 0);
+        armMidiTarget(midiTargetFromElement(ui.presetGrid.querySelector('[data-preset="3"]')));
+        send(0x90, 60, 90);
+        setMidiLearn(false);
+        console.assert(midiMaps.map(m => m.key).join() === 'cc:0:7,note:9:36,note:0:60', 'Learn should map the next CC/note to the armed control');
+        send(0xB0, 7, 127);
+        console.assert(presetSpeed === 100 && ui.speed.value === '100', 'CC should set the mapped slider across its range');
+        send(0x99, 36, 100);
+        send(0x89, 36, 0);
+        console.assert(blackout === !prevBlackout, 'Note-on should toggle Blackout once (note-off does nothing)');
+        send(0x90, 60, 90);
+        console.assert(presetNumber === 3, 'Mapped pad should select its preset');
+
+        midiMaps = prevMaps; midiAccess = prevAccess;
+        saveMidiMaps();
+        blackout = prevBlackout;
+        setShowRange('presetSpeed', prevSpeed);
+        finishPresetTransition();
+        selectPreset(prevPreset);
+        finishPresetTransition();
+        refreshMidi();
+      } catch (e) {
+        console.warn('MIDI test failed (non-fatal):', e);
+      }
+
+      // Tempo sync: taps set bpm + phase, MIDI clock locks tempo and lands beats on its quarter notes.
+      try {
+        const prevBpm = bpm, prevSource = bpmSource, prevAnchor = bpmBeatTime, prevBeatTotal = bpmBeatTotal, prevCounter = bpmBeatCounter;
+        tapTimes = [];
+        [0, 500, 1000, 1500].forEach(t => tapTempo(10000 + t));
+        console.assert(bpm === 120 && bpmSource === 'tap' && bpmBeatTime === 11500, 'Four taps 500ms apart should give 120 BPM on the last tap');
+        tapTempo(20000);
+        console.assert(tapTimes.length === 1 && bpm === 120, 'A long pause should start a new tap sequence');
+
+        handleMidiMessage([0xFA], 30000);
+        let beats = 0;
+        for (let i = 0; i <= 48; i++){
+          const t = 30000 + i * 20;               // 20ms/tick = 125 BPM
+          handleMidiMessage([0xF8], t);
+          if (advanceBpmClock(t + 1)) beats++;
+        }
+        console.assert(bpm === 125 && bpmSource === 'midi', 'MIDI clock should set the tempo');
+        console.assert(beats === 3 && bpmBeatTime === 30960, 'MIDI clock beats should fire on every 24th tick, starting at Start');
+        console.assert(bpmBeatCounter === 7, 'Start should queue a downbeat (BPM mode changes preset on it)');
+        handleMidiMessage([0xFC], 31000);
+        console.assert(!midiClock.running, 'Stop should halt the transport');
+
+        midiClock.times = [];
+        midiClock.lastTick = -1e9;
+        tapTimes = [];
+        setBpmValue(prevBpm, prevSource);
+        bpmBeatTime = prevAnchor;
+        bpmBeatTotal = prevBeatTotal;
+        bpmBeatCounter = prevCounter;
+      } catch (e) {
+        console.warn('Tempo sync test failed (non-fatal):', e);
+      }
+
+      // Tempo tracker: steady onsets give BPM + phase; a missed onset is filled by a prediction.
+      try {
+        const tt = new TempoTracker();
+        for (let i = 0; i < 16; i++) tt.update(50000 + i*500 + (i % 2 ? 8 : -8), true);
+        console.assert(Math.abs(tt.bpm - 120) < 1 && tt.confidence >= TEMPO_MIN_CONF, 'Onsets 500ms apart should read as 120 BPM with confidence');
+        let fill = null;
+        for (let t = 57510; t < 58400 && !fill; t += 16) fill = tt.update(t, false);
+        console.assert(fill?.predicted && Math.abs(fill.t - 58000) < 20, 'A missed onset should be predicted on the beat');
+        const late = tt.update(58040, true);
+        console.assert(late?.dup, 'An onset just after a predicted beat should not count twice');
+        const half = new TempoTracker();
+        for (let i = 0; i < 10; i++) half.update(i*1000, true);
+        console.assert(Math.abs(half.bpm - 60) < 1, 'Slow onset streams should read at their own tempo down to 60 BPM');
+        const slow = new TempoTracker();
+        for (let i = 0; i < 10; i++) slow.update(i*800, true);
+        console.assert(Math.abs(slow.bpm - 75) < 1, 'Onsets 800ms apart should read as 75 BPM, not 150');
+        console.assert(half.update(20000, false) === null && half.bpm === 0, 'Long silence should drop the estimate');
+      } catch (e) {
+        console.warn('Tempo tracker test failed (non-fatal):', e);
+      }
+
+      // Band triggers: each band fires only on its own spikes and runs its own action.
+      try {
+        const prevOn = bandTriggersOn, prevCfg = {...bandTriggers}, prevA = presetColor, prevB = multiColorClr, prevPreset = presetNumber;
+        const prevChase = chaseIdx, prevGain = micGain;
+        micGain = 1;
+        bandTriggersOn = true;
+        bandTriggers.low = normalizeBandTrigger('low', {action: 'none', presetEvery: 2});
+        bandTriggers.mid = normalizeBandTrigger('mid', {action: 'strobe', presetEvery: 0});
+        bandTriggers.high = normalizeBandTrigger('high', {action: 'chase', presetEvery: 0});
+        for (const b of BANDS){ bandRuntime[b.id].det.reset(); bandRuntime[b.id].hits = 0; }
+        const quiet = { low: 0.05, mid: 0.05, high: 0.05 };
+        let t = 60000;
+        const run = (frames, spike) => { for (let i=0;i<frames;i++, t += 16) updateBandTriggers(i === 0 && spike ? {...quiet, ...spike} : quiet, t); };
+        run(40);
+        chaseIdx = 0;
+        strobeBurstUntil = 0;
+        run(30, { high: 0.9 });
+        console.assert(chaseIdx === 1 && bandRuntime.high.hits === 1 && bandRuntime.mid.hits === 0 && strobeBurstUntil === 0, 'A hi-hat spike should only advance the chase');
+        run(30, { mid: 0.9 });
+        console.assert(strobeBurstUntil > 0 && bandRuntime.mid.hits === 1, 'A snare spike should flash the strobe');
+        const prevPools = presetPools, prevPoolIdx = poolIdx;
+        presetPools = [makePool('Test', ['sinus'])];
+        poolIdx = 0;
+        selectPreset('cross');
+        finishPresetTransition();
+        run(30, { low: 0.9 });
+        console.assert(presetIdAt(presetNumber) === 'cross', 'First kick should not change preset with every=2');
+        run(30, { low: 0.9 });
+        console.assert(bandRuntime.low.hits === 2 && presetIdAt(presetNumber) === 'sinus', 'Second kick should change preset with every=2');
+
+        presetPools = prevPools;
+        poolIdx = prevPoolIdx;
+        bandTriggersOn = prevOn;
+        Object.assign(bandTriggers, prevCfg);
+        for (const b of BANDS){ bandRuntime[b.id].det.reset(); bandRuntime[b.id].hits = 0; bandRuntime[b.id].energy = 0; }
+        micGain = prevGain;
+        chaseIdx = prevChase;
+        strobeBurstUntil = 0;
+        presetColor = prevA; multiColorClr = prevB;
+        finishPresetTransition();
+        selectPreset(prevPreset);
+        finishPresetTransition();
+        refreshBandTriggers();
+      } catch (e) {
+        console.warn('Band trigger test failed (non-fatal):', e);
+      }
+
+      // Demo pattern: one bar of 16ths with the kick on every beat, so Beat DJ sees quarter notes.
+      console.assert(Object.values(DEMO_PATTERN).every(p => p.length === 16) && [0, 4, 8, 12].every(s => DEMO_PATTERN.kick[s] === 'x'), 'Demo kick should land on every beat');
+
+      // Playlist: file filtering, position readout and index bookkeeping on removal.
+      try {
+        console.assert(isAudioFile({name: 'set.MP3', type: ''}) && isAudioFile({name: 'x', type: 'audio/wav'}) && !isAudioFile({name: 'show.json', type: 'application/json'}), 'Audio files should be recognised by type or extension');
+        console.assert(fmtClock(187.9) === '3:07' && fmtClock(NaN) === '0:00', 'Track position should read m:ss');
+        const prevTracks = playlist.splice(0, playlist.length, {name: 'a'}, {name: 'b'}, {name: 'c'});
+        const prevIdx = playlistIdx;
+        playlistIdx = 2;
+        removeTrack(0);
+        console.assert(playlistIdx === 1 && playlist[playlistIdx].name === 'c', 'Removing an earlier track should keep the current one');
+        removeTrack(1);
+        console.assert(playlistIdx === 0 && playlist.length === 1, 'Removing the current track should select its neighbour');
+        playlist.splice(0, playlist.length, ...prevTracks);
+        playlistIdx = prevIdx;
+        refreshPlaylist();
+      } catch (e) {
+        console.warn('Playlist test failed (non-fatal):', e);
+      }
+
+      // Audio input: channel parsing, and a remembered device stays selectable while unplugged.
+      try {
+        console.assert(normalizeMicChannel('sum') === 'sum' && normalizeMicChannel('3') === 3 && normalizeMicChannel('x') === 'sum', 'Mic channel should be "sum" or an index');
+        const prevInput = {...audioInput}, prevDevices = audioInputDevices, prevExact = micExactDeviceId;
+        Object.assign(audioInput, { deviceId: 'gone', label: 'Booth interface' });
+        audioInputDevices = [{ id: 'laptop', label: 'Built-in' }];
+        const st = audioInputForState();
+        console.assert(!micDevicePresent('gone') && st.devices.some(d => d.id === 'gone' && /not connected/.test(d.label)), 'An unplugged saved device should stay in the list');
+        micExactDeviceId = '';
+        console.assert(!micDeviceGone(), 'The default input should never count as unplugged');
+        micExactDeviceId = 'laptop';
+        console.assert(!micDeviceGone(), 'A listed device should count as present');
+        micExactDeviceId = 'gone';
+        console.assert(micDeviceGone(), 'A device opened by id should count as gone once it leaves the list');
+        Object.assign(audioInput, prevInput);
+        audioInputDevices = prevDevices;
+        micExactDeviceId = prevExact;
+      } catch (e) {
+        console.warn('Audio input test failed (non-fatal):', e);
+      }
+
+      // Feature recordings: spectrum packing, parsing, and detection that repeats exactly.
+      try {
+        const spec = new Uint8Array(fftSize / 2);
+        for (let i=0;i<spec.length;i++) spec[i] = i < 64 ? 200 : 10;
+        const back = new Uint8Array(fftSize / 2);
+        unpackSpectrum(packSpectrum(spec), back);
+        console.assert(back[0] === 200 && back[63] === 200 && back[64] === 10 && back[1023] === 10, 'Packed spectrum should round-trip');
+
+        const quiet = { amp: 0.05, bass: 0.05, mid: 0.05, tre: 0.05, centroid: 0.1, bands: { low: 0.05, mid: 0.05, high: 0.05 } };
+        const kick = { ...quiet, amp: 0.6, bass: 0.9, bands: { ...quiet.bands, low: 0.9 } };
+        const frames = [];
+        for (let f=0; f<600; f++) frames.push(featureFrame((f % 30 === 0 && f >= 60) ? kick : quiet, f * 16.7, spec));
+        const rec = parseFeatureRecording(JSON.stringify({ format: REC_FORMAT, version: REC_VERSION, fields: REC_FIELDS, frames, beats: [] }));
+        const opts = { algo: 'energy', sens: 70, cooldownMs: 160, gain: 1 };
+        const a = detectRecordingBeats(rec, opts), b = detectRecordingBeats(rec, opts);
+        console.assert(a.length >= 16 && a.length <= 18 && JSON.stringify(a) === JSON.stringify(b), 'Replaying a recording should find the same beats every time');
+        console.assert(countMatchingBeats([100, 600, 1100], [105, 650, 1099, 1500], REC_MATCH_MS) === 2, 'Beat comparison should pair beats within the tolerance');
+        let bad = '';
+        try { parseFeatureRecording('{"format":"projector-light-show"}'); } catch (e) { bad = e.message; }
+        console.assert(/Not a feature recording/.test(bad), 'A show file should not load as a recording');
+        const prevLast = featRecLast;
+        featRec = { start: 0, frames: [frames[0]], beats: [] };
+        disconnectAudio();
+        console.assert(!featRec && featRecLast?.frames.length === 1, 'Disconnecting the audio should end a recording');
+        featRecLast = prevLast;
+        refreshFeatureRec();
+      } catch (e) {
+        console.warn('Feature recording test failed (non-fatal):', e);
+      }
+
+      // Beat grid: a 125 BPM click track with accented downbeats that gets louder at bar 12.
+      try {
+        const sr = 4000, n = sr * 40;
+        const low = new Float32Array(n), full = new Float32Array(n);
+        for (let b=0; 0.3 + b*0.48 < 40; b++){
+          const start = Math.round((0.3 + b*0.48) * sr);
+          const gain = ((b - 1) % 4 === 0 ? 1 : 0.6) * (b >= 49 ? 1 : 0.35);
+          for (let i=0; i<sr*0.12 && start+i<n; i++){
+            const env = gain * Math.exp(-i / (sr*0.03));
+            low[start+i] = env * Math.sin(2*Math.PI*60*i/sr);
+            full[start+i] = low[start+i] + 0.3 * env * Math.sin(2*Math.PI*1234*i/sr);
+          }
+        }
+        const g = analyseBeatGrid(low, full, sr);
+        const gaps = g.beats.slice(1).map((t, i) => t - g.beats[i]);
+        console.assert(Math.abs(g.bpm - 125) <= 1 && Math.abs(g.beats[0] - 300) <= 20 && gaps.every(d => Math.abs(d - 480) <= 20), 'Beat grid should follow a steady 125 BPM click');
+        console.assert(g.downbeat === 1, 'Accented beats should become the downbeats');
+        console.assert(g.sections.some(x => x.beat === 49), 'An energy jump on a phrase should start a section');
+        console.assert(gridBeatIndexAt([0, 480, 960], 481) === 2 && gridBeatIndexAt([0, 480, 960], 480) === 1, 'Grid cursor should land on the next beat');
+      } catch (e) {
+        console.warn('Beat grid test failed (non-fatal):', e);
+      }
+
+      // Build-ups and drops: steady -> rising energy + treble -> cut -> bass surge -> long quiet.
+      try {
+        const det = new PhraseDetector();
+        const events = [];
+        const feed = (fromS, toS, fn) => {
+          for (let t = fromS*1000; t < toS*1000; t += 16){
+            const [e, bass, hi] = fn((t/1000 - fromS) / (toS - fromS));
+            const ev = det.update(e, bass, hi, t);
+            if (ev) events.push(ev);
+          }
+        };
+        feed(0, 12, () => [0.5, 0.5, 0.2]);
+        console.assert(det.ready && !events.length, 'A steady mix should stay in the normal phase');
+        feed(12, 24, (x) => [lerp(0.5, 0.8, x), lerp(0.5, 0.3, x), lerp(0.2, 0.5, x)]);
+        feed(24, 24.5, () => [0.1, 0.05, 0.3]);
+        feed(24.5, 30, () => [0.9, 0.9, 0.2]);
+        feed(30, 40, () => [0.15, 0.1, 0.2]);
+        console.assert(events.join() === 'build,gap,drop,breakdown', `Phrase events should be build, gap, drop, breakdown (got ${events.join()})`);
+        const prevOn = phraseOn, prevDJ = beatDJ;
+        phraseOn = beatDJ = true;
+        phraseDetector.setPhase('drop', 0);
+        const peak = phrasePresetPool();
+        console.assert(peak?.name === 'Peak' && poolIds(peak).every(id => presetRegistry[presetIndexOf(id)].tags.includes('peak')), 'A drop should pick from the Peak pool');
+        phraseGridBeat({ beats: [0, 500, 1000, 1500], sections: [{ beat: 0, energy: 0.5 }, { beat: 2, energy: 0.5 }] }, 2, 1000);
+        console.assert(phraseDetector.phase === 'normal', 'A plain grid section should end a drop');
+        phraseDetector.reset();
+        phraseOn = prevOn;
+        beatDJ = prevDJ;
+      } catch (e) {
+        console.warn('Build/drop test failed (non-fatal):', e);
+      }
+
+      // Audio presets: log bands pick up a bin, and every preset draws with silence and with signal.
+      try {
+        const spec = new Uint8Array(1024);
+        spec[3] = 255;
+        const bands = spectrumBands(spec, 16, new Float32Array(16));
+        console.assert(bands.filter(v => v === 1).length === 1 && bands[15] === 0, 'A single loud bin should light exactly one low band');
+        const prevOn = onoff;
+        onoff = true;
+        const feats0 = { amp:0, bass:0, mid:0, tre:0, centroid:0 };
+        for (const id of ['spectrum-bars', 'spectrum-ring', 'scope-line', 'scope-xy', 'spectrogram']){
+          const inst = createPresetInstance(id);
+          console.assert(inst, `Audio preset ${id} should be registered`);
+          drawPreset(inst, feats0, {x:0, y:0});
+          freq[40] = 200; timeArr[100] = 20;
+          drawPreset(inst, feats0, {x:0, y:0});
+          freq[40] = 0; timeArr[100] = 128;
+          disposePresetInstance(inst);
+        }
+        onoff = prevOn;
+      } catch (e) {
+        console.warn('Audio preset test failed (non-fatal):', e);
+      }
+
+      // Preset pools: weights, shuffle without repeats, sequential order, empty-pool fallback.
+      try {
+        const pool = makePool('T', ['cross', 'sinus', 'discoball']);
+        pool.weights.sinus = 2;
+        pool.order = 'shuffle';
+        const round = Array.from({length: 4}, () => pickFromPool(pool)).sort().join();
+        console.assert(round === 'cross,discoball,sinus,sinus', `A shuffle round should use every preset weight times (got ${round})`);
+        pool.order = 'sequential';
+        poolRuntime.delete(pool);
+        const seq = Array.from({length: 4}, () => pickFromPool(pool)).join();
+        console.assert(seq === 'sinus,cross,discoball,sinus', `Sequential should follow preset order (got ${seq})`);
+        pool.order = 'random';
+        pool.weights = { sinus: 5, cross: 0 };
+        console.assert(poolIds(pool).join() === 'sinus' && pickFromPool(pool) === 'sinus', 'Weight 0 should leave a preset out');
+        console.assert(pickFromPool(pool, 'sinus') === 'sinus', 'A one-preset pool should still pick its preset');
+        pool.weights = { sinus: 1, cross: 1 };
+        console.assert(Array.from({length: 8}, () => pickFromPool(pool, 'cross')).every(id => id === 'sinus'), 'Random picks should avoid the preset showing');
+        pool.order = 'sequential';
+        poolRuntime.delete(pool);
+        console.assert(pickFromPool(pool, 'sinus') === 'sinus', 'Sequential order should not skip the preset showing');
+        console.assert(autoPresetIds().includes(pickFromPool(makePool('E', []))), 'An empty pool should fall back to every auto preset');
+      } catch (e) {
+        console.warn('Preset pool test failed (non-fatal):', e);
+      }
+
+      // Auto color: harmony offsets, palette stepping and snapping to the palette.
+      try {
+        const prev = {...colorAuto};
+        const hueDiff = (x, y) => { const d = Math.abs(rgbToHsv(x).h - rgbToHsv(y).h) % 360; return Math.min(d, 360 - d); };
+        colorAuto.lock = false;
+        colorAuto.strategy = 'complementary';
+        const pair = nextAutoColors(rgb(255, 0, 0), rgb(0, 0, 255));
+        console.assert(Math.abs(hueDiff(pair.a, pair.b) - 180) < 2, 'Complementary colors should be 180° apart');
+        setColorAutoOption('palette', 'Warm');
+        setColorAutoOption('strategy', 'step');
+        const warm = paletteColors();
+        const steps = Array.from({length: warm.length + 1}, () => nextAutoColors(presetColor, multiColorClr).a);
+        console.assert(distSq(steps[0], warm[0]) === 0 && distSq(steps[warm.length], warm[0]) === 0, 'Step should walk the palette and wrap');
+        colorAuto.strategy = 'rotate';
+        colorAuto.lock = true;
+        const snapped = nextAutoColors(presetColor, multiColorClr);
+        console.assert([snapped.a, snapped.b].every(c => warm.some(p => distSq(p, c) === 0)), 'Stay in palette should snap generated colors to the palette');
+        setColorAutoOption('strategy', 'nope');
+        console.assert(colorAuto.strategy === 'rotate', 'Unknown strategies should be ignored');
+        Object.assign(colorAuto, prev);
+        colorAutoIdx = -1;
+      } catch (e) {
+        console.warn('Auto color test failed (non-fatal):', e);
+      }
+
+      // Color modes: A/B alternates as before, palette cycles, gradient spans A..B, rainbow spreads hue.
+      try {
+        const prev = { multiColor, multiColorMode, presetColor, multiColorClr, prevPalette: colorAuto.palette };
+        presetColor = rgb(255, 0, 0);
+        multiColorClr = rgb(0, 0, 255);
+        setColorMode('ab');
+        console.assert(altColor(4, 9) === presetColor && altColor(-3) === multiColorClr && groupColor(2, 6) === presetColor && groupColor(3, 6) === multiColorClr, 'A/B should alternate and split in halves');
+        setColorMode('palette');
+        setColorAutoOption('palette', 'Warm');
+        console.assert(distSq(altColor(6), paletteColors()[1]) === 0 && colorCount() === paletteColors().length, 'Palette mode should cycle through the palette');
+        setColorMode('gradient');
+        console.assert(distSq(altColor(0, 5), presetColor) === 0 && distSq(altColor(4, 5), multiColorClr) === 0 && distSq(altColor(2, 5), rgb(128, 0, 128)) < 4, 'Gradient should run from A to B over the parts');
+        setColorMode('rainbow');
+        const hueGap = (rgbToHsv(altColor(1, 4)).h - rgbToHsv(altColor(0, 4)).h + 360) % 360;
+        console.assert(Math.abs(hueGap - 90) < 2, `Rainbow should spread the hue circle over the parts (got ${hueGap})`);
+        const prevBpm = bpm, before = altColor(0, 4);
+        bpm += 1;
+        console.assert(distSq(altColor(0, 4), before) === 0, 'A tempo change should not jump the rainbow');
+        bpm = prevBpm;
+        setColorMode('single');
+        console.assert(!multiColor && altColor(1, 2) === presetColor && colorCount() === 1, 'Single should use color A only');
+        ({ multiColor, multiColorMode, presetColor, multiColorClr } = prev);
+        setColorAutoOption('palette', prev.prevPalette);
+      } catch (e) {
+        console.warn('Color mode test failed (non-fatal):', e);
+      }
+
+      // LFOs: shapes, bar sync to the BPM clock, S&H holds per cycle, output lands in modOffsets.
+      try {
+        const l = normalizeLfo({shape: 'triangle', phase: 999, depth: 500, rate: 2});
+        console.assert(l.phase === 359 && l.depth === 100 && l.rate === '2', 'LFO settings should be clamped');
+        console.assert(lfoShapeValue(l, 0.5) === 1 && lfoShapeValue(l, 1) === -1, 'Triangle should peak mid-cycle');
+        console.assert(lfoShapeValue({shape: 'saw'}, 0.75) === 0.5 && lfoShapeValue({shape: 'square'}, 0.6) === -1, 'Saw/square shapes');
+        const sh = normalizeLfo({shape: 'sh'});
+        const held = lfoShapeValue(sh, 3.1);
+        console.assert(lfoShapeValue(sh, 3.9) === held && sh.cycle === 3, 'S&H should hold for a whole cycle');
+
+        const prev = { lfos, bpm, bpmBeatTime, bpmBeatTotal, shade: modOffsets.shade };
+        bpm = 120;
+        bpmBeatTime = 1000;
+        bpmBeatTotal = 1;   // 1.5 beats into a 1/2-bar (2 beat) square cycle -> second half
+        lfos = [normalizeLfo({shape: 'square', rate: '0.5', dst: 'shade', depth: 50})];
+        modOffsets.shade = 0;
+        updateLfos(1250, 0);
+        console.assert(modOffsets.shade === -50, `Synced LFO should follow the BPM clock (got ${modOffsets.shade})`);
+        ({ lfos, bpm, bpmBeatTime, bpmBeatTotal } = prev);
+        modOffsets.shade = prev.shade;
+      } catch (e) {
+        console.warn('LFO test failed (non-fatal):', e);
+      }
+
+      // Palettes: copies are editable, built-ins are not, names stay unique, the color grid follows.
+      try {
+        const prevPalettes = userPalettes, prevActive = colorAuto.palette;
+        const gridBtns = () => [...(document.getElementById('colorGrid')?.querySelectorAll('button.colorBtn') || [])];
+        console.assert(gridBtns().length === paletteColors().length + 1 && gridBtns().at(-1).dataset.random, 'The color grid should show the palette plus Rnd');
+        userPalettes = [];
+        setColorAutoOption('palette', 'Neon');
+        addPalette('Neon');
+        console.assert(colorAuto.palette === 'Neon 2' && paletteColors().length === 5, 'New palettes should copy the active one under a unique name');
+        addPaletteColor(rgb(1, 2, 3));
+        removePaletteColor(paletteColors()[0]);
+        console.assert(paletteColors().length === 5 && distSq(paletteColors()[4], rgb(1, 2, 3)) === 0, 'User palettes should take added and removed colors');
+        refreshPalettes();
+        console.assert(gridBtns()[4]?.dataset.rgb === '1,2,3', 'The color grid should follow the active palette');
+        setColorAutoOption('palette', 'Warm');
+        addPaletteColor(rgb(1, 2, 3));
+        console.assert(paletteColors().length === 5, 'Built-in palettes should stay fixed');
+        const prevTap = { multiColor, presetColor, multiColorClr, colorTarget };
+        refreshPalettes();
+        multiColor = true;
+        presetColor = rgb(255, 26, 0);
+        colorTarget = 'B';
+        gridBtns()[0].click();
+        console.assert(distSq(multiColorClr, presetColor) > 0 && paletteColors().some(c => distSq(c, multiColorClr) === 0), 'Tapping A\'s color for B should pick another palette color');
+        ({ multiColor, presetColor, multiColorClr, colorTarget } = prevTap);
+        updateToggles();
+        setColorAutoOption('palette', 'Neon 2');
+        removePalette();
+        console.assert(!userPalettes.length && colorAuto.palette === 'Primaries', 'Deleting a palette should fall back to Primaries');
+        userPalettes = prevPalettes;
+        setColorAutoOption('palette', prevActive);
+        refreshPalettes();
+      } catch (e) {
+        console.warn('Palette test failed (non-fatal):', e);
+      }
+
       console.assert(typeof micGainFromUI === 'function', 'micGainFromUI should exist');
       console.assert(micGainFromUI(0) < micGainFromUI(200), 'Mic sensitivity should increase gain');
 
@@ -1934,4 +7991,10 @@
       console.warn('Self-tests failed (non-fatal):', e);
     }
   })();
-  
\ No newline at end of file
+  
+
+// =====================
+// Restore last session
+// =====================
+// After the self-tests so they can't overwrite what was restored.
+  restoreSession();
@@ -1,38 +1,52 @@
 /**
  * presets.js
- * Preset names + preset drawing logic.
+ * Preset registry + the built-in preset drawing logic.
  *
  * Based on Blaize V3 by BodgedButWorks (https://github.com/bodgedbutworks/Blaize_V3)
  *
  * -----------------------------------------------------------------------------
  * High-level overview
  * -----------------------------------------------------------------------------
- * - `presetNames` is the UI list. The index in this array MUST match the `case`
- *   number inside `drawPreset(...)`.
- * - `drawPreset(idx, feats, motion)` renders one frame of a given preset.
- * - Many presets depend on shared/global state (e.g., `v`, `m`, `a`, `b_`, `c`,
- *   `d`, `ranX/ranY`, `timeRand`, etc.). That state is intentionally persistent
- *   across frames to create animation.
- * 
- * To add a new preset, you’re really doing two coordinated edits: **(1) register the name**, and **(2) implement the drawing logic**. The key rule is that the **index in `presetNames` must match the `case` number in `drawPreset(idx, ...)`**, because the UI selection is passed into the switch.
+ * - Presets register themselves with `registerPreset({...})`. Registration order
+ *   is the UI order; the stable string `id` is what saved shows, Beat DJ pools
+ *   and remote commands refer to, so inserting a preset never renumbers others.
+ * - Each preset owns its animation state: `init()` returns a fresh state object,
+ *   `draw(state, frame)` renders one frame and mutates that state, and the
+ *   optional `dispose(state)` releases anything large when the instance is dropped.
+ *   Two instances of the same preset (e.g. during a transition, or on two layers)
+ *   animate independently.
+ * - `drawPreset(presetOrInstance, feats, motion)` renders one frame. It accepts a
+ *   preset index, a preset id, or an instance from `createPresetInstance()`.
+ * - Animation is time-based: every per-frame increment is multiplied by
+ *   `frameStep` (elapsed time in 60 Hz frames), so a given Speed looks the same
+ *   at 60, 120 or 144 Hz.
+ *
+ * To add a new preset (in this file or in your own file loaded after presets.js
+ * and before app.js in index.html):
 
-* **Step 1: Add a name to `presetNames`**
+* **Step 1: Register it**
 
-  * Append (or insert) a new string in the `presetNames` array.
-  * Whatever position you place it at becomes the preset’s `idx`. If you insert in the middle, you must shift/renumber the switch cases to keep alignment.
-  * Best practice: **append to the end** to avoid breaking any saved selections or assumptions about indices.
+  * Call `registerPreset({ id, name, tags, init, draw, dispose })`.
+  * `id` must be unique and should never change once shipped (saved shows use it).
+  * `tags` is free-form. `'noauto'` keeps a preset out of the default Beat DJ / BPM
+    preset pools (e.g. mouse-driven or full-screen presets).
+    `'peak'` / `'calm'` seed the default Peak / Chill pools (used on drops / in breakdowns).
 
-* **Step 2: Add a matching `case` in `drawPreset`**
+* **Step 2: Implement `draw(s, frame)`**
 
-  * Create `case N: { ... break; }` where `N` equals the new name’s index in `presetNames`.
-  * Keep the structure consistent: set any needed `ctx` parameters (line width, caps, joins, dash), draw using the world helpers (`fillCircleWorld`, `strokeLineWorld`, `arcWorld`, `strokeRectCenteredWorld`, etc.), then `break`.
-  * Use the shared world center (`cx`, `cy`) and motion offsets (`tx`, `ty`) so your preset naturally supports motion/offset features.
+  * `s` is the state object returned by your `init()`.
+  * `frame` carries the shared world center (`cx`, `cy`), the Size-derived `size`,
+    the motion offsets (`tx`, `ty`), the audio features (`feats`) and the raw
+    analyser arrays (`audio`: `spectrum`, `waveform`, stereo `left`/`right` and a
+    `stereo` flag; bytes, with 128 as the waveform's zero line).
+  * Set any needed `ctx` parameters (line width, caps, joins, dash), then draw using the
+    world helpers (`fillCircleWorld`, `strokeLineWorld`, `arcWorld`, `strokeRectCenteredWorld`, etc.).
 
 * **Step 3: Use the existing conventions**
 
   * **World units vs canvas space:** Most presets draw in world space; only switch to raw canvas space (`ctx.setTransform(1,0,0,1,0,0)` / `ctx.save()` + `ctx.restore()`) if you specifically need stable pixel-perfect behavior (e.g., dashes).
-  * **Color handling:** Use `presetColor` as the primary color. If you want a second color, respect `multiColor` and use `multiColorClr`. If you want cycling colors, use `altColor(i)`.
-  * **Animation:** Reuse the existing accumulators (`v`, `m`) for motion. Increment them in a way that scales with `presetSpeed`. If you need random re-seeding, follow the pattern that uses `timeRand` and a speed-derived interval.
+  * **Color handling:** Use `presetColor` as the primary color. For anything drawn in more than one color, go through `altColor(i, n)` (part `i` of `n`) rather than reading `multiColorClr` directly: it follows the show's color mode (single, A/B, palette, gradient, rainbow). `groupColor(i, count)` splits items into consecutive color groups, `colorCount()` says how many colors there are (for batching), and `setStrokeGradient(x0, y0, x1, y1)` strokes one shape with a smooth gradient in the gradient/rainbow modes. `paletteColors()` returns the show's active palette.
+  * **Animation:** Keep accumulators in your state (`s.v`, `s.m`, ...). Advance them once per frame (never inside a per-dot loop) by an amount that scales with `presetSpeed` and is multiplied by `frameStep`. For random re-seeding, keep a `s.timeRand` timestamp and compare against a speed-derived interval (already time-based via `nowMs()`).
   * **Size/brightness:** Tie geometry to `presetSize` (often scaled relative to `(H/DPR)` or `(visualW/DPR)`) and alpha/limits to `presetBrightness` where relevant.
 
 * **Step 4: Avoid leaking canvas state**
@@ -44,805 +58,975 @@
 "use strict";
 
 /**
- * UI-facing preset list.
- * IMPORTANT: index positions MUST match the `case` numbers in `drawPreset`.
+ * Registered presets in UI order. Entries are frozen `{id, name, tags, init, draw, dispose}`.
  */
-const presetNames = [
-'Ring (sin)','Ring (rot)','3 Rings','Rand Lines','Rand Ring','Sinus','Sin Blocks','Cross',
-      'Discoball','Rand Circles','Rand Rings','Scan |','Scan —','2 Scan','PingPong','Mouse Spot',
-      'Multi |','Multi —','Sin Multi |','Sin Multi —','Half Arc','Sin + Rays','Rot Lines','Solid',
-      '4 Scan','4 Rot','4 Rings','Crazy Rings','Ring Scan','Tunnel Rect','Dot Grid','Quad LED','Circle Spin', 'Square Spin', 'Triangle Spin'
-];
-window.presetNames = presetNames;
+const presetRegistry = [];
 
 /**
- * Persistent rotation state for the segmented square/triangle presets.
- * These are intentionally module-scoped so their rotation continues across frames
- * regardless of preset switches (unless this module is reloaded).
+ * UI-facing preset names, kept in registration order (read by presetLabel()/presetCount()).
  */
-let _sqSpin = 0;
-let _triSpin = 0;
+const presetNames = [];
+window.presetNames = presetNames;
 
 /**
- * Draw a single frame of the selected preset.
- *
- * @param {number} idx - preset index (maps to `presetNames` and switch cases)
- * @param {*} feats - (currently unused here) audio/features input; left for parity/extensibility
- * @param {{x:number, y:number}} motion - motion offsets (e.g., gyro / tracking)
+ * Add a preset to the registry.
  *
- * Dependencies (globals/helpers used throughout):
- * - Dimensions: visualW, H, DPR
- * - State: onoff, v, m, a, b_, c, d, ranX, ranY, timeRand, mouseXw, mouseYw, spotlight, presetBrightness
- * - Controls: presetSize, presetSpeed, presetColor, multiColor, multiColorClr
- * - Helpers: setFillColor, setStrokeColor, altColor, rgba, lerp, clamp, nowMs,
- *            worldToCanvasX, worldToCanvasY, fillCircleWorld, strokeLineWorld, arcWorld,
- *            fillTinyDotsBatch, fillCirclesBatch, strokeRectCenteredWorld
+ * @param {{id:string, name:string, tags?:string[], init?:Function, draw:Function, dispose?:Function}} def
+ * @returns {number} the preset's index in UI order
  */
-function drawPreset(idx, feats, motion){
-      const cx = (visualW/DPR)/2;
-      const cy = (H/DPR)/2;
-      const size = (0.9*presetSize + 10);
-
-      // Motion offsets applied to many presets. These shift the whole pattern.
-      const tx = motion.x;
-      const ty = motion.y;
-
-      // Global master enable; if off, do not draw anything this frame.
-      if (!onoff) return;
-
-      switch(idx){
-        // 0: Ring (sin)
-        // Dots arranged in a ring, with the angle driven by `v` per-dot to create a "traveling" effect.
-        case 0: {
-          for (let i=0;i<18;i++){
-            setFillColor(altColor(i));
-            const r = ((size)* (H/DPR)/240);
-            const x = cx + tx + r*Math.sin(i*v);
-            const y = cy + ty + r*Math.cos(i*v);
-            fillCircleWorld(x, y, 0.4*size);
-            v += presetSpeed/360000;
-          }
-          break;
-        }
-
-        // 1: Ring (rot)
-        // 18 dots around a ring; whole ring rotates by advancing `v`.
-        case 1: {
-          v += presetSpeed/2000;
-          for (let i=0;i<18;i++){
-            setFillColor(altColor(i));
-            const r = ((size)* (H/DPR)/240);
-            const a2 = i*Math.PI/9 + v;
-            const x = cx + tx + r*Math.sin(a2);
-            const y = cy + ty + r*Math.cos(a2);
-            fillCircleWorld(x, y, 0.4*size);
-          }
-          break;
-        }
-
-        // 2: 3 Rings
-        // Three concentric rings with different radii, dot sizes, and rotation directions.
-        case 2: {
-          v += presetSpeed/3000;
-          for (let ring=0; ring<3; ring++){
-            const rr = ring===0 ? 1.0 : (ring===1 ? 0.35 : 0.6);
-            const dot = ring===0 ? 0.2 : (ring===1 ? 0.08 : 0.12);
-            const rot = ring===2 ? -2*v : v;
-            for (let i=0;i<18;i++){
-              setFillColor(altColor(i+ring));
-              const r = rr*((size)* (H/DPR)/240);
-              const a2 = i*Math.PI/9 + rot;
-              const x = cx + tx + r*Math.sin(a2);
-              const y = cy + ty + r*Math.cos(a2);
-              fillCircleWorld(x, y, dot*(size+10));
-            }
-          }
-          break;
-        }
-
-        // 3: Rand Lines
-        // A line (or 3-segment multi-color line) between two random endpoints.
-        // Endpoints refresh based on `presetSpeed`.
-        case 3: {
-          const w = (visualW/DPR);
-          const h = (H/DPR);
-          ctx.lineWidth = (1.4*presetSize+10) * DPR;
-          ctx.lineCap = 'round';
-
-          if (multiColor){
-            setStrokeColor(presetColor);
-            strokeLineWorld(a+tx, b_+ty, a + (c-a)/3 + tx, b_ + (d-b_)/3 + ty);
-            strokeLineWorld(a + 2*(c-a)/3 + tx, b_ + 2*(d-b_)/3 + ty, c+tx, d+ty);
-            setStrokeColor(multiColorClr);
-            strokeLineWorld(a + (c-a)/3 + tx, b_ + (d-b_)/3 + ty, a + 2*(c-a)/3 + tx, b_ + 2*(d-b_)/3 + ty);
-          } else {
-            setStrokeColor(presetColor);
-            strokeLineWorld(a+tx, b_+ty, c+tx, d+ty);
-          }
-
-          // Speed==0 effectively "freezes" the random selection.
-          const interval = (presetSpeed===0) ? 1e9 : (1000 - 10*presetSpeed);
-          if (nowMs() - timeRand >= interval){
-            timeRand = nowMs();
-            a = Math.floor(50 + Math.random()*(w-100));
-            b_ = Math.floor(50 + Math.random()*(h-100));
-            c = Math.floor(50 + Math.random()*(w-100));
-            d = Math.floor(50 + Math.random()*(h-100));
-          }
-          break;
-        }
-
-        // 4: Rand Ring
-        // Random ring center + random starting rotation (when multiColor, ring is segmented).
-        case 4: {
-          const w = (visualW/DPR);
-          const h = (H/DPR);
-          ctx.lineWidth = lerp(5, 60, presetSize/100) * DPR;
-          ctx.fillStyle = 'rgba(0,0,0,0)';
-          if (multiColor){
-            for (let l=0;l<=7;l++){
-              setStrokeColor((l%2===0)?presetColor:multiColorClr);
-              const start = l*Math.PI/4 + c;
-              const end = (l+1)*Math.PI/4 + c;
-              arcWorld(a+tx, b_+ty, 500, start, end);
-            }
-          } else {
-            setStrokeColor(presetColor);
-            ctx.beginPath();
-            ctx.arc(worldToCanvasX(a+tx), worldToCanvasY(b_+ty), 250*DPR, 0, Math.PI*2);
-            ctx.stroke();
-          }
-          const interval = (presetSpeed===0) ? 1e9 : (1000 - 10*presetSpeed);
-          if (nowMs() - timeRand >= interval){
-            timeRand = nowMs();
-            a = Math.floor(150 + Math.random()*(w-300));
-            b_ = Math.floor(150 + Math.random()*(h-300));
-            c = Math.random()*Math.PI*2;
-          }
-          break;
-        }
-
-        // 5: Sinus
-        // A horizontal row of dots with vertical sine-wave displacement.
-        case 5: {
-          const w = (visualW/DPR);
-          for (let f=0; f<w/16; f++){
-            const col = multiColor ? ((f%20<=10)?presetColor:multiColorClr) : presetColor;
-            setFillColor(col);
-            const x = 16*f + tx;
-            const y = cy + ty + 4.5*presetSize*Math.sin(v - f/15);
-            fillCircleWorld(x, y, 35);
-            v += presetSpeed/90000;
-          }
-          break;
-        }
-
-        // 6: Sin Blocks
-        // Similar to Sinus but uses rectangles mirrored around a centerline.
-        case 6: {
-          const w = (visualW/DPR);
-          for (let f=0; f<w/90; f++){
-            const col = multiColor ? ((f%2===0)?presetColor:multiColorClr) : presetColor;
-            setFillColor(col);
-            const x = 100*f + tx;
-            const y1 = 0.45*(H/DPR) + ty + 100*Math.sin(v - f/1) + presetSize*(H/DPR)*0.005;
-            const y2 = 0.45*(H/DPR) + ty - 100*Math.sin(v - f/1) - presetSize*(H/DPR)*0.005;
-            ctx.fillRect(worldToCanvasX(x), worldToCanvasY(y1), 60*DPR, (H/DPR/10)*DPR);
-            ctx.fillRect(worldToCanvasX(x), worldToCanvasY(y2), 60*DPR, (H/DPR/10)*DPR);
-            v += presetSpeed/15000;
-          }
-          break;
-        }
-
-        // 7: Cross
-        // Crosshair with either solid strokes or multicolor segmented spokes.
-        case 7: {
-          v += presetSpeed/1000;
-          ctx.lineWidth = (1.5*presetSize) * DPR;
-          if (multiColor){
-            for (let i=0;i<10;i++){
-              setStrokeColor(altColor(i));
-              const y1 = (i-5)*(H/DPR)/5;
-              const y2 = (i-4)*(H/DPR)/5;
-              strokeLineWorld(cx+tx, cy+ty+y1, cx+tx, cy+ty+y2);
-              const x1 = (i-5)*(visualW/DPR)/5;
-              const x2 = (i-4)*(visualW/DPR)/5;
-              strokeLineWorld(cx+tx+x1, cy+ty, cx+tx+x2, cy+ty);
-            }
-          } else {
-            setStrokeColor(presetColor);
-            strokeLineWorld(cx+tx, cy+ty-(H/DPR), cx+tx, cy+ty+(H/DPR));
-            strokeLineWorld(cx+tx-(visualW/DPR), cy+ty, cx+tx+(visualW/DPR), cy+ty);
-          }
-          break;
-        }
-
-        // 8: Discoball
-        // Rotated point-cloud around center; batch rendering for performance.
-        // Splits into two color groups if multiColor.
-        case 8: {
-          v += presetSpeed/5000;
-          const ang = v;
-          const cs = Math.cos(ang), sn = Math.sin(ang);
-          const r = Math.max(1, presetSize/8);
-
-          const ptsA = [];
-          const ptsB = [];
-
-          for (let i=0;i<1000;i++){
-            const x = ranX[i];
-            const y = ranY[i];
-            const rx = x*cs - y*sn;
-            const ry = x*sn + y*cs;
-            const px = cx+tx + rx;
-            const py = cy+ty + ry;
-            if (multiColor && i>500){ ptsB.push(px, py); }
-            else { ptsA.push(px, py); }
-          }
-
-          setFillColor(presetColor);
-          if (r <= 2.2) fillTinyDotsBatch(ptsA, r);
-          else {
-            const circles = [];
-            for (let i=0;i<ptsA.length;i+=2) circles.push({x:ptsA[i], y:ptsA[i+1], r});
-            fillCirclesBatch(circles);
-          }
-
-          if (multiColor){
-            setFillColor(multiColorClr);
-            if (r <= 2.2) fillTinyDotsBatch(ptsB, r);
-            else {
-              const circles = [];
-              for (let i=0;i<ptsB.length;i+=2) circles.push({x:ptsB[i], y:ptsB[i+1], r});
-              fillCirclesBatch(circles);
-            }
-          }
-          break;
-        }
-
-        // 9: Rand Circles
-        // Filled circles randomly placed; positions refresh at speed-based intervals.
-        case 9: {
-          const w = (visualW/DPR);
-          const h = (H/DPR);
-          const count = Math.floor((presetSize+10)/10);
-          for (let i=0;i<count;i++){
-            if (multiColor && i>presetSize/20) setFillColor(multiColorClr);
-            else setFillColor(presetColor);
-            ctx.beginPath();
-            ctx.arc(worldToCanvasX(ranX[i]+tx), worldToCanvasY(ranY[i]+ty), (150-1.35*presetSize)*DPR, 0, Math.PI*2);
-            ctx.fill();
-          }
-          const interval = (presetSpeed===0) ? 1e9 : (1000 - 9.5*presetSpeed);
-          if (nowMs() - timeRand >= interval){
-            timeRand = nowMs();
-            for (let i=0;i<count;i++){
-              const rad = (300-2.7*presetSize)/2;
-              ranX[i] = Math.floor(rad + Math.random()*(w-2*rad));
-              ranY[i] = Math.floor(rad + Math.random()*(h-2*rad));
-            }
-          }
-          break;
-        }
-
-        // 10: Rand Rings
-        // Outlined rings randomly placed; positions refresh at speed-based intervals.
-        case 10: {
-          const w = (visualW/DPR);
-          const h = (H/DPR);
-          const count = Math.floor((presetSize+10)/10);
-          ctx.lineWidth = (60-0.5*presetSize) * DPR;
-          ctx.fillStyle = 'rgba(0,0,0,0)';
-          for (let i=0;i<count;i++){
-            if (multiColor && i>presetSize/20) setStrokeColor(multiColorClr);
-            else setStrokeColor(presetColor);
-            ctx.beginPath();
-            ctx.arc(worldToCanvasX(ranX[i]+tx), worldToCanvasY(ranY[i]+ty), (250-2*presetSize)*DPR, 0, Math.PI*2);
-            ctx.stroke();
-          }
-          const interval = (presetSpeed===0) ? 1e9 : (1000 - 9.5*presetSpeed);
-          if (nowMs() - timeRand >= interval){
-            timeRand = nowMs();
-            for (let i=0;i<count;i++){
-              const rad = (300-2.7*presetSize)/2;
-              ranX[i] = Math.floor(rad + Math.random()*(w-2*rad));
-              ranY[i] = Math.floor(rad + Math.random()*(h-2*rad));
-            }
-          }
-          break;
-        }
-
-        // 11: Scan |
-        // Vertical scanning line that oscillates using sine.
-        case 11: {
-          v += presetSpeed/1000;
-          ctx.lineWidth = (1.5*presetSize) * DPR;
-          const x = (cx/1.2)*Math.sin(v) + cx + tx;
-          if (multiColor){
-            setStrokeColor(presetColor);
-            strokeLineWorld(x, 0, x, (H/DPR)/3);
-            strokeLineWorld(x, 2*(H/DPR)/3, x, (H/DPR));
-            setStrokeColor(multiColorClr);
-            strokeLineWorld(x, (H/DPR)/3, x, 2*(H/DPR)/3);
-          } else {
-            setStrokeColor(presetColor);
-            strokeLineWorld(x, 0, x, (H/DPR));
-          }
-          break;
-        }
-
-        // 12: Scan —
-        // Horizontal scanning line that oscillates using sine.
-        case 12: {
-          v += presetSpeed/1000;
-          ctx.lineWidth = (1.5*presetSize) * DPR;
-          const y = (cy/1.2)*Math.sin(v) + cy + ty;
-          if (multiColor){
-            setStrokeColor(presetColor);
-            strokeLineWorld(0, y, (visualW/DPR)/3, y);
-            strokeLineWorld(2*(visualW/DPR)/3, y, (visualW/DPR), y);
-            setStrokeColor(multiColorClr);
-            strokeLineWorld((visualW/DPR)/3, y, 2*(visualW/DPR)/3, y);
-          } else {
-            setStrokeColor(presetColor);
-            strokeLineWorld(0, y, (visualW/DPR), y);
-          }
-          break;
-        }
+function registerPreset(def){
+  if (!def || typeof def !== 'object') throw new TypeError('registerPreset: expected a preset definition object');
+  const id = String(def.id || '').trim();
+  if (!id) throw new TypeError('registerPreset: preset needs a non-empty string id');
+  if (typeof def.draw !== 'function') throw new TypeError(`registerPreset: preset "${id}" needs a draw(state, frame) function`);
+  if (presetIndexOf(id) !== -1) throw new Error(`registerPreset: duplicate preset id "${id}"`);
+
+  const entry = Object.freeze({
+    id,
+    name: String(def.name || id),
+    tags: Object.freeze(Array.isArray(def.tags) ? def.tags.map(String) : []),
+    init: (typeof def.init === 'function') ? def.init : () => ({}),
+    draw: def.draw,
+    dispose: (typeof def.dispose === 'function') ? def.dispose : null,
+  });
+  presetRegistry.push(entry);
+  presetNames.push(entry.name);
+  return presetRegistry.length - 1;
+}
+window.registerPreset = registerPreset;
 
-        // 13: 2 Scan
-        // Combined vertical+horizontal scan, with optional multicolor segmented cross.
-        case 13: {
-          v += presetSpeed/1000;
-          ctx.lineWidth = (1.5*presetSize) * DPR;
-          const x = (cx/1.2)*Math.sin(v*1.2) + cx + tx;
-          const y = (cy/1.2)*Math.sin(v*0.8) + cy + ty;
-          if (multiColor){
-            for (let i=0;i<10;i++){
-              setStrokeColor(altColor(i));
-              const y1 = (i-5)*(H/DPR)/5;
-              const y2 = (i-4)*(H/DPR)/5;
-              strokeLineWorld(x, y+y1, x, y+y2);
-              const x1 = (i-5)*(visualW/DPR)/5;
-              const x2 = (i-4)*(visualW/DPR)/5;
-              strokeLineWorld(x+x1, y, x+x2, y);
-            }
-          } else {
-            setStrokeColor(presetColor);
-            strokeLineWorld(x, y-(H/DPR), x, y+(H/DPR));
-            strokeLineWorld(x-(visualW/DPR), y, x+(visualW/DPR), y);
-          }
-          break;
-        }
+/** Index of a preset id in UI order, or -1. */
+function presetIndexOf(id){
+  return presetRegistry.findIndex(p => p.id === id);
+}
 
-        // 14: PingPong
-        // "Spotlights" array provides animated circles (position+radius over time).
-        // Clamped number of balls scales with Size slider.
-        case 14: {
-          const maxBalls = 12;
-          const count = clamp(Math.floor(lerp(4, maxBalls, clamp(presetSize/100,0,1))), 4, maxBalls);
-
-          const circlesA = [];
-          const circlesB = [];
-
-          for (let i=0;i<count;i++){
-            const s = spotlight[i % spotlight.length].step();
-            const cxp = s.x + tx;
-            const cyp = s.y + ty;
-            const rr = s.r;
-            if (multiColor && (i & 1)) circlesB.push({x:cxp, y:cyp, r:rr});
-            else circlesA.push({x:cxp, y:cyp, r:rr});
-          }
+/** Stable id of the preset at a UI index (or null). */
+function presetIdAt(idx){
+  return presetRegistry[idx]?.id ?? null;
+}
 
-          setFillColor(presetColor);
-          fillCirclesBatch(circlesA);
-          if (multiColor){
-            setFillColor(multiColorClr);
-            fillCirclesBatch(circlesB);
-          }
-          break;
-        }
+/** Look up a preset definition by id or index. */
+function presetDef(ref){
+  if (typeof ref === 'string') return presetRegistry[presetIndexOf(ref)] || null;
+  if (Number.isInteger(ref)) return presetRegistry[ref] || null;
+  return null;
+}
 
-        // 15: Mouse Spot
-        // Draws a circle at the current mouse position (world coords).
-        case 15: {
-          const r = 3*presetSize;
-          setFillColor(presetColor);
-          fillCircleWorld(mouseXw + tx, mouseYw + ty, r);
-          if (multiColor){
-            setFillColor(multiColorClr);
-            fillCircleWorld(mouseXw + tx, mouseYw + ty, r*0.55);
-          }
-          break;
-        }
+function presetHasTag(ref, tag){
+  return !!presetDef(ref)?.tags.includes(tag);
+}
 
-        // 16: Multi |
-        // Multiple vertical bars that scroll horizontally. `m` accumulates position.
-        case 16: {
-          ctx.lineWidth = presetSize * DPR;
-          const w = (visualW/DPR);
-          for (let r=-4;r<=4;r++){
-            if (multiColor) setStrokeColor((r%2===0)?presetColor:multiColorClr);
-            else setStrokeColor(presetColor);
-            const x = (m + r*w/4) + tx;
-            strokeLineWorld(x, 0, x, (H/DPR));
-          }
-          m += presetSpeed/3;
-          if (m >= w-50) m = -50;
-          break;
-        }
+/** Create an independently animating instance of a preset. */
+function createPresetInstance(ref){
+  const def = presetDef(ref);
+  if (!def) return null;
+  return { def, state: def.init() || {} };
+}
 
-        // 17: Multi —
-        // Multiple horizontal bars that scroll vertically. `m` accumulates position.
-        case 17: {
-          ctx.lineWidth = presetSize * DPR;
-          const h = (H/DPR);
-          for (let r=-4;r<=4;r++){
-            if (multiColor) setStrokeColor((r%2===0)?presetColor:multiColorClr);
-            else setStrokeColor(presetColor);
-            const y = (m + r*h/4) + ty;
-            strokeLineWorld(0, y, (visualW/DPR), y);
-          }
-          m += presetSpeed/3;
-          if (m >= h-50) m = -50;
-          break;
-        }
+/** Release an instance created by createPresetInstance(). Safe to call twice. */
+function disposePresetInstance(inst){
+  if (!inst || inst.disposed) return;
+  inst.disposed = true;
+  try { inst.def.dispose?.(inst.state); } catch (e) { console.warn(`Preset "${inst.def.id}" dispose failed:`, e); }
+}
 
-        // 18: Sin Multi |
-        // Vertical bars with a sine-based vertical offset applied as a group.
-        case 18: {
-          v += presetSpeed/5000;
-          ctx.lineWidth = 80 * DPR;
-          const w = (visualW/DPR);
-          const yShift = (H/DPR)/3 * Math.sin(v);
-          for (let r=-4;r<=4;r++){
-            if (multiColor) setStrokeColor((r%2===0)?presetColor:multiColorClr);
-            else setStrokeColor(presetColor);
-            const x = (m + r*w/4) + tx;
-            const y1 = lerp((H/DPR)/2, 200, presetSize/100);
-            const y2 = lerp((H/DPR)/2, (H/DPR)-200, presetSize/100);
-            strokeLineWorld(x, yShift + y1 + ty, x, yShift + y2 + ty);
-          }
-          m += presetSpeed/4;
-          if (m >= w-50) m = -50;
-          break;
-        }
+// One shared instance per preset for callers that draw by index/id (self-tests, quick previews).
+const _sharedPresetInstances = new Map();
+function sharedPresetInstance(ref){
+  const def = presetDef(ref);
+  if (!def) return null;
+  let inst = _sharedPresetInstances.get(def.id);
+  if (!inst){
+    inst = createPresetInstance(def.id);
+    _sharedPresetInstances.set(def.id, inst);
+  }
+  return inst;
+}
 
-        // 19: Sin Multi —
-        // Horizontal bars with a sine-based horizontal offset applied as a group.
-        case 19: {
-          v += presetSpeed/5000;
-          ctx.lineWidth = 80 * DPR;
-          const h = (H/DPR);
-          const xShift = (visualW/DPR)/3 * Math.sin(v);
-          for (let r=-4;r<=4;r++){
-            if (multiColor) setStrokeColor((r%2===0)?presetColor:multiColorClr);
-            else setStrokeColor(presetColor);
-            const y = (m + r*h/4) + ty;
-            const x1 = lerp((visualW/DPR)/2, 200, presetSize/100);
-            const x2 = lerp((visualW/DPR)/2, (visualW/DPR)-200, presetSize/100);
-            strokeLineWorld(xShift + x1 + tx, y, xShift + x2 + tx, y);
-          }
-          m += presetSpeed/4;
-          if (m >= h-50) m = -50;
-          break;
-        }
+/**
+ * Draw a single frame of a preset.
+ *
+ * @param {number|string|{def:object, state:object}} preset - index, id, or instance from createPresetInstance()
+ * @param {{amp:number, bass:number, mid:number, tre:number, centroid:number}} feats - audio features for this frame
+ * @param {{x:number, y:number}} motion - motion offsets (e.g., gyro / tracking)
+ *
+ * Dependencies (globals/helpers used throughout):
+ * - Dimensions: visualW, H, DPR
+ * - State: onoff, mouseXw, mouseYw, presetBrightness, frameStep, presetAudio
+ * - Controls: presetSize, presetSpeed, presetColor, multiColor, multiColorClr
+ * - Helpers: setFillColor, setStrokeColor, altColor, groupColor, colorCount, setStrokeGradient,
+ *            paletteColors, rgba, lerp, clamp, nowMs,
+ *            worldToCanvasX, worldToCanvasY, fillCircleWorld, strokeLineWorld, arcWorld,
+ *            fillTinyDotsBatch, fillCirclesBatch, strokeRectCenteredWorld
+ */
+function drawPreset(preset, feats, motion){
+  // Global master enable; if off, do not draw anything this frame.
+  if (!onoff) return;
+
+  const inst = (preset && typeof preset === 'object') ? preset : sharedPresetInstance(preset);
+  // Unknown preset: no-op to avoid exceptions.
+  if (!inst) return;
+
+  inst.def.draw(inst.state, {
+    cx: (visualW/DPR)/2,
+    cy: (H/DPR)/2,
+    size: (0.9*presetSize + 10),
+    // Motion offsets applied to many presets. These shift the whole pattern.
+    tx: motion.x,
+    ty: motion.y,
+    feats,
+    audio: presetAudio,
+  });
+}
 
-        // 20: Half Arc
-        // Animated half-arc originating from one of four sides/corners, chosen randomly.
-        // `v` acts like a step counter: resets when it hits 100.
-        case 20: {
-          ctx.lineWidth = presetSize * DPR;
-          ctx.fillStyle = 'rgba(0,0,0,0)';
-          setStrokeColor(multiColor ? multiColorClr : presetColor);
-          v += presetSpeed/20;
-          if (v >= 100){
-            v = 0;
-            a = Math.floor(Math.random()*21);
-            b_ = Math.floor(Math.random()*21);
-            c = Math.floor(350 + Math.random()*Math.max(1, (H/DPR)-400));
-          }
-          const ang = v*Math.PI/50;
-          if (a<=10 && b_<=10) arcWorld((visualW/DPR) + tx, (H/DPR)/2 + ty, c, ang-Math.PI/2, ang+Math.PI/2);
-          else if (a<=10 && b_>10) arcWorld((visualW/DPR)/2 + tx, (H/DPR) + ty, c, ang, ang+Math.PI);
-          else if (a>10 && b_<=10) arcWorld(0 + tx, (H/DPR)/2 + ty, c, ang+Math.PI/2, ang+3*Math.PI/2);
-          else arcWorld((visualW/DPR)/2 + tx, 0 + ty, c, ang-Math.PI, ang);
-          break;
-        }
+// Common starting state: a random phase so repeated picks of the same preset don't look identical.
+const basicPresetState = () => ({ v: 0.2 + Math.random()*0.8, m: 0 });
+
+// Random-refresh interval shared by the "Rand ..." presets. Speed 0 effectively freezes them.
+const randRefreshMs = (perSpeed) => (presetSpeed===0) ? 1e9 : (1000 - perSpeed*presetSpeed);
+
+// =====================
+// Built-in presets (UI order)
+// =====================
+
+// Dots arranged in a ring, with the angle driven by `v` per-dot to create a "traveling" effect.
+registerPreset({
+  id: 'ring-sin', name: 'Ring (sin)', tags: ['ring', 'dots', 'calm'],
+  init: basicPresetState,
+  draw(s, {cx, cy, size, tx, ty}){
+    s.v += presetSpeed/20000 * frameStep;
+    for (let i=0;i<18;i++){
+      setFillColor(altColor(i, 18));
+      const r = ((size)* (H/DPR)/240);
+      const x = cx + tx + r*Math.sin(i*s.v);
+      const y = cy + ty + r*Math.cos(i*s.v);
+      fillCircleWorld(x, y, 0.4*size);
+    }
+  }
+});
+
+// 18 dots around a ring; whole ring rotates by advancing `v`.
+registerPreset({
+  id: 'ring-rot', name: 'Ring (rot)', tags: ['ring', 'dots'],
+  init: basicPresetState,
+  draw(s, {cx, cy, size, tx, ty}){
+    s.v += presetSpeed/2000 * frameStep;
+    for (let i=0;i<18;i++){
+      setFillColor(altColor(i, 18));
+      const r = ((size)* (H/DPR)/240);
+      const a2 = i*Math.PI/9 + s.v;
+      const x = cx + tx + r*Math.sin(a2);
+      const y = cy + ty + r*Math.cos(a2);
+      fillCircleWorld(x, y, 0.4*size);
+    }
+  }
+});
+
+// Three concentric rings with different radii, dot sizes, and rotation directions.
+registerPreset({
+  id: 'three-rings', name: '3 Rings', tags: ['ring', 'dots', 'calm'],
+  init: basicPresetState,
+  draw(s, {cx, cy, size, tx, ty}){
+    s.v += presetSpeed/3000 * frameStep;
+    for (let ring=0; ring<3; ring++){
+      const rr = ring===0 ? 1.0 : (ring===1 ? 0.35 : 0.6);
+      const dot = ring===0 ? 0.2 : (ring===1 ? 0.08 : 0.12);
+      const rot = ring===2 ? -2*s.v : s.v;
+      for (let i=0;i<18;i++){
+        setFillColor(altColor(i+ring, 18));
+        const r = rr*((size)* (H/DPR)/240);
+        const a2 = i*Math.PI/9 + rot;
+        const x = cx + tx + r*Math.sin(a2);
+        const y = cy + ty + r*Math.cos(a2);
+        fillCircleWorld(x, y, dot*(size+10));
+      }
+    }
+  }
+});
+
+// A line (or 3-segment multi-color line) between two random endpoints.
+// Endpoints refresh based on `presetSpeed`.
+registerPreset({
+  id: 'rand-lines', name: 'Rand Lines', tags: ['random', 'lines', 'peak'],
+  init: () => ({ x1: 0, y1: 0, x2: 0, y2: 0, timeRand: 0 }),
+  draw(s, {tx, ty}){
+    const w = (visualW/DPR);
+    const h = (H/DPR);
+    ctx.lineWidth = (1.4*presetSize+10) * DPR;
+    ctx.lineCap = 'round';
+
+    const {x1, y1, x2, y2} = s;
+    if (multiColor){
+      for (let k=0;k<3;k++){
+        setStrokeColor(altColor(k, 3));
+        strokeLineWorld(x1 + k*(x2-x1)/3 + tx, y1 + k*(y2-y1)/3 + ty, x1 + (k+1)*(x2-x1)/3 + tx, y1 + (k+1)*(y2-y1)/3 + ty);
+      }
+    } else {
+      setStrokeColor(presetColor);
+      strokeLineWorld(x1+tx, y1+ty, x2+tx, y2+ty);
+    }
 
-        // 21: Sin + Rays
-        // Sinus dots with periodic "ray" flashes (controlled by modulus on `f`).
-        case 21: {
-          const w = (visualW/DPR);
-          for (let f=0; f<w/16; f++){
-            if (f%14 < 1) ctx.fillStyle = rgba(multiColorClr, 1);
-            else ctx.fillStyle = rgba(presetColor, clamp(presetBrightness/200,0,1));
-            const x = 16*f + tx;
-            const y = cy + ty + 4.5*presetSize*Math.sin(v - f/15);
-            fillCircleWorld(x, y, 40);
-            v += presetSpeed/90000;
-          }
-          break;
-        }
+    if (nowMs() - s.timeRand >= randRefreshMs(10)){
+      s.timeRand = nowMs();
+      s.x1 = Math.floor(50 + Math.random()*(w-100));
+      s.y1 = Math.floor(50 + Math.random()*(h-100));
+      s.x2 = Math.floor(50 + Math.random()*(w-100));
+      s.y2 = Math.floor(50 + Math.random()*(h-100));
+    }
+  }
+});
+
+// Random ring center + random starting rotation (when multiColor, ring is segmented).
+registerPreset({
+  id: 'rand-ring', name: 'Rand Ring', tags: ['random', 'ring'],
+  init: () => ({ x: 0, y: 0, rot: 0, timeRand: 0 }),
+  draw(s, {tx, ty}){
+    const w = (visualW/DPR);
+    const h = (H/DPR);
+    ctx.lineWidth = lerp(5, 60, presetSize/100) * DPR;
+    ctx.fillStyle = 'rgba(0,0,0,0)';
+    if (multiColor){
+      for (let l=0;l<=7;l++){
+        setStrokeColor(altColor(l, 8));
+        const start = l*Math.PI/4 + s.rot;
+        const end = (l+1)*Math.PI/4 + s.rot;
+        arcWorld(s.x+tx, s.y+ty, 500, start, end);
+      }
+    } else {
+      setStrokeColor(presetColor);
+      ctx.beginPath();
+      ctx.arc(worldToCanvasX(s.x+tx), worldToCanvasY(s.y+ty), 250*DPR, 0, Math.PI*2);
+      ctx.stroke();
+    }
+    if (nowMs() - s.timeRand >= randRefreshMs(10)){
+      s.timeRand = nowMs();
+      s.x = Math.floor(150 + Math.random()*(w-300));
+      s.y = Math.floor(150 + Math.random()*(h-300));
+      s.rot = Math.random()*Math.PI*2;
+    }
+  }
+});
+
+// A horizontal row of dots with vertical sine-wave displacement.
+registerPreset({
+  id: 'sinus', name: 'Sinus', tags: ['wave', 'dots', 'calm'],
+  init: basicPresetState,
+  draw(s, {cy, tx, ty}){
+    const w = (visualW/DPR);
+    // The phase steps a little per dot and the whole row's worth per frame (60 Hz).
+    const dv = presetSpeed/90000;
+    // Dots come in alternating runs of 11 and 9.
+    const runs = 2*Math.ceil(w/320);
+    for (let f=0; f<w/16; f++){
+      setFillColor(altColor(2*Math.floor(f/20) + (f%20 <= 10 ? 0 : 1), runs));
+      const x = 16*f + tx;
+      const y = cy + ty + 4.5*presetSize*Math.sin(s.v + f*dv - f/15);
+      fillCircleWorld(x, y, 35);
+    }
+    s.v += Math.ceil(w/16) * dv * frameStep;
+  }
+});
+
+// Similar to Sinus but uses rectangles mirrored around a centerline.
+registerPreset({
+  id: 'sin-blocks', name: 'Sin Blocks', tags: ['wave', 'blocks', 'calm'],
+  init: basicPresetState,
+  draw(s, {tx, ty}){
+    const w = (visualW/DPR);
+    const dv = presetSpeed/15000;   // per block, as in Sinus
+    for (let f=0; f<w/90; f++){
+      setFillColor(altColor(f, Math.ceil(w/90)));
+      const x = 100*f + tx;
+      const y1 = 0.45*(H/DPR) + ty + 100*Math.sin(s.v + f*dv - f/1) + presetSize*(H/DPR)*0.005;
+      const y2 = 0.45*(H/DPR) + ty - 100*Math.sin(s.v + f*dv - f/1) - presetSize*(H/DPR)*0.005;
+      ctx.fillRect(worldToCanvasX(x), worldToCanvasY(y1), 60*DPR, (H/DPR/10)*DPR);
+      ctx.fillRect(worldToCanvasX(x), worldToCanvasY(y2), 60*DPR, (H/DPR/10)*DPR);
+    }
+    s.v += Math.ceil(w/90) * dv * frameStep;
+  }
+});
+
+// Crosshair with either solid strokes or multicolor segmented spokes.
+registerPreset({
+  id: 'cross', name: 'Cross', tags: ['lines', 'peak'],
+  init: basicPresetState,
+  draw(s, {cx, cy, tx, ty}){
+    s.v += presetSpeed/1000 * frameStep;
+    ctx.lineWidth = (1.5*presetSize) * DPR;
+    if (multiColor){
+      for (let i=0;i<10;i++){
+        setStrokeColor(altColor(i, 10));
+        const y1 = (i-5)*(H/DPR)/5;
+        const y2 = (i-4)*(H/DPR)/5;
+        strokeLineWorld(cx+tx, cy+ty+y1, cx+tx, cy+ty+y2);
+        const x1 = (i-5)*(visualW/DPR)/5;
+        const x2 = (i-4)*(visualW/DPR)/5;
+        strokeLineWorld(cx+tx+x1, cy+ty, cx+tx+x2, cy+ty);
+      }
+    } else {
+      setStrokeColor(presetColor);
+      strokeLineWorld(cx+tx, cy+ty-(H/DPR), cx+tx, cy+ty+(H/DPR));
+      strokeLineWorld(cx+tx-(visualW/DPR), cy+ty, cx+tx+(visualW/DPR), cy+ty);
+    }
+  }
+});
+
+// Rotated point-cloud around center; batch rendering for performance.
+// Splits into color groups if multiColor.
+registerPreset({
+  id: 'discoball', name: 'Discoball', tags: ['dots', 'spin', 'peak'],
+  init(){
+    const ranX = new Int32Array(1000);
+    const ranY = new Int32Array(1000);
+    for (let i=0;i<1000;i++){
+      ranX[i] = Math.floor((Math.random()*2-1) * (0.71*visualW/DPR));
+      ranY[i] = Math.floor((Math.random()*2-1) * (0.71*visualW/DPR));
+    }
+    return { ...basicPresetState(), ranX, ranY };
+  },
+  dispose(s){
+    s.ranX = s.ranY = null;
+  },
+  draw(s, {cx, cy, tx, ty}){
+    s.v += presetSpeed/5000 * frameStep;
+    const ang = s.v;
+    const cs = Math.cos(ang), sn = Math.sin(ang);
+    const r = Math.max(1, presetSize/8);
+
+    // One batch per color: the cloud is split into consecutive groups.
+    const groups = colorCount();
+    const pts = Array.from({length: groups}, () => []);
+
+    for (let i=0;i<1000;i++){
+      const x = s.ranX[i];
+      const y = s.ranY[i];
+      const rx = x*cs - y*sn;
+      const ry = x*sn + y*cs;
+      pts[Math.floor(i*groups/1000)].push(cx+tx + rx, cy+ty + ry);
+    }
 
-        // 22: Rot Lines
-        // Two horizontal rows of thick line segments moving across the screen.
-        case 22: {
-          v += presetSpeed/3000;
-          const w = (visualW/DPR);
-          ctx.lineWidth = (50+0.5*presetSize) * DPR;
-          for (let r=-8;r<=8;r++){
-            if (multiColor) setStrokeColor((r%2===0)?presetColor:multiColorClr);
-            else setStrokeColor(presetColor);
-            const x1 = (m + r*w/8) - w/2;
-            const x2 = (m + (r+1)*w/8) - w/2;
-            strokeLineWorld(cx+tx + x1, cy+ty - presetSize*(H/DPR)/200 + 30, cx+tx + x2, cy+ty - presetSize*(H/DPR)/200 + 30);
-          }
-          for (let r=-8;r<=8;r++){
-            if (multiColor) setStrokeColor((r%2===0)?presetColor:multiColorClr);
-            else setStrokeColor(presetColor);
-            const x1 = (m + r*w/8) - w/2;
-            const x2 = (m + (r+1)*w/8) - w/2;
-            strokeLineWorld(cx+tx + x1, cy+ty + presetSize*(H/DPR)/200 - 30, cx+tx + x2, cy+ty + presetSize*(H/DPR)/200 - 30);
-          }
-          m += 1;
-          if (m >= w-50) m = -50;
-          break;
-        }
+    for (let g=0; g<groups; g++){
+      setFillColor(groupColor(g*1000/groups, 1000));
+      if (r <= 2.2) fillTinyDotsBatch(pts[g], r);
+      else {
+        const circles = [];
+        for (let i=0;i<pts[g].length;i+=2) circles.push({x:pts[g][i], y:pts[g][i+1], r});
+        fillCirclesBatch(circles);
+      }
+    }
+  }
+});
+
+// Random positions for the Rand Circles / Rand Rings presets (max 11 shapes at Size 100).
+function initRandSpots(){
+  const xs = new Int32Array(11);
+  const ys = new Int32Array(11);
+  for (let i=0;i<11;i++){
+    xs[i] = Math.floor(Math.random()*(visualW/DPR));
+    ys[i] = Math.floor(Math.random()*(H/DPR));
+  }
+  return { xs, ys, timeRand: 0 };
+}
 
-        // 23: Solid
-        // Full-screen rectangle fill; alpha controlled by presetBrightness.
-        case 23: {
-          ctx.setTransform(1,0,0,1,0,0);
-          ctx.fillStyle = rgba(presetColor, clamp(presetBrightness/100,0,1));
-          ctx.fillRect(0,0,visualW,H);
-          break;
-        }
+function refreshRandSpots(s, count){
+  if (nowMs() - s.timeRand < randRefreshMs(9.5)) return;
+  s.timeRand = nowMs();
+  const w = (visualW/DPR);
+  const h = (H/DPR);
+  for (let i=0;i<count;i++){
+    const rad = (300-2.7*presetSize)/2;
+    s.xs[i] = Math.floor(rad + Math.random()*(w-2*rad));
+    s.ys[i] = Math.floor(rad + Math.random()*(h-2*rad));
+  }
+}
 
-        // 24: 4 Scan
-        // Four scanning lines around quadrants with phase derived from `v`.
-        case 24: {
-          ctx.lineWidth = (0.8*presetSize) * DPR;
-          const sp = 500*v;
-          const rr = (presetSize*(H/DPR)/240);
-          const sx = rr*Math.sin(sp);
-          const cy1 = (H/DPR)/4 + ty;
-          const cy2 = 3*(H/DPR)/4 + ty;
-          const cx1 = (visualW/DPR)/4 + tx;
-          const cx2 = 3*(visualW/DPR)/4 + tx;
-          setStrokeColor(presetColor);
-          strokeLineWorld(cx1+sx, cy1-rr*Math.cos(sp), cx1-sx, cy1-rr*Math.cos(sp));
-          strokeLineWorld(cx2+sx, cy2-rr*Math.cos(sp), cx2-sx, cy2-rr*Math.cos(sp));
-          if (multiColor) setStrokeColor(multiColorClr);
-          strokeLineWorld(cx2-sx, cy1+rr*Math.cos(sp), cx2-sx, cy1-rr*Math.cos(sp));
-          strokeLineWorld(cx1-sx, cy2+rr*Math.cos(sp), cx1-sx, cy2-rr*Math.cos(sp));
-          v += presetSpeed/360000;
-          break;
-        }
+// Filled circles randomly placed; positions refresh at speed-based intervals.
+registerPreset({
+  id: 'rand-circles', name: 'Rand Circles', tags: ['random', 'dots', 'peak'],
+  init: initRandSpots,
+  draw(s, {tx, ty}){
+    const count = Math.floor((presetSize+10)/10);
+    for (let i=0;i<count;i++){
+      setFillColor(groupColor(i, count));
+      ctx.beginPath();
+      ctx.arc(worldToCanvasX(s.xs[i]+tx), worldToCanvasY(s.ys[i]+ty), (150-1.35*presetSize)*DPR, 0, Math.PI*2);
+      ctx.fill();
+    }
+    refreshRandSpots(s, count);
+  }
+});
+
+// Outlined rings randomly placed; positions refresh at speed-based intervals.
+registerPreset({
+  id: 'rand-rings', name: 'Rand Rings', tags: ['random', 'ring', 'peak'],
+  init: initRandSpots,
+  draw(s, {tx, ty}){
+    const count = Math.floor((presetSize+10)/10);
+    ctx.lineWidth = (60-0.5*presetSize) * DPR;
+    ctx.fillStyle = 'rgba(0,0,0,0)';
+    for (let i=0;i<count;i++){
+      setStrokeColor(groupColor(i, count));
+      ctx.beginPath();
+      ctx.arc(worldToCanvasX(s.xs[i]+tx), worldToCanvasY(s.ys[i]+ty), (250-2*presetSize)*DPR, 0, Math.PI*2);
+      ctx.stroke();
+    }
+    refreshRandSpots(s, count);
+  }
+});
+
+// Vertical scanning line that oscillates using sine.
+registerPreset({
+  id: 'scan-v', name: 'Scan |', tags: ['scan', 'lines'],
+  init: basicPresetState,
+  draw(s, {cx, tx}){
+    s.v += presetSpeed/1000 * frameStep;
+    ctx.lineWidth = (1.5*presetSize) * DPR;
+    const x = (cx/1.2)*Math.sin(s.v) + cx + tx;
+    if (multiColor){
+      for (let k=0;k<3;k++){
+        setStrokeColor(altColor(k, 3));
+        strokeLineWorld(x, k*(H/DPR)/3, x, (k+1)*(H/DPR)/3);
+      }
+    } else {
+      setStrokeColor(presetColor);
+      strokeLineWorld(x, 0, x, (H/DPR));
+    }
+  }
+});
+
+// Horizontal scanning line that oscillates using sine.
+registerPreset({
+  id: 'scan-h', name: 'Scan —', tags: ['scan', 'lines'],
+  init: basicPresetState,
+  draw(s, {cy, ty}){
+    s.v += presetSpeed/1000 * frameStep;
+    ctx.lineWidth = (1.5*presetSize) * DPR;
+    const y = (cy/1.2)*Math.sin(s.v) + cy + ty;
+    if (multiColor){
+      for (let k=0;k<3;k++){
+        setStrokeColor(altColor(k, 3));
+        strokeLineWorld(k*(visualW/DPR)/3, y, (k+1)*(visualW/DPR)/3, y);
+      }
+    } else {
+      setStrokeColor(presetColor);
+      strokeLineWorld(0, y, (visualW/DPR), y);
+    }
+  }
+});
+
+// Combined vertical+horizontal scan, with optional multicolor segmented cross.
+registerPreset({
+  id: 'scan-2', name: '2 Scan', tags: ['scan', 'lines', 'peak'],
+  init: basicPresetState,
+  draw(s, {cx, cy, tx, ty}){
+    s.v += presetSpeed/1000 * frameStep;
+    ctx.lineWidth = (1.5*presetSize) * DPR;
+    const x = (cx/1.2)*Math.sin(s.v*1.2) + cx + tx;
+    const y = (cy/1.2)*Math.sin(s.v*0.8) + cy + ty;
+    if (multiColor){
+      for (let i=0;i<10;i++){
+        setStrokeColor(altColor(i, 10));
+        const y1 = (i-5)*(H/DPR)/5;
+        const y2 = (i-4)*(H/DPR)/5;
+        strokeLineWorld(x, y+y1, x, y+y2);
+        const x1 = (i-5)*(visualW/DPR)/5;
+        const x2 = (i-4)*(visualW/DPR)/5;
+        strokeLineWorld(x+x1, y, x+x2, y);
+      }
+    } else {
+      setStrokeColor(presetColor);
+      strokeLineWorld(x, y-(H/DPR), x, y+(H/DPR));
+      strokeLineWorld(x-(visualW/DPR), y, x+(visualW/DPR), y);
+    }
+  }
+});
+
+// Bouncing "pingpong" ball used by the PingPong preset.
+class Kreis {
+  constructor(){
+    this.posX = 200 + Math.random() * Math.max(1, (visualW/DPR)-400);
+    this.posY = 200 + Math.random() * Math.max(1, (H/DPR)-400);
+    this.spdX = 10 + Math.random() * 20;
+    this.spdY = 10 + Math.random() * 20;
+  }
+  step(){
+    const ballDiam = Math.floor(lerp(300, 40, clamp((presetSize+1)/100,0,1)));
+    const ballR = ballDiam/2;
 
-        // 25: 4 Rot
-        // Similar to 4 Scan but rotates the stroke directions.
-        case 25: {
-          ctx.lineWidth = (0.8*presetSize) * DPR;
-          const sp = 500*v;
-          const rr = (presetSize*(H/DPR)/240);
-          const cy1 = (H/DPR)/4 + ty;
-          const cy2 = 3*(H/DPR)/4 + ty;
-          const cx1 = (visualW/DPR)/4 + tx;
-          const cx2 = 3*(visualW/DPR)/4 + tx;
-          setStrokeColor(presetColor);
-          strokeLineWorld(cx1+rr*Math.sin(sp), cy1+rr*Math.cos(sp), cx1-rr*Math.sin(sp), cy1-rr*Math.cos(sp));
-          strokeLineWorld(cx2+rr*Math.sin(sp), cy2+rr*Math.cos(sp), cx2-rr*Math.sin(sp), cy2-rr*Math.cos(sp));
-          if (multiColor) setStrokeColor(multiColorClr);
-          strokeLineWorld(cx2+rr*Math.cos(sp), cy1+rr*Math.sin(sp), cx2-rr*Math.cos(sp), cy1-rr*Math.sin(sp));
-          strokeLineWorld(cx1+rr*Math.cos(sp), cy2+rr*Math.sin(sp), cx1-rr*Math.cos(sp), cy2-rr*Math.sin(sp));
-          v += presetSpeed/360000;
-          break;
-        }
+    let x = this.posX, y = this.posY;
+    let sx = this.spdX, sy = this.spdY;
 
-        // 26: 4 Rings
-        // Four rotating mini-rings in quadrant centers, alternating rotation direction.
-        case 26: {
-          v += presetSpeed/4000;
-          for (let q=0;q<4;q++){
-            const qx = (q%2===0) ? (visualW/DPR)/4 : 3*(visualW/DPR)/4;
-            const qy = (q<2) ? (H/DPR)/4 : 3*(H/DPR)/4;
-            const rot = (q===0 || q===3) ? v : -v;
-            for (let i=0;i<18;i++){
-              setFillColor(altColor(i));
-              const r = ((presetSize*0.6+3)*(H/DPR)/120);
-              const a2 = i*Math.PI/9 + rot;
-              const x = qx + tx + r*Math.sin(a2);
-              const y = qy + ty + r*Math.cos(a2);
-              fillCircleWorld(x, y, 0.25*presetSize+3);
-            }
-          }
-          break;
-        }
+    const w = (visualW/DPR);
+    const h = (H/DPR);
 
-        // 27: Crazy Rings
-        // Four rings with differing rotation multipliers based on quadrant index.
-        case 27: {
-          v += presetSpeed/20000;
-          for (let xx=0;xx<=1;xx++){
-            for (let yy=0;yy<=1;yy++){
-              const qx = (2*xx+1)*(visualW/DPR)/4;
-              const qy = (2*yy+1)*(H/DPR)/4;
-              const rot = v * (1 + xx - yy);
-              for (let i=0;i<18;i++){
-                setFillColor(altColor(i+xx+yy));
-                const r = ((presetSize+40)*(H/DPR)/240);
-                const a2 = i*Math.PI/9 + rot;
-                const x = qx + tx + r*Math.sin(a2);
-                const y = qy + ty + r*Math.cos(a2);
-                fillCircleWorld(x, y, 0.15*(presetSize+40));
-              }
-            }
-          }
-          break;
-        }
+    if (x <= ballR) { x = ballR; sx = -sx; }
+    else if (x >= w-ballR) { x = w-ballR; sx = -sx; }
+    if (y <= ballR) { y = ballR; sy = -sy; }
+    else if (y >= h-ballR) { y = h-ballR; sy = -sy; }
 
-        // 28: Ring Scan
-        // Two orbiting circles with different radii and sizes.
-        case 28: {
-          v += presetSpeed/800;
-          const x1 = cx + tx - presetSize*((visualW/DPR-45)/250)*Math.cos(v);
-          const y1 = cy + ty + presetSize*((H/DPR-45)/250)*Math.sin(v);
-          setFillColor(presetColor);
-          fillCircleWorld(x1, y1, 22.5);
-          const x2 = cx + tx + presetSize*((visualW/DPR-60)/190)*Math.cos(v);
-          const y2 = cy + ty + presetSize*((H/DPR-60)/190)*Math.sin(v);
-          if (multiColor) setFillColor(multiColorClr);
-          fillCircleWorld(x2, y2, 30);
-          break;
-        }
+    const moveScale = lerp(0, 1, clamp((presetSpeed+1)/100, 0, 1)) * frameStep;
+    x += moveScale * sx;
+    y += moveScale * sy;
 
-        // 29: Tunnel Rect
-        // Expanding/contracting centered rectangle. Switches color when passing a threshold.
-        case 29: {
-          const w = (visualW/DPR);
-          const h = (H/DPR);
-          const cx0 = cx + tx;
-          const cy0 = cy + ty;
-          ctx.fillStyle = 'rgba(0,0,0,0)';
-
-          if (m >= 110){
-            ctx.lineWidth = Math.max(0, (presetSize+1)*(220-m)/110) * DPR;
-            setStrokeColor(multiColorClr);
-            const s = (220-m);
-            strokeRectCenteredWorld(cx0, cy0, s*w/100, s*h/100);
-          } else {
-            ctx.lineWidth = ((presetSize+1)*m/110) * DPR;
-            setStrokeColor(presetColor);
-            strokeRectCenteredWorld(cx0, cy0, m*w/100, m*h/100);
-          }
+    this.posX = x; this.posY = y; this.spdX = sx; this.spdY = sy;
+    return { x, y, r: ballR };
+  }
+}
 
-          m += presetSpeed/40;
-          if (m >= 220) m = 0;
-          break;
-        }
+// Bouncing balls; the number of balls scales with the Size slider.
+registerPreset({
+  id: 'pingpong', name: 'PingPong', tags: ['dots', 'bounce'],
+  init: () => ({ balls: Array.from({length: 12}, () => new Kreis()) }),
+  draw(s, {tx, ty}){
+    const maxBalls = 12;
+    const count = clamp(Math.floor(lerp(4, maxBalls, clamp(presetSize/100,0,1))), 4, maxBalls);
+
+    // Balls take colors in turn; balls sharing a color are drawn as one batch.
+    const groups = Math.min(colorCount(), count);
+    const circles = Array.from({length: groups}, () => []);
+
+    for (let i=0;i<count;i++){
+      const b = s.balls[i].step();
+      circles[i % groups].push({x: b.x + tx, y: b.y + ty, r: b.r});
+    }
 
-        // 30: Dot Grid
-        // 10x10 grid of dots; brightness driven by a sine pattern and presetBrightness cap.
-        case 30: {
-          v += presetSpeed/1200;
-          const w = (visualW/DPR);
-          const dotSize = lerp(10, w/18, presetSize/100);
-          for (let i=0;i<=9;i++){
-            for (let j=0;j<=9;j++){
-              const brightVal = clamp(-100 + 355*Math.sin(v + 31*(i+j)), 0, presetBrightness*255/100);
-              const alpha2 = clamp(brightVal/255,0,1);
-              const col = (multiColor && ((i+j)%2===1)) ? multiColorClr : presetColor;
-              ctx.fillStyle = rgba(col, alpha2);
-              const x = i*w/10 + w/30 + tx;
-              const y = j*w/10 + w/30 + ty;
-              fillCircleWorld(x, y, dotSize/2);
-            }
-          }
-          break;
+    for (let g=0; g<groups; g++){
+      setFillColor(altColor(g, groups));
+      fillCirclesBatch(circles[g]);
+    }
+  }
+});
+
+// Draws a circle at the current mouse position (world coords).
+registerPreset({
+  id: 'mouse-spot', name: 'Mouse Spot', tags: ['interactive', 'noauto'],
+  draw(s, {tx, ty}){
+    const r = 3*presetSize;
+    setFillColor(altColor(0, 2));
+    fillCircleWorld(mouseXw + tx, mouseYw + ty, r);
+    if (multiColor){
+      setFillColor(altColor(1, 2));
+      fillCircleWorld(mouseXw + tx, mouseYw + ty, r*0.55);
+    }
+  }
+});
+
+// Multiple vertical bars that scroll horizontally. `m` accumulates position.
+registerPreset({
+  id: 'multi-v', name: 'Multi |', tags: ['bars', 'peak'],
+  init: basicPresetState,
+  draw(s, {tx}){
+    ctx.lineWidth = presetSize * DPR;
+    const w = (visualW/DPR);
+    for (let r=-4;r<=4;r++){
+      setStrokeColor(altColor(r+4, 9));
+      const x = (s.m + r*w/4) + tx;
+      strokeLineWorld(x, 0, x, (H/DPR));
+    }
+    s.m += presetSpeed/3 * frameStep;
+    if (s.m >= w-50) s.m = -50;
+  }
+});
+
+// Multiple horizontal bars that scroll vertically. `m` accumulates position.
+registerPreset({
+  id: 'multi-h', name: 'Multi —', tags: ['bars', 'peak'],
+  init: basicPresetState,
+  draw(s, {ty}){
+    ctx.lineWidth = presetSize * DPR;
+    const h = (H/DPR);
+    for (let r=-4;r<=4;r++){
+      setStrokeColor(altColor(r+4, 9));
+      const y = (s.m + r*h/4) + ty;
+      strokeLineWorld(0, y, (visualW/DPR), y);
+    }
+    s.m += presetSpeed/3 * frameStep;
+    if (s.m >= h-50) s.m = -50;
+  }
+});
+
+// Vertical bars with a sine-based vertical offset applied as a group.
+registerPreset({
+  id: 'sin-multi-v', name: 'Sin Multi |', tags: ['bars', 'wave', 'calm'],
+  init: basicPresetState,
+  draw(s, {tx, ty}){
+    s.v += presetSpeed/5000 * frameStep;
+    ctx.lineWidth = 80 * DPR;
+    const w = (visualW/DPR);
+    const yShift = (H/DPR)/3 * Math.sin(s.v);
+    for (let r=-4;r<=4;r++){
+      setStrokeColor(altColor(r+4, 9));
+      const x = (s.m + r*w/4) + tx;
+      const y1 = lerp((H/DPR)/2, 200, presetSize/100);
+      const y2 = lerp((H/DPR)/2, (H/DPR)-200, presetSize/100);
+      strokeLineWorld(x, yShift + y1 + ty, x, yShift + y2 + ty);
+    }
+    s.m += presetSpeed/4 * frameStep;
+    if (s.m >= w-50) s.m = -50;
+  }
+});
+
+// Horizontal bars with a sine-based horizontal offset applied as a group.
+registerPreset({
+  id: 'sin-multi-h', name: 'Sin Multi —', tags: ['bars', 'wave', 'calm'],
+  init: basicPresetState,
+  draw(s, {tx, ty}){
+    s.v += presetSpeed/5000 * frameStep;
+    ctx.lineWidth = 80 * DPR;
+    const h = (H/DPR);
+    const xShift = (visualW/DPR)/3 * Math.sin(s.v);
+    for (let r=-4;r<=4;r++){
+      setStrokeColor(altColor(r+4, 9));
+      const y = (s.m + r*h/4) + ty;
+      const x1 = lerp((visualW/DPR)/2, 200, presetSize/100);
+      const x2 = lerp((visualW/DPR)/2, (visualW/DPR)-200, presetSize/100);
+      strokeLineWorld(xShift + x1 + tx, y, xShift + x2 + tx, y);
+    }
+    s.m += presetSpeed/4 * frameStep;
+    if (s.m >= h-50) s.m = -50;
+  }
+});
+
+// Animated half-arc originating from one of four sides/corners, chosen randomly.
+// `v` acts like a step counter: resets when it hits 100.
+registerPreset({
+  id: 'half-arc', name: 'Half Arc', tags: ['random', 'arc', 'calm'],
+  init: () => ({ ...basicPresetState(), side: 0, diam: 350 }),
+  draw(s, {tx, ty}){
+    ctx.lineWidth = presetSize * DPR;
+    ctx.fillStyle = 'rgba(0,0,0,0)';
+    setStrokeColor(altColor(1, 2));
+    s.v += presetSpeed/20 * frameStep;
+    if (s.v >= 100){
+      s.v = 0;
+      // Sides are picked from two 0..20 rolls, as in the original Blaize sketch.
+      s.side = (Math.floor(Math.random()*21) > 10 ? 2 : 0) + (Math.floor(Math.random()*21) > 10 ? 1 : 0);
+      s.diam = Math.floor(350 + Math.random()*Math.max(1, (H/DPR)-400));
+    }
+    const ang = s.v*Math.PI/50;
+    if (s.side === 0) arcWorld((visualW/DPR) + tx, (H/DPR)/2 + ty, s.diam, ang-Math.PI/2, ang+Math.PI/2);
+    else if (s.side === 1) arcWorld((visualW/DPR)/2 + tx, (H/DPR) + ty, s.diam, ang, ang+Math.PI);
+    else if (s.side === 2) arcWorld(0 + tx, (H/DPR)/2 + ty, s.diam, ang+Math.PI/2, ang+3*Math.PI/2);
+    else arcWorld((visualW/DPR)/2 + tx, 0 + ty, s.diam, ang-Math.PI, ang);
+  }
+});
+
+// Sinus dots with periodic "ray" flashes (controlled by modulus on `f`).
+registerPreset({
+  id: 'sin-rays', name: 'Sin + Rays', tags: ['wave', 'dots', 'calm'],
+  init: basicPresetState,
+  draw(s, {cy, tx, ty}){
+    const w = (visualW/DPR);
+    const dv = presetSpeed/90000;   // per dot, as in Sinus
+    // Each run of 14 dots starts with a full-brightness ray; dots and rays take alternate colors
+    // (with one color the rays stay in B, as they always have).
+    const runs = 2*Math.ceil(w/16/14);
+    for (let f=0; f<w/16; f++){
+      const k = 2*Math.floor(f/14);
+      if (f%14 < 1) ctx.fillStyle = rgba(multiColor ? altColor(k + 1, runs) : multiColorClr, 1);
+      else ctx.fillStyle = rgba(altColor(k, runs), clamp(presetBrightness/200,0,1));
+      const x = 16*f + tx;
+      const y = cy + ty + 4.5*presetSize*Math.sin(s.v + f*dv - f/15);
+      fillCircleWorld(x, y, 40);
+    }
+    s.v += Math.ceil(w/16) * dv * frameStep;
+  }
+});
+
+// Two horizontal rows of thick line segments moving across the screen.
+registerPreset({
+  id: 'rot-lines', name: 'Rot Lines', tags: ['lines', 'peak'],
+  init: basicPresetState,
+  draw(s, {cx, cy, tx, ty}){
+    s.v += presetSpeed/3000 * frameStep;
+    const w = (visualW/DPR);
+    ctx.lineWidth = (50+0.5*presetSize) * DPR;
+    for (let r=-8;r<=8;r++){
+      setStrokeColor(altColor(r+8, 17));
+      const x1 = (s.m + r*w/8) - w/2;
+      const x2 = (s.m + (r+1)*w/8) - w/2;
+      strokeLineWorld(cx+tx + x1, cy+ty - presetSize*(H/DPR)/200 + 30, cx+tx + x2, cy+ty - presetSize*(H/DPR)/200 + 30);
+    }
+    for (let r=-8;r<=8;r++){
+      setStrokeColor(altColor(r+8, 17));
+      const x1 = (s.m + r*w/8) - w/2;
+      const x2 = (s.m + (r+1)*w/8) - w/2;
+      strokeLineWorld(cx+tx + x1, cy+ty + presetSize*(H/DPR)/200 - 30, cx+tx + x2, cy+ty + presetSize*(H/DPR)/200 - 30);
+    }
+    s.m += frameStep;
+    if (s.m >= w-50) s.m = -50;
+  }
+});
+
+// Full-screen rectangle fill; alpha controlled by presetBrightness.
+registerPreset({
+  id: 'solid', name: 'Solid', tags: ['fill', 'noauto'],
+  draw(){
+    ctx.setTransform(1,0,0,1,0,0);
+    ctx.fillStyle = rgba(presetColor, clamp(presetBrightness/100,0,1));
+    ctx.fillRect(0,0,visualW,H);
+  }
+});
+
+// Four scanning lines around quadrants with phase derived from `v`.
+registerPreset({
+  id: 'scan-4', name: '4 Scan', tags: ['scan', 'lines', 'peak'],
+  init: basicPresetState,
+  draw(s, {tx, ty}){
+    ctx.lineWidth = (0.8*presetSize) * DPR;
+    const sp = 500*s.v;
+    const rr = (presetSize*(H/DPR)/240);
+    const sx = rr*Math.sin(sp);
+    const cy1 = (H/DPR)/4 + ty;
+    const cy2 = 3*(H/DPR)/4 + ty;
+    const cx1 = (visualW/DPR)/4 + tx;
+    const cx2 = 3*(visualW/DPR)/4 + tx;
+    setStrokeColor(altColor(0, 2));
+    strokeLineWorld(cx1+sx, cy1-rr*Math.cos(sp), cx1-sx, cy1-rr*Math.cos(sp));
+    strokeLineWorld(cx2+sx, cy2-rr*Math.cos(sp), cx2-sx, cy2-rr*Math.cos(sp));
+    setStrokeColor(altColor(1, 2));
+    strokeLineWorld(cx2-sx, cy1+rr*Math.cos(sp), cx2-sx, cy1-rr*Math.cos(sp));
+    strokeLineWorld(cx1-sx, cy2+rr*Math.cos(sp), cx1-sx, cy2-rr*Math.cos(sp));
+    s.v += presetSpeed/360000 * frameStep;
+  }
+});
+
+// Similar to 4 Scan but rotates the stroke directions.
+registerPreset({
+  id: 'rot-4', name: '4 Rot', tags: ['spin', 'lines', 'peak'],
+  init: basicPresetState,
+  draw(s, {tx, ty}){
+    ctx.lineWidth = (0.8*presetSize) * DPR;
+    const sp = 500*s.v;
+    const rr = (presetSize*(H/DPR)/240);
+    const cy1 = (H/DPR)/4 + ty;
+    const cy2 = 3*(H/DPR)/4 + ty;
+    const cx1 = (visualW/DPR)/4 + tx;
+    const cx2 = 3*(visualW/DPR)/4 + tx;
+    setStrokeColor(altColor(0, 2));
+    strokeLineWorld(cx1+rr*Math.sin(sp), cy1+rr*Math.cos(sp), cx1-rr*Math.sin(sp), cy1-rr*Math.cos(sp));
+    strokeLineWorld(cx2+rr*Math.sin(sp), cy2+rr*Math.cos(sp), cx2-rr*Math.sin(sp), cy2-rr*Math.cos(sp));
+    setStrokeColor(altColor(1, 2));
+    strokeLineWorld(cx2+rr*Math.cos(sp), cy1+rr*Math.sin(sp), cx2-rr*Math.cos(sp), cy1-rr*Math.sin(sp));
+    strokeLineWorld(cx1+rr*Math.cos(sp), cy2+rr*Math.sin(sp), cx1-rr*Math.cos(sp), cy2-rr*Math.sin(sp));
+    s.v += presetSpeed/360000 * frameStep;
+  }
+});
+
+// Four rotating mini-rings in quadrant centers, alternating rotation direction.
+registerPreset({
+  id: 'rings-4', name: '4 Rings', tags: ['ring', 'dots'],
+  init: basicPresetState,
+  draw(s, {tx, ty}){
+    s.v += presetSpeed/4000 * frameStep;
+    for (let q=0;q<4;q++){
+      const qx = (q%2===0) ? (visualW/DPR)/4 : 3*(visualW/DPR)/4;
+      const qy = (q<2) ? (H/DPR)/4 : 3*(H/DPR)/4;
+      const rot = (q===0 || q===3) ? s.v : -s.v;
+      for (let i=0;i<18;i++){
+        setFillColor(altColor(i, 18));
+        const r = ((presetSize*0.6+3)*(H/DPR)/120);
+        const a2 = i*Math.PI/9 + rot;
+        const x = qx + tx + r*Math.sin(a2);
+        const y = qy + ty + r*Math.cos(a2);
+        fillCircleWorld(x, y, 0.25*presetSize+3);
+      }
+    }
+  }
+});
+
+// Four rings with differing rotation multipliers based on quadrant index.
+registerPreset({
+  id: 'crazy-rings', name: 'Crazy Rings', tags: ['ring', 'dots', 'peak'],
+  init: basicPresetState,
+  draw(s, {tx, ty}){
+    s.v += presetSpeed/20000 * frameStep;
+    for (let xx=0;xx<=1;xx++){
+      for (let yy=0;yy<=1;yy++){
+        const qx = (2*xx+1)*(visualW/DPR)/4;
+        const qy = (2*yy+1)*(H/DPR)/4;
+        const rot = s.v * (1 + xx - yy);
+        for (let i=0;i<18;i++){
+          setFillColor(altColor(i+xx+yy, 18));
+          const r = ((presetSize+40)*(H/DPR)/240);
+          const a2 = i*Math.PI/9 + rot;
+          const x = qx + tx + r*Math.sin(a2);
+          const y = qy + ty + r*Math.cos(a2);
+          fillCircleWorld(x, y, 0.15*(presetSize+40));
         }
+      }
+    }
+  }
+});
+
+// Two orbiting circles with different radii and sizes.
+registerPreset({
+  id: 'ring-scan', name: 'Ring Scan', tags: ['dots', 'orbit', 'calm'],
+  init: basicPresetState,
+  draw(s, {cx, cy, tx, ty}){
+    s.v += presetSpeed/800 * frameStep;
+    const x1 = cx + tx - presetSize*((visualW/DPR-45)/250)*Math.cos(s.v);
+    const y1 = cy + ty + presetSize*((H/DPR-45)/250)*Math.sin(s.v);
+    setFillColor(altColor(0, 2));
+    fillCircleWorld(x1, y1, 22.5);
+    const x2 = cx + tx + presetSize*((visualW/DPR-60)/190)*Math.cos(s.v);
+    const y2 = cy + ty + presetSize*((H/DPR-60)/190)*Math.sin(s.v);
+    setFillColor(altColor(1, 2));
+    fillCircleWorld(x2, y2, 30);
+  }
+});
+
+// Expanding/contracting centered rectangle. Switches color when passing a threshold
+// (moving on through the palette each cycle); gradient modes stroke it corner to corner.
+registerPreset({
+  id: 'tunnel-rect', name: 'Tunnel Rect', tags: ['tunnel', 'peak'],
+  init: () => ({ ...basicPresetState(), cycle: 0 }),
+  draw(s, {cx, cy, tx, ty}){
+    const w = (visualW/DPR);
+    const h = (H/DPR);
+    const cx0 = cx + tx;
+    const cy0 = cy + ty;
+    ctx.fillStyle = 'rgba(0,0,0,0)';
+
+    const out = s.m >= 110;
+    const sz = out ? (220-s.m) : s.m;
+    ctx.lineWidth = Math.max(0, (presetSize+1)*sz/110) * DPR;
+    if (!setStrokeGradient(cx0 - sz*w/200, cy0 - sz*h/200, cx0 + sz*w/200, cy0 + sz*h/200)){
+      setStrokeColor(altColor(2*s.cycle + (out ? 1 : 0)));
+    }
+    strokeRectCenteredWorld(cx0, cy0, sz*w/100, sz*h/100);
 
-        // 31: Quad LED
-        // Draws tri-color LED clusters (R/G/B + optional white) with a blink/phase pattern.
-        // NOTE: Uses an inner helper `drawQuadLED` scoped to this case.
-        case 31: {
-          const LEN = 5*(H/DPR)/40;
-          const BLINKSPD = 3.0;
-          const THRESH = 0.2;
-
-          // v advances slowly forward/back depending on presetSpeed, producing a gentle phase drift.
-          v += lerp(-0.06, 0.06, presetSpeed/100);
-
-          function drawQuadLED(x,y,brightPct){
-            const SIZE = Math.round(8*(presetSize+50)/100);
-            const base = presetColor;
-            const alt = multiColor ? multiColorClr : presetColor;
-
-            // Determine which channels are "active" based on whether either palette has that channel.
-            const redOn = (base.r>0 || alt.r>0);
-            const greenOn = (base.g>0 || alt.g>0);
-            const blueOn = (base.b>0 || alt.b>0);
-            const a = clamp(brightPct/100,0,1);
-
-            if (redOn){ ctx.fillStyle = `rgba(255,0,0,${a})`; ctx.fillRect(worldToCanvasX(x-SIZE-1), worldToCanvasY(y-SIZE-1), SIZE*DPR, SIZE*DPR); }
-            if (greenOn){ ctx.fillStyle = `rgba(0,255,0,${a})`; ctx.fillRect(worldToCanvasX(x+1), worldToCanvasY(y-SIZE-1), SIZE*DPR, SIZE*DPR); }
-            if (blueOn){ ctx.fillStyle = `rgba(0,0,255,${a})`; ctx.fillRect(worldToCanvasX(x-SIZE-1), worldToCanvasY(y+1), SIZE*DPR, SIZE*DPR); }
-            if (base.r>0 && base.g>0 && base.b>0){ ctx.fillStyle = `rgba(255,255,255,${a})`; ctx.fillRect(worldToCanvasX(x+1), worldToCanvasY(y+1), SIZE*DPR, SIZE*DPR); }
-          }
-
-          // 3 clusters laid out in a triangle formation.
-          const clusters = [
-            {x: (visualW/DPR)*14/40 + tx, y: (H/DPR)*4/12 + ty, phase: 0},
-            {x: (visualW/DPR)*26/40 + tx, y: (H/DPR)*4/12 + ty, phase: 2*Math.PI/3},
-            {x: (visualW/DPR)*20/40 + tx, y: (H/DPR)*8/12 + ty, phase: 4*Math.PI/3},
-          ];
-
-          for (let k=0;k<clusters.length;k++){
-            const cl = clusters[k];
-            let BRIGHT = presetBrightness;
-            const s = Math.sin(BLINKSPD*v + cl.phase);
-            if (s > THRESH) BRIGHT = lerp(100, 0, (s-THRESH)/(1-THRESH));
-
-            // Rotate the mini-grid around each cluster center.
-            const rot = v;
-            for (let e=0;e<=4;e++){
-              for (let f=0;f<=4;f++){
-                // Skip corners and center for the LED layout.
-                if (!((e===0&&f===0)||(e===4&&f===0)||(e===0&&f===4)||(e===4&&f===4)||(e===2&&f===2))){
-                  const x = cl.x + (LEN*e-2*LEN)*Math.cos(rot) - (LEN*f-2*LEN)*Math.sin(rot);
-                  const y = cl.y + (LEN*e-2*LEN)*Math.sin(rot) + (LEN*f-2*LEN)*Math.cos(rot);
-                  drawQuadLED(x, y, Math.round(BRIGHT*presetBrightness/100));
-                }
-              }
-            }
-          }
-          break;
-        }
+    s.m += presetSpeed/40 * frameStep;
+    if (s.m >= 220){
+      s.m = 0;
+      s.cycle++;
+    }
+  }
+});
+
+// 10x10 grid of dots; brightness driven by a sine pattern and presetBrightness cap.
+registerPreset({
+  id: 'dot-grid', name: 'Dot Grid', tags: ['dots', 'grid', 'calm'],
+  init: basicPresetState,
+  draw(s, {tx, ty}){
+    s.v += presetSpeed/1200 * frameStep;
+    const w = (visualW/DPR);
+    const dotSize = lerp(10, w/18, presetSize/100);
+    for (let i=0;i<=9;i++){
+      for (let j=0;j<=9;j++){
+        const brightVal = clamp(-100 + 355*Math.sin(s.v + 31*(i+j)), 0, presetBrightness*255/100);
+        const alpha2 = clamp(brightVal/255,0,1);
+        ctx.fillStyle = rgba(altColor(i+j, 19), alpha2);
+        const x = i*w/10 + w/30 + tx;
+        const y = j*w/10 + w/30 + ty;
+        fillCircleWorld(x, y, dotSize/2);
+      }
+    }
+  }
+});
+
+// Draws one tri-color LED cluster cell (R/G/B + optional white) for Quad LED.
+function drawQuadLED(x,y,brightPct){
+  const SIZE = Math.round(8*(presetSize+50)/100);
+  const base = presetColor;
+  const alt = multiColor ? multiColorClr : presetColor;
+
+  // Determine which channels are "active" based on whether either palette has that channel.
+  const redOn = (base.r>0 || alt.r>0);
+  const greenOn = (base.g>0 || alt.g>0);
+  const blueOn = (base.b>0 || alt.b>0);
+  const a = clamp(brightPct/100,0,1);
+
+  if (redOn){ ctx.fillStyle = `rgba(255,0,0,${a})`; ctx.fillRect(worldToCanvasX(x-SIZE-1), worldToCanvasY(y-SIZE-1), SIZE*DPR, SIZE*DPR); }
+  if (greenOn){ ctx.fillStyle = `rgba(0,255,0,${a})`; ctx.fillRect(worldToCanvasX(x+1), worldToCanvasY(y-SIZE-1), SIZE*DPR, SIZE*DPR); }
+  if (blueOn){ ctx.fillStyle = `rgba(0,0,255,${a})`; ctx.fillRect(worldToCanvasX(x-SIZE-1), worldToCanvasY(y+1), SIZE*DPR, SIZE*DPR); }
+  if (base.r>0 && base.g>0 && base.b>0){ ctx.fillStyle = `rgba(255,255,255,${a})`; ctx.fillRect(worldToCanvasX(x+1), worldToCanvasY(y+1), SIZE*DPR, SIZE*DPR); }
+}
 
-        // 32: Circle Spin
-        // Ring that spins; optionally segmented into alternating colored arcs.
-        case 32: {
-          // rotation speed tied to Speed slider
-          v += presetSpeed / 2000;
-
-          // circle size tied to Size slider
-          const radius = lerp(60, (H/DPR) * 0.35, presetSize / 100);
-
-          // thickness of the ring
-          ctx.lineWidth = lerp(4, 60, presetSize / 100) * DPR;
-
-          // alternating colors like Rand Ring
-          if (multiColor) {
-            for (let i = 0; i < 8; i++) {
-              setStrokeColor(i % 2 === 0 ? presetColor : multiColorClr);
-              const start = v + i * Math.PI / 4;
-              const end   = start + Math.PI / 4;
-              arcWorld(cx + tx, cy + ty, radius * 2, start, end);
-            }
-          } else {
-            setStrokeColor(presetColor);
-            arcWorld(cx + tx, cy + ty, radius * 2, 0, Math.PI * 2);
+// Tri-color LED clusters with a blink/phase pattern.
+registerPreset({
+  id: 'quad-led', name: 'Quad LED', tags: ['dots', 'grid', 'peak'],
+  init: basicPresetState,
+  draw(s, {tx, ty}){
+    const LEN = 5*(H/DPR)/40;
+    const BLINKSPD = 3.0;
+    const THRESH = 0.2;
+
+    // v advances slowly forward/back depending on presetSpeed, producing a gentle phase drift.
+    s.v += lerp(-0.06, 0.06, presetSpeed/100) * frameStep;
+
+    // 3 clusters laid out in a triangle formation.
+    const clusters = [
+      {x: (visualW/DPR)*14/40 + tx, y: (H/DPR)*4/12 + ty, phase: 0},
+      {x: (visualW/DPR)*26/40 + tx, y: (H/DPR)*4/12 + ty, phase: 2*Math.PI/3},
+      {x: (visualW/DPR)*20/40 + tx, y: (H/DPR)*8/12 + ty, phase: 4*Math.PI/3},
+    ];
+
+    for (let k=0;k<clusters.length;k++){
+      const cl = clusters[k];
+      let BRIGHT = presetBrightness;
+      const sn = Math.sin(BLINKSPD*s.v + cl.phase);
+      if (sn > THRESH) BRIGHT = lerp(100, 0, (sn-THRESH)/(1-THRESH));
+
+      // Rotate the mini-grid around each cluster center.
+      const rot = s.v;
+      for (let e=0;e<=4;e++){
+        for (let f=0;f<=4;f++){
+          // Skip corners and center for the LED layout.
+          if (!((e===0&&f===0)||(e===4&&f===0)||(e===0&&f===4)||(e===4&&f===4)||(e===2&&f===2))){
+            const x = cl.x + (LEN*e-2*LEN)*Math.cos(rot) - (LEN*f-2*LEN)*Math.sin(rot);
+            const y = cl.y + (LEN*e-2*LEN)*Math.sin(rot) + (LEN*f-2*LEN)*Math.cos(rot);
+            drawQuadLED(x, y, Math.round(BRIGHT*presetBrightness/100));
           }
-          break;
         }
+      }
+    }
+  }
+});
+
+// Ring that spins; optionally segmented into alternating colored arcs.
+registerPreset({
+  id: 'circle-spin', name: 'Circle Spin', tags: ['spin', 'ring', 'calm'],
+  init: basicPresetState,
+  draw(s, {cx, cy, tx, ty}){
+    // rotation speed tied to Speed slider
+    s.v += presetSpeed / 2000 * frameStep;
+
+    // circle size tied to Size slider
+    const radius = lerp(60, (H/DPR) * 0.35, presetSize / 100);
+
+    // thickness of the ring
+    ctx.lineWidth = lerp(4, 60, presetSize / 100) * DPR;
+
+    // alternating colors like Rand Ring
+    if (multiColor) {
+      for (let i = 0; i < 8; i++) {
+        setStrokeColor(altColor(i, 8));
+        const start = s.v + i * Math.PI / 4;
+        const end   = start + Math.PI / 4;
+        arcWorld(cx + tx, cy + ty, radius * 2, start, end);
+      }
+    } else {
+      setStrokeColor(presetColor);
+      arcWorld(cx + tx, cy + ty, radius * 2, 0, Math.PI * 2);
+    }
+  }
+});
 
-        // 33: Square Spin
-        // Dashed/segmented square "ring" using a two-pass dash trick to alternate colors.
-        // Implementation note:
-        // - Works in canvas space (reset transform) to keep dash lengths stable.
-        // - `_sqSpin` rotates the whole square slowly; `v` drives dash offset animation.
-        case 33: {
-  // Square Spin — dashed/segmented ring like the Circle Spin, but square.
-  // stripesPerSide = number of segments along EACH side (alternating colors).
-  // v advances the dash animation; _sqSpin rotates the whole square slowly.
-  v += presetSpeed / 2000;
-
-  // slow rotation of the whole shape (tied to Speed, but much slower)
-  const shapeSpinMul = 20.0; // <— increase = faster whole-shape rotation
-  _sqSpin += (presetSpeed / 60000) * shapeSpinMul;
-
+/**
+ * Stroke a closed path as a dashed "ring" that cycles through the colors with no gaps,
+ * used by Square Spin and Triangle Spin.
+ * - Works in canvas space (reset transform) to keep dash lengths stable.
+ * - `spin` rotates the whole shape; `v` drives the dash offset animation.
+ *
+ * @param {number} spin - whole-shape rotation (radians)
+ * @param {number} v - dash animation phase
+ * @param {(perimeter:number)=>void} tracePath - builds the path (canvas px, centered) and returns nothing
+ * @param {number} perimeter - path length in canvas px
+ * @param {number} totalSeg - number of dash segments around the perimeter
+ */
+function strokeSpinningSegments(cx, cy, spin, v, tracePath, perimeter, totalSeg){
   ctx.fillStyle = 'rgba(0,0,0,0)';
-
   // thickness similar to Circle Spin
   ctx.lineWidth = lerp(4, 60, presetSize / 100) * DPR;
 
@@ -854,45 +1038,30 @@ function drawPreset(idx, feats, motion){
   ctx.lineCap = 'round';
   ctx.lineJoin = 'round';
 
-  // Size controls the half-extent of the square in WORLD units
-  const half = lerp(80, 0.38 * Math.min((visualW/DPR), (H/DPR)), presetSize / 100);
-
-  // ===== segment controls =====
-  const stripesPerSide = 6; // <— increase/decrease this (segments per side)
-  const totalSeg = Math.max(4, Math.floor(stripesPerSide) * 4);
-
-  // Work in canvas space for stable dashes
   ctx.save();
   ctx.setTransform(1,0,0,1,0,0);
-  ctx.translate((cx + tx) * DPR, (cy + ty) * DPR);
-  ctx.rotate(_sqSpin);
+  ctx.translate(cx * DPR, cy * DPR);
+  ctx.rotate(spin);
 
-  const sidePx = 2 * half * DPR;
-  const peri = 4 * sidePx;
-  const segLen = peri / totalSeg;
+  const segLen = perimeter / totalSeg;
 
-  // Two-pass dash trick to get alternating colors with NO gaps:
-  // Pass A draws every other segment, Pass B fills the skipped ones.
-  ctx.setLineDash([segLen, segLen]);
+  // Multi-pass dash trick to get cycling colors with NO gaps: with N colors each
+  // pass draws every Nth segment, shifted one segment along from the previous pass.
+  // A single color keeps the classic dash-gap-dash look.
+  const passes = colorCount();
+  ctx.setLineDash(passes > 1 ? [segLen, (passes - 1)*segLen] : [segLen, segLen]);
 
   // animate: dash offset drives segment travel around the perimeter
   const dashSpeed = 2.0; // <— increase = faster segment motion
   const anim = -(v * segLen * dashSpeed);
   ctx.lineDashOffset = anim;
 
-  // Path: centered square (rotated by ctx.rotate above)
   ctx.beginPath();
-  ctx.rect(-sidePx/2, -sidePx/2, sidePx, sidePx);
-
-  if (multiColor){
-    setStrokeColor(presetColor);
-    ctx.stroke();
+  tracePath();
 
-    ctx.lineDashOffset = anim - segLen; // shift by one segment to alternate
-    setStrokeColor(multiColorClr);
-    ctx.stroke();
-  } else {
-    setStrokeColor(presetColor);
+  for (let k=0; k<passes; k++){
+    ctx.lineDashOffset = anim - k*segLen;
+    setStrokeColor(altColor(k, passes));
     ctx.stroke();
   }
 
@@ -903,96 +1072,287 @@ function drawPreset(idx, feats, motion){
   ctx.lineDashOffset = prevDashOff;
   ctx.lineCap = prevCap;
   ctx.lineJoin = prevJoin;
-  break;
 }
 
-        // 34: Triangle Spin
-        // Dashed/segmented triangle "ring" using the same two-pass dash trick as Square Spin.
-        // Implementation note:
-        // - Vertices are defined in canvas space for stable dash lengths.
-        // - `_triSpin` rotates the whole triangle slowly; `v` drives dash offset animation.
-        case 34: {
-  // Triangle Spin — dashed/segmented ring like the Circle Spin, but triangle.
-  // stripesPerSide = number of segments along EACH side (alternating colors).
-  // v advances the dash animation; _triSpin rotates the whole triangle slowly.
-  v += presetSpeed / 2000;
-
-  // slow rotation of the whole shape (tied to Speed, but much slower)
-  const shapeSpinMul = 20.0; // <— increase = faster whole-shape rotation
-  _triSpin += (presetSpeed / 60000) * shapeSpinMul;
-
-  ctx.fillStyle = 'rgba(0,0,0,0)';
-  ctx.lineWidth = lerp(4, 60, presetSize / 100) * DPR;
-
-  const prevCap = ctx.lineCap;
-  const prevJoin = ctx.lineJoin;
-  const prevDash = ctx.getLineDash();
-  const prevDashOff = ctx.lineDashOffset;
-
-  ctx.lineCap = 'round';
-  ctx.lineJoin = 'round';
-
-  const r = lerp(90, 0.42 * Math.min((visualW/DPR), (H/DPR)), presetSize / 100);
-
-  // ===== segment controls =====
-  const stripesPerSide = 6; // <— increase/decrease this (segments per side)
-  const totalSeg = Math.max(3, Math.floor(stripesPerSide) * 3);
-
-  ctx.save();
-  ctx.setTransform(1,0,0,1,0,0);
-  ctx.translate((cx + tx) * DPR, (cy + ty) * DPR);
-  ctx.rotate(_triSpin);
-
-  const rrPx = r * DPR;
-
-  // triangle vertices (point up), centered (rotated by ctx.rotate above)
-  const p1 = {x: 0,           y: -rrPx};
-  const p2 = {x: 0.866*rrPx,  y:  0.5*rrPx};
-  const p3 = {x:-0.866*rrPx,  y:  0.5*rrPx};
-
-  // perimeter in pixels
-  const d12 = Math.hypot(p2.x-p1.x, p2.y-p1.y);
-  const d23 = Math.hypot(p3.x-p2.x, p3.y-p2.y);
-  const d31 = Math.hypot(p1.x-p3.x, p1.y-p3.y);
-  const peri = d12 + d23 + d31;
-  const segLen = peri / totalSeg;
+// Square Spin — dashed/segmented ring like the Circle Spin, but square.
+registerPreset({
+  id: 'square-spin', name: 'Square Spin', tags: ['spin'],
+  init: () => ({ ...basicPresetState(), spin: 0 }),
+  draw(s, {cx, cy, tx, ty}){
+    s.v += presetSpeed / 2000 * frameStep;
 
-  ctx.setLineDash([segLen, segLen]);
+    // slow rotation of the whole shape (tied to Speed, but much slower)
+    const shapeSpinMul = 20.0; // <— increase = faster whole-shape rotation
+    s.spin += (presetSpeed / 60000) * shapeSpinMul * frameStep;
 
-  const dashSpeed = 2.0; // <— increase = faster segment motion
-  const anim = -(v * segLen * dashSpeed);
-  ctx.lineDashOffset = anim;
+    // Size controls the half-extent of the square in WORLD units
+    const half = lerp(80, 0.38 * Math.min((visualW/DPR), (H/DPR)), presetSize / 100);
 
-  ctx.beginPath();
-  ctx.moveTo(p1.x, p1.y);
-  ctx.lineTo(p2.x, p2.y);
-  ctx.lineTo(p3.x, p3.y);
-  ctx.closePath();
+    // ===== segment controls =====
+    const stripesPerSide = 6; // <— increase/decrease this (segments per side)
+    const totalSeg = Math.max(4, Math.floor(stripesPerSide) * 4);
 
-  if (multiColor){
-    setStrokeColor(presetColor);
-    ctx.stroke();
-
-    ctx.lineDashOffset = anim - segLen;
-    setStrokeColor(multiColorClr);
-    ctx.stroke();
-  } else {
-    setStrokeColor(presetColor);
-    ctx.stroke();
+    const sidePx = 2 * half * DPR;
+    strokeSpinningSegments(cx + tx, cy + ty, s.spin, s.v, () => {
+      ctx.rect(-sidePx/2, -sidePx/2, sidePx, sidePx);
+    }, 4 * sidePx, totalSeg);
   }
+});
+
+// Triangle Spin — dashed/segmented ring like the Circle Spin, but triangle.
+registerPreset({
+  id: 'triangle-spin', name: 'Triangle Spin', tags: ['spin'],
+  init: () => ({ ...basicPresetState(), spin: 0 }),
+  draw(s, {cx, cy, tx, ty}){
+    s.v += presetSpeed / 2000 * frameStep;
+
+    // slow rotation of the whole shape (tied to Speed, but much slower)
+    const shapeSpinMul = 20.0; // <— increase = faster whole-shape rotation
+    s.spin += (presetSpeed / 60000) * shapeSpinMul * frameStep;
+
+    const r = lerp(90, 0.42 * Math.min((visualW/DPR), (H/DPR)), presetSize / 100);
+
+    // ===== segment controls =====
+    const stripesPerSide = 6; // <— increase/decrease this (segments per side)
+    const totalSeg = Math.max(3, Math.floor(stripesPerSide) * 3);
+
+    const rrPx = r * DPR;
+
+    // triangle vertices (point up), centered (rotated by ctx.rotate)
+    const p1 = {x: 0,           y: -rrPx};
+    const p2 = {x: 0.866*rrPx,  y:  0.5*rrPx};
+    const p3 = {x:-0.866*rrPx,  y:  0.5*rrPx};
+
+    // perimeter in pixels
+    const d12 = Math.hypot(p2.x-p1.x, p2.y-p1.y);
+    const d23 = Math.hypot(p3.x-p2.x, p3.y-p2.y);
+    const d31 = Math.hypot(p1.x-p3.x, p1.y-p3.y);
+
+    strokeSpinningSegments(cx + tx, cy + ty, s.spin, s.v, () => {
+      ctx.moveTo(p1.x, p1.y);
+      ctx.lineTo(p2.x, p2.y);
+      ctx.lineTo(p3.x, p3.y);
+      ctx.closePath();
+    }, d12 + d23 + d31, totalSeg);
+  }
+});
+
+// =====================
+// Audio presets (spectrum + scope)
+// =====================
+// These read the raw analyser arrays in `frame.audio`. Without an audio source the
+// spectrum is all zeros and the waveform sits on its 128 zero line.
+
+// Log-spaced band levels (0..1) from the byte spectrum, taking the loudest bin in
+// each band. The top ~30% of the FFT is almost always empty, so bands stop short of it.
+function spectrumBands(spectrum, count, out){
+  const lo = 1, hi = Math.floor(spectrum.length * 0.7);
+  for (let b=0; b<count; b++){
+    const i0 = Math.floor(lo * Math.pow(hi/lo, b/count));
+    const i1 = Math.max(i0 + 1, Math.floor(lo * Math.pow(hi/lo, (b+1)/count)));
+    let m = 0;
+    for (let i=i0; i<i1; i++) if (spectrum[i] > m) m = spectrum[i];
+    out[b] = m / 255;
+  }
+  return out;
+}
 
-  ctx.restore();
-
-  ctx.setLineDash(prevDash);
-  ctx.lineDashOffset = prevDashOff;
-  ctx.lineCap = prevCap;
-  ctx.lineJoin = prevJoin;
-  break;
+// Instant attack, Speed-scaled release: levels fall back smoothly instead of flickering.
+function settleLevels(levels, target, rate = 1){
+  const fall = (0.004 + presetSpeed/4000) * rate * frameStep;
+  for (let i=0; i<levels.length; i++) levels[i] = Math.max(target[i], levels[i] - fall);
 }
 
-        // Default: unknown preset index.
-        // No-op to avoid exceptions if presetNames and switch drift.
-        default:
-          break;
+// Mirrored spectrum: bass in the middle, highs towards both edges, bars growing up
+// and down from the center line. Peak caps hang on briefly in the second color.
+registerPreset({
+  id: 'spectrum-bars', name: 'Spectrum', tags: ['audio', 'spectrum', 'peak'],
+  init: () => ({ bands: new Float32Array(32), levels: new Float32Array(32), peaks: new Float32Array(32) }),
+  draw(s, {cx, cy, tx, ty, audio}){
+    const n = s.bands.length;
+    spectrumBands(audio.spectrum, n, s.bands);
+    settleLevels(s.levels, s.bands);
+    settleLevels(s.peaks, s.levels, 0.35);
+
+    const span = lerp(0.35, 0.95, presetSize/100) * (visualW/DPR);
+    const maxH = lerp(0.12, 0.46, presetSize/100) * (H/DPR);
+    const slot = span / (2*n);
+    const barW = slot * 0.7;
+    const capH = Math.max(2, slot * 0.15);
+    const x0 = cx + tx, y0 = cy + ty;
+
+    // Bars and caps take alternate colors, so A/B keeps the caps in the second color
+    // and the smooth modes run across the bands.
+    for (let i=0; i<n; i++){
+      setFillColor(altColor(2*i, 2*n));
+      const h = Math.max(1, s.levels[i] * maxH);
+      for (const side of [-1, 1]){
+        const x = x0 + side*(i + 0.5)*slot - barW/2;
+        ctx.fillRect(worldToCanvasX(x), worldToCanvasY(y0 - h), barW*DPR, 2*h*DPR);
       }
     }
+    for (let i=0; i<n; i++){
+      setFillColor(altColor(2*i + 1, 2*n));
+      const h = s.peaks[i] * maxH + capH;
+      for (const side of [-1, 1]){
+        const x = x0 + side*(i + 0.5)*slot - barW/2;
+        ctx.fillRect(worldToCanvasX(x), worldToCanvasY(y0 - h - capH), barW*DPR, capH*DPR);
+        ctx.fillRect(worldToCanvasX(x), worldToCanvasY(y0 + h), barW*DPR, capH*DPR);
+      }
+    }
+  }
+});
+
+// Spectrum bent into a ring of spikes; the bands run up one half and back down the
+// other so the ring is symmetric. Speed turns it.
+registerPreset({
+  id: 'spectrum-ring', name: 'Spectrum Ring', tags: ['audio', 'spectrum', 'ring', 'peak'],
+  init: () => ({ rot: Math.random()*Math.PI*2, bands: new Float32Array(48), levels: new Float32Array(48) }),
+  draw(s, {cx, cy, size, tx, ty, audio}){
+    const n = s.bands.length;
+    spectrumBands(audio.spectrum, n, s.bands);
+    settleLevels(s.levels, s.bands);
+    s.rot += presetSpeed/6000 * frameStep;
+
+    const r0 = size * (H/DPR) / 400 + 20;
+    const reach = r0 * 1.2;
+    const spokes = 2*n;
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineWidth = Math.max(1, 0.6 * Math.PI * 2 * r0 / spokes) * DPR;
+    for (let i=0; i<spokes; i++){
+      const lvl = s.levels[i < n ? i : spokes - 1 - i];
+      const a = s.rot + i * Math.PI * 2 / spokes;
+      const c = Math.cos(a), sn = Math.sin(a);
+      const r1 = r0 + 2 + lvl * reach;
+      setStrokeColor(altColor(i, spokes));
+      strokeLineWorld(cx + tx + c*r0, cy + ty + sn*r0, cx + tx + c*r1, cy + ty + sn*r1);
+    }
+    ctx.restore();
+  }
+});
+
+// Oscilloscope trace, triggered on a rising zero crossing so periodic sounds stand
+// still. Speed widens the time window; Size sets the amplitude and line weight.
+registerPreset({
+  id: 'scope-line', name: 'Scope', tags: ['audio', 'scope', 'wave', 'calm'],
+  draw(s, {cy, tx, ty, audio}){
+    const wave = audio.waveform;
+    const len = Math.round(lerp(256, 1024, presetSpeed/100));
+    let start = 0;
+    for (let i=1; i<wave.length - len; i++){
+      if (wave[i-1] < 128 && wave[i] >= 128){ start = i; break; }
+    }
+    const w = (visualW/DPR);
+    const amp = lerp(0.1, 0.5, presetSize/100) * (H/DPR) / 128;
+    const segs = 8, perSeg = len / segs;
+
+    ctx.save();
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    ctx.lineWidth = (1.5 + presetSize/25) * DPR;
+    for (let g=0; g<segs; g++){
+      setStrokeColor(altColor(g, segs));
+      ctx.beginPath();
+      const i0 = Math.floor(g*perSeg), i1 = Math.min(len - 1, Math.ceil((g+1)*perSeg));
+      for (let i=i0; i<=i1; i++){
+        const x = tx + (i / (len - 1)) * w;
+        const y = cy + ty + (wave[start + i] - 128) * amp;
+        if (i === i0) ctx.moveTo(worldToCanvasX(x), worldToCanvasY(y));
+        else ctx.lineTo(worldToCanvasX(x), worldToCanvasY(y));
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+});
+
+// X/Y scope. Stereo input is drawn as a goniometer (mid up, side across), so mono
+// material is a vertical line and wide mixes bloom sideways. Mono sources plot the
+// signal against a slightly delayed copy of itself instead. Speed spins the figure.
+registerPreset({
+  id: 'scope-xy', name: 'Lissajous', tags: ['audio', 'scope', 'calm'],
+  init: () => ({ rot: 0 }),
+  draw(s, {cx, cy, tx, ty, audio}){
+    s.rot += presetSpeed/8000 * frameStep;
+    const stereo = audio.stereo;
+    const a = stereo ? audio.left : audio.waveform;
+    const b = stereo ? audio.right : audio.waveform;
+    const lag = stereo ? 0 : 12;
+    const count = Math.min(512, a.length - lag);
+    const scale = lerp(0.15, 0.45, presetSize/100) * Math.min(visualW/DPR, H/DPR) / 128;
+    const c = Math.cos(s.rot), sn = Math.sin(s.rot);
+    const x0 = cx + tx, y0 = cy + ty;
+
+    ctx.save();
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = (1 + presetSize/30) * DPR;
+    for (let half=0; half<2; half++){
+      setStrokeColor(altColor(half, 2));
+      ctx.beginPath();
+      const i0 = half * (count >> 1), i1 = half ? count - 1 : (count >> 1);
+      for (let i=i0; i<=i1; i++){
+        const l = a[i] - 128, r = b[i + lag] - 128;
+        // Goniometer axes: side (L-R) across, mid (L+R) up, both scaled by 1/sqrt(2).
+        const u = (l - r) * Math.SQRT1_2, v = (l + r) * Math.SQRT1_2;
+        const x = x0 + (u*c - v*sn) * scale;
+        const y = y0 - (u*sn + v*c) * scale;
+        if (i === i0) ctx.moveTo(worldToCanvasX(x), worldToCanvasY(y));
+        else ctx.lineTo(worldToCanvasX(x), worldToCanvasY(y));
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+});
+
+// Spectrogram waterfall: each new spectrum becomes a column on a small offscreen
+// canvas that scrolls left (faster with Speed) and is stretched over the Size-scaled
+// area. Quiet bins fade to transparent; loud ones shift from Color A towards Color B.
+const SPECTROGRAM_COLS = 160, SPECTROGRAM_ROWS = 96;
+registerPreset({
+  id: 'spectrogram', name: 'Spectrogram', tags: ['audio', 'spectrum', 'calm'],
+  init: () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = SPECTROGRAM_COLS;
+    canvas.height = SPECTROGRAM_ROWS;
+    const g = canvas.getContext('2d');
+    return { canvas, g, col: g ? g.createImageData(1, SPECTROGRAM_ROWS) : null,
+      bands: new Float32Array(SPECTROGRAM_ROWS), acc: 0 };
+  },
+  draw(s, {cx, cy, tx, ty, audio}){
+    if (!s.g) return;
+    s.acc += (0.25 + presetSpeed/25) * frameStep;
+    const steps = Math.min(SPECTROGRAM_COLS, Math.floor(s.acc));
+    s.acc -= Math.floor(s.acc);
+    if (steps > 0){
+      spectrumBands(audio.spectrum, SPECTROGRAM_ROWS, s.bands);
+      const hiClr = altColor(1, 2);
+      const d = s.col.data;
+      for (let y=0; y<SPECTROGRAM_ROWS; y++){
+        // Low frequencies at the bottom.
+        const v = s.bands[SPECTROGRAM_ROWS - 1 - y];
+        const o = y * 4;
+        d[o]   = lerp(presetColor.r, hiClr.r, v);
+        d[o+1] = lerp(presetColor.g, hiClr.g, v);
+        d[o+2] = lerp(presetColor.b, hiClr.b, v);
+        d[o+3] = 255 * Math.min(1, v * 1.4);
+      }
+      s.g.globalCompositeOperation = 'copy';
+      s.g.drawImage(s.canvas, -steps, 0);
+      s.g.globalCompositeOperation = 'source-over';
+      for (let k=0; k<steps; k++) s.g.putImageData(s.col, SPECTROGRAM_COLS - 1 - k, 0);
+    }
+
+    const w = lerp(0.35, 1, presetSize/100) * (visualW/DPR);
+    const h = lerp(0.25, 1, presetSize/100) * (H/DPR);
+    ctx.save();
+    ctx.globalAlpha *= clamp(presetBrightness/100, 0, 1);
+    ctx.drawImage(s.canvas, worldToCanvasX(cx + tx - w/2), worldToCanvasY(cy + ty - h/2), w*DPR, h*DPR);
+    ctx.restore();
+  },
+  dispose(s){
+    // Release the backing store right away rather than waiting for GC.
+    s.canvas.width = s.canvas.height = 0;
+  }
+});